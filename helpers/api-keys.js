@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+
+const ApiKey = require('../models/apiKey');
+const ServiceAccount = require('../models/serviceAccount');
+const { hashToken } = require('./hashed-token');
+const { getClientIp } = require('./request-info');
+
+const API_KEY_PREFIX = 'm2t_';
+const API_KEY_SCOPES = ['exports:read', 'analytics:read'];
+
+/**
+ * Gera uma nova chave de API (formato m2t_<prefixo>_<segredo>)
+ * @returns {Object} { key: string (mostrar uma única vez), prefix: string, keyHash: string (salvar) }
+ */
+const generateApiKey = () => {
+    const prefix = crypto.randomBytes(4).toString('hex');
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const key = `${API_KEY_PREFIX}${prefix}_${secret}`;
+
+    return { key, prefix, keyHash: hashToken(key) };
+};
+
+/**
+ * Verifica se o valor recebido tem o formato de uma chave de API
+ * @param {String} value - Valor do cabeçalho
+ * @returns {Boolean}
+ */
+const isApiKey = (value) => {
+    return typeof value === 'string' && value.startsWith(API_KEY_PREFIX);
+};
+
+/**
+ * Busca uma chave ativa (não revogada, não expirada e de conta de serviço ativa) e registra o uso
+ * @param {String} rawKey - Chave recebida
+ * @param {Object} req - Requisição do Express
+ * @returns {Object|null} Chave de API
+ */
+const authenticateApiKey = async (rawKey, req) => {
+    const apiKey = await ApiKey.findOneAndUpdate(
+        { keyHash: hashToken(rawKey), revokedAt: null, expiresAt: { $gt: new Date() } },
+        {
+            $inc: { usageCount: 1 },
+            $set: { lastUsedAt: new Date(), lastUsedIp: getClientIp(req), lastUsedRoute: `${req.method} ${req.originalUrl.split('?')[0]}` }
+        },
+        { new: true }
+    );
+
+    if (!apiKey) {
+        return null;
+    }
+
+    const serviceAccount = await ServiceAccount.exists({ _id: apiKey.serviceAccountId, deleted: false });
+
+    return serviceAccount ? apiKey : null;
+};
+
+/**
+ * Verifica se a chave pode acessar o formulário
+ * @param {Object} apiKey - Chave de API
+ * @param {String} formId - ID do formulário
+ * @returns {Boolean}
+ */
+const hasFormAccess = (apiKey, formId) => {
+    return apiKey.forms.some(id => id.toString() === String(formId));
+};
+
+module.exports = {
+    API_KEY_SCOPES,
+    generateApiKey,
+    isApiKey,
+    authenticateApiKey,
+    hasFormAccess
+};
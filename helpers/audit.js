@@ -0,0 +1,105 @@
+const AuditLog = require('../models/auditLog');
+const { getClientIp } = require('./request-info');
+
+// Never copied into the log, even when they change
+const SENSITIVE_FIELDS = [
+    'password', 'passwordHistory', 'resetPasswordToken', 'magicLinkToken', 'emailVerificationToken',
+    'twoFactorSecret', 'twoFactorPendingSecret', 'twoFactorRecoveryCodes', 'clientSecret', 'keyHash', 'tokenHash'
+];
+
+// Personal data of users (LGPD), including the guardian's e-mail kept for minors: only the names of the changed fields are kept,
+// so the log holds nothing an erasure would have to remove
+const PERSONAL_USER_FIELDS = ['name', 'email', 'city', 'state', 'ssoIdentities', 'guardianEmail'];
+
+// The invitee's address, for the same reason
+const PERSONAL_INVITE_FIELDS = ['email'];
+
+const PERSONAL_FIELDS = { User: PERSONAL_USER_FIELDS, Invite: PERSONAL_INVITE_FIELDS };
+
+// Bookkeeping fields that change on every write
+const IGNORED_FIELDS = ['_id', '__v', 'updatedAt', 'updatedBy'];
+
+const REDACTED = '[redigido]';
+
+const toPlain = (doc) => {
+    if (!doc) {
+        return null;
+    }
+
+    // JSON round trip turns ObjectIds and dates into comparable strings
+    return JSON.parse(JSON.stringify(typeof doc.toObject === 'function' ? doc.toObject() : doc));
+};
+
+/**
+ * Calcula os campos alterados entre duas versões de um documento
+ * @param {Object|null} before - Documento antes da ação (null na criação)
+ * @param {Object|null} after - Documento depois da ação (null na remoção definitiva)
+ * @param {Array} redacted - Campos registrados apenas como alterados, além dos sensíveis
+ * @returns {Object} { before, after } apenas com os campos alterados
+ */
+const diffChanges = (before, after, redacted = []) => {
+    const oldDoc = toPlain(before) || {};
+    const newDoc = toPlain(after) || {};
+    const changes = { before: {}, after: {} };
+
+    for (const field of new Set([...Object.keys(oldDoc), ...Object.keys(newDoc)])) {
+        if (IGNORED_FIELDS.includes(field) || JSON.stringify(oldDoc[field]) === JSON.stringify(newDoc[field])) {
+            continue;
+        }
+
+        const sensitive = SENSITIVE_FIELDS.includes(field) || redacted.includes(field);
+
+        if (field in oldDoc) {
+            changes.before[field] = sensitive ? REDACTED : oldDoc[field];
+        }
+
+        if (field in newDoc) {
+            changes.after[field] = sensitive ? REDACTED : newDoc[field];
+        }
+    }
+
+    return {
+        before: before ? changes.before : null,
+        after: after ? changes.after : null
+    };
+};
+
+/**
+ * Registra uma ação no log de auditoria. Falhas são apenas registradas no console para não interromper a ação já realizada.
+ * Usar depois do require-permission (req.currentUser) ou com chave de API (req.apiKey).
+ * @param {Object} req - Requisição
+ * @param {Object} entry - { action, targetType, targetId, before, after, metadata }
+ */
+const recordAudit = async (req, { action, targetType, targetId = null, before = null, after = null, metadata = null }) => {
+    try {
+        const actor = req.currentUser || null;
+        const changes = diffChanges(before, after, PERSONAL_FIELDS[targetType] || []);
+
+        await AuditLog.create({
+            actor: actor ? actor._id : (req.user?.userId || null),
+            actorEmail: actor ? actor.email : null,
+            actorRole: actor ? actor.role : null,
+            apiKey: req.apiKey ? req.apiKey._id : null,
+            institutionId: actor ? actor.institutionId : null,
+            action: action,
+            targetType: targetType,
+            targetId: targetId ? String(targetId) : null,
+            before: changes.before,
+            after: changes.after,
+            metadata: metadata,
+            ip: getClientIp(req),
+            userAgent: req.get('user-agent') || ''
+        });
+    } catch (error) {
+        console.error(`Erro ao registrar auditoria (${action}):`, error);
+    }
+};
+
+module.exports = {
+    SENSITIVE_FIELDS,
+    PERSONAL_USER_FIELDS,
+    PERSONAL_INVITE_FIELDS,
+    REDACTED,
+    diffChanges,
+    recordAudit
+};
@@ -0,0 +1,242 @@
+const jwt = require('jsonwebtoken');
+require('dotenv').config();
+
+const RefreshToken = require('../models/refreshToken');
+const Session = require('../models/session');
+const User = require('../models/user');
+const { hashToken, generateHashedToken } = require('./hashed-token');
+const { getClientIp, describeDevice } = require('./request-info');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 7;
+
+// Short-lived token between the password step and the second factor
+const CHALLENGE_TOKEN_EXPIRES_IN = '5m';
+
+// Avoid writing lastSeenAt on every single request
+const LAST_SEEN_UPDATE_INTERVAL = 60 * 1000;
+
+const refreshExpiration = () => new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Cria o token de acesso (JWT de curta duração)
+ * @param {Object} user - Usuário do banco
+ * @param {Object} session - Sessão do banco
+ * @returns {String} JWT assinado
+ */
+const signAccessToken = (user, session) => {
+    return jwt.sign(
+        {
+            name: user.name,
+            userId: user._id,
+            role: user.role,
+            sid: session._id
+        },
+        process.env.JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+    );
+};
+
+/**
+ * Cria e salva um novo refresh token para a sessão informada
+ * @returns {Object} { token: string, document: RefreshToken }
+ */
+const createRefreshToken = async (user, session) => {
+    const { token, hashedToken } = generateHashedToken();
+
+    const document = await new RefreshToken({
+        userId: user._id,
+        tokenHash: hashedToken,
+        sessionId: session._id,
+        expiresAt: session.expiresAt
+    }).save();
+
+    return { token, document };
+};
+
+/**
+ * Inicia uma nova sessão e emite o par de tokens (acesso + refresh)
+ * @param {Object} user - Usuário do banco
+ * @param {Object} req - Requisição do Express (IP e dispositivo da sessão)
+ * @returns {Object} { token, refreshToken, expiresIn }
+ */
+const issueTokens = async (user, req) => {
+    const userAgent = req.header('user-agent') || '';
+
+    const session = await new Session({
+        userId: user._id,
+        userAgent: userAgent,
+        device: describeDevice(userAgent),
+        ip: getClientIp(req),
+        expiresAt: refreshExpiration()
+    }).save();
+
+    const refresh = await createRefreshToken(user, session);
+
+    return {
+        token: signAccessToken(user, session),
+        refreshToken: refresh.token,
+        expiresIn: ACCESS_TOKEN_EXPIRES_IN
+    };
+};
+
+/**
+ * Cria um token de desafio para concluir o login em outra etapa (ex: código 2FA).
+ * Não contém sessão, então não é aceito como token de acesso.
+ * @param {Object} user - Usuário do banco
+ * @param {String} purpose - Finalidade do desafio ('2fa' | '2fa-setup')
+ * @returns {String} JWT assinado
+ */
+const signChallengeToken = (user, purpose) => {
+    return jwt.sign(
+        { userId: user._id, purpose: purpose },
+        process.env.JWT_SECRET,
+        { expiresIn: CHALLENGE_TOKEN_EXPIRES_IN }
+    );
+};
+
+/**
+ * Valida um token de desafio
+ * @param {String} token - Token recebido do cliente
+ * @param {String} purpose - Finalidade esperada
+ * @returns {Object|null} Payload do token
+ */
+const verifyChallengeToken = (token, purpose) => {
+    try {
+        const payload = jwt.verify(token, process.env.JWT_SECRET);
+        return payload.purpose === purpose ? payload : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Revoga uma sessão (o token de acesso e os refresh tokens deixam de valer)
+ * @param {String} sessionId - ID da sessão
+ * @param {String} reason - Motivo da revogação
+ * @param {String} revokedBy - ID do usuário que revogou (opcional)
+ * @returns {Object|null} Sessão revogada
+ */
+const revokeSession = async (sessionId, reason, revokedBy = null) => {
+    return Session.findOneAndUpdate(
+        { _id: sessionId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason, revokedBy: revokedBy } },
+        { new: true }
+    );
+};
+
+/**
+ * Revoga todas as sessões ativas de um usuário
+ * @param {String} userId - ID do usuário
+ * @param {String} reason - Motivo da revogação
+ * @param {Object} options - { revokedBy?, exceptSessionId? }
+ * @returns {Number} Quantidade de sessões revogadas
+ */
+const revokeUserSessions = async (userId, reason, options = {}) => {
+    const filter = { userId: userId, revokedAt: null };
+
+    if (options.exceptSessionId) {
+        filter._id = { $ne: options.exceptSessionId };
+    }
+
+    const result = await Session.updateMany(
+        filter,
+        { $set: { revokedAt: new Date(), revokedReason: reason, revokedBy: options.revokedBy || null } }
+    );
+
+    return result.modifiedCount;
+};
+
+/**
+ * Troca um refresh token por um novo par de tokens (rotação).
+ * Um refresh token já utilizado revoga a sessão inteira (detecção de reuso).
+ * @param {String} rawToken - Refresh token recebido do cliente
+ * @returns {Object} { tokens: Object|null, error: string|null }
+ */
+const rotateRefreshToken = async (rawToken, req) => {
+    const tokenHash = hashToken(rawToken);
+
+    // Atomically claim the token so it can only be rotated once
+    const current = await RefreshToken.findOneAndUpdate(
+        { tokenHash: tokenHash, usedAt: null, expiresAt: { $gt: new Date() } },
+        { $set: { usedAt: new Date() } },
+        { new: true }
+    );
+
+    if (!current) {
+        const existing = await RefreshToken.findOne({ tokenHash: tokenHash });
+
+        if (!existing) {
+            return { tokens: null, error: "Refresh token inválido" };
+        }
+
+        if (existing.usedAt) {
+            await revokeSession(existing.sessionId, 'reuse_detected');
+            return { tokens: null, error: "Refresh token reutilizado. Por segurança, a sessão foi encerrada" };
+        }
+
+        return { tokens: null, error: "Refresh token expirado. Faça login novamente" };
+    }
+
+    const session = await Session.findOne({ _id: current.sessionId, revokedAt: null });
+
+    if (!session) {
+        return { tokens: null, error: "Sessão encerrada. Faça login novamente" };
+    }
+
+    const user = await User.findOne({ _id: current.userId, deleted: false });
+
+    if (!user) {
+        await revokeSession(session._id, 'user_deleted');
+        return { tokens: null, error: "Usuário não encontrado" };
+    }
+
+    // Sliding expiration: each rotation extends the session
+    session.expiresAt = refreshExpiration();
+    session.lastSeenAt = new Date();
+    session.ip = getClientIp(req);
+    await session.save();
+
+    const refresh = await createRefreshToken(user, session);
+
+    current.replacedBy = refresh.document._id;
+    await current.save();
+
+    return {
+        tokens: {
+            token: signAccessToken(user, session),
+            refreshToken: refresh.token,
+            expiresIn: ACCESS_TOKEN_EXPIRES_IN
+        },
+        error: null
+    };
+};
+
+/**
+ * Busca uma sessão ativa (não revogada e não expirada) e atualiza o último acesso
+ * @param {String} sessionId - ID da sessão
+ * @returns {Object|null} Sessão ativa
+ */
+const findActiveSession = async (sessionId) => {
+    const session = await Session.findOne({
+        _id: sessionId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    });
+
+    if (session && Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_UPDATE_INTERVAL) {
+        await Session.updateOne({ _id: session._id }, { $set: { lastSeenAt: new Date() } });
+    }
+
+    return session;
+};
+
+module.exports = {
+    issueTokens,
+    signChallengeToken,
+    verifyChallengeToken,
+    rotateRefreshToken,
+    revokeSession,
+    revokeUserSessions,
+    findActiveSession
+};
@@ -2,26 +2,97 @@ const jwt = require('jsonwebtoken');
 
 require('dotenv').config();
 
+const { findActiveSession } = require('./auth-tokens');
+const { isApiKey, authenticateApiKey } = require('./api-keys');
+
+// API keys may come in their own header or in place of the JWT
+const getApiKey = (req) => {
+    const token = req.header("auth-token");
+    return req.header("x-api-key") || (isApiKey(token) ? token : null);
+};
+
 // Middleware to validate token
-const checkToken = (req, res, next) => {
-    
+const checkToken = async (req, res, next) => {
+
     const token = req.header("auth-token");
 
+    // Routes that accept API keys use checkToken.allowApiKey(scope)
+    if (getApiKey(req)) {
+        return res.status(401).json({ error: "Chaves de API não são aceitas nesta rota." });
+    }
+
     if (!token) {
         return res.status(401).json({ error: "Acesso negado! Token não fornecido." });
     }
 
-    try {
+    let verified;
 
-        const verified = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = verified;
-        next();
+    try {
 
+        verified = jwt.verify(token, process.env.JWT_SECRET);
 
     } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            return res.status(401).json({ error: "Token expirado!" });
+        }
         return res.status(400).json({ error: "Token inválido!" });
     }
 
+    // Tokens issued before expiration/sessions were introduced are no longer accepted
+    if (!verified.sid || !verified.exp) {
+        return res.status(401).json({ error: "Sessão inválida. Faça login novamente." });
+    }
+
+    try {
+
+        // Check server-side revocation
+        const session = await findActiveSession(verified.sid);
+
+        if (!session) {
+            return res.status(401).json({ error: "Sessão encerrada. Faça login novamente." });
+        }
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao validar sessão" });
+    }
+
+    req.user = verified;
+    next();
+
+};
+
+/**
+ * Variante do middleware que também aceita chaves de API de contas de serviço com o escopo informado.
+ * Com chave de API, req.apiKey é preenchido (não há usuário nem req.user).
+ * @param {String} scope - Escopo exigido ('exports:read' | 'analytics:read')
+ */
+checkToken.allowApiKey = (scope) => async (req, res, next) => {
+
+    const rawKey = getApiKey(req);
+
+    if (!rawKey) {
+        return checkToken(req, res, next);
+    }
+
+    try {
+
+        const apiKey = await authenticateApiKey(rawKey, req);
+
+        if (!apiKey) {
+            return res.status(401).json({ error: "Chave de API inválida, expirada ou revogada." });
+        }
+
+        if (!apiKey.scopes.includes(scope)) {
+            return res.status(403).json({ error: `A chave de API não tem o escopo ${scope}.` });
+        }
+
+        req.apiKey = apiKey;
+        next();
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao validar chave de API" });
+    }
+
 };
 
-module.exports = checkToken;
\ No newline at end of file
+module.exports = checkToken;
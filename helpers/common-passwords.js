@@ -0,0 +1,27 @@
+// Local blocklist of the most common/leaked passwords (compared in lowercase).
+// Entries are also matched after removing trailing digits and symbols, so "Senha123!" counts as "senha".
+module.exports = new Set([
+    '123456', '1234567', '12345678', '123456789', '1234567890', '12345', '1234', '123123',
+    '111111', '000000', '654321', '666666', '121212', '112233', '123321', '159753', '147258369',
+    '987654321', '0123456789', '11111111', '88888888', '12341234', '1q2w3e4r', '1q2w3e4r5t',
+    '1qaz2wsx', 'qwerty', 'qwertyuiop', 'qwerty123', 'asdfgh', 'asdfghjkl', 'zxcvbn', 'zxcvbnm',
+    'qazwsx', 'password', 'passw0rd', 'p@ssw0rd', 'p@ssword', 'password1', 'password123',
+    'abc123', 'abcdef', 'abcd1234', 'a1b2c3d4', 'aa123456', 'iloveyou', 'letmein', 'welcome',
+    'admin', 'admin123', 'administrator', 'root', 'toor', 'login', 'master', 'secret',
+    'dragon', 'monkey', 'football', 'baseball', 'soccer', 'sunshine', 'princess', 'shadow',
+    'superman', 'batman', 'trustno1', 'starwars', 'pokemon', 'naruto', 'whatever', 'freedom',
+    'hello', 'hello123', 'charlie', 'michael', 'jordan', 'jennifer', 'hunter', 'killer',
+    'flower', 'lovely', 'changeme', 'default', 'test', 'test123', 'testing', 'guest',
+    'google', 'mustang', 'access', 'ninja', 'azerty', 'solo', 'loveme', 'computer',
+    // Portuguese / Brazilian
+    'senha', 'senha123', 'senha1234', 'minhasenha', 'mudar123', 'mudarsenha', 'trocar123',
+    'brasil', 'brasil123', 'flamengo', 'corinthians', 'palmeiras', 'saopaulo', 'vasco',
+    'gremio', 'cruzeiro', 'santos', 'botafogo', 'fluminense', 'internacional', 'atletico',
+    'amor', 'amoreterno', 'teamo', 'teamo123', 'jesus', 'jesuscristo', 'deus', 'deusefiel',
+    'deuseamor', 'familia', 'felicidade', 'saudade', 'gatinha', 'princesa', 'meuamor',
+    'vitoria', 'gabriel', 'lucas', 'matheus', 'pedro', 'maria', 'juliana', 'fernanda',
+    'beatriz', 'amanda', 'bruna', 'camila', 'rafael', 'daniel', 'felipe', 'rodrigo',
+    'escola', 'professor', 'professora', 'aluno', 'estudante', 'universidade', 'faculdade',
+    'usuario', 'usuario123', 'acesso', 'acesso123', 'entrar', 'bemvindo', 'qualquer',
+    'abcd', 'asdf', 'asdf1234', 'qwe123', 'qweasd', 'qweasdzxc', 'm2tie'
+]);
@@ -0,0 +1,58 @@
+const ConsentTerm = require('../models/consentTerm');
+const ConsentAcceptance = require('../models/consentAcceptance');
+
+/**
+ * Situação do termo de consentimento (TCLE) de um formulário para um participante
+ * @param {Object} form - Formulário
+ * @param {String} userId - ID do participante
+ * @returns {Object} { required: false } ou { required: true, termId, title, version, accepted, acceptedAt }
+ */
+const getConsentStatus = async (form, userId) => {
+    if (!form.consentTermId) {
+        return { required: false };
+    }
+
+    const term = await ConsentTerm.findOne({ _id: form.consentTermId, deleted: false });
+
+    // A term removed after being attached no longer blocks the form
+    if (!term) {
+        return { required: false };
+    }
+
+    const acceptance = await ConsentAcceptance.findOne({ userId: userId, termId: term._id, version: term.currentVersion });
+
+    return {
+        required: true,
+        termId: term._id,
+        title: term.title,
+        version: term.currentVersion,
+        accepted: Boolean(acceptance),
+        acceptedAt: acceptance ? acceptance.acceptedAt : null
+    };
+};
+
+/**
+ * Última aceitação de cada participante para um termo
+ * @param {Object} term - Termo de consentimento
+ * @param {Array} userIds - IDs dos participantes
+ * @returns {Map} userId => { version, acceptedAt, current }
+ */
+const getLatestAcceptances = async (term, userIds) => {
+    const acceptances = await ConsentAcceptance.find({ termId: term._id, userId: { $in: userIds } }).sort({ version: 1 });
+    const latest = new Map();
+
+    for (const acceptance of acceptances) {
+        latest.set(String(acceptance.userId), {
+            version: acceptance.version,
+            acceptedAt: acceptance.acceptedAt,
+            current: acceptance.version === term.currentVersion
+        });
+    }
+
+    return latest;
+};
+
+module.exports = {
+    getConsentStatus,
+    getLatestAcceptances
+};
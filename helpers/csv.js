@@ -0,0 +1,96 @@
+/**
+ * Converte um valor em célula CSV (aspas quando necessário e proteção contra fórmulas em planilhas)
+ * @param {*} value - Valor da célula
+ * @returns {String}
+ */
+const toCsvCell = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    let text = value instanceof Date ? value.toISOString() : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+
+    // Spreadsheets run cells starting with these characters as formulas
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Gera um CSV a partir de uma lista de objetos
+ * @param {Array} rows - Linhas
+ * @param {Array} columns - [{ key, header }] na ordem das colunas; key pode ser uma função (row) => valor
+ * @returns {String} CSV com BOM (acentos corretos no Excel) e quebras de linha CRLF
+ */
+const toCsv = (rows, columns) => {
+    const header = columns.map(column => toCsvCell(column.header)).join(',');
+
+    const lines = rows.map(row => columns
+        .map(column => toCsvCell(typeof column.key === 'function' ? column.key(row) : row[column.key]))
+        .join(','));
+
+    return '\uFEFF' + [header, ...lines].join('\r\n') + '\r\n';
+};
+
+/**
+ * Lê um CSV (separador vírgula ou ponto e vírgula, detectado pela primeira linha; campos entre aspas podem ter quebras de linha)
+ * @param {String} text - Conteúdo do arquivo
+ * @returns {Array} Registros, cada um uma lista de células
+ */
+const parseCsv = (text) => {
+    const source = text.replace(/^\uFEFF/, '');
+    const firstLine = source.split(/\r?\n/, 1)[0];
+
+    // Excel in pt-BR saves CSV with semicolons
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+    const records = [];
+    let record = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            record.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') {
+                i++;
+            }
+            record.push(cell);
+            records.push(record);
+            record = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || record.length > 0) {
+        record.push(cell);
+        records.push(record);
+    }
+
+    return records;
+};
+
+module.exports = {
+    toCsvCell,
+    toCsv,
+    parseCsv
+};
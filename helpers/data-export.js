@@ -0,0 +1,178 @@
+const Form = require('../models/form');
+const Response = require('../models/response');
+const ConsentAcceptance = require('../models/consentAcceptance');
+const GuardianConsent = require('../models/guardianConsent');
+const Group = require('../models/group');
+const { toCsv } = require('./csv');
+const { createZip } = require('./zip');
+
+// Whitelist of the profile fields handed to the user; tokens, hashes and 2FA secrets never leave the database
+const PROFILE_FIELDS = [
+    '_id', 'name', 'anonymous', 'email', 'role', 'city', 'state', 'institution', 'institutionId', 'preferredLanguage',
+    'guardianConsentRequired', 'emailVerified', 'twoFactorEnabled', 'twoFactorEnabledAt', 'passwordChangedAt', 'createdAt', 'deleted'
+];
+
+const formatAnswer = (answer) => Array.isArray(answer) ? answer.join(', ') : answer;
+
+const mapResponse = (response) => ({
+    _id: response._id,
+    formId: response.formId ? response.formId._id : null,
+    formTitle: response.formId ? response.formId.title : null,
+    submittedAt: response.isDraft ? null : response.submittedAt,
+    lastModified: response.lastModified,
+    deleted: response.deleted,
+    answers: response.answers.map(answer => ({
+        questionId: answer.questionId ? answer.questionId._id : null,
+        question: answer.questionId ? answer.questionId.title : null,
+        answer: answer.answer
+    }))
+});
+
+/**
+ * Reúne tudo o que está armazenado sobre um usuário (portabilidade de dados, LGPD)
+ * @param {Object} user - Documento do usuário
+ * @returns {Object} { generatedAt, profile, assignments, responses, drafts, consents, guardianConsent }
+ */
+const buildUserDataExport = async (user) => {
+    const plain = user.toObject();
+
+    const profile = Object.fromEntries(PROFILE_FIELDS.filter(field => plain[field] !== undefined).map(field => [field, plain[field]]));
+
+    await user.populate({ path: 'ssoIdentities.provider', select: 'name' });
+
+    profile.ssoIdentities = user.ssoIdentities.map(identity => ({
+        provider: identity.provider ? identity.provider.name : null,
+        subject: identity.subject,
+        linkedAt: identity.linkedAt,
+        lastLoginAt: identity.lastLoginAt
+    }));
+
+    const groups = await Group.find({ members: user._id }).sort({ createdAt: 1 });
+
+    // Forms reach the user directly or through the groups they are currently a member of
+    const activeGroups = groups.filter(group => !group.deleted).map(group => group._id);
+
+    const [forms, responses, acceptances, guardianConsent] = await Promise.all([
+        Form.find({ $or: [{ assignedUsers: user._id }, { assignedGroups: { $in: activeGroups } }] }).sort({ createdAt: 1 }),
+        Response.find({ userId: user._id })
+            .sort({ submittedAt: 1 })
+            .populate({ path: 'formId', select: 'title' })
+            .populate({ path: 'answers.questionId', select: 'title' }),
+        ConsentAcceptance.find({ userId: user._id })
+            .sort({ acceptedAt: 1 })
+            .populate({ path: 'termId', select: 'title' })
+            .populate({ path: 'formId', select: 'title' }),
+        GuardianConsent.findOne({ userId: user._id })
+    ]);
+
+    const submitted = responses.filter(response => !response.isDraft);
+    const answeredForms = new Set(submitted.filter(response => !response.deleted && response.formId).map(response => String(response.formId._id)));
+
+    return {
+        generatedAt: new Date(),
+        profile: profile,
+        assignments: forms.map(form => ({
+            formId: form._id,
+            title: form.title,
+            description: form.description,
+            type: form.type,
+            isActive: form.isActive,
+            deleted: form.deleted,
+            answered: answeredForms.has(String(form._id))
+        })),
+        groups: groups.map(group => ({
+            groupId: group._id,
+            name: group.name,
+            deleted: group.deleted
+        })),
+        responses: submitted.map(mapResponse),
+        drafts: responses.filter(response => response.isDraft).map(mapResponse),
+        consents: acceptances.map(acceptance => ({
+            termId: acceptance.termId ? acceptance.termId._id : null,
+            term: acceptance.termId ? acceptance.termId.title : null,
+            version: acceptance.version,
+            formTitle: acceptance.formId ? acceptance.formId.title : null,
+            ip: acceptance.ip,
+            userAgent: acceptance.userAgent,
+            acceptedAt: acceptance.acceptedAt
+        })),
+        guardianConsent: guardianConsent ? {
+            guardianName: guardianConsent.guardianName,
+            guardianEmail: guardianConsent.guardianEmail,
+            status: guardianConsent.status,
+            requestedAt: guardianConsent.requestedAt,
+            grantedAt: guardianConsent.grantedAt,
+            revokedAt: guardianConsent.revokedAt,
+            events: guardianConsent.events.map(event => ({ action: event.action, guardianEmail: event.guardianEmail, reason: event.reason, at: event.at }))
+        } : null
+    };
+};
+
+// One row per answer, so the CSV opens as a flat table
+const answerRows = (responses) => responses.flatMap(response => response.answers.map(answer => ({
+    responseId: response._id,
+    formId: response.formId,
+    formTitle: response.formTitle,
+    submittedAt: response.submittedAt,
+    lastModified: response.lastModified,
+    deleted: response.deleted,
+    question: answer.question,
+    answer: formatAnswer(answer.answer)
+})));
+
+const ANSWER_COLUMNS = [
+    { key: 'responseId', header: 'resposta_id' },
+    { key: 'formId', header: 'formulario_id' },
+    { key: 'formTitle', header: 'formulario' },
+    { key: 'submittedAt', header: 'enviada_em' },
+    { key: 'lastModified', header: 'alterada_em' },
+    { key: 'deleted', header: 'removida' },
+    { key: 'question', header: 'questao' },
+    { key: 'answer', header: 'resposta' }
+];
+
+/**
+ * Gera o arquivo .zip da exportação: dados.json completo e um CSV por seção
+ * @param {Object} data - Resultado de buildUserDataExport
+ * @returns {Buffer}
+ */
+const buildUserDataArchive = (data) => {
+    const profileRows = Object.entries(data.profile)
+        .filter(([field]) => field !== 'ssoIdentities')
+        .map(([field, value]) => ({ field, value }));
+
+    return createZip([
+        { name: 'dados.json', content: JSON.stringify(data, null, 2) },
+        { name: 'perfil.csv', content: toCsv(profileRows, [{ key: 'field', header: 'campo' }, { key: 'value', header: 'valor' }]) },
+        {
+            name: 'atribuicoes.csv',
+            content: toCsv(data.assignments, [
+                { key: 'formId', header: 'formulario_id' },
+                { key: 'title', header: 'formulario' },
+                { key: 'type', header: 'tipo' },
+                { key: 'isActive', header: 'ativo' },
+                { key: 'deleted', header: 'removido' },
+                { key: 'answered', header: 'respondido' }
+            ])
+        },
+        { name: 'respostas.csv', content: toCsv(answerRows(data.responses), ANSWER_COLUMNS) },
+        { name: 'rascunhos.csv', content: toCsv(answerRows(data.drafts), ANSWER_COLUMNS.filter(column => column.key !== 'submittedAt')) },
+        {
+            name: 'consentimentos.csv',
+            content: toCsv(data.consents, [
+                { key: 'termId', header: 'termo_id' },
+                { key: 'term', header: 'termo' },
+                { key: 'version', header: 'versao' },
+                { key: 'formTitle', header: 'formulario' },
+                { key: 'ip', header: 'ip' },
+                { key: 'userAgent', header: 'navegador' },
+                { key: 'acceptedAt', header: 'aceito_em' }
+            ])
+        }
+    ]);
+};
+
+module.exports = {
+    buildUserDataExport,
+    buildUserDataArchive
+};
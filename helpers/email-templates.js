@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates', 'emails');
+
+const LANGUAGES = ['pt-BR', 'en'];
+const DEFAULT_LANGUAGE = 'pt-BR';
+
+// Available templates and the sample data used by the admin preview
+const TEMPLATES = {
+    'reset-password': {
+        resetURL: 'https://app.exemplo.com/reset-password/exemplo-de-token'
+    },
+    'email-verification': {
+        verifyURL: 'https://app.exemplo.com/verify-email/exemplo-de-token'
+    },
+    'invite': {
+        roleLabel: 'Professor Analista',
+        expiresDays: 7,
+        inviteURL: 'https://app.exemplo.com/register?invite=exemplo-de-token'
+    },
+    'magic-link': {
+        expiresMinutes: 15,
+        loginURL: 'https://app.exemplo.com/magic-link/exemplo-de-token'
+    },
+    'password-changed': {
+        changedAt: '15/01/2025 10:30:00',
+        device: 'Chrome em Windows',
+        ip: '200.17.101.4',
+        resetURL: 'https://app.exemplo.com/forgot-password'
+    },
+    'account-created': {
+        roleLabel: 'Estudante',
+        institution: 'Universidade Federal de Minas Gerais',
+        expiresDays: 7,
+        setPasswordURL: 'https://app.exemplo.com/reset-password/exemplo-de-token'
+    },
+    'guardian-consent': {
+        guardianGreeting: ', Maria Souza',
+        studentName: 'João Souza',
+        institution: 'Escola Estadual Exemplo',
+        expiresDays: 14,
+        consentURL: 'https://app.exemplo.com/guardian-consent/exemplo-de-token'
+    }
+};
+
+// Templates rarely change while the server runs
+const cache = new Map();
+
+const readTemplate = (file) => {
+    if (!cache.has(file)) {
+        cache.set(file, fs.readFileSync(path.join(TEMPLATES_DIR, file), 'utf8'));
+    }
+    return cache.get(file);
+};
+
+const escapeHtml = (value) => {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+};
+
+/**
+ * Substitui as variáveis do template: {{nome}} é escapado em HTML e {{{nome}}} é inserido sem escape
+ * @param {String} text - Conteúdo do template
+ * @param {Object} data - Variáveis
+ * @returns {String}
+ */
+const interpolate = (text, data) => {
+    return text.replace(/\{\{\{?\s*(\w+)\s*\}?\}\}/g, (match, key) => {
+        if (data[key] === undefined || data[key] === null) {
+            throw new Error(`Variável "${key}" não informada para o template`);
+        }
+        return match.startsWith('{{{') ? String(data[key]) : escapeHtml(data[key]);
+    });
+};
+
+// Header lines ("Subject: ...") followed by a blank line, then the body
+const parseTemplate = (source) => {
+    const [head, ...body] = source.split(/\r?\n\r?\n/);
+    const headers = {};
+
+    for (const line of head.split(/\r?\n/)) {
+        const separator = line.indexOf(':');
+        headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+    }
+
+    return { subject: headers.subject, body: body.join('\n\n') };
+};
+
+/**
+ * Normaliza o idioma do destinatário para um dos idiomas disponíveis
+ * @param {String} language - Ex: 'en', 'en-US', 'pt-BR'
+ * @returns {String} 'pt-BR' | 'en'
+ */
+const resolveLanguage = (language) => {
+    if (!language) {
+        return DEFAULT_LANGUAGE;
+    }
+
+    const exact = LANGUAGES.find(item => item.toLowerCase() === String(language).toLowerCase());
+    if (exact) {
+        return exact;
+    }
+
+    const base = String(language).split('-')[0].toLowerCase();
+    return LANGUAGES.find(item => item.split('-')[0].toLowerCase() === base) || DEFAULT_LANGUAGE;
+};
+
+/**
+ * Renderiza um e-mail a partir do template no idioma informado, dentro do layout
+ * @param {String} name - Nome do template (ex: 'reset-password')
+ * @param {String} language - Idioma preferido do destinatário
+ * @param {Object} data - Variáveis do template
+ * @returns {Object} { subject, html, language }
+ */
+const renderEmail = (name, language, data) => {
+    if (!TEMPLATES[name]) {
+        throw new Error(`Template de e-mail desconhecido: ${name}`);
+    }
+
+    const resolved = resolveLanguage(language);
+    const template = parseTemplate(readTemplate(path.join(name, `${resolved}.html`)));
+
+    const subject = interpolate(template.subject, data);
+    const content = interpolate(template.body, data);
+    const html = interpolate(readTemplate(path.join('layouts', `${resolved}.html`)), { subject, content });
+
+    return { subject, html, language: resolved };
+};
+
+/**
+ * Renderiza um template com os dados de exemplo (pré-visualização)
+ * @param {String} name - Nome do template
+ * @param {String} language - Idioma
+ * @returns {Object} { subject, html, language }
+ */
+const renderPreview = (name, language) => {
+    return renderEmail(name, language, TEMPLATES[name]);
+};
+
+module.exports = {
+    LANGUAGES,
+    DEFAULT_LANGUAGE,
+    TEMPLATE_NAMES: Object.keys(TEMPLATES),
+    resolveLanguage,
+    renderEmail,
+    renderPreview
+};
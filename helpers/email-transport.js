@@ -0,0 +1,99 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+/**
+ * Driver SMTP genérico (nodemailer). Sem SMTP_HOST, usa o serviço SMTP_SERVICE (padrão: gmail)
+ * @returns {Object} { name, send(message) }
+ */
+const createSmtpDriver = () => {
+    const auth = {
+        user: process.env.SMTP_USER || process.env.EMAIL_USER,
+        pass: process.env.SMTP_PASSWORD || process.env.EMAIL_PASSWORD
+    };
+
+    const options = process.env.SMTP_HOST
+        ? {
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: auth.user ? auth : undefined
+        }
+        : { service: process.env.SMTP_SERVICE || 'gmail', auth: auth };
+
+    const transporter = nodemailer.createTransport(options);
+
+    return {
+        name: 'smtp',
+        send: async (message) => {
+            const info = await transporter.sendMail(message);
+            return { messageId: info.messageId };
+        }
+    };
+};
+
+/**
+ * Driver de desenvolvimento: grava cada e-mail como um arquivo JSON em EMAIL_OUTBOX_DIR
+ * @returns {Object} { name, send(message) }
+ */
+const createOutboxDriver = () => {
+    const directory = path.resolve(process.env.EMAIL_OUTBOX_DIR || 'outbox');
+
+    return {
+        name: 'outbox',
+        send: async (message) => {
+            const messageId = crypto.randomUUID();
+            const createdAt = new Date();
+
+            await fs.mkdir(directory, { recursive: true });
+            await fs.writeFile(
+                path.join(directory, `${createdAt.getTime()}-${messageId}.json`),
+                JSON.stringify({ messageId, createdAt, ...message }, null, 2)
+            );
+
+            return { messageId };
+        }
+    };
+};
+
+/**
+ * Driver que descarta os e-mails (apenas o registro no EmailLog é mantido)
+ * @returns {Object} { name, send(message) }
+ */
+const createNoopDriver = () => {
+    return {
+        name: 'noop',
+        send: async () => ({ messageId: null })
+    };
+};
+
+const DRIVERS = {
+    smtp: createSmtpDriver,
+    outbox: createOutboxDriver,
+    noop: createNoopDriver
+};
+
+let transport = null;
+
+/**
+ * Retorna o driver configurado em EMAIL_DRIVER (criado na primeira chamada)
+ * @returns {Object} { name, send(message) }
+ */
+const getTransport = () => {
+    if (!transport) {
+        const driver = process.env.EMAIL_DRIVER || 'smtp';
+
+        if (!DRIVERS[driver]) {
+            throw new Error(`EMAIL_DRIVER inválido: ${driver}. Use: ${Object.keys(DRIVERS).join(', ')}`);
+        }
+
+        transport = DRIVERS[driver]();
+    }
+
+    return transport;
+};
+
+module.exports = {
+    getTransport
+};
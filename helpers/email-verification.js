@@ -0,0 +1,42 @@
+const { generateHashedToken } = require('./hashed-token');
+
+const EMAIL_VERIFICATION_EXPIRES = 24 * 60 * 60 * 1000; // 24 hours
+const RESEND_COOLDOWN_SECONDS = parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS) || 120;
+
+/**
+ * Gera um token de confirmação de e-mail e os campos a salvar no usuário
+ * @returns {Object} { token: string (enviar por e-mail), fields: Object (salvar no usuário) }
+ */
+const createEmailVerification = () => {
+    const { token, hashedToken } = generateHashedToken();
+
+    return {
+        token,
+        fields: {
+            emailVerified: false,
+            emailVerificationToken: hashedToken,
+            emailVerificationExpires: Date.now() + EMAIL_VERIFICATION_EXPIRES,
+            emailVerificationSentAt: new Date()
+        }
+    };
+};
+
+/**
+ * Segundos restantes até o usuário poder pedir um novo e-mail de confirmação
+ * @param {Object} user - Usuário do banco
+ * @returns {Number} 0 se já pode reenviar
+ */
+const resendCooldown = (user) => {
+    if (!user.emailVerificationSentAt) {
+        return 0;
+    }
+
+    const elapsed = (Date.now() - user.emailVerificationSentAt.getTime()) / 1000;
+
+    return Math.max(0, Math.ceil(RESEND_COOLDOWN_SECONDS - elapsed));
+};
+
+module.exports = {
+    createEmailVerification,
+    resendCooldown
+};
@@ -1,43 +1,104 @@
-const nodemailer = require('nodemailer');
+const EmailLog = require('../models/emailLog');
+const { getTransport } = require('./email-transport');
+const { renderEmail, resolveLanguage } = require('./email-templates');
 
-const transporter = nodemailer.createTransport({
-  service: 'gmail', 
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASSWORD 
+const EMAIL_FROM = process.env.EMAIL_FROM || process.env.EMAIL_USER;
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 3;
+const RETRY_DELAY_MS = parseInt(process.env.EMAIL_RETRY_DELAY_MS) || 1000;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// The log is informative: a database error must not prevent the e-mail from being sent
+const saveLog = async (log) => {
+  try {
+    await log.save();
+  } catch (error) {
+    console.error('Erro ao salvar EmailLog:', error);
+  }
+};
+
+/**
+ * Envia um e-mail pelo driver configurado, com novas tentativas e registro no EmailLog
+ * @param {String} type - Tipo do e-mail (ex: 'reset_password')
+ * @param {Object} mailOptions - { from, to, subject, html }
+ * @returns {Object} { messageId }
+ */
+const sendMail = async (type, mailOptions) => {
+  const transport = getTransport();
+
+  const log = new EmailLog({
+    type: type,
+    to: mailOptions.to,
+    subject: mailOptions.subject,
+    driver: transport.name
+  });
+
+  let lastError;
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    log.attempts = attempt;
+
+    try {
+      const info = await transport.send(mailOptions);
+
+      log.status = 'sent';
+      log.messageId = info.messageId;
+      log.sentAt = new Date();
+      await saveLog(log);
+
+      return info;
+
+    } catch (error) {
+      lastError = error;
+      log.failures.push({ attempt: attempt, error: error.message });
+
+      // Exponential backoff between attempts: 1s, 2s, 4s...
+      if (attempt < MAX_ATTEMPTS) {
+        await wait(RETRY_DELAY_MS * 2 ** (attempt - 1));
+      }
+    }
   }
-});
 
-const sendResetEmail = async (email, token) => {
+  log.status = 'failed';
+  await saveLog(log);
+
+  throw lastError;
+};
+
+const ROLE_LABELS = {
+  'pt-BR': {
+    admin: 'Administrador',
+    student: 'Estudante',
+    teacher_analyst: 'Professor Analista',
+    teacher_respondent: 'Professor Respondente'
+  },
+  'en': {
+    admin: 'Administrator',
+    student: 'Student',
+    teacher_analyst: 'Analyst Teacher',
+    teacher_respondent: 'Respondent Teacher'
+  }
+};
+
+/**
+ * Renderiza o template no idioma do destinatário e envia
+ * @param {String} type - Tipo do e-mail no EmailLog
+ * @param {String} template - Nome do template
+ * @param {String} email - Destinatário
+ * @param {String} language - Idioma preferido do destinatário
+ * @param {Object} data - Variáveis do template
+ */
+const sendTemplate = async (type, template, email, language, data) => {
+  const { subject, html } = renderEmail(template, language, data);
+
+  return sendMail(type, { from: EMAIL_FROM, to: email, subject: subject, html: html });
+};
+
+const sendResetEmail = async (email, token, language) => {
   const resetURL = `${process.env.FRONTEND_URL}/reset-password/${token}`;
-  
-  const mailOptions = {
-    from: process.env.EMAIL_USER,
-    to: email,
-    subject: 'Recuperação de Senha',
-    html: `
-            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-                <h2 style="color: #333;">Redefinição de Senha</h2>
-                <p>Você solicitou a redefinição de senha da sua conta.</p>
-                <p>Clique no botão abaixo para redefinir sua senha (válido por 1 hora):</p>
-                <a href="${resetURL}" 
-                   style="display: inline-block; padding: 12px 24px; background-color: #007bff; 
-                          color: white; text-decoration: none; border-radius: 5px; margin: 20px 0;">
-                    Redefinir Senha
-                </a>
-                <p>Ou copie e cole este link no navegador:</p>
-                <p style="color: #666; word-break: break-all;">${resetURL}</p>
-                <hr style="margin: 30px 0; border: none; border-top: 1px solid #ddd;">
-                <p style="color: #999; font-size: 12px;">
-                    Se você não solicitou esta redefinição, ignore este e-mail. 
-                    Sua senha permanecerá inalterada.
-                </p>
-            </div>
-        `
-  };
-
-  try {
-        await transporter.sendMail(mailOptions);
+
+  try {
+        await sendTemplate('reset_password', 'reset-password', email, language, { resetURL });
         console.log('Email enviado com sucesso para:', email);
     } catch (error) {
         console.error('Erro ao enviar email:', error);
@@ -45,4 +106,99 @@ const sendResetEmail = async (email, token) => {
     }
 };
 
-module.exports = { sendResetEmail };
\ No newline at end of file
+const sendVerificationEmail = async (email, token, language) => {
+  const verifyURL = `${process.env.FRONTEND_URL}/verify-email/${token}`;
+
+  try {
+        await sendTemplate('email_verification', 'email-verification', email, language, { verifyURL });
+        console.log('Email de verificação enviado para:', email);
+    } catch (error) {
+        console.error('Erro ao enviar email:', error);
+        throw new Error('Erro ao enviar email de verificação');
+    }
+};
+
+const sendInviteEmail = async (email, token, role, language) => {
+  const inviteURL = `${process.env.FRONTEND_URL}/register?invite=${token}`;
+  const roleLabel = ROLE_LABELS[resolveLanguage(language)][role] || role;
+
+  try {
+        await sendTemplate('invite', 'invite', email, language, {
+          roleLabel,
+          expiresDays: process.env.INVITE_EXPIRES_DAYS || 7,
+          inviteURL
+        });
+        console.log('Email de convite enviado para:', email);
+    } catch (error) {
+        console.error('Erro ao enviar email:', error);
+        throw new Error('Erro ao enviar email de convite');
+    }
+};
+
+const sendMagicLinkEmail = async (email, token, expiresMinutes, language) => {
+  const loginURL = `${process.env.FRONTEND_URL}/magic-link/${token}`;
+
+  try {
+        await sendTemplate('magic_link', 'magic-link', email, language, { expiresMinutes, loginURL });
+        console.log('Email de link de acesso enviado para:', email);
+    } catch (error) {
+        console.error('Erro ao enviar email:', error);
+        throw new Error('Erro ao enviar email de link de acesso');
+    }
+};
+
+const sendPasswordChangedEmail = async (email, details, language) => {
+  const resetURL = `${process.env.FRONTEND_URL}/forgot-password`;
+  const changedAt = new Date().toLocaleString(resolveLanguage(language), { timeZone: 'America/Sao_Paulo' });
+
+  try {
+        await sendTemplate('password_changed', 'password-changed', email, language, {
+          changedAt,
+          device: details.device,
+          ip: details.ip,
+          resetURL
+        });
+        console.log('Email de alteração de senha enviado para:', email);
+    } catch (error) {
+        console.error('Erro ao enviar email:', error);
+        throw new Error('Erro ao enviar email de alteração de senha');
+    }
+};
+
+const sendAccountCreatedEmail = async (email, token, details, language) => {
+  const setPasswordURL = `${process.env.FRONTEND_URL}/reset-password/${token}`;
+  const roleLabel = ROLE_LABELS[resolveLanguage(language)][details.role] || details.role;
+
+  try {
+        await sendTemplate('account_created', 'account-created', email, language, {
+          roleLabel,
+          institution: details.institution,
+          expiresDays: process.env.INVITE_EXPIRES_DAYS || 7,
+          setPasswordURL
+        });
+        console.log('Email de conta criada enviado para:', email);
+    } catch (error) {
+        console.error('Erro ao enviar email:', error);
+        throw new Error('Erro ao enviar email de conta criada');
+    }
+};
+
+const sendGuardianConsentEmail = async (email, token, details, language) => {
+  const consentURL = `${process.env.FRONTEND_URL}/guardian-consent/${token}`;
+
+  try {
+        await sendTemplate('guardian_consent', 'guardian-consent', email, language, {
+          guardianGreeting: details.guardianName ? `, ${details.guardianName}` : '',
+          studentName: details.studentName,
+          institution: details.institution,
+          expiresDays: details.expiresDays,
+          consentURL
+        });
+        console.log('Email de autorização do responsável enviado para:', email);
+    } catch (error) {
+        console.error('Erro ao enviar email:', error);
+        throw new Error('Erro ao enviar email de autorização do responsável');
+    }
+};
+
+module.exports = { sendResetEmail, sendVerificationEmail, sendInviteEmail, sendMagicLinkEmail, sendPasswordChangedEmail, sendAccountCreatedEmail, sendGuardianConsentEmail };
\ No newline at end of file
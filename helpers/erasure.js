@@ -0,0 +1,173 @@
+const User = require('../models/user');
+const Form = require('../models/form');
+const Response = require('../models/response');
+const Invite = require('../models/invite');
+const Session = require('../models/session');
+const RefreshToken = require('../models/refreshToken');
+const LoginAttempt = require('../models/loginAttempt');
+const OidcLogin = require('../models/oidcLogin');
+const EmailLog = require('../models/emailLog');
+const ConsentAcceptance = require('../models/consentAcceptance');
+const GuardianConsent = require('../models/guardianConsent');
+const Group = require('../models/group');
+const Erasure = require('../models/erasure');
+const AuditLog = require('../models/auditLog');
+const { PERSONAL_USER_FIELDS, PERSONAL_INVITE_FIELDS, REDACTED } = require('./audit');
+
+const ERASURE_MODES = ['anonymize', 'delete'];
+
+// Shown in place of the respondent of an anonymized research record
+const ANONYMIZED_RESPONDENT = { _id: null, name: 'Participante anonimizado', email: 'N/A' };
+
+/**
+ * Indica se uma resposta (com userId populado filtrando usuários removidos) entra nas listagens e agregados:
+ * respostas de usuários ativos e registros anonimizados de usuários eliminados
+ * @param {Object} response - Resposta
+ * @returns {Boolean}
+ */
+const isCountedResponse = (response) => response.anonymized === true || response.userId !== null;
+
+// Personal data that older entries about a user may carry in their metadata (the guardian's e-mail of consent records)
+const PERSONAL_METADATA_FIELDS = ['guardianEmail'];
+
+/**
+ * Monta as operações que retiram os dados pessoais de um usuário do registro de auditoria:
+ * e-mail, IP e dispositivo de quem agiu, e os campos pessoais das entradas sobre o usuário e seus convites gravadas antes de serem redigidos na escrita
+ * @param {Object} userId - ID do usuário
+ * @param {String} scrubbedEmail - E-mail que substitui o do usuário
+ * @param {Array} inviteIds - IDs dos convites enviados ao usuário
+ * @returns {Array} Operações para bulkWrite
+ */
+const auditPseudonymizationOperations = (userId, scrubbedEmail, inviteIds = []) => {
+    const redact = (targetFilter, paths) => paths.map(path => ({
+        updateMany: {
+            filter: { ...targetFilter, [path]: { $exists: true, $ne: REDACTED } },
+            update: { $set: { [path]: REDACTED } }
+        }
+    }));
+
+    const changedPaths = (fields) => ['before', 'after'].flatMap(side => fields.map(field => `${side}.${field}`));
+
+    return [
+        { updateMany: { filter: { actor: userId }, update: { $set: { actorEmail: scrubbedEmail, ip: '', userAgent: '' } } } },
+        ...redact(
+            { targetType: 'User', targetId: String(userId) },
+            [...changedPaths(PERSONAL_USER_FIELDS), ...PERSONAL_METADATA_FIELDS.map(field => `metadata.${field}`)]
+        ),
+        ...(inviteIds.length > 0 ? redact({ targetType: 'Invite', targetId: { $in: inviteIds.map(String) } }, changedPaths(PERSONAL_INVITE_FIELDS)) : [])
+    ];
+};
+
+// The audit log is append-only for the application; the erasure is the one exception, written through the driver (no model hooks)
+const pseudonymizeAuditLog = async (user, scrubbedEmail, inviteIds) => {
+    const result = await AuditLog.collection.bulkWrite(auditPseudonymizationOperations(user._id, scrubbedEmail, inviteIds), { ordered: false });
+
+    return result.modifiedCount;
+};
+
+/**
+ * Elimina os dados pessoais de um usuário (LGPD) e registra o comprovante
+ * @param {Object} user - Documento do usuário
+ * @param {Object} options - { responses: 'anonymize' | 'delete', reason, requestedBy }
+ * @returns {Object} Registro de eliminação (Erasure)
+ */
+const eraseUser = async (user, { responses, reason = '', requestedBy }) => {
+    const counts = {};
+
+    // Drafts and responses already removed are never research data
+    const drafts = await Response.deleteMany({ userId: user._id, $or: [{ isDraft: true }, { deleted: true }] });
+    counts.draftsDeleted = drafts.deletedCount;
+
+    if (responses === 'anonymize') {
+        const anonymized = await Response.updateMany(
+            { userId: user._id },
+            { $set: { userId: null, anonymized: true, anonymizedAt: new Date() } }
+        );
+        counts.responsesAnonymized = anonymized.modifiedCount;
+    } else {
+        const deleted = await Response.deleteMany({ userId: user._id });
+        counts.responsesDeleted = deleted.deletedCount;
+    }
+
+    const forms = await Form.updateMany({ assignedUsers: user._id }, { $pull: { assignedUsers: user._id } });
+    counts.formsUnassigned = forms.modifiedCount;
+
+    const groups = await Group.updateMany({ members: user._id }, { $pull: { members: user._id } });
+    counts.groupsLeft = groups.modifiedCount;
+
+    // Their audit entries are pseudonymized below, so the IDs are kept
+    const inviteIds = await Invite.distinct('_id', { $or: [{ email: user.email }, { usedBy: user._id }] });
+    const invites = await Invite.deleteMany({ _id: { $in: inviteIds } });
+    counts.invitesDeleted = invites.deletedCount;
+
+    // Sessions hold IPs and devices; removing them also ends any access token still in use
+    const sessions = await Session.deleteMany({ userId: user._id });
+    counts.sessionsDeleted = sessions.deletedCount;
+
+    const scrubbedEmail = `removido-${user._id}@anonimizado.invalid`;
+
+    counts.auditEntriesPseudonymized = await pseudonymizeAuditLog(user, scrubbedEmail, inviteIds);
+
+    await Promise.all([
+        RefreshToken.deleteMany({ userId: user._id }),
+        OidcLogin.deleteMany({ user: user._id }),
+        LoginAttempt.deleteMany({ scope: 'account', identifier: { $in: [user.email, String(user._id)] } }),
+        EmailLog.updateMany({ to: user.email }, { $set: { to: scrubbedEmail } }),
+        // Consent records stay as proof for the anonymized responses, without the device data
+        ConsentAcceptance.updateMany({ userId: user._id }, { $set: { ip: '', userAgent: '' } }),
+        // Holds the guardian's personal data too
+        GuardianConsent.deleteMany({ userId: user._id })
+    ]);
+
+    // The account stays as an empty shell so forms, questions and logs that reference it keep working
+    await User.updateOne(
+        { _id: user._id },
+        {
+            $set: {
+                name: 'Usuário removido',
+                email: scrubbedEmail,
+                anonymous: true,
+                city: '',
+                state: '',
+                ssoIdentities: [],
+                twoFactorEnabled: false,
+                deleted: true,
+                erasedAt: new Date()
+            },
+            $unset: {
+                password: 1,
+                passwordHistory: 1,
+                passwordChangedAt: 1,
+                resetPasswordToken: 1,
+                resetPasswordExpires: 1,
+                magicLinkToken: 1,
+                magicLinkExpires: 1,
+                emailVerificationToken: 1,
+                emailVerificationExpires: 1,
+                emailVerificationSentAt: 1,
+                twoFactorEnabledAt: 1,
+                twoFactorSecret: 1,
+                twoFactorPendingSecret: 1,
+                twoFactorLastStep: 1,
+                twoFactorRecoveryCodes: 1
+            }
+        }
+    );
+
+    return Erasure.create({
+        userId: user._id,
+        institutionId: user.institutionId || null,
+        requestedBy: requestedBy,
+        reason: reason,
+        responses: responses,
+        counts: counts
+    });
+};
+
+module.exports = {
+    ERASURE_MODES,
+    ANONYMIZED_RESPONDENT,
+    isCountedResponse,
+    auditPseudonymizationOperations,
+    eraseUser
+};
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const Group = require('../models/group');
+const User = require('../models/user');
+const { getRolesWithPermission } = require('./permissions');
+const { institutionFilter } = require('./institutions');
+
+/**
+ * Valida os membros de um grupo: usuários ativos que respondem formulários e, em grupos de uma instituição, dela
+ * @param {Array} userIds - IDs dos usuários
+ * @param {ObjectId|null} institutionId - Instituição do grupo
+ * @returns {Object} { error } ou { members } sem repetições
+ */
+const validateMembers = async (userIds, institutionId) => {
+    if (!Array.isArray(userIds)) {
+        return { error: "members deve ser um array de IDs de usuário" };
+    }
+
+    const members = [...new Set(userIds.map(id => String(id)))];
+
+    if (members.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+        return { error: "Um ou mais IDs de usuário são inválidos" };
+    }
+
+    if (members.length === 0) {
+        return { members };
+    }
+
+    const existing = await User.countDocuments({
+        _id: { $in: members },
+        deleted: false,
+        role: { $in: await getRolesWithPermission('responses:submit') },
+        ...(institutionId ? { institutionId: institutionId } : {})
+    });
+
+    if (existing !== members.length) {
+        return { error: "Um ou mais usuários não foram encontrados, não são respondentes ou não pertencem à instituição do grupo" };
+    }
+
+    return { members };
+};
+
+/**
+ * Valida os grupos atribuídos a um formulário: ativos, no escopo de quem edita e da instituição do formulário
+ * @param {Object} req - Requisição (usar depois do require-permission)
+ * @param {Array} groupIds - IDs dos grupos
+ * @param {ObjectId|null} institutionId - Instituição do formulário
+ * @returns {Object} { error } ou { groupIds } sem repetições
+ */
+const validateAssignedGroups = async (req, groupIds, institutionId) => {
+    if (!Array.isArray(groupIds)) {
+        return { error: "assignedGroups deve ser um array" };
+    }
+
+    const unique = [...new Set(groupIds.map(id => String(id)))];
+
+    if (unique.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+        return { error: "Um ou mais IDs de grupo são inválidos" };
+    }
+
+    if (unique.length === 0) {
+        return { groupIds: unique };
+    }
+
+    const existing = await Group.countDocuments({
+        _id: { $in: unique },
+        deleted: false,
+        ...institutionFilter(req),
+        ...(institutionId ? { institutionId: institutionId } : {})
+    });
+
+    if (existing !== unique.length) {
+        return { error: "Um ou mais grupos não foram encontrados ou não pertencem à instituição do formulário" };
+    }
+
+    return { groupIds: unique };
+};
+
+/**
+ * Filtro dos formulários atribuídos a um usuário, diretamente ou por um dos seus grupos
+ * @param {ObjectId|String} userId - ID do usuário
+ * @returns {Object} Filtro do Mongoose
+ */
+const assignedFormsFilter = async (userId) => {
+    const groupIds = await Group.distinct('_id', { members: userId, deleted: false });
+
+    return { $or: [{ assignedUsers: userId }, { assignedGroups: { $in: groupIds } }] };
+};
+
+/**
+ * Usuários ativos atribuídos a cada formulário, somando os atribuídos diretamente e os membros atuais dos grupos
+ * @param {Array} forms - Formulários (com assignedUsers e assignedGroups populados ou não)
+ * @returns {Map} ID do formulário => [IDs dos usuários]
+ */
+const resolveAssignedUsers = async (forms) => {
+    const idOf = (item) => String(item && item._id ? item._id : item);
+
+    const groupIds = [...new Set(forms.flatMap(form => (form.assignedGroups || []).filter(Boolean).map(idOf)))];
+    const groups = groupIds.length > 0 ? await Group.find({ _id: { $in: groupIds }, deleted: false }).select('members') : [];
+    const membersByGroup = new Map(groups.map(group => [String(group._id), group.members.map(String)]));
+
+    const candidates = new Map(forms.map(form => [String(form._id), new Set([
+        ...(form.assignedUsers || []).filter(Boolean).map(idOf),
+        ...(form.assignedGroups || []).filter(Boolean).flatMap(group => membersByGroup.get(idOf(group)) || [])
+    ])]));
+
+    // Removed users stay in old groups and assignments but are no longer expected to answer
+    const allIds = [...new Set([...candidates.values()].flatMap(ids => [...ids]))];
+    const active = new Set((await User.distinct('_id', { _id: { $in: allIds }, deleted: false })).map(String));
+
+    return new Map([...candidates].map(([formId, ids]) => [formId, [...ids].filter(id => active.has(id))]));
+};
+
+module.exports = {
+    validateMembers,
+    validateAssignedGroups,
+    assignedFormsFilter,
+    resolveAssignedUsers
+};
@@ -0,0 +1,150 @@
+const GuardianConsent = require('../models/guardianConsent');
+const { hashToken, generateHashedToken } = require('./hashed-token');
+
+const GUARDIAN_CONSENT_EXPIRES_DAYS = parseInt(process.env.GUARDIAN_CONSENT_EXPIRES_DAYS) || 14;
+const RESEND_COOLDOWN_SECONDS = 120;
+
+/**
+ * Indica se o usuário precisa da autorização de um responsável para participar
+ * @param {Object} user - Usuário do banco
+ * @returns {Boolean}
+ */
+const requiresGuardianConsent = (user) => user.role === 'student' && user.guardianConsentRequired === true;
+
+/**
+ * Situação da autorização do responsável de um usuário
+ * @param {Object} user - Usuário do banco
+ * @param {Object} consent - Registro já carregado (opcional)
+ * @returns {Object} { required: false, locked: false } ou { required: true, status, locked, guardianEmail, requestedAt, grantedAt, revokedAt }
+ */
+const getGuardianConsentStatus = async (user, consent) => {
+    if (!requiresGuardianConsent(user)) {
+        return { required: false, locked: false };
+    }
+
+    const record = consent !== undefined ? consent : await GuardianConsent.findOne({ userId: user._id });
+
+    if (!record) {
+        return { required: true, status: 'missing', locked: true, guardianEmail: null, requestedAt: null, grantedAt: null, revokedAt: null };
+    }
+
+    return {
+        required: true,
+        status: record.status,
+        locked: record.status !== 'granted',
+        guardianEmail: record.guardianEmail,
+        requestedAt: record.requestedAt,
+        grantedAt: record.grantedAt,
+        revokedAt: record.revokedAt
+    };
+};
+
+/**
+ * Segundos restantes até poder reenviar o pedido ao responsável
+ * @param {Object} consent - Registro do banco (ou null)
+ * @returns {Number} 0 se já pode reenviar
+ */
+const requestCooldown = (consent) => {
+    if (!consent || consent.status !== 'pending') {
+        return 0;
+    }
+
+    const elapsed = (Date.now() - consent.requestedAt.getTime()) / 1000;
+
+    return Math.max(0, Math.ceil(RESEND_COOLDOWN_SECONDS - elapsed));
+};
+
+/**
+ * Cria (ou renova) o pedido de autorização e retorna o token original, que só existe neste momento
+ * @param {Object} user - Estudante
+ * @param {Object} data - { guardianName, guardianEmail, requestedBy, ip, userAgent }
+ * @returns {Object} { consent, token }
+ */
+const createGuardianConsentRequest = async (user, data) => {
+    const { token, hashedToken } = generateHashedToken();
+    const now = new Date();
+
+    const consent = await GuardianConsent.findOne({ userId: user._id }) || new GuardianConsent({ userId: user._id });
+
+    // A new request (new guardian or new link) always needs a new grant
+    consent.set({
+        institutionId: user.institutionId || null,
+        guardianName: data.guardianName || '',
+        guardianEmail: data.guardianEmail,
+        tokenHash: hashedToken,
+        status: 'pending',
+        expiresAt: new Date(now.getTime() + GUARDIAN_CONSENT_EXPIRES_DAYS * 24 * 60 * 60 * 1000),
+        requestedBy: data.requestedBy || null,
+        requestedAt: now,
+        grantedAt: null,
+        revokedAt: null
+    });
+
+    consent.events.push({
+        action: 'requested',
+        by: data.requestedBy || null,
+        guardianEmail: data.guardianEmail,
+        ip: data.ip || '',
+        userAgent: data.userAgent || '',
+        at: now
+    });
+
+    await consent.save();
+
+    return { consent, token };
+};
+
+/**
+ * Busca o pedido pelo token do link enviado ao responsável
+ * @param {String} token - Token original
+ * @returns {Object|null} Registro
+ */
+const findGuardianConsentByToken = async (token) => {
+    if (!token) {
+        return null;
+    }
+
+    return GuardianConsent.findOne({ tokenHash: hashToken(token) });
+};
+
+/**
+ * Registra a concessão ou a revogação da autorização
+ * @param {Object} consent - Registro do banco
+ * @param {String} action - 'granted' | 'revoked'
+ * @param {Object} details - { by, reason, ip, userAgent }
+ * @returns {Object} Registro atualizado
+ */
+const recordGuardianDecision = async (consent, action, details) => {
+    const now = new Date();
+
+    consent.status = action;
+
+    if (action === 'granted') {
+        consent.grantedAt = now;
+        consent.revokedAt = null;
+    } else {
+        consent.revokedAt = now;
+    }
+
+    consent.events.push({
+        action: action,
+        by: details.by || null,
+        guardianEmail: consent.guardianEmail,
+        reason: details.reason || '',
+        ip: details.ip || '',
+        userAgent: details.userAgent || '',
+        at: now
+    });
+
+    return consent.save();
+};
+
+module.exports = {
+    GUARDIAN_CONSENT_EXPIRES_DAYS,
+    requiresGuardianConsent,
+    getGuardianConsentStatus,
+    requestCooldown,
+    createGuardianConsentRequest,
+    findGuardianConsentByToken,
+    recordGuardianDecision
+};
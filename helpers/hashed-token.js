@@ -0,0 +1,28 @@
+const crypto = require('crypto');
+
+/**
+ * Gera o hash SHA-256 de um token (apenas o hash é salvo no banco)
+ * @param {String} token - Token original
+ * @returns {String} Hash em hexadecimal
+ */
+const hashToken = (token) => {
+    return crypto
+        .createHash('sha256')
+        .update(token)
+        .digest('hex');
+};
+
+/**
+ * Gera um token aleatório e o seu hash
+ * @returns {Object} { token: string, hashedToken: string }
+ */
+const generateHashedToken = () => {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    return { token, hashedToken: hashToken(token) };
+};
+
+module.exports = {
+    hashToken,
+    generateHashedToken
+};
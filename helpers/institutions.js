@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const Institution = require('../models/institution');
+const Form = require('../models/form');
+const { getRolePermissions } = require('./permissions');
+
+// Users without this permission only see the data of their own institution
+const GLOBAL_SCOPE_PERMISSION = 'institutions:global';
+
+/**
+ * Busca uma instituição ativa pelo ID ou pelo nome/sigla (sem diferenciar maiúsculas)
+ * @param {Object} data - { institutionId, institution }
+ * @returns {Object|null} Instituição encontrada
+ */
+const findInstitution = async ({ institutionId, institution }) => {
+    if (institutionId) {
+        if (!mongoose.Types.ObjectId.isValid(institutionId)) {
+            return null;
+        }
+
+        return Institution.findOne({ _id: institutionId, deleted: false });
+    }
+
+    if (typeof institution !== 'string' || institution.trim().length === 0) {
+        return null;
+    }
+
+    const exact = new RegExp(`^${institution.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+
+    return Institution.findOne({ deleted: false, $or: [{ name: exact }, { acronym: exact }] });
+};
+
+/**
+ * Verifica se a requisição enxerga todas as instituições (usar depois do require-permission).
+ * Chaves de API não têm usuário e já são limitadas aos formulários da chave.
+ * @param {Object} req - Requisição
+ * @returns {Boolean}
+ */
+const hasGlobalScope = (req) => {
+    return !req.currentUser || req.permissions.includes(GLOBAL_SCOPE_PERMISSION);
+};
+
+/**
+ * Filtro do Mongoose que restringe a consulta à instituição do usuário
+ * @param {Object} req - Requisição
+ * @param {String} field - Campo com o ID da instituição
+ * @returns {Object} Filtro (vazio para visão global)
+ */
+const institutionFilter = (req, field = 'institutionId') => {
+    if (hasGlobalScope(req)) {
+        return {};
+    }
+
+    // Users without an institution see no institution data
+    return { [field]: req.currentUser.institutionId || { $in: [] } };
+};
+
+/**
+ * Verifica se um documento da instituição informada está no escopo do usuário
+ * @param {Object} req - Requisição
+ * @param {ObjectId|String|null} institutionId - Instituição do documento
+ * @returns {Boolean}
+ */
+const isInInstitutionScope = (req, institutionId) => {
+    if (hasGlobalScope(req)) {
+        return true;
+    }
+
+    return Boolean(institutionId && req.currentUser.institutionId && String(institutionId) === String(req.currentUser.institutionId));
+};
+
+/**
+ * Filtro de respostas restrito aos formulários da instituição do usuário
+ * @param {Object} req - Requisição
+ * @returns {Object} Filtro (vazio para visão global)
+ */
+const formScopeFilter = async (req) => {
+    if (hasGlobalScope(req)) {
+        return {};
+    }
+
+    const formIds = await Form.distinct('_id', institutionFilter(req));
+
+    return { formId: { $in: formIds } };
+};
+
+/**
+ * Verifica se o usuário pode gerenciar contas (ou convites) da função informada.
+ * Fora da visão global, só funções cujas permissões o próprio usuário tem, para que
+ * administradores de instituição não promovam ninguém acima de si.
+ * @param {Object} req - Requisição
+ * @param {String} roleKey - Chave da função
+ * @returns {Boolean}
+ */
+const canManageRole = async (req, roleKey) => {
+    if (hasGlobalScope(req)) {
+        return true;
+    }
+
+    const permissions = await getRolePermissions(roleKey);
+
+    return permissions.every(permission => req.permissions.includes(permission));
+};
+
+module.exports = {
+    GLOBAL_SCOPE_PERMISSION,
+    findInstitution,
+    hasGlobalScope,
+    institutionFilter,
+    isInInstitutionScope,
+    formScopeFilter,
+    canManageRole
+};
@@ -0,0 +1,94 @@
+const Invite = require('../models/invite');
+const Form = require('../models/form');
+const { hashToken, generateHashedToken } = require('./hashed-token');
+
+// Roles anyone can pick on open registration; every other role needs an invite
+const OPEN_REGISTRATION_ROLES = ['student', 'teacher_respondent'];
+
+const INVITE_EXPIRES_DAYS = parseInt(process.env.INVITE_EXPIRES_DAYS) || 7;
+
+/**
+ * Cria um convite e retorna o token original (só existe neste momento; no banco fica o hash)
+ * @param {Object} data - { email, role, institution, assignedForms, createdBy }
+ * @returns {Object} { invite, token }
+ */
+const createInvite = async (data) => {
+    const { token, hashedToken } = generateHashedToken();
+
+    const invite = new Invite({
+        ...data,
+        tokenHash: hashedToken,
+        expiresAt: new Date(Date.now() + INVITE_EXPIRES_DAYS * 24 * 60 * 60 * 1000)
+    });
+
+    await invite.save();
+
+    return { invite, token };
+};
+
+/**
+ * Busca um convite válido (não usado, não revogado e não expirado) pelo token
+ * @param {String} token - Token original recebido por e-mail
+ * @returns {Object|null} Convite
+ */
+const findValidInvite = async (token) => {
+    if (!token) {
+        return null;
+    }
+
+    return Invite.findOne({
+        tokenHash: hashToken(token),
+        usedAt: null,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    });
+};
+
+/**
+ * Marca o convite como usado pelo usuário (atômico: retorna false se outra requisição já o usou)
+ * @param {Object} invite - Convite do banco
+ * @param {ObjectId} userId - ID do usuário que está sendo criado
+ * @returns {Boolean}
+ */
+const claimInvite = async (invite, userId) => {
+    const claimed = await Invite.findOneAndUpdate(
+        { _id: invite._id, usedAt: null },
+        { $set: { usedAt: new Date(), usedBy: userId } }
+    );
+
+    return !!claimed;
+};
+
+/**
+ * Libera um convite marcado como usado (ex: falha ao salvar o usuário)
+ * @param {Object} invite - Convite do banco
+ */
+const releaseInvite = async (invite) => {
+    await Invite.updateOne({ _id: invite._id }, { $set: { usedAt: null, usedBy: null } });
+};
+
+/**
+ * Atribui ao usuário os formulários definidos no convite
+ * @param {Object} invite - Convite do banco
+ * @param {ObjectId} userId - ID do usuário
+ */
+const assignInviteForms = async (invite, userId) => {
+    if (invite.assignedForms.length === 0) {
+        return;
+    }
+
+    await Form.updateMany(
+        { _id: { $in: invite.assignedForms }, deleted: false },
+        { $addToSet: { assignedUsers: userId } }
+    );
+};
+
+module.exports = {
+    OPEN_REGISTRATION_ROLES,
+    INVITE_EXPIRES_DAYS,
+    createInvite,
+    findValidInvite,
+    claimInvite,
+    releaseInvite,
+    assignInviteForms
+};
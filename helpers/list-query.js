@@ -0,0 +1,292 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Comma-separated values of a query parameter ("student,teacher_respondent")
+const listValues = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+const decodeCursor = (value) => {
+    try {
+        const cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+
+        // Only plain values go back into the query, never operator objects
+        const isPlain = cursor && typeof cursor === 'object' && (cursor.value === null || ['string', 'number', 'boolean'].includes(typeof cursor.value));
+        return isPlain && mongoose.Types.ObjectId.isValid(cursor.id) ? cursor : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Whole positive numbers only: parseInt would read "10abc" as 10
+const parseCount = (value) => /^\d+$/.test(String(value)) ? parseInt(value) : NaN;
+
+const parseDate = (value) => {
+    const date = new Date(value);
+    return isNaN(date) ? null : date;
+};
+
+// Condition of a single filter, or { error }
+const buildCondition = (name, definition, value) => {
+    const values = listValues(value);
+
+    if (values.length === 0) {
+        return {};
+    }
+
+    if (definition.type === 'boolean') {
+        if (!['true', 'false'].includes(values[0])) {
+            return { error: `Valor inválido para ${name}. Use true ou false` };
+        }
+        return { condition: values[0] === 'true' };
+    }
+
+    if (definition.type === 'objectId' && !values.every(item => mongoose.Types.ObjectId.isValid(item))) {
+        return { error: `ID inválido em ${name}` };
+    }
+
+    if (definition.values && !values.every(item => definition.values.includes(item))) {
+        return { error: `Valor inválido para ${name}. Use: ${definition.values.join(', ')}` };
+    }
+
+    return { condition: values.length === 1 ? values[0] : { $in: values } };
+};
+
+/**
+ * Monta o filtro dos parâmetros informados (valores separados por vírgula viram $in)
+ * @param {Object} query - req.query
+ * @param {Object} filters - { parametro: { path, type: 'string' | 'objectId' | 'boolean', values } }
+ * @returns {Object} { error } ou { conditions: [condições para $and] }
+ */
+const parseFilters = (query, filters) => {
+    const conditions = [];
+
+    for (const [name, definition] of Object.entries(filters)) {
+        if (query[name] === undefined) {
+            continue;
+        }
+
+        const { condition, error } = buildCondition(name, definition, query[name]);
+        if (error) {
+            return { error };
+        }
+        if (condition !== undefined) {
+            conditions.push({ [definition.path || name]: condition });
+        }
+    }
+
+    return { conditions };
+};
+
+/**
+ * Lê os parâmetros do protocolo de listagem: paginação (page ou cursor), ordenação, filtros, busca e seleção de campos
+ * @param {Object} query - req.query
+ * @param {Object} spec - {
+ *   sort: { fields: [campos ordenáveis], default: '-createdAt' },
+ *   filters: { parametro: { path, type: 'string' | 'objectId' | 'boolean', values } },
+ *   dateField: campo de from/to, search: [campos da busca textual], fields: [campos selecionáveis]
+ * }
+ * @returns {Object} { error } ou { filter, sort, sortField, sortParam, direction, limit, page, cursor, fields }
+ */
+const parseListQuery = (query, spec) => {
+    const and = [];
+
+    // Sort: a single field, "-" for descending; _id breaks ties so cursors are stable
+    const sortParam = String(query.sort || spec.sort.default);
+    const sortField = sortParam.replace(/^[-+]/, '');
+    const direction = sortParam.startsWith('-') ? -1 : 1;
+
+    if (!spec.sort.fields.includes(sortField)) {
+        return { error: `Ordenação inválida. Use: ${spec.sort.fields.join(', ')} (com - para ordem decrescente)` };
+    }
+
+    const limit = query.limit !== undefined ? parseCount(query.limit) : DEFAULT_LIMIT;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        return { error: `limit deve ser um número entre 1 e ${MAX_LIMIT}` };
+    }
+
+    const page = query.page !== undefined ? parseCount(query.page) : 1;
+    if (!Number.isInteger(page) || page < 1) {
+        return { error: "page deve ser um número maior que zero" };
+    }
+
+    const { conditions, error } = parseFilters(query, spec.filters || {});
+    if (error) {
+        return { error };
+    }
+    and.push(...conditions);
+
+    if (spec.dateField && (query.from || query.to)) {
+        const from = query.from ? parseDate(query.from) : null;
+        const to = query.to ? parseDate(query.to) : null;
+
+        if ((query.from && !from) || (query.to && !to)) {
+            return { error: "Data inválida. Use o formato ISO (ex: 2025-01-31 ou 2025-01-31T23:59:59Z)" };
+        }
+
+        and.push({ [spec.dateField]: { ...(from ? { $gte: from } : {}), ...(to ? { $lte: to } : {}) } });
+    }
+
+    if (spec.search && query.search && String(query.search).trim()) {
+        const pattern = new RegExp(escapeRegex(String(query.search).trim().slice(0, 100)), 'i');
+        and.push({ $or: spec.search.map(field => ({ [field]: pattern })) });
+    }
+
+    let fields = null;
+
+    if (query.fields) {
+        fields = listValues(query.fields);
+        const unknown = fields.filter(field => !spec.fields.includes(field));
+
+        if (unknown.length > 0) {
+            return { error: `Campos inválidos: ${unknown.join(', ')}. Use: ${spec.fields.join(', ')}` };
+        }
+    }
+
+    let cursor = null;
+
+    if (query.cursor) {
+        cursor = decodeCursor(query.cursor);
+
+        if (!cursor || cursor.sort !== sortParam) {
+            return { error: "Cursor inválido ou de outra ordenação" };
+        }
+    }
+
+    return {
+        filter: and.length > 0 ? { $and: and } : {},
+        sort: { [sortField]: direction, _id: direction },
+        sortField,
+        sortParam,
+        direction,
+        limit,
+        page,
+        cursor,
+        fields
+    };
+};
+
+/**
+ * Executa a consulta paginada e monta o envelope de paginação
+ * @param {Object} Model - Model do mongoose
+ * @param {Object} baseFilter - Filtro fixo da rota (escopo, removidos...)
+ * @param {Object} list - Resultado de parseListQuery
+ * @param {Function} build - Ajusta a consulta (populate, select) antes de executar
+ * @returns {Object} { items, pagination: { total, limit, page, hasMore, nextCursor } }
+ */
+const findPage = async (Model, baseFilter, list, build = query => query) => {
+    const filter = { $and: [baseFilter, list.filter] };
+    let pageFilter = filter;
+
+    // Keyset pagination: documents after the last one of the previous page, in the same order
+    if (list.cursor) {
+        const operator = list.direction === 1 ? '$gt' : '$lt';
+        const value = list.cursor.date ? new Date(list.cursor.value) : list.cursor.value;
+        const id = new mongoose.Types.ObjectId(list.cursor.id);
+        const after = [{ [list.sortField]: value, _id: { [operator]: id } }];
+
+        // Missing values sort before everything else: first in ascending order, last in descending order
+        if (value === null) {
+            if (list.direction === 1) {
+                after.push({ [list.sortField]: { $ne: null } });
+            }
+        } else {
+            after.push({ [list.sortField]: { [operator]: value } });
+
+            if (list.direction === -1) {
+                after.push({ [list.sortField]: null });
+            }
+        }
+
+        pageFilter = { $and: [filter, { $or: after }] };
+    }
+
+    let query = Model.find(pageFilter).sort(list.sort).limit(list.limit + 1);
+
+    if (!list.cursor) {
+        query = query.skip((list.page - 1) * list.limit);
+    }
+
+    query = build(query);
+
+    // The sort field feeds the next cursor, so a projection of selected fields (fields=...) must keep it
+    const projection = query.projection();
+    if (projection && Object.keys(projection).length > 0 && Object.values(projection).every(value => value === 1) && !(list.sortField in projection)) {
+        query = query.select(list.sortField);
+    }
+
+    const [documents, total] = await Promise.all([query, Model.countDocuments(filter)]);
+
+    const hasMore = documents.length > list.limit;
+    const items = documents.slice(0, list.limit);
+    const last = items[items.length - 1];
+
+    let nextCursor = null;
+
+    if (hasMore && last) {
+        const value = last.get ? last.get(list.sortField) : last[list.sortField];
+
+        nextCursor = encodeCursor({
+            sort: list.sortParam,
+            value: value instanceof Date ? value.toISOString() : (value === undefined ? null : value),
+            date: value instanceof Date,
+            id: String(last._id)
+        });
+    }
+
+    return {
+        items,
+        pagination: {
+            total,
+            limit: list.limit,
+            page: list.cursor ? null : list.page,
+            hasMore,
+            nextCursor
+        }
+    };
+};
+
+/**
+ * Projeção do mongoose para os campos pedidos (null mantém a projeção padrão da rota)
+ * @param {Array|null} fields - Campos de parseListQuery
+ * @returns {Object|null}
+ */
+const fieldsProjection = (fields) => fields ? Object.fromEntries(fields.map(field => [field, 1])) : null;
+
+/**
+ * Mantém apenas os campos pedidos (e o _id) de um item já montado
+ * @param {Object} item - Objeto de resposta
+ * @param {Array|null} fields - Campos de parseListQuery
+ * @returns {Object}
+ */
+const pickFields = (item, fields) => {
+    if (!fields) {
+        return item;
+    }
+
+    return Object.fromEntries(Object.entries(item).filter(([key]) => key === '_id' || fields.includes(key)));
+};
+
+/**
+ * Indica se a resposta precisa de um campo (para evitar populates desnecessários)
+ * @param {Array|null} fields - Campos de parseListQuery
+ * @param {String} field - Campo
+ * @returns {Boolean}
+ */
+const wantsField = (fields, field) => !fields || fields.includes(field);
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    listValues,
+    parseFilters,
+    parseListQuery,
+    findPage,
+    fieldsProjection,
+    pickFields,
+    wantsField
+};
@@ -0,0 +1,252 @@
+const LoginAttempt = require('../models/loginAttempt');
+const { getClientIp } = require('./request-info');
+
+const envNumber = (name, fallback) => parseInt(process.env[name]) || fallback;
+
+/**
+ * Regras por ação e escopo:
+ * - freeAttempts: tentativas sem atraso dentro da janela
+ * - maxAttempts: ao atingir, a chave é bloqueada por lockMinutes (dobra a cada novo bloqueio)
+ * - windowMinutes: sem novas tentativas nesse período, o contador é zerado
+ */
+const RULES = {
+    'login': {
+        account: {
+            freeAttempts: 3,
+            maxAttempts: envNumber('LOGIN_MAX_ATTEMPTS', 5),
+            windowMinutes: 15,
+            lockMinutes: envNumber('LOGIN_LOCKOUT_MINUTES', 15)
+        },
+        ip: {
+            freeAttempts: 10,
+            maxAttempts: envNumber('LOGIN_IP_MAX_ATTEMPTS', 20),
+            windowMinutes: 15,
+            lockMinutes: envNumber('LOGIN_LOCKOUT_MINUTES', 15)
+        }
+    },
+    'forgot-password': {
+        account: {
+            freeAttempts: envNumber('FORGOT_PASSWORD_MAX_REQUESTS', 3),
+            maxAttempts: envNumber('FORGOT_PASSWORD_MAX_REQUESTS', 3),
+            windowMinutes: 60,
+            lockMinutes: 60
+        },
+        ip: {
+            freeAttempts: envNumber('FORGOT_PASSWORD_IP_MAX_REQUESTS', 10),
+            maxAttempts: envNumber('FORGOT_PASSWORD_IP_MAX_REQUESTS', 10),
+            windowMinutes: 60,
+            lockMinutes: 60
+        }
+    },
+    'magic-link': {
+        account: {
+            freeAttempts: envNumber('MAGIC_LINK_MAX_REQUESTS', 3),
+            maxAttempts: envNumber('MAGIC_LINK_MAX_REQUESTS', 3),
+            windowMinutes: 60,
+            lockMinutes: 60
+        },
+        ip: {
+            freeAttempts: envNumber('FORGOT_PASSWORD_IP_MAX_REQUESTS', 10),
+            maxAttempts: envNumber('FORGOT_PASSWORD_IP_MAX_REQUESTS', 10),
+            windowMinutes: 60,
+            lockMinutes: 60
+        }
+    },
+    // Second factor codes, keyed by user ID
+    '2fa': {
+        account: {
+            freeAttempts: 3,
+            maxAttempts: 5,
+            windowMinutes: 15,
+            lockMinutes: envNumber('LOGIN_LOCKOUT_MINUTES', 15)
+        }
+    }
+};
+
+const MAX_DELAY_SECONDS = 60;
+const MAX_LOCK_MINUTES = 24 * 60;
+const RECORD_TTL = 24 * 60 * 60 * 1000;
+
+const minutes = (value) => value * 60 * 1000;
+
+/**
+ * Monta as chaves de controle (conta e IP) de uma requisição
+ * @param {String} email - E-mail informado
+ * @param {Object} req - Requisição do Express
+ * @returns {Array} [{ scope, identifier }]
+ */
+const throttleKeys = (email, req) => {
+    return [
+        { scope: 'account', identifier: String(email).trim().toLowerCase() },
+        { scope: 'ip', identifier: getClientIp(req) }
+    ];
+};
+
+const isWindowExpired = (record, rule) => {
+    return Date.now() - record.lastAttemptAt.getTime() > minutes(rule.windowMinutes);
+};
+
+// Seconds the key still has to wait (0 = allowed)
+const getRetryAfter = (record, rule) => {
+    const now = Date.now();
+
+    if (record.lockedUntil && record.lockedUntil.getTime() > now) {
+        return Math.ceil((record.lockedUntil.getTime() - now) / 1000);
+    }
+
+    if (isWindowExpired(record, rule) || record.attempts < rule.freeAttempts) {
+        return 0;
+    }
+
+    // Progressive delay: 1s, 2s, 4s... after the free attempts
+    const delay = Math.min(2 ** (record.attempts - rule.freeAttempts), MAX_DELAY_SECONDS);
+    const waitUntil = record.lastAttemptAt.getTime() + delay * 1000;
+
+    return waitUntil > now ? Math.ceil((waitUntil - now) / 1000) : 0;
+};
+
+// Counter reset after a quiet window, unless the key is still locked
+const resetExpiredWindow = (filter, rule, now) => LoginAttempt.updateOne(
+    {
+        ...filter,
+        lastAttemptAt: { $lt: new Date(now.getTime() - minutes(rule.windowMinutes)) },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    },
+    { $set: { attempts: 0 } }
+);
+
+// Atomic upsert of the counter, returning the record as it was before (null when created).
+// A concurrent first attempt may still collide on the unique key, so it is retried once
+const incrementAttempts = async (filter, now) => {
+    const update = {
+        $inc: { attempts: 1 },
+        $set: { lastAttemptAt: now },
+        $max: { expiresAt: new Date(now.getTime() + RECORD_TTL) }
+    };
+
+    try {
+        return await LoginAttempt.findOneAndUpdate(filter, update, { upsert: true, new: false, setDefaultsOnInsert: true });
+    } catch (error) {
+        if (error.code !== 11000) {
+            throw error;
+        }
+
+        return LoginAttempt.findOneAndUpdate(filter, update, { new: false });
+    }
+};
+
+// Gives back an attempt that was not a failure (blocked request or successful verification)
+const returnAttempt = async (filter, previous, now) => {
+    await LoginAttempt.updateOne({ ...filter, attempts: { $gt: 0 } }, { $inc: { attempts: -1 } });
+
+    // The wait counts from the last real attempt, unless another request has reserved one since
+    if (previous) {
+        await LoginAttempt.updateOne({ ...filter, lastAttemptAt: now }, { $set: { lastAttemptAt: previous.lastAttemptAt } });
+    }
+};
+
+// Temporary lockout, doubling on each new lock; only the request that still finds the counter full applies it
+const lockKey = async (filter, rule, now) => {
+    const locked = await LoginAttempt.findOneAndUpdate(
+        { ...filter, attempts: { $gte: rule.maxAttempts } },
+        { $set: { attempts: 0 }, $inc: { lockCount: 1 } },
+        { new: true }
+    );
+
+    if (locked) {
+        const lockMinutes = Math.min(rule.lockMinutes * 2 ** (locked.lockCount - 1), MAX_LOCK_MINUTES);
+        const lockedUntil = new Date(now.getTime() + minutes(lockMinutes));
+
+        await LoginAttempt.updateOne(
+            { _id: locked._id },
+            { $set: { lockedUntil: lockedUntil }, $max: { expiresAt: new Date(lockedUntil.getTime() + RECORD_TTL) } }
+        );
+    }
+};
+
+/**
+ * Reserva uma tentativa em cada chave antes da verificação (senha, código, envio de e-mail).
+ * O contador é incrementado atomicamente e a decisão usa o valor anterior, então tentativas simultâneas
+ * recebem contagens distintas e nenhuma passa do limite. A tentativa que atinge o limite bloqueia a chave.
+ * Quando bloqueada, nenhuma tentativa fica reservada
+ * @param {String} action - 'login' | 'forgot-password' | 'magic-link' | '2fa'
+ * @param {Array} keys - Retorno de throttleKeys
+ * @returns {Object} { blocked: boolean, retryAfter: number (segundos) }
+ */
+const reserveAttempt = async (action, keys) => {
+    const reserved = [];
+    let retryAfter = 0;
+
+    for (const key of keys) {
+        const rule = RULES[action][key.scope];
+        const filter = { action: action, ...key };
+        const now = new Date();
+
+        await resetExpiredWindow(filter, rule, now);
+
+        const previous = await incrementAttempts(filter, now);
+        const wait = previous ? getRetryAfter(previous, rule) : 0;
+
+        if (wait > 0) {
+            retryAfter = Math.max(retryAfter, wait);
+            await returnAttempt(filter, previous, now);
+            continue;
+        }
+
+        reserved.push({ filter, previous, now });
+
+        if ((previous ? previous.attempts : 0) + 1 >= rule.maxAttempts) {
+            await lockKey(filter, rule, now);
+        }
+    }
+
+    if (retryAfter > 0) {
+        for (const { filter, previous, now } of reserved) {
+            await returnAttempt(filter, previous, now);
+        }
+    }
+
+    return { blocked: retryAfter > 0, retryAfter };
+};
+
+/**
+ * Devolve a tentativa reservada quando ela não foi uma falha (ex: login bem-sucedido, no contador do IP)
+ * @param {String} action - 'login' | 'forgot-password' | 'magic-link' | '2fa'
+ * @param {Array} keys - Chaves a devolver
+ */
+const releaseAttempt = async (action, keys) => {
+    for (const key of keys) {
+        await LoginAttempt.updateOne({ action: action, ...key, attempts: { $gt: 0 } }, { $inc: { attempts: -1 } });
+    }
+};
+
+/**
+ * Zera os contadores das chaves (ex: após login bem-sucedido)
+ * @param {String} action - 'login' | 'forgot-password' | 'magic-link' | '2fa'
+ * @param {Array} keys - Chaves a limpar
+ */
+const clearAttempts = async (action, keys) => {
+    for (const key of keys) {
+        await LoginAttempt.deleteOne({ action: action, ...key });
+    }
+};
+
+/**
+ * Formata o tempo de espera para mensagens de erro
+ * @param {Number} seconds
+ * @returns {String} Ex: "15 minuto(s)"
+ */
+const formatRetryAfter = (seconds) => {
+    if (seconds < 60) {
+        return `${seconds} segundo(s)`;
+    }
+    return `${Math.ceil(seconds / 60)} minuto(s)`;
+};
+
+module.exports = {
+    throttleKeys,
+    reserveAttempt,
+    releaseAttempt,
+    clearAttempts,
+    formatRetryAfter
+};
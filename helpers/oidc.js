@@ -0,0 +1,344 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const User = require('../models/user');
+const { resolveLanguage } = require('./email-templates');
+const { hasPermission } = require('./permissions');
+
+const OIDC_CALLBACK_URL = process.env.OIDC_CALLBACK_URL || `http://localhost:${process.env.PORT || 8000}/api/auth/oidc/callback`;
+
+// Discovery documents and signing keys are cached; an unknown "kid" forces a reload (key rotation)
+const METADATA_CACHE_MS = 60 * 60 * 1000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+const HTTP_TIMEOUT_MS = 10000;
+
+const metadataCache = new Map();
+const jwksCache = new Map();
+
+const trimSlash = (value) => String(value).replace(/\/+$/, '');
+
+const fetchJson = async (url, options = {}) => {
+    const response = await fetch(url, { ...options, signal: AbortSignal.timeout(HTTP_TIMEOUT_MS) });
+    const body = await response.json().catch(() => null);
+
+    if (!response.ok || !body) {
+        const detail = body && (body.error_description || body.error);
+        throw new Error(`Resposta ${response.status} de ${url}${detail ? `: ${detail}` : ''}`);
+    }
+
+    return body;
+};
+
+/**
+ * Busca o documento de descoberta do provedor (/.well-known/openid-configuration)
+ * @param {String} issuer - Issuer configurado no provedor
+ * @returns {Object} Metadados OIDC
+ */
+const discover = async (issuer) => {
+    const cached = metadataCache.get(issuer);
+
+    if (cached && cached.fetchedAt > Date.now() - METADATA_CACHE_MS) {
+        return cached.metadata;
+    }
+
+    const metadata = await fetchJson(`${trimSlash(issuer)}/.well-known/openid-configuration`);
+
+    if (trimSlash(metadata.issuer) !== trimSlash(issuer)) {
+        throw new Error(`Issuer do documento de descoberta (${metadata.issuer}) difere do configurado (${issuer})`);
+    }
+
+    metadataCache.set(issuer, { metadata, fetchedAt: Date.now() });
+
+    return metadata;
+};
+
+const getSigningKey = async (metadata, kid) => {
+    let cached = jwksCache.get(metadata.jwks_uri);
+
+    if (!cached || cached.fetchedAt < Date.now() - METADATA_CACHE_MS || !cached.keys.some(key => key.kid === kid)) {
+        const jwks = await fetchJson(metadata.jwks_uri);
+        cached = { keys: jwks.keys || [], fetchedAt: Date.now() };
+        jwksCache.set(metadata.jwks_uri, cached);
+    }
+
+    const signingKeys = cached.keys.filter(key => !key.use || key.use === 'sig');
+    const jwk = kid ? signingKeys.find(key => key.kid === kid) : signingKeys[0];
+
+    if (!jwk) {
+        throw new Error('Chave de assinatura do ID token não encontrada no JWKS do provedor');
+    }
+
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Gera os valores de uma nova tentativa de login: state, nonce e o par PKCE (S256)
+ * @returns {Object} { state, nonce, codeVerifier, codeChallenge }
+ */
+const createAuthorizationRequest = () => {
+    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+
+    return {
+        state: crypto.randomBytes(32).toString('base64url'),
+        nonce: crypto.randomBytes(16).toString('base64url'),
+        codeVerifier,
+        codeChallenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url')
+    };
+};
+
+/**
+ * Monta a URL de autorização do provedor (authorization code + PKCE)
+ * @param {Object} provider - Provedor de identidade
+ * @param {Object} metadata - Metadados OIDC
+ * @param {Object} request - { state, nonce, codeChallenge }
+ * @returns {String}
+ */
+const buildAuthorizationUrl = (provider, metadata, request) => {
+    const url = new URL(metadata.authorization_endpoint);
+
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', provider.clientId);
+    url.searchParams.set('redirect_uri', OIDC_CALLBACK_URL);
+    url.searchParams.set('scope', provider.scopes || 'openid email profile');
+    url.searchParams.set('state', request.state);
+    url.searchParams.set('nonce', request.nonce);
+    url.searchParams.set('code_challenge', request.codeChallenge);
+    url.searchParams.set('code_challenge_method', 'S256');
+
+    return url.toString();
+};
+
+/**
+ * Troca o código de autorização pelos tokens do provedor
+ * @param {Object} provider - Provedor de identidade (com clientSecret selecionado)
+ * @param {Object} metadata - Metadados OIDC
+ * @param {String} code - Código recebido no callback
+ * @param {String} codeVerifier - Verificador PKCE da tentativa
+ * @returns {Object} Resposta do token endpoint ({ id_token, access_token, ... })
+ */
+const exchangeCode = async (provider, metadata, code, codeVerifier) => {
+    const body = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code: code,
+        redirect_uri: OIDC_CALLBACK_URL,
+        client_id: provider.clientId,
+        code_verifier: codeVerifier
+    });
+
+    // Confidential clients authenticate with client_secret_post; public clients rely on PKCE only
+    if (provider.clientSecret) {
+        body.set('client_secret', provider.clientSecret);
+    }
+
+    const tokens = await fetchJson(metadata.token_endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'Accept': 'application/json' },
+        body: body
+    });
+
+    if (!tokens.id_token) {
+        throw new Error('O provedor não retornou um ID token');
+    }
+
+    return tokens;
+};
+
+/**
+ * Valida assinatura, issuer, audience, expiração e nonce do ID token
+ * @param {Object} provider - Provedor de identidade
+ * @param {Object} metadata - Metadados OIDC
+ * @param {String} idToken - ID token recebido
+ * @param {String} nonce - Nonce da tentativa
+ * @returns {Object} Claims do ID token
+ */
+const verifyIdToken = async (provider, metadata, idToken, nonce) => {
+    const decoded = jwt.decode(idToken, { complete: true });
+
+    if (!decoded) {
+        throw new Error('ID token malformado');
+    }
+
+    const key = await getSigningKey(metadata, decoded.header.kid);
+
+    const claims = jwt.verify(idToken, key, {
+        algorithms: ID_TOKEN_ALGORITHMS,
+        issuer: metadata.issuer,
+        audience: provider.clientId,
+        clockTolerance: 60
+    });
+
+    if (claims.nonce !== nonce) {
+        throw new Error('Nonce do ID token não confere');
+    }
+
+    return claims;
+};
+
+/**
+ * Completa as claims com o userinfo endpoint (alguns provedores não colocam e-mail ou grupos no ID token)
+ * @param {Object} metadata - Metadados OIDC
+ * @param {Object} claims - Claims do ID token
+ * @param {String} accessToken - Access token do provedor
+ * @returns {Object} Claims combinadas (as do ID token prevalecem)
+ */
+const loadUserInfo = async (metadata, claims, accessToken) => {
+    if (!metadata.userinfo_endpoint || !accessToken) {
+        return claims;
+    }
+
+    const userInfo = await fetchJson(metadata.userinfo_endpoint, {
+        headers: { 'Authorization': `Bearer ${accessToken}`, 'Accept': 'application/json' }
+    });
+
+    // Userinfo for a different subject must be ignored (OIDC Core 5.3.2)
+    if (userInfo.sub !== claims.sub) {
+        return claims;
+    }
+
+    return { ...userInfo, ...claims };
+};
+
+// Supports nested claims such as "realm_access.roles"
+const readClaim = (claims, path) => {
+    return String(path).split('.').reduce((value, key) => (value && typeof value === 'object') ? value[key] : undefined, claims);
+};
+
+/**
+ * Converte as claims no perfil do usuário segundo o mapeamento do provedor
+ * @param {Object} provider - Provedor de identidade
+ * @param {Object} claims - Claims validadas
+ * @returns {Object} { subject, email, emailVerified, name, role, institution, city, state, language }
+ */
+const mapClaims = (provider, claims) => {
+    const claimValue = readClaim(claims, provider.roleClaim || 'roles');
+    const values = Array.isArray(claimValue) ? claimValue.map(String) : (claimValue ? String(claimValue).split(/[\s,]+/) : []);
+
+    const mapping = (provider.roleMapping || []).find(item => values.includes(item.value));
+
+    const institution = provider.institutionClaim ? readClaim(claims, provider.institutionClaim) : null;
+    const address = claims.address && typeof claims.address === 'object' ? claims.address : {};
+    const email = claims.email ? String(claims.email).trim().toLowerCase() : null;
+
+    return {
+        subject: String(claims.sub),
+        email: email,
+        // Only an explicit claim counts: an omitted email_verified is not proof of access to the mailbox
+        emailVerified: claims.email_verified === true,
+        name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || email,
+        role: mapping ? mapping.role : provider.defaultRole,
+        institution: typeof institution === 'string' && institution.trim() ? institution.trim() : provider.institution,
+        city: address.locality,
+        state: address.region,
+        language: resolveLanguage(claims.locale)
+    };
+};
+
+// An existing account is only linked by e-mail when the provider is trusted for it: same institution, a listed domain and no global scope
+const canLinkAccount = async (provider, user, domain) => {
+    if (!provider.institutionId || !user.institutionId || !provider.institutionId.equals(user.institutionId)) {
+        return false;
+    }
+
+    if (!provider.emailDomains || !provider.emailDomains.includes(domain)) {
+        return false;
+    }
+
+    return !(await hasPermission(user, 'institutions:global'));
+};
+
+/**
+ * Encontra o usuário do login institucional: pela identidade já vinculada, pelo e-mail (vincula) ou cria a conta.
+ * O vínculo pelo e-mail exige e-mail verificado pelo provedor, um domínio da lista do provedor e uma conta da instituição dele, sem escopo global
+ * @param {Object} provider - Provedor de identidade
+ * @param {Object} profile - Perfil gerado por mapClaims
+ * @returns {Object} { user: Object|null, error: string|null, provisioned: Boolean } (error é um código enviado ao frontend)
+ */
+const findOrProvisionUser = async (provider, profile) => {
+    const identity = { provider: provider._id, subject: profile.subject };
+
+    let user = await User.findOne({ ssoIdentities: { $elemMatch: identity } });
+
+    if (user && user.deleted) {
+        return { user: null, error: 'account_disabled' };
+    }
+
+    if (!user) {
+
+        if (!profile.email) {
+            return { user: null, error: 'email_missing' };
+        }
+
+        const domain = profile.email.split('@')[1];
+        if (provider.emailDomains && provider.emailDomains.length > 0 && !provider.emailDomains.includes(domain)) {
+            return { user: null, error: 'email_domain_not_allowed' };
+        }
+
+        user = await User.findOne({ email: profile.email });
+
+        if (user) {
+
+            if (user.deleted) {
+                return { user: null, error: 'account_disabled' };
+            }
+
+            // Linking an existing account requires the provider to vouch for the e-mail
+            if (!profile.emailVerified) {
+                return { user: null, error: 'email_not_verified' };
+            }
+
+            if (!(await canLinkAccount(provider, user, domain))) {
+                return { user: null, error: 'account_link_not_allowed' };
+            }
+
+            user.ssoIdentities.push(identity);
+
+        } else {
+
+            if (!provider.autoProvision) {
+                return { user: null, error: 'account_not_found' };
+            }
+
+            // Just-in-time provisioning: role and institution come from the claims
+            user = new User({
+                name: profile.name,
+                email: profile.email,
+                role: profile.role,
+                institution: profile.institution,
+                institutionId: provider.institutionId || null,
+                city: profile.city,
+                state: profile.state,
+                preferredLanguage: profile.language,
+                emailVerified: profile.emailVerified,
+                ssoIdentities: [identity]
+            });
+        }
+    }
+
+    const linked = user.ssoIdentities.find(item => item.provider.equals(provider._id) && item.subject === profile.subject);
+    linked.lastLoginAt = new Date();
+
+    // The institution proved access to the mailbox
+    if (user.emailVerified === false && profile.emailVerified) {
+        user.emailVerified = true;
+        user.emailVerificationToken = undefined;
+        user.emailVerificationExpires = undefined;
+    }
+
+    const provisioned = user.isNew;
+
+    await user.save();
+
+    return { user, error: null, provisioned };
+};
+
+module.exports = {
+    OIDC_CALLBACK_URL,
+    discover,
+    createAuthorizationRequest,
+    buildAuthorizationUrl,
+    exchangeCode,
+    verifyIdToken,
+    loadUserInfo,
+    mapClaims,
+    findOrProvisionUser
+};
@@ -0,0 +1,127 @@
+const bcrypt = require('bcrypt');
+
+const COMMON_PASSWORDS = require('./common-passwords');
+
+const envBoolean = (name, fallback) => {
+    const value = process.env[name];
+    return value === undefined || value === '' ? fallback : value === 'true';
+};
+
+const envNumber = (name, fallback) => {
+    const value = parseInt(process.env[name]);
+    return Number.isNaN(value) ? fallback : value;
+};
+
+const POLICY = {
+    minLength: envNumber('PASSWORD_MIN_LENGTH', 8),
+    requireUppercase: envBoolean('PASSWORD_REQUIRE_UPPERCASE', true),
+    requireLowercase: envBoolean('PASSWORD_REQUIRE_LOWERCASE', true),
+    requireNumber: envBoolean('PASSWORD_REQUIRE_NUMBER', true),
+    requireSymbol: envBoolean('PASSWORD_REQUIRE_SYMBOL', false),
+    // Number of recent passwords (including the current one) that cannot be reused; 0 disables
+    historySize: envNumber('PASSWORD_HISTORY_SIZE', 5)
+};
+
+// bcrypt ignores everything after 72 bytes
+const MAX_BYTES = 72;
+
+const isCommonPassword = (password) => {
+    const lowered = password.toLowerCase();
+    const withoutSuffix = lowered.replace(/[^a-z]+$/, '');
+
+    return COMMON_PASSWORDS.has(lowered) || (withoutSuffix.length > 0 && COMMON_PASSWORDS.has(withoutSuffix));
+};
+
+/**
+ * Valida uma nova senha contra a política (tamanho, tipos de caractere e senhas comuns)
+ * @param {String} password - Senha em texto puro
+ * @returns {Object} { isValid: boolean, error: string|null }
+ */
+const validatePassword = (password) => {
+
+    if (typeof password !== 'string' || password.length === 0) {
+        return { isValid: false, error: "A senha é obrigatória" };
+    }
+
+    if (password.length < POLICY.minLength) {
+        return { isValid: false, error: `A senha deve ter no mínimo ${POLICY.minLength} caracteres` };
+    }
+
+    if (Buffer.byteLength(password, 'utf8') > MAX_BYTES) {
+        return { isValid: false, error: `A senha deve ter no máximo ${MAX_BYTES} caracteres` };
+    }
+
+    if (POLICY.requireUppercase && !/[A-Z]/.test(password)) {
+        return { isValid: false, error: "A senha deve conter pelo menos uma letra maiúscula" };
+    }
+
+    if (POLICY.requireLowercase && !/[a-z]/.test(password)) {
+        return { isValid: false, error: "A senha deve conter pelo menos uma letra minúscula" };
+    }
+
+    if (POLICY.requireNumber && !/\d/.test(password)) {
+        return { isValid: false, error: "A senha deve conter pelo menos um número" };
+    }
+
+    if (POLICY.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+        return { isValid: false, error: "A senha deve conter pelo menos um caractere especial" };
+    }
+
+    if (isCommonPassword(password)) {
+        return { isValid: false, error: "Esta senha é muito comum. Escolha uma senha mais difícil de adivinhar" };
+    }
+
+    return { isValid: true, error: null };
+};
+
+/**
+ * Valida a nova senha de um usuário existente: política + reutilização das últimas senhas
+ * @param {Object} user - Usuário do banco (com passwordHistory selecionado)
+ * @param {String} password - Nova senha em texto puro
+ * @returns {Object} { isValid: boolean, error: string|null }
+ */
+const validatePasswordChange = async (user, password) => {
+    const validation = validatePassword(password);
+
+    if (!validation.isValid || POLICY.historySize === 0) {
+        return validation;
+    }
+
+    const recentHashes = [user.password, ...(user.passwordHistory || [])].slice(0, POLICY.historySize);
+
+    for (const hash of recentHashes) {
+        if (hash && await bcrypt.compare(password, hash)) {
+            const error = POLICY.historySize === 1
+                ? "A nova senha deve ser diferente da senha atual"
+                : `A nova senha não pode ser igual a nenhuma das últimas ${POLICY.historySize} senhas utilizadas`;
+
+            return { isValid: false, error };
+        }
+    }
+
+    return { isValid: true, error: null };
+};
+
+/**
+ * Histórico a salvar quando a senha do usuário é trocada (a senha atual passa a ser a mais recente)
+ * @param {Object} user - Usuário do banco (com passwordHistory selecionado)
+ * @returns {Array} Hashes das senhas anteriores
+ */
+const nextPasswordHistory = (user) => {
+    return [user.password, ...(user.passwordHistory || [])].slice(0, Math.max(POLICY.historySize - 1, 0));
+};
+
+/**
+ * Regras ativas, para exibição no frontend
+ * @returns {Object}
+ */
+const getPasswordPolicy = () => {
+    return { ...POLICY, maxLength: MAX_BYTES };
+};
+
+module.exports = {
+    validatePassword,
+    validatePasswordChange,
+    nextPasswordHistory,
+    getPasswordPolicy
+};
@@ -0,0 +1,175 @@
+const Role = require('../models/role');
+
+// Every permission checked by the routes, with the description shown to admins
+const PERMISSIONS = {
+    'users:read': 'Listar usuários e consultar suas sessões',
+    'users:update': 'Editar dados de outros usuários',
+    'users:delete': 'Remover usuários',
+    'users:security': 'Encerrar sessões e redefinir o 2FA de outros usuários',
+    'users:data-export': 'Gerar a cópia dos dados pessoais (LGPD) de outros usuários',
+    'users:erase': 'Eliminar definitivamente os dados pessoais de usuários (LGPD)',
+    'users:import': 'Cadastrar usuários em lote a partir de planilhas (CSV ou XLSX)',
+    'roles:assign': 'Alterar a função de usuários',
+    'roles:manage': 'Criar, editar e remover funções',
+    'invites:manage': 'Criar, listar e revogar convites',
+    'questions:read': 'Consultar o banco de questões',
+    'questions:create': 'Criar questões',
+    'questions:update': 'Editar questões',
+    'questions:delete': 'Remover questões',
+    'forms:read': 'Consultar todos os formulários com usuários atribuídos (visão de administração)',
+    'forms:analyze': 'Consultar todos os formulários (visão de analista)',
+    'forms:create': 'Criar formulários',
+    'forms:update': 'Editar formulários e atribuições',
+    'forms:delete': 'Remover formulários',
+    'groups:read': 'Consultar grupos (turmas) e seus membros',
+    'groups:manage': 'Criar, editar e remover grupos (turmas) e gerenciar seus membros',
+    'consents:manage': 'Criar, versionar e remover termos de consentimento (TCLE)',
+    'guardian-consents:manage': 'Pedir, revogar e acompanhar a autorização dos responsáveis por estudantes menores de idade',
+    'responses:submit': 'Responder aos formulários atribuídos',
+    'responses:read': 'Consultar respostas identificadas e respondentes (visão de administração)',
+    'responses:analyze': 'Consultar respostas (visão de analista)',
+    'responses:delete': 'Remover respostas',
+    'responses:export': 'Exportar respostas identificadas',
+    'analytics:read': 'Consultar análises estatísticas dos formulários',
+    'analytics:export': 'Exportar dados para análise',
+    'settings:manage': 'Alterar as configurações do sistema',
+    'emails:read': 'Consultar o registro e os templates de e-mail',
+    'lockouts:manage': 'Consultar e liberar bloqueios de login',
+    'service-accounts:manage': 'Gerenciar contas de serviço e chaves de API',
+    'identity-providers:manage': 'Gerenciar provedores de login institucional',
+    'institutions:manage': 'Criar, editar e remover instituições',
+    'institutions:global': 'Acessar dados de todas as instituições (sem ela, o acesso fica restrito à instituição do usuário)',
+    'audit:read': 'Consultar e exportar o registro de auditoria',
+    'retention:manage': 'Gerenciar as políticas de retenção de dados, executá-las e consultar seus relatórios'
+};
+
+const PERMISSION_KEYS = Object.keys(PERMISSIONS);
+
+// Admins manage everything but do not answer forms
+const ADMIN_PERMISSIONS = PERMISSION_KEYS.filter(permission => permission !== 'responses:submit');
+
+// Default permissions of the built-in roles; admins may override all of them except "admin"
+const BUILT_IN_ROLES = {
+    admin: {
+        name: 'Administrador',
+        description: 'Acesso total ao sistema',
+        permissions: ADMIN_PERMISSIONS
+    },
+    institution_admin: {
+        name: 'Administrador da Instituição',
+        description: 'Gerencia usuários, convites, formulários e respostas da própria instituição',
+        permissions: [
+            'users:read', 'users:update', 'users:delete', 'users:security', 'users:data-export', 'users:import', 'roles:assign', 'invites:manage',
+            'questions:read', 'questions:create', 'questions:update',
+            'forms:read', 'forms:analyze', 'forms:create', 'forms:update', 'forms:delete', 'groups:read', 'groups:manage', 'consents:manage', 'guardian-consents:manage',
+            'responses:read', 'responses:analyze', 'responses:delete', 'responses:export',
+            'analytics:read', 'analytics:export'
+        ]
+    },
+    teacher_analyst: {
+        name: 'Professor Analista',
+        description: 'Analisa formulários e respostas sem identificar os respondentes',
+        permissions: ['questions:read', 'forms:analyze', 'responses:analyze', 'analytics:read', 'analytics:export']
+    },
+    teacher_respondent: {
+        name: 'Professor Respondente',
+        description: 'Responde aos formulários atribuídos',
+        permissions: ['responses:submit']
+    },
+    student: {
+        name: 'Estudante',
+        description: 'Responde aos formulários atribuídos',
+        permissions: ['responses:submit']
+    }
+};
+
+/**
+ * Lista todas as funções (nativas e personalizadas) com as permissões efetivas
+ * @returns {Array} [{ key, name, description, permissions, builtIn, customized }]
+ */
+const listRoles = async () => {
+    const stored = await Role.find().sort({ name: 1 }).lean();
+
+    const builtIn = Object.entries(BUILT_IN_ROLES).map(([key, defaults]) => {
+        const override = key !== 'admin' && stored.find(role => role.key === key);
+
+        return {
+            key: key,
+            name: defaults.name,
+            description: defaults.description,
+            permissions: override ? override.permissions : defaults.permissions,
+            builtIn: true,
+            customized: Boolean(override)
+        };
+    });
+
+    const custom = stored
+        .filter(role => !BUILT_IN_ROLES[role.key])
+        .map(role => ({ ...role, builtIn: false, customized: false }));
+
+    return [...builtIn, ...custom];
+};
+
+/**
+ * Retorna as permissões efetivas de uma função
+ * @param {String} roleKey - Chave da função (ex: 'teacher_analyst')
+ * @returns {Array} Permissões (vazio para funções inexistentes)
+ */
+const getRolePermissions = async (roleKey) => {
+    // Admin permissions are fixed so the system can never lose its administrators
+    if (roleKey === 'admin') {
+        return ADMIN_PERMISSIONS;
+    }
+
+    const role = await Role.findOne({ key: roleKey }).lean();
+
+    if (role) {
+        return role.permissions;
+    }
+
+    return BUILT_IN_ROLES[roleKey] ? BUILT_IN_ROLES[roleKey].permissions : [];
+};
+
+/**
+ * Verifica se o usuário tem a permissão
+ * @param {Object} user - Usuário do banco
+ * @param {String} permission - Permissão (ex: 'forms:create')
+ * @returns {Boolean}
+ */
+const hasPermission = async (user, permission) => {
+    const permissions = await getRolePermissions(user.role);
+
+    return permissions.includes(permission);
+};
+
+/**
+ * Lista as chaves de todas as funções existentes
+ * @returns {Array} Chaves
+ */
+const listRoleKeys = async () => {
+    const custom = await Role.distinct('key', { builtIn: false });
+
+    return [...Object.keys(BUILT_IN_ROLES), ...custom];
+};
+
+/**
+ * Lista as funções que possuem a permissão (ex: quem pode receber formulários: 'responses:submit')
+ * @param {String} permission - Permissão
+ * @returns {Array} Chaves das funções
+ */
+const getRolesWithPermission = async (permission) => {
+    const roles = await listRoles();
+
+    return roles.filter(role => role.permissions.includes(permission)).map(role => role.key);
+};
+
+module.exports = {
+    PERMISSIONS,
+    PERMISSION_KEYS,
+    BUILT_IN_ROLES,
+    listRoles,
+    listRoleKeys,
+    getRolePermissions,
+    hasPermission,
+    getRolesWithPermission
+};
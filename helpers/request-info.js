@@ -0,0 +1,49 @@
+/**
+ * Retorna o IP do cliente (respeita a configuração "trust proxy" do Express)
+ * @param {Object} req - Requisição do Express
+ * @returns {String}
+ */
+const getClientIp = (req) => {
+    return req.ip || req.socket?.remoteAddress || '';
+};
+
+/**
+ * Gera uma descrição legível do dispositivo a partir do User-Agent
+ * @param {String} userAgent - Cabeçalho User-Agent
+ * @returns {String} Ex: "Chrome em Windows"
+ */
+const describeDevice = (userAgent) => {
+    if (!userAgent) {
+        return 'Desconhecido';
+    }
+
+    const browsers = [
+        ['Edg/', 'Edge'],
+        ['OPR/', 'Opera'],
+        ['Firefox/', 'Firefox'],
+        ['Chrome/', 'Chrome'],
+        ['Safari/', 'Safari']
+    ];
+    const systems = [
+        ['Android', 'Android'],
+        ['iPhone', 'iOS'],
+        ['iPad', 'iOS'],
+        ['Windows', 'Windows'],
+        ['Mac OS X', 'macOS'],
+        ['Linux', 'Linux']
+    ];
+
+    const browser = browsers.find(([marker]) => userAgent.includes(marker));
+    const system = systems.find(([marker]) => userAgent.includes(marker));
+
+    if (!browser && !system) {
+        return userAgent.slice(0, 60);
+    }
+
+    return `${browser ? browser[1] : 'Navegador desconhecido'} em ${system ? system[1] : 'sistema desconhecido'}`;
+};
+
+module.exports = {
+    getClientIp,
+    describeDevice
+};
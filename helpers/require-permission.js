@@ -0,0 +1,42 @@
+const User = require('../models/user');
+const { getRolePermissions } = require('./permissions');
+
+/**
+ * Middleware que exige permissões da função do usuário (usar depois do check-token).
+ * Preenche req.currentUser (usuário do banco) e req.permissions.
+ * Requisições com chave de API passam direto: elas são limitadas pelos escopos da chave (checkToken.allowApiKey).
+ * @param {...String} permissions - Permissões exigidas (todas)
+ */
+const requirePermission = (...permissions) => async (req, res, next) => {
+
+    if (req.apiKey) {
+        return next();
+    }
+
+    try {
+
+        const user = await User.findOne({ _id: req.user.userId, deleted: false });
+
+        if (!user) {
+            return res.status(404).json({ error: "Usuário não encontrado" });
+        }
+
+        const granted = await getRolePermissions(user.role);
+        const missing = permissions.filter(permission => !granted.includes(permission));
+
+        // Authenticated but not allowed: always 403 (401 is reserved for missing or invalid credentials)
+        if (missing.length > 0) {
+            return res.status(403).json({ error: `Acesso negado. Permissão necessária: ${missing.join(', ')}` });
+        }
+
+        req.currentUser = user;
+        req.permissions = granted;
+        next();
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao verificar permissões" });
+    }
+
+};
+
+module.exports = requirePermission;
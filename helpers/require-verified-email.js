@@ -0,0 +1,26 @@
+const User = require('../models/user');
+
+// Middleware to block users that have not confirmed their e-mail (use after check-token)
+const requireVerifiedEmail = async (req, res, next) => {
+
+    try {
+
+        const user = await User.findOne({ _id: req.user.userId, deleted: false }, { emailVerified: 1 });
+
+        if (!user) {
+            return res.status(404).json({ error: "Usuário não encontrado" });
+        }
+
+        if (user.emailVerified === false) {
+            return res.status(403).json({ error: "Confirme seu e-mail para acessar este recurso" });
+        }
+
+        next();
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao verificar confirmação de e-mail" });
+    }
+
+};
+
+module.exports = requireVerifiedEmail;
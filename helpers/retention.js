@@ -0,0 +1,336 @@
+const crypto = require('crypto');
+const Form = require('../models/form');
+const Question = require('../models/question');
+const User = require('../models/user');
+const Response = require('../models/response');
+const Group = require('../models/group');
+const ConsentAcceptance = require('../models/consentAcceptance');
+const RetentionPolicy = require('../models/retentionPolicy');
+const RetentionRun = require('../models/retentionRun');
+const JobLock = require('../models/jobLock');
+const { eraseUser } = require('./erasure');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Hours between scheduled runs; 0 turns the schedule off
+const parsedInterval = parseFloat(process.env.RETENTION_INTERVAL_HOURS);
+const RETENTION_INTERVAL_HOURS = isNaN(parsedInterval) ? 24 : parsedInterval;
+
+// Lease of the run lock, renewed after each policy so a long run keeps it
+const LOCK_NAME = 'retention';
+const LOCK_LEASE_MS = HOUR_MS;
+
+const RETENTION_MODES = ['disabled', 'preview', 'enforce'];
+const RETENTION_BASES = ['submittedAt', 'formClosedAt'];
+
+const institutionScope = (policy) => policy.institutionId ? { institutionId: policy.institutionId } : {};
+
+// Responses of the forms a policy covers
+const responseScope = async (policy) => {
+    if (policy.formId) {
+        return { formId: policy.formId };
+    }
+
+    if (policy.institutionId) {
+        return { formId: { $in: await Form.distinct('_id', { institutionId: policy.institutionId }) } };
+    }
+
+    return {};
+};
+
+// Kinds of data a policy applies to: collect() lists what is old enough, apply() changes it and returns how many were affected.
+// Items removed before deletedAt was recorded are never matched by the trash targets
+const RETENTION_TARGETS = {
+    drafts: {
+        label: 'Rascunhos de respostas (inclusive os descartados), pela data da última alteração',
+        actions: ['purge'],
+        perForm: true,
+        collect: async (policy, cutoff) => ({
+            ids: await Response.distinct('_id', { isDraft: true, lastModified: { $lte: cutoff }, ...await responseScope(policy) })
+        }),
+        apply: async (policy, ids) => (await Response.deleteMany({ _id: { $in: ids } })).deletedCount
+    },
+    responses: {
+        label: 'Respostas enviadas, pela data de envio ou de encerramento do formulário',
+        actions: ['anonymize', 'purge'],
+        perForm: true,
+        collect: async (policy, cutoff) => {
+            const filter = { isDraft: false };
+
+            if (policy.action === 'anonymize') {
+                filter.anonymized = false;
+            }
+
+            if (policy.basis === 'formClosedAt') {
+                // Forms closed before closedAt was recorded are not matched until they are reopened and closed again
+                const forms = policy.formId ? { _id: policy.formId } : institutionScope(policy);
+                filter.formId = { $in: await Form.distinct('_id', { ...forms, isActive: false, closedAt: { $lte: cutoff } }) };
+            } else {
+                Object.assign(filter, await responseScope(policy), { submittedAt: { $lte: cutoff } });
+            }
+
+            return { ids: await Response.distinct('_id', filter) };
+        },
+        apply: async (policy, ids) => {
+            if (policy.action === 'purge') {
+                return (await Response.deleteMany({ _id: { $in: ids } })).deletedCount;
+            }
+
+            // Same shape as the research records kept by the LGPD erasure
+            const anonymized = await Response.updateMany(
+                { _id: { $in: ids }, anonymized: false },
+                { $set: { userId: null, anonymized: true, anonymizedAt: new Date() } }
+            );
+            return anonymized.modifiedCount;
+        }
+    },
+    deleted_responses: {
+        label: 'Respostas na lixeira, pela data de remoção',
+        actions: ['purge'],
+        perForm: true,
+        collect: async (policy, cutoff) => ({
+            ids: await Response.distinct('_id', { isDraft: false, deleted: true, deletedAt: { $lte: cutoff }, ...await responseScope(policy) })
+        }),
+        apply: async (policy, ids) => (await Response.deleteMany({ _id: { $in: ids } })).deletedCount
+    },
+    deleted_forms: {
+        label: 'Formulários na lixeira, com todas as suas respostas e rascunhos',
+        actions: ['purge'],
+        collect: async (policy, cutoff) => ({
+            ids: await Form.distinct('_id', { deleted: true, deletedAt: { $lte: cutoff }, ...institutionScope(policy) })
+        }),
+        apply: async (policy, ids) => {
+            await Response.deleteMany({ formId: { $in: ids } });
+            // Acceptances stay as proof of the term version; only the link to the form goes
+            await ConsentAcceptance.updateMany({ formId: { $in: ids } }, { $set: { formId: null } });
+
+            return (await Form.deleteMany({ _id: { $in: ids } })).deletedCount;
+        }
+    },
+    deleted_questions: {
+        label: 'Questões na lixeira que não são usadas por nenhum formulário ou resposta',
+        actions: ['purge'],
+        // Questions are shared by every institution
+        globalOnly: true,
+        collect: async (policy, cutoff) => {
+            const candidates = await Question.distinct('_id', { deleted: true, deletedAt: { $lte: cutoff } });
+
+            const used = new Set([
+                ...await Form.distinct('questions.questionId', { 'questions.questionId': { $in: candidates } }),
+                ...await Response.distinct('answers.questionId', { 'answers.questionId': { $in: candidates } })
+            ].map(String));
+
+            const ids = candidates.filter(id => !used.has(String(id)));
+
+            return { ids: ids, skipped: candidates.length - ids.length };
+        },
+        apply: async (policy, ids) => (await Question.deleteMany({ _id: { $in: ids } })).deletedCount
+    },
+    deleted_groups: {
+        label: 'Grupos na lixeira, pela data de remoção',
+        actions: ['purge'],
+        collect: async (policy, cutoff) => ({
+            ids: await Group.distinct('_id', { deleted: true, deletedAt: { $lte: cutoff }, ...institutionScope(policy) })
+        }),
+        apply: async (policy, ids) => {
+            await Form.updateMany({ assignedGroups: { $in: ids } }, { $pull: { assignedGroups: { $in: ids } } });
+
+            return (await Group.deleteMany({ _id: { $in: ids } })).deletedCount;
+        }
+    },
+    deleted_users: {
+        label: 'Usuários na lixeira: eliminação dos dados pessoais (LGPD), mantendo as respostas anonimizadas ou removendo-as',
+        actions: ['anonymize', 'purge'],
+        collect: async (policy, cutoff) => ({
+            ids: await User.distinct('_id', { deleted: true, erasedAt: null, deletedAt: { $lte: cutoff }, ...institutionScope(policy) })
+        }),
+        apply: async (policy, ids) => {
+            let erased = 0;
+
+            for (const id of ids) {
+                const user = await User.findOne({ _id: id, deleted: true, erasedAt: null });
+
+                if (user) {
+                    await eraseUser(user, {
+                        responses: policy.action === 'purge' ? 'delete' : 'anonymize',
+                        reason: `Política de retenção: ${policy.name}`,
+                        requestedBy: policy.createdBy
+                    });
+                    erased++;
+                }
+            }
+
+            return erased;
+        }
+    }
+};
+
+/**
+ * Aplica uma política ou, em simulação, apenas conta o que seria afetado. Erros ficam no resultado
+ * @param {Object} policy - Política de retenção
+ * @param {Boolean} dryRun - true para não alterar nada
+ * @returns {Object} Resultado para o relatório (RetentionRun.results)
+ */
+const runPolicy = async (policy, dryRun) => {
+    const cutoff = new Date(Date.now() - policy.afterDays * DAY_MS);
+
+    const result = {
+        policyId: policy._id,
+        name: policy.name,
+        target: policy.target,
+        action: policy.action,
+        institutionId: policy.institutionId,
+        cutoff: cutoff,
+        dryRun: dryRun,
+        matched: 0,
+        affected: 0,
+        skipped: 0,
+        error: null
+    };
+
+    try {
+        const definition = RETENTION_TARGETS[policy.target];
+        const { ids, skipped = 0 } = await definition.collect(policy, cutoff);
+
+        result.matched = ids.length;
+        result.skipped = skipped;
+
+        if (!dryRun) {
+            result.affected = ids.length > 0 ? await definition.apply(policy, ids) : 0;
+            await RetentionPolicy.updateOne({ _id: policy._id }, { $set: { lastAppliedAt: new Date() } });
+        }
+    } catch (error) {
+        result.error = error.message;
+    }
+
+    return result;
+};
+
+/**
+ * Tenta obter a trava das execuções, compartilhada por todas as instâncias do servidor
+ * @param {String} owner - ID da execução
+ * @returns {Boolean} true quando a trava foi obtida
+ */
+const acquireLock = async (owner) => {
+    const now = new Date();
+
+    try {
+        // Matches only a free or expired lock; the upsert creates it on the first run
+        await JobLock.findOneAndUpdate(
+            { name: LOCK_NAME, lockedUntil: { $lte: now } },
+            { $set: { owner: owner, lockedUntil: new Date(now.getTime() + LOCK_LEASE_MS) } },
+            { upsert: true, new: true }
+        );
+
+        return true;
+    } catch (error) {
+        // The lock exists and is held by another run, so the upsert hit the unique name
+        if (error.code === 11000) {
+            return false;
+        }
+        throw error;
+    }
+};
+
+const renewLock = (owner) => JobLock.updateOne(
+    { name: LOCK_NAME, owner: owner },
+    { $set: { lockedUntil: new Date(Date.now() + LOCK_LEASE_MS) } }
+);
+
+const releaseLock = (owner) => JobLock.updateOne(
+    { name: LOCK_NAME, owner: owner },
+    { $set: { owner: null, lockedUntil: new Date() } }
+);
+
+/**
+ * Executa as políticas de retenção e grava o relatório. Políticas em modo "preview" são sempre simuladas;
+ * as desativadas só entram em simulações que as selecionam pelo ID.
+ * Uma execução por vez em todas as instâncias do servidor; a agendada é pulada se outra já ocorreu no intervalo
+ * @param {Object} options - { trigger: 'schedule' | 'manual', dryRun, policyIds, policyFilter (escopo), requestedBy }
+ * @returns {Object|null} Relatório (RetentionRun), ou null quando já há uma execução em andamento (ou a agendada não é devida)
+ */
+const runRetention = async ({ trigger, dryRun = false, policyIds = null, policyFilter = {}, requestedBy = null }) => {
+    const owner = crypto.randomUUID();
+
+    if (!await acquireLock(owner)) {
+        return null;
+    }
+
+    try {
+        // Checked under the lock: another instance may have just finished the scheduled run
+        if (trigger === 'schedule') {
+            const last = await RetentionRun.findOne({ trigger: 'schedule' }).sort({ startedAt: -1 });
+
+            if (last && Date.now() - last.startedAt.getTime() < RETENTION_INTERVAL_HOURS * HOUR_MS) {
+                return null;
+            }
+        }
+
+        const policies = await RetentionPolicy.find({ ...policyFilter, ...(policyIds ? { _id: { $in: policyIds } } : {}) }).sort({ createdAt: 1 });
+        const selected = policies.filter(policy => policy.mode !== 'disabled' || (dryRun && policyIds));
+
+        const run = new RetentionRun({ trigger: trigger, dryRun: dryRun, requestedBy: requestedBy });
+
+        for (const policy of selected) {
+            run.results.push(await runPolicy(policy, dryRun || policy.mode === 'preview'));
+            await renewLock(owner);
+        }
+
+        run.finishedAt = new Date();
+
+        return await run.save();
+    } finally {
+        await releaseLock(owner);
+    }
+};
+
+/**
+ * Inicia a execução periódica das políticas (a cada RETENTION_INTERVAL_HOURS horas).
+ * O intervalo conta a partir da última execução agendada gravada, então reiniciar o servidor não antecipa a próxima
+ * @returns {Object|null} Timer, ou null quando o agendamento está desativado
+ */
+const startRetentionSchedule = () => {
+    if (!(RETENTION_INTERVAL_HOURS > 0)) {
+        return null;
+    }
+
+    const intervalMs = RETENTION_INTERVAL_HOURS * HOUR_MS;
+
+    const tick = async () => {
+        try {
+            const last = await RetentionRun.findOne({ trigger: 'schedule' }).sort({ startedAt: -1 });
+
+            if (last && Date.now() - last.startedAt.getTime() < intervalMs) {
+                return;
+            }
+
+            const run = await runRetention({ trigger: 'schedule' });
+
+            if (run) {
+                const failed = run.results.filter(result => result.error).length;
+                console.log(`Políticas de retenção executadas: ${run.results.length} (${failed} com erro)`);
+            }
+        } catch (error) {
+            console.error('Erro ao executar as políticas de retenção:', error);
+        }
+    };
+
+    tick();
+
+    // Checked at least hourly so a run missed while the server was down is not delayed by a whole interval
+    const timer = setInterval(tick, Math.min(intervalMs, HOUR_MS));
+    timer.unref();
+
+    return timer;
+};
+
+module.exports = {
+    RETENTION_TARGETS,
+    RETENTION_MODES,
+    RETENTION_BASES,
+    RETENTION_INTERVAL_HOURS,
+    runPolicy,
+    runRetention,
+    startRetentionSchedule
+};
@@ -0,0 +1,41 @@
+const Settings = require('../models/settings');
+
+/**
+ * Retorna as configurações do sistema (cria o documento com os valores padrão na primeira chamada)
+ * @returns {Object} Configurações
+ */
+const getSettings = async () => {
+    return Settings.findOneAndUpdate(
+        { key: 'global' },
+        { $setOnInsert: { key: 'global' } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+};
+
+/**
+ * Verifica se a função exige autenticação em dois fatores
+ * @param {String} role - Função do usuário
+ * @returns {Boolean}
+ */
+const isTwoFactorRequired = async (role) => {
+    const settings = await getSettings();
+
+    return settings.twoFactorRequiredRoles.includes(role);
+};
+
+/**
+ * Verifica se a função pode entrar por link mágico
+ * @param {String} role - Função do usuário
+ * @returns {Boolean}
+ */
+const isMagicLinkEnabled = async (role) => {
+    const settings = await getSettings();
+
+    return settings.magicLinkRoles.includes(role);
+};
+
+module.exports = {
+    getSettings,
+    isTwoFactorRequired,
+    isMagicLinkEnabled
+};
@@ -0,0 +1,137 @@
+const path = require('path');
+const { parseCsv } = require('./csv');
+const { openZip } = require('./zip');
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+const decodeXml = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+        return String.fromCodePoint(entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+    }
+    return XML_ENTITIES[entity] !== undefined ? XML_ENTITIES[entity] : match;
+});
+
+// Text of a shared or inline string: every <t> run, ignoring phonetic hints
+const readText = (xml) => {
+    const runs = xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').match(/<t\b[^>]*>[\s\S]*?<\/t>/g) || [];
+    return runs.map(run => decodeXml(run.replace(/^<t\b[^>]*>|<\/t>$/g, ''))).join('');
+};
+
+const readAttribute = (attributes, name) => {
+    const match = attributes.match(new RegExp(`\\b${name}="([^"]*)"`));
+    return match ? decodeXml(match[1]) : null;
+};
+
+// "C12" => 2
+const columnIndex = (reference) => {
+    const letters = reference.replace(/\d+$/, '');
+    return [...letters].reduce((total, letter) => total * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+};
+
+/**
+ * Lê a primeira planilha de um arquivo .xlsx
+ * @param {Buffer} buffer - Conteúdo do arquivo
+ * @returns {Array} [{ row, cells }] com o número da linha na planilha e a lista de células (texto)
+ */
+const parseXlsx = (buffer) => {
+    // Only the workbook, its relationships, the shared strings and the first sheet are inflated
+    const zip = openZip(buffer);
+    const read = (name) => zip.has(name) ? zip.read(name).toString('utf8') : null;
+
+    const workbook = read('xl/workbook.xml');
+    if (!workbook) {
+        throw new Error('Arquivo XLSX inválido');
+    }
+
+    // First sheet of the workbook, resolved through the workbook relationships
+    const sheet = workbook.match(/<sheet\b([^>]*)\/?>/);
+    const relationId = sheet ? readAttribute(sheet[1], 'r:id') : null;
+    const relations = read('xl/_rels/workbook.xml.rels') || '';
+    const relation = (relations.match(/<Relationship\b[^>]*>/g) || []).find(item => readAttribute(item, 'Id') === relationId);
+    const target = relation ? readAttribute(relation, 'Target') : 'worksheets/sheet1.xml';
+    const sheetPath = target.startsWith('/') ? target.slice(1) : path.posix.join('xl', target);
+
+    const sheetXml = read(sheetPath);
+    if (!sheetXml) {
+        throw new Error('Arquivo XLSX sem planilhas');
+    }
+
+    const sharedStrings = (read('xl/sharedStrings.xml') || '').match(/<si\b[^>]*>[\s\S]*?<\/si>/g) || [];
+    const strings = sharedStrings.map(readText);
+
+    const rows = [];
+    const rowPattern = /<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g;
+    let rowMatch;
+
+    while ((rowMatch = rowPattern.exec(sheetXml)) !== null) {
+        const cells = [];
+        const cellPattern = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+        let cellMatch;
+
+        while ((cellMatch = cellPattern.exec(rowMatch[2] || '')) !== null) {
+            const attributes = cellMatch[1];
+            const content = cellMatch[2] || '';
+            const reference = readAttribute(attributes, 'r');
+            const type = readAttribute(attributes, 't');
+            const value = content.match(/<v\b[^>]*>([\s\S]*?)<\/v>/);
+
+            let text = '';
+
+            if (type === 'inlineStr') {
+                text = readText(content);
+            } else if (type === 's') {
+                text = value ? strings[parseInt(value[1], 10)] || '' : '';
+            } else if (type === 'b') {
+                text = value && value[1] === '1' ? 'true' : 'false';
+            } else if (value) {
+                text = decodeXml(value[1]);
+            }
+
+            cells[reference ? columnIndex(reference) : cells.length] = text;
+        }
+
+        rows.push({ row: parseInt(readAttribute(rowMatch[1], 'r'), 10) || rows.length + 1, cells: Array.from(cells, cell => cell || '') });
+    }
+
+    return rows;
+};
+
+/**
+ * Lê um arquivo enviado (CSV ou XLSX) como uma lista de objetos, usando a primeira linha como cabeçalho
+ * @param {Object} file - Arquivo do multer ({ originalname, buffer })
+ * @param {Function} normalizeHeader - Converte o título da coluna no nome do campo (null ignora a coluna)
+ * @returns {Array} [{ row, data }] com o número da linha no arquivo; linhas vazias são ignoradas
+ */
+const readSpreadsheet = (file, normalizeHeader) => {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+
+    let rows;
+
+    if (extension === '.xlsx') {
+        rows = parseXlsx(file.buffer);
+    } else if (extension === '.csv') {
+        rows = parseCsv(file.buffer.toString('utf8')).map((cells, index) => ({ row: index + 1, cells }));
+    } else {
+        throw new Error('Formato de arquivo não suportado. Envie um .csv ou .xlsx');
+    }
+
+    if (rows.length === 0) {
+        return [];
+    }
+
+    const headers = rows[0].cells.map(header => normalizeHeader(String(header).trim()));
+
+    return rows.slice(1)
+        .filter(({ cells }) => cells.some(cell => String(cell).trim() !== ''))
+        .map(({ row, cells }) => ({
+            row: row,
+            data: Object.fromEntries(headers
+                .map((field, index) => [field, cells[index] !== undefined ? String(cells[index]).trim() : ''])
+                .filter(([field]) => field))
+        }));
+};
+
+module.exports = {
+    parseXlsx,
+    readSpreadsheet
+};
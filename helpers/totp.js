@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+
+// RFC 6238 defaults understood by every authenticator app
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+const ALLOWED_DRIFT_STEPS = 1;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+    let bits = '';
+    for (const byte of buffer) {
+        bits += byte.toString(2).padStart(8, '0');
+    }
+
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+
+    return output;
+};
+
+const base32Decode = (text) => {
+    let bits = '';
+    for (const char of text.replace(/=+$/, '').toUpperCase()) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) {
+            throw new Error('Segredo TOTP inválido');
+        }
+        bits += value.toString(2).padStart(5, '0');
+    }
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+
+    return Buffer.from(bytes);
+};
+
+// HOTP (RFC 4226) for a given time step
+const generateCode = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / PERIOD_SECONDS);
+
+/**
+ * Gera um novo segredo TOTP (160 bits, em base32)
+ * @returns {String}
+ */
+const generateSecret = () => {
+    return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * Monta a URI otpauth:// usada pelos aplicativos autenticadores (QR code)
+ * @param {String} secret - Segredo em base32
+ * @param {String} accountName - Identificação da conta (e-mail)
+ * @returns {String}
+ */
+const buildOtpauthUri = (secret, accountName) => {
+    const issuer = process.env.TWO_FACTOR_ISSUER || 'M2TIE';
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret: secret,
+        issuer: issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(PERIOD_SECONDS)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Verifica um código TOTP aceitando um passo de diferença de relógio
+ * @param {String} secret - Segredo em base32
+ * @param {String} code - Código informado pelo usuário
+ * @param {Number} lastUsedStep - Último passo aceito (impede reutilizar o mesmo código)
+ * @returns {Number|null} Passo aceito, ou null se o código for inválido
+ */
+const verifyCode = (secret, code, lastUsedStep = -1) => {
+    const normalized = String(code || '').replace(/\s/g, '');
+
+    if (!/^\d+$/.test(normalized) || normalized.length !== DIGITS) {
+        return null;
+    }
+
+    const now = currentStep();
+
+    for (let step = now - ALLOWED_DRIFT_STEPS; step <= now + ALLOWED_DRIFT_STEPS; step++) {
+        if (step <= lastUsedStep) {
+            continue;
+        }
+
+        const expected = generateCode(secret, step);
+
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+
+    return null;
+};
+
+module.exports = {
+    generateSecret,
+    buildOtpauthUri,
+    verifyCode
+};
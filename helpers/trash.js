@@ -0,0 +1,255 @@
+const Form = require('../models/form');
+const Question = require('../models/question');
+const User = require('../models/user');
+const Response = require('../models/response');
+const Group = require('../models/group');
+const ConsentTerm = require('../models/consentTerm');
+const AuditLog = require('../models/auditLog');
+const { institutionFilter, formScopeFilter, canManageRole } = require('./institutions');
+const { recordAudit } = require('./audit');
+const { ANONYMIZED_RESPONDENT } = require('./erasure');
+
+// Soft-deleted entities listed in the trash: the permission that deletes them also lists and restores them
+const TRASH_TYPES = {
+    forms: {
+        model: Form,
+        label: 'Formulários',
+        permission: 'forms:delete',
+        targetType: 'Form',
+        audit: 'form',
+        sort: ['deletedAt', 'createdAt', 'title'],
+        search: ['title', 'description'],
+        fields: ['title', 'description', 'type', 'isActive', 'institutionId'],
+        scope: async (req) => institutionFilter(req),
+        summary: (form) => ({ title: form.title, description: form.description, type: form.type, isActive: form.isActive, institutionId: form.institutionId })
+    },
+    questions: {
+        model: Question,
+        label: 'Questões',
+        permission: 'questions:delete',
+        targetType: 'Question',
+        audit: 'question',
+        sort: ['deletedAt', 'createdAt', 'title'],
+        search: ['title'],
+        fields: ['title', 'type'],
+        scope: async () => ({}),
+        summary: (question) => ({ title: question.title, type: question.type })
+    },
+    users: {
+        model: User,
+        label: 'Usuários',
+        permission: 'users:delete',
+        targetType: 'User',
+        audit: 'user',
+        sort: ['deletedAt', 'createdAt', 'name'],
+        search: ['name', 'email'],
+        fields: ['name', 'email', 'role', 'institution', 'institutionId'],
+        // Erased accounts are empty shells kept for references; there is nothing to bring back
+        scope: async (req) => ({ erasedAt: null, ...institutionFilter(req) }),
+        summary: (user) => ({ name: user.name, email: user.email, role: user.role, institution: user.institution, institutionId: user.institutionId })
+    },
+    responses: {
+        model: Response,
+        label: 'Respostas',
+        permission: 'responses:delete',
+        targetType: 'Response',
+        audit: 'response',
+        sort: ['deletedAt', 'submittedAt'],
+        search: ['answers.answer'],
+        fields: ['form', 'user', 'submittedAt', 'anonymized'],
+        // Discarded drafts are not research data and are left to the retention rules
+        scope: async (req) => ({ isDraft: false, ...await formScopeFilter(req) }),
+        populate: [
+            { path: 'formId', select: 'title deleted' },
+            { path: 'userId', select: 'name email deleted' }
+        ],
+        summary: (response) => ({
+            form: response.formId ? { _id: response.formId._id, title: response.formId.title, deleted: response.formId.deleted } : null,
+            user: response.userId ? { _id: response.userId._id, name: response.userId.name, email: response.userId.email, deleted: response.userId.deleted } : ANONYMIZED_RESPONDENT,
+            submittedAt: response.submittedAt,
+            anonymized: response.anonymized
+        })
+    },
+    groups: {
+        model: Group,
+        label: 'Grupos',
+        permission: 'groups:manage',
+        targetType: 'Group',
+        audit: 'group',
+        sort: ['deletedAt', 'createdAt', 'name'],
+        search: ['name', 'description'],
+        fields: ['name', 'description', 'totalMembers', 'institutionId'],
+        scope: async (req) => institutionFilter(req),
+        summary: (group) => ({ name: group.name, description: group.description, totalMembers: group.members.length, institutionId: group.institutionId })
+    }
+};
+
+// Records that other items depend on but that have no trash listing of their own
+const DEPENDENCY_TYPES = {
+    ...TRASH_TYPES,
+    consentTerms: {
+        model: ConsentTerm,
+        label: 'Termos de consentimento',
+        permission: 'consents:manage',
+        targetType: 'ConsentTerm',
+        audit: 'consent_term'
+    }
+};
+
+const LABEL_FIELDS = { forms: 'title', questions: 'title', users: 'name', groups: 'name', consentTerms: 'title' };
+
+// Deleted records an item needs to work again, e.g. the questions of a form
+const directDependencies = async (type, item) => {
+    const found = [];
+    const add = (dependencyType, documents) => documents.forEach(document => found.push({ type: dependencyType, document }));
+
+    if (type === 'forms') {
+        add('questions', await Question.find({ _id: { $in: item.questions.map(question => question.questionId).filter(Boolean) }, deleted: true }));
+        add('groups', await Group.find({ _id: { $in: item.assignedGroups }, deleted: true }));
+
+        if (item.consentTermId) {
+            add('consentTerms', await ConsentTerm.find({ _id: item.consentTermId, deleted: true }));
+        }
+    }
+
+    if (type === 'responses') {
+        const formId = item.formId && item.formId._id ? item.formId._id : item.formId;
+        const userId = item.userId && item.userId._id ? item.userId._id : item.userId;
+
+        add('forms', await Form.find({ _id: formId, deleted: true }));
+        add('questions', await Question.find({ _id: { $in: item.answers.map(answer => answer.questionId).filter(Boolean) }, deleted: true }));
+
+        if (userId) {
+            add('users', await User.find({ _id: userId, deleted: true, erasedAt: null }));
+        }
+    }
+
+    return found;
+};
+
+/**
+ * Lista os registros removidos de que um item da lixeira depende, incluindo as dependências delas
+ * (ex: a resposta depende do formulário, que depende das questões)
+ * @param {String} type - Tipo do item (chave de TRASH_TYPES)
+ * @param {Object} item - Documento removido
+ * @returns {Array} [{ type, document }]
+ */
+const findDeletedDependencies = async (type, item) => {
+    const seen = new Set([`${type}:${item._id}`]);
+    const result = [];
+    const pending = [{ type, document: item }];
+
+    while (pending.length > 0) {
+        const current = pending.shift();
+
+        for (const dependency of await directDependencies(current.type, current.document)) {
+            const key = `${dependency.type}:${dependency.document._id}`;
+
+            if (!seen.has(key)) {
+                seen.add(key);
+                result.push(dependency);
+                pending.push(dependency);
+            }
+        }
+    }
+
+    return result;
+};
+
+/**
+ * Resumo de uma dependência para a resposta da API
+ * @param {Object} dependency - { type, document }
+ * @returns {Object} { type, _id, label, permission }
+ */
+const describeDependency = ({ type, document }) => ({
+    type: type,
+    _id: document._id,
+    label: document[LABEL_FIELDS[type]] || null,
+    permission: DEPENDENCY_TYPES[type].permission
+});
+
+/**
+ * Verifica se o item pode voltar, além das dependências: funções acima de quem restaura e nomes já reutilizados
+ * @param {Object} req - Requisição (usar depois do require-permission)
+ * @param {String} type - Tipo do item
+ * @param {Object} item - Documento removido
+ * @returns {Object|null} { status, error } quando não pode ser restaurado
+ */
+const checkRestore = async (req, type, item) => {
+    if (type === 'users' && !(await canManageRole(req, item.role))) {
+        return { status: 403, error: "Você não pode restaurar usuários com permissões que não possui" };
+    }
+
+    if (type === 'groups') {
+        const exact = new RegExp(`^${item.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+
+        if (await Group.exists({ name: exact, institutionId: item.institutionId, deleted: false })) {
+            return { status: 409, error: "Já existe um grupo ativo com este nome na instituição. Renomeie-o antes de restaurar" };
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Tira os itens da lixeira e registra cada restauração na auditoria
+ * @param {Object} req - Requisição
+ * @param {Array} items - [{ type, document }], dependências antes do item que depende delas
+ * @param {Object} metadata - Contexto registrado em cada entrada da auditoria
+ */
+const restoreItems = async (req, items, metadata = null) => {
+    for (const { type, document } of items) {
+        const definition = DEPENDENCY_TYPES[type];
+
+        await definition.model.updateOne({ _id: document._id }, { $set: { deleted: false }, $unset: { deletedAt: 1, deletedBy: 1 } });
+
+        await recordAudit(req, {
+            action: `${definition.audit}.restore`,
+            targetType: definition.targetType,
+            targetId: document._id,
+            before: { deleted: true },
+            after: { deleted: false },
+            metadata: metadata
+        });
+    }
+};
+
+/**
+ * Quem removeu e quando. Itens removidos antes desses campos existirem usam a entrada de remoção da auditoria
+ * @param {String} type - Tipo dos itens
+ * @param {Array} items - Documentos com deletedBy populado
+ * @returns {Map} ID do item => { deletedAt, deletedBy }
+ */
+const getDeletionInfo = async (type, items) => {
+    const definition = TRASH_TYPES[type];
+    const legacy = items.filter(item => !item.deletedAt).map(item => String(item._id));
+
+    const logs = legacy.length > 0
+        ? await AuditLog.find({ action: `${definition.audit}.delete`, targetId: { $in: legacy } })
+            .sort({ createdAt: -1 })
+            .populate({ path: 'actor', select: 'name email' })
+        : [];
+
+    return new Map(items.map(item => {
+        if (item.deletedAt) {
+            return [String(item._id), { deletedAt: item.deletedAt, deletedBy: item.deletedBy || null }];
+        }
+
+        const log = logs.find(entry => entry.targetId === String(item._id));
+
+        return [String(item._id), {
+            deletedAt: log ? log.createdAt : null,
+            deletedBy: log ? (log.actor || (log.actorEmail ? { email: log.actorEmail } : null)) : null
+        }];
+    }));
+};
+
+module.exports = {
+    TRASH_TYPES,
+    DEPENDENCY_TYPES,
+    findDeletedDependencies,
+    describeDependency,
+    checkRestore,
+    restoreItems,
+    getDeletionInfo
+};
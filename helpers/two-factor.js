@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+
+const User = require('../models/user');
+const { hashToken } = require('./hashed-token');
+const { verifyCode } = require('./totp');
+
+const RECOVERY_CODES_COUNT = 10;
+
+const normalizeRecoveryCode = (code) => String(code || '').replace(/[\s-]/g, '').toLowerCase();
+
+/**
+ * Gera códigos de recuperação de uso único
+ * @returns {Object} { codes: Array (mostrar ao usuário uma única vez), hashedCodes: Array (salvar no usuário) }
+ */
+const generateRecoveryCodes = () => {
+    const codes = [];
+
+    for (let i = 0; i < RECOVERY_CODES_COUNT; i++) {
+        const raw = crypto.randomBytes(5).toString('hex');
+        codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+
+    return {
+        codes,
+        hashedCodes: codes.map(code => hashToken(normalizeRecoveryCode(code)))
+    };
+};
+
+/**
+ * Valida o segundo fator do usuário: código TOTP ou código de recuperação (consumido no uso)
+ * @param {String} userId - ID do usuário
+ * @param {Object} input - { code?, recoveryCode? }
+ * @returns {String|null} 'totp' | 'recovery' | null se inválido
+ */
+const verifySecondFactor = async (userId, input) => {
+    const user = await User.findOne({ _id: userId, deleted: false }).select('+twoFactorSecret +twoFactorLastStep');
+
+    if (!user || !user.twoFactorEnabled || !user.twoFactorSecret) {
+        return null;
+    }
+
+    if (input.code) {
+        const lastStep = user.twoFactorLastStep ?? -1;
+        const step = verifyCode(user.twoFactorSecret, input.code, lastStep);
+
+        if (step === null) {
+            return null;
+        }
+
+        // Atomically record the step so the same code cannot be replayed
+        const updated = await User.updateOne(
+            { _id: user._id, $or: [{ twoFactorLastStep: { $exists: false } }, { twoFactorLastStep: { $lt: step } }] },
+            { $set: { twoFactorLastStep: step } }
+        );
+
+        return updated.modifiedCount === 1 ? 'totp' : null;
+    }
+
+    if (input.recoveryCode) {
+        const hashedCode = hashToken(normalizeRecoveryCode(input.recoveryCode));
+
+        const updated = await User.updateOne(
+            { _id: user._id, twoFactorRecoveryCodes: hashedCode },
+            { $pull: { twoFactorRecoveryCodes: hashedCode } }
+        );
+
+        return updated.modifiedCount === 1 ? 'recovery' : null;
+    }
+
+    return null;
+};
+
+/**
+ * Campos que desativam o 2FA de um usuário
+ * @returns {Object} Objeto para $set / $unset
+ */
+const twoFactorResetUpdate = () => {
+    return {
+        $set: { twoFactorEnabled: false },
+        $unset: {
+            twoFactorEnabledAt: 1,
+            twoFactorSecret: 1,
+            twoFactorPendingSecret: 1,
+            twoFactorLastStep: 1,
+            twoFactorRecoveryCodes: 1
+        }
+    };
+};
+
+module.exports = {
+    generateRecoveryCodes,
+    verifySecondFactor,
+    twoFactorResetUpdate
+};
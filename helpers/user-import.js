@@ -0,0 +1,235 @@
+const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const User = require('../models/user');
+const { validatePassword } = require('./password-policy');
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('./email-templates');
+const { listRoleKeys } = require('./permissions');
+const { findInstitution, hasGlobalScope, canManageRole } = require('./institutions');
+const { generateHashedToken } = require('./hashed-token');
+const { INVITE_EXPIRES_DAYS } = require('./invites');
+
+const IMPORT_MAX_ROWS = parseInt(process.env.USER_IMPORT_MAX_ROWS) || 500;
+
+// Accepted column titles (compared without accents and case) for each user field
+const COLUMN_ALIASES = {
+    name: ['name', 'nome'],
+    email: ['email', 'e-mail'],
+    role: ['role', 'funcao', 'perfil'],
+    city: ['city', 'cidade'],
+    state: ['state', 'estado', 'uf'],
+    institution: ['institution', 'instituicao'],
+    anonymous: ['anonymous', 'anonimo'],
+    preferredLanguage: ['preferredlanguage', 'language', 'idioma'],
+    password: ['password', 'senha']
+};
+
+// Columns of the template offered for download, with an example row
+const TEMPLATE_COLUMNS = [
+    { key: 'name', header: 'nome', example: 'Maria Souza' },
+    { key: 'email', header: 'email', example: 'maria.souza@escola.com' },
+    { key: 'role', header: 'funcao', example: 'student' },
+    { key: 'city', header: 'cidade', example: 'Belo Horizonte' },
+    { key: 'state', header: 'estado', example: 'MG' },
+    { key: 'institution', header: 'instituicao', example: 'UFMG' },
+    { key: 'anonymous', header: 'anonimo', example: 'nao' },
+    { key: 'preferredLanguage', header: 'idioma', example: 'pt-BR' },
+    { key: 'password', header: 'senha', example: '' }
+];
+
+const TRUE_VALUES = ['true', 'sim', 's', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'nao', 'n', 'no', '0', ''];
+
+const simplify = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[\s_]/g, '');
+
+const lookupInstitution = async (name, cache) => {
+    const key = name.toLowerCase();
+
+    if (!cache.has(key)) {
+        cache.set(key, await findInstitution({ institution: name }));
+    }
+
+    return cache.get(key);
+};
+
+const isOwnInstitution = async (req, name, cache) => {
+    const registered = await lookupInstitution(name, cache);
+
+    return registered
+        ? String(registered._id) === String(req.currentUser.institutionId)
+        : name.toLowerCase() === String(req.currentUser.institution).toLowerCase();
+};
+
+/**
+ * Converte o título de uma coluna da planilha no campo do usuário
+ * @param {String} header - Título da coluna
+ * @returns {String|null} Campo, ou null para colunas desconhecidas (ignoradas)
+ */
+const normalizeImportHeader = (header) => {
+    const simple = simplify(header);
+    const field = Object.keys(COLUMN_ALIASES).find(key => COLUMN_ALIASES[key].includes(simple));
+
+    return field || null;
+};
+
+/**
+ * Valida as linhas da planilha com as mesmas regras do cadastro
+ * @param {Object} req - Requisição (usar depois do require-permission)
+ * @param {Array} rows - [{ row, data }] de readSpreadsheet
+ * @returns {Array} [{ row, email, name, role, errors, user }] com os dados do usuário a criar nas linhas válidas
+ */
+const validateImportRows = async (req, rows) => {
+    const validRoles = await listRoleKeys();
+    const globalScope = hasGlobalScope(req);
+
+    const emails = rows.map(({ data }) => (data.email || '').toLowerCase());
+    const existing = new Set((await User.find({ email: { $in: emails.filter(Boolean) } }).select('email')).map(user => user.email));
+
+    // Institutions are looked up once per name
+    const institutions = new Map();
+    const manageable = new Map();
+    const seen = new Set();
+
+    const results = [];
+
+    for (const { row, data } of rows) {
+        const errors = [];
+        const email = (data.email || '').toLowerCase();
+
+        for (const field of ['name', 'email', 'role', 'city', 'state']) {
+            if (!data[field]) {
+                errors.push(`Campo obrigatório não preenchido: ${field}`);
+            }
+        }
+
+        if (email) {
+            if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+                errors.push("Formato de e-mail inválido");
+            } else if (existing.has(email)) {
+                errors.push("O e-mail já está em uso");
+            } else if (seen.has(email)) {
+                errors.push("E-mail repetido na planilha");
+            }
+            seen.add(email);
+        }
+
+        if (data.role) {
+            if (!validRoles.includes(data.role)) {
+                errors.push("Função inválida");
+            } else {
+                if (!manageable.has(data.role)) {
+                    manageable.set(data.role, await canManageRole(req, data.role));
+                }
+                if (!manageable.get(data.role)) {
+                    errors.push("Você não pode criar usuários com permissões que não possui");
+                }
+            }
+        }
+
+        // Institution: the importer's own unless they have global scope; unknown names stay as free text, as in the registration
+        let institution = null;
+        let institutionId = null;
+
+        if (!globalScope) {
+            const own = req.currentUser.institution;
+
+            if (!req.currentUser.institutionId) {
+                errors.push("Seu usuário não está vinculado a uma instituição");
+            } else if (data.institution && !(await isOwnInstitution(req, data.institution, institutions))) {
+                errors.push("Usuários só podem ser importados para a sua instituição");
+            }
+
+            institution = own;
+            institutionId = req.currentUser.institutionId;
+
+        } else if (!data.institution) {
+            errors.push("Campo obrigatório não preenchido: institution");
+        } else {
+            const registered = await lookupInstitution(data.institution, institutions);
+
+            institution = registered ? registered.name : data.institution;
+            institutionId = registered ? registered._id : null;
+        }
+
+        const anonymous = simplify(data.anonymous || '');
+        if (![...TRUE_VALUES, ...FALSE_VALUES].includes(anonymous)) {
+            errors.push("Valor inválido para anonymous. Use sim ou não");
+        }
+
+        if (data.preferredLanguage && !LANGUAGES.includes(data.preferredLanguage)) {
+            errors.push(`Idioma inválido. Use: ${LANGUAGES.join(', ')}`);
+        }
+
+        if (data.password) {
+            const passwordValidation = validatePassword(data.password);
+            if (!passwordValidation.isValid) {
+                errors.push(passwordValidation.error);
+            }
+        }
+
+        results.push({
+            row: row,
+            email: email || null,
+            name: data.name || null,
+            role: data.role || null,
+            errors: errors,
+            user: errors.length > 0 ? null : {
+                name: data.name,
+                anonymous: TRUE_VALUES.includes(anonymous),
+                email: email,
+                password: data.password || null,
+                role: data.role,
+                city: data.city,
+                state: data.state,
+                institution: institution,
+                institutionId: institutionId,
+                preferredLanguage: data.preferredLanguage || DEFAULT_LANGUAGE
+            }
+        });
+    }
+
+    return results;
+};
+
+/**
+ * Cria os usuários validados em um único lote
+ * @param {Array} rows - Linhas válidas de validateImportRows
+ * @param {Object} options - { sendInvites }: gera o link para definir a senha (válido por INVITE_EXPIRES_DAYS dias)
+ * @returns {Array} [{ row, user, token }] com o token original do link, quando gerado
+ */
+const createImportedUsers = async (rows, { sendInvites }) => {
+    const prepared = [];
+
+    for (const { row, user } of rows) {
+        // Without a password in the sheet the account gets an unknown one: the user sets theirs through the e-mailed link or "forgot password"
+        const passwordHash = await bcrypt.hash(user.password || crypto.randomBytes(32).toString('hex'), 12);
+        const invite = sendInvites ? generateHashedToken() : null;
+
+        prepared.push({
+            row: row,
+            token: invite ? invite.token : null,
+            document: {
+                ...user,
+                password: passwordHash,
+                passwordChangedAt: user.password ? new Date() : undefined,
+                // Confirmed when the user follows a link sent to the address (set password or verification)
+                emailVerified: false,
+                ...(invite ? {
+                    resetPasswordToken: invite.hashedToken,
+                    resetPasswordExpires: Date.now() + INVITE_EXPIRES_DAYS * 24 * 60 * 60 * 1000
+                } : {})
+            }
+        });
+    }
+
+    const created = await User.insertMany(prepared.map(item => item.document));
+
+    return prepared.map((item, index) => ({ row: item.row, user: created[index], token: item.token }));
+};
+
+module.exports = {
+    IMPORT_MAX_ROWS,
+    TEMPLATE_COLUMNS,
+    normalizeImportHeader,
+    validateImportRows,
+    createImportedUsers
+};
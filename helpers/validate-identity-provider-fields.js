@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const isHttpUrl = (value) => {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Valida os dados de um provedor de identidade (OIDC)
+ * @param {Object} data - Campos enviados
+ * @param {Array} validRoles - Chaves das funções existentes (nativas e personalizadas)
+ * @param {Boolean} partial - true na atualização (apenas os campos enviados são validados)
+ * @returns {Object} { isValid: boolean, error: string|null }
+ */
+const validateIdentityProviderFields = (data, validRoles, partial = false) => {
+    const { name, slug, institution, institutionId, issuer, clientId, scopes, emailDomains, roleClaim, roleMapping, defaultRole, institutionClaim, autoProvision, enabled } = data;
+
+    // Required fields on creation
+    if (!partial && (!name || !slug || (!institution && !institutionId) || !issuer || !clientId)) {
+        return { isValid: false, error: "Por favor preencha todos os campos obrigatórios" };
+    }
+
+    for (const [field, value] of Object.entries({ name, institution, clientId })) {
+        if (value !== undefined && (typeof value !== 'string' || value.trim().length === 0)) {
+            return { isValid: false, error: `O campo "${field}" não pode ser vazio` };
+        }
+    }
+
+    if (institutionId !== undefined && institutionId !== null && !mongoose.Types.ObjectId.isValid(institutionId)) {
+        return { isValid: false, error: "ID de instituição inválido" };
+    }
+
+    if (slug !== undefined && (typeof slug !== 'string' || !/^[a-z0-9-]{2,40}$/.test(slug))) {
+        return { isValid: false, error: "O slug deve ter de 2 a 40 caracteres: letras minúsculas, números ou hífen" };
+    }
+
+    if (issuer !== undefined && (typeof issuer !== 'string' || !isHttpUrl(issuer))) {
+        return { isValid: false, error: "O issuer deve ser uma URL http(s)" };
+    }
+
+    if (scopes !== undefined && (typeof scopes !== 'string' || !scopes.split(/\s+/).includes('openid'))) {
+        return { isValid: false, error: "Os escopos devem incluir \"openid\"" };
+    }
+
+    if (emailDomains !== undefined && (!Array.isArray(emailDomains) || !emailDomains.every(domain => typeof domain === 'string' && /^[^\s@]+\.[^\s@]+$/.test(domain.trim())))) {
+        return { isValid: false, error: "emailDomains deve ser uma lista de domínios (ex: utfpr.edu.br)" };
+    }
+
+    for (const [field, value] of Object.entries({ roleClaim, institutionClaim })) {
+        if (value !== undefined && value !== null && (typeof value !== 'string' || value.trim().length === 0)) {
+            return { isValid: false, error: `O campo "${field}" deve ser o nome de uma claim` };
+        }
+    }
+
+    if (roleMapping !== undefined) {
+        if (!Array.isArray(roleMapping)) {
+            return { isValid: false, error: "roleMapping deve ser uma lista" };
+        }
+
+        for (let i = 0; i < roleMapping.length; i++) {
+            const item = roleMapping[i];
+
+            if (!item || typeof item.value !== 'string' || item.value.trim().length === 0) {
+                return { isValid: false, error: `roleMapping ${i + 1}: o campo "value" é obrigatório` };
+            }
+
+            if (!validRoles.includes(item.role)) {
+                return { isValid: false, error: `roleMapping ${i + 1}: função inválida` };
+            }
+        }
+    }
+
+    if (defaultRole !== undefined && !validRoles.includes(defaultRole)) {
+        return { isValid: false, error: "Função padrão inválida" };
+    }
+
+    for (const [field, value] of Object.entries({ autoProvision, enabled })) {
+        if (value !== undefined && typeof value !== 'boolean') {
+            return { isValid: false, error: `O campo "${field}" deve ser verdadeiro ou falso` };
+        }
+    }
+
+    return { isValid: true, error: null };
+};
+
+module.exports = validateIdentityProviderFields;
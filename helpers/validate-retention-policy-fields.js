@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const { RETENTION_TARGETS, RETENTION_MODES, RETENTION_BASES } = require('./retention');
+
+/**
+ * Valida os dados de uma política de retenção. Na atualização, a combinação é conferida com os valores atuais
+ * @param {Object} data - Campos enviados
+ * @param {Object|null} current - Política atual (null na criação)
+ * @returns {Object} { isValid: boolean, error: string|null }
+ */
+const validateRetentionPolicyFields = (data, current = null) => {
+    const { name, target, action, afterDays, basis, formId, mode } = data;
+
+    // Required fields on creation
+    if (!current && (!name || !target || !action || afterDays === undefined)) {
+        return { isValid: false, error: "Por favor preencha todos os campos obrigatórios" };
+    }
+
+    if (name !== undefined && (typeof name !== 'string' || name.trim().length === 0)) {
+        return { isValid: false, error: "O nome da política não pode ser vazio" };
+    }
+
+    if (target !== undefined && !Object.keys(RETENTION_TARGETS).includes(target)) {
+        return { isValid: false, error: `Alvo inválido. Use: ${Object.keys(RETENTION_TARGETS).join(', ')}` };
+    }
+
+    if (afterDays !== undefined && (!Number.isInteger(afterDays) || afterDays < 1)) {
+        return { isValid: false, error: "afterDays deve ser um número inteiro de dias maior que zero" };
+    }
+
+    if (mode !== undefined && !RETENTION_MODES.includes(mode)) {
+        return { isValid: false, error: `Modo inválido. Use: ${RETENTION_MODES.join(', ')}` };
+    }
+
+    if (basis !== undefined && !RETENTION_BASES.includes(basis)) {
+        return { isValid: false, error: `Base inválida. Use: ${RETENTION_BASES.join(', ')}` };
+    }
+
+    if (formId !== undefined && formId !== null && !mongoose.Types.ObjectId.isValid(formId)) {
+        return { isValid: false, error: "ID de formulário inválido" };
+    }
+
+    // The combination, with the values kept from the current policy
+    const merged = {
+        target: target !== undefined ? target : current.target,
+        action: action !== undefined ? action : current.action,
+        basis: basis !== undefined ? basis : (current ? current.basis : 'submittedAt'),
+        formId: formId !== undefined ? formId : (current ? current.formId : null)
+    };
+    const definition = RETENTION_TARGETS[merged.target];
+
+    if (!definition.actions.includes(merged.action)) {
+        return { isValid: false, error: `Ação inválida para ${merged.target}. Use: ${definition.actions.join(', ')}` };
+    }
+
+    if (merged.basis === 'formClosedAt' && merged.target !== 'responses') {
+        return { isValid: false, error: "A base formClosedAt só se aplica ao alvo responses" };
+    }
+
+    if (merged.formId && !definition.perForm) {
+        return { isValid: false, error: "formId só se aplica aos alvos drafts, responses e deleted_responses" };
+    }
+
+    return { isValid: true, error: null };
+};
+
+module.exports = validateRetentionPolicyFields;
@@ -0,0 +1,40 @@
+const { PERMISSION_KEYS } = require('./permissions');
+
+/**
+ * Valida os dados de uma função (nome, descrição e permissões)
+ * @param {Object} data - Campos enviados
+ * @param {Boolean} partial - true na atualização (apenas os campos enviados são validados)
+ * @returns {Object} { isValid: boolean, error: string|null }
+ */
+const validateRoleFields = (data, partial = false) => {
+    const { name, description, permissions } = data;
+
+    // Required fields on creation
+    if (!partial && (!name || !permissions)) {
+        return { isValid: false, error: "Por favor preencha todos os campos obrigatórios" };
+    }
+
+    if (name !== undefined && (typeof name !== 'string' || name.trim().length === 0)) {
+        return { isValid: false, error: "O nome da função não pode ser vazio" };
+    }
+
+    if (description !== undefined && typeof description !== 'string') {
+        return { isValid: false, error: "A descrição deve ser um texto" };
+    }
+
+    if (permissions !== undefined) {
+        if (!Array.isArray(permissions)) {
+            return { isValid: false, error: "permissions deve ser uma lista" };
+        }
+
+        const invalid = permissions.filter(permission => !PERMISSION_KEYS.includes(permission));
+
+        if (invalid.length > 0) {
+            return { isValid: false, error: `Permissões inválidas: ${invalid.join(', ')}` };
+        }
+    }
+
+    return { isValid: true, error: null };
+};
+
+module.exports = validateRoleFields;
@@ -0,0 +1,168 @@
+const zlib = require('zlib');
+
+// DOS date/time used by the ZIP headers (local time, 2-second precision)
+const toDosDateTime = (date) => {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+    return { time, day };
+};
+
+/**
+ * Gera um arquivo ZIP (compressão deflate) em memória
+ * @param {Array} files - [{ name, content }] com content String (gravado em UTF-8) ou Buffer
+ * @returns {Buffer} Conteúdo do arquivo .zip
+ */
+const createZip = (files) => {
+    const { time, day } = toDosDateTime(new Date());
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = Buffer.from(file.name, 'utf8');
+        const data = Buffer.isBuffer(file.content) ? file.content : Buffer.from(file.content, 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const crc = zlib.crc32(data);
+
+        // Bit 11: file names are UTF-8
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(0x0800, 6);
+        local.writeUInt16LE(8, 8);
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(day, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt16LE(time, 12);
+        central.writeUInt16LE(day, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        localParts.push(local, name, compressed);
+        centralParts.push(central, name);
+        offset += local.length + name.length + compressed.length;
+    }
+
+    const centralSize = centralParts.reduce((total, part) => total + part.length, 0);
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, ...centralParts, end]);
+};
+
+/**
+ * Abre um ZIP (arquivos armazenados ou com deflate) lendo apenas o índice. Cada arquivo só é descompactado quando lido,
+ * e a soma do que foi descompactado não passa de maxTotalSize, de modo que um arquivo pequeno não se expande na memória
+ * @param {Buffer} buffer - Conteúdo do arquivo .zip
+ * @param {Number} maxTotalSize - Tamanho máximo descompactado de todos os arquivos lidos, em bytes
+ * @returns {Object} { has(nome), read(nome) => Buffer ou null }
+ */
+const openZip = (buffer, maxTotalSize = 50 * 1024 * 1024) => {
+    // The end of central directory record is in the last 22 bytes plus an optional comment of up to 64 KB
+    let end = -1;
+
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+        if (buffer.readUInt32LE(i) === 0x06054b50) {
+            end = i;
+            break;
+        }
+    }
+
+    if (end === -1) {
+        throw new Error('Arquivo ZIP inválido');
+    }
+
+    const count = buffer.readUInt16LE(end + 10);
+    let position = buffer.readUInt32LE(end + 16);
+    const entries = new Map();
+
+    for (let index = 0; index < count; index++) {
+        if (buffer.readUInt32LE(position) !== 0x02014b50) {
+            throw new Error('Arquivo ZIP inválido');
+        }
+
+        const nameLength = buffer.readUInt16LE(position + 28);
+        const extraLength = buffer.readUInt16LE(position + 30);
+        const commentLength = buffer.readUInt16LE(position + 32);
+        const name = buffer.toString('utf8', position + 46, position + 46 + nameLength);
+
+        entries.set(name, {
+            method: buffer.readUInt16LE(position + 10),
+            compressedSize: buffer.readUInt32LE(position + 20),
+            size: buffer.readUInt32LE(position + 24),
+            offset: buffer.readUInt32LE(position + 42)
+        });
+
+        position += 46 + nameLength + extraLength + commentLength;
+    }
+
+    let remaining = maxTotalSize;
+
+    const read = (name) => {
+        const entry = entries.get(name);
+
+        if (!entry) {
+            return null;
+        }
+
+        // The declared size is checked before inflating; maxOutputLength stops an entry whose header understates it
+        if (entry.size > remaining) {
+            throw new Error('O conteúdo do arquivo ZIP excede o tamanho permitido');
+        }
+
+        // The local header may have an extra field of a different size than the central one
+        const dataStart = entry.offset + 30 + buffer.readUInt16LE(entry.offset + 26) + buffer.readUInt16LE(entry.offset + 28);
+        const data = buffer.subarray(dataStart, dataStart + entry.compressedSize);
+        let content;
+
+        if (entry.method === 0) {
+            content = data;
+        } else if (entry.method === 8) {
+            try {
+                content = zlib.inflateRawSync(data, { maxOutputLength: Math.max(remaining, 1) });
+            } catch (error) {
+                if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+                    throw new Error('O conteúdo do arquivo ZIP excede o tamanho permitido');
+                }
+                throw error;
+            }
+        } else {
+            throw new Error(`Compressão não suportada no arquivo ${name}`);
+        }
+
+        if (content.length > remaining) {
+            throw new Error('O conteúdo do arquivo ZIP excede o tamanho permitido');
+        }
+
+        remaining -= content.length;
+
+        return content;
+    };
+
+    return { has: (name) => entries.has(name), read };
+};
+
+module.exports = {
+    createZip,
+    openZip
+};
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const apiKeySchema = new mongoose.Schema({
+    serviceAccountId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ServiceAccount',
+        required: true,
+        index: true
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    // Public part of the key, shown in listings to tell keys apart
+    prefix: {
+        type: String,
+        required: true
+    },
+    // Only the hash of the full key is stored
+    keyHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    scopes: [{
+        type: String,
+        enum: ['exports:read', 'analytics:read']
+    }],
+    forms: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Form'
+    }],
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    lastUsedAt: {
+        type: Date,
+        default: null
+    },
+    lastUsedIp: {
+        type: String,
+        default: null
+    },
+    lastUsedRoute: {
+        type: String,
+        default: null
+    },
+    usageCount: {
+        type: Number,
+        default: 0
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// Append-only record of administrative and data-access actions (helpers/audit.js)
+const auditLogSchema = new mongoose.Schema({
+    // Null for API keys and unauthenticated actions
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    // Copied at the time of the action so the entry still reads correctly after the account changes
+    actorEmail: {
+        type: String,
+        default: null
+    },
+    actorRole: {
+        type: String,
+        default: null
+    },
+    apiKey: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ApiKey',
+        default: null
+    },
+    // Institution of the actor, used to scope the log for institution-level reviewers
+    institutionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Institution',
+        default: null
+    },
+    // "<entity>.<verb>", e.g. "form.update", "responses.export"
+    action: {
+        type: String,
+        required: true
+    },
+    targetType: {
+        type: String,
+        required: true
+    },
+    targetId: {
+        type: String,
+        default: null
+    },
+    // Only the fields that changed; sensitive fields are redacted
+    before: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    after: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    // Extra context, e.g. the number of exported rows
+    metadata: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    ip: {
+        type: String,
+        default: ''
+    },
+    userAgent: {
+        type: String,
+        default: ''
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Entries are never changed or removed by the application; only the LGPD erasure pseudonymizes them, through the driver (helpers/erasure.js)
+const rejectChange = function () {
+    throw new Error('O registro de auditoria não pode ser alterado');
+};
+
+auditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'], rejectChange);
+
+auditLogSchema.pre('save', function () {
+    if (!this.isNew) {
+        rejectChange();
+    }
+});
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
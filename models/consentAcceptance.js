@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Acceptance of one version of a consent term by a participant
+const consentAcceptanceSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    termId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ConsentTerm',
+        required: true
+    },
+    version: {
+        type: Number,
+        required: true
+    },
+    // Form being answered when the term was accepted
+    formId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Form',
+        default: null
+    },
+    ip: {
+        type: String,
+        default: ''
+    },
+    userAgent: {
+        type: String,
+        default: ''
+    },
+    acceptedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+consentAcceptanceSchema.index({ userId: 1, termId: 1, version: 1 }, { unique: true });
+consentAcceptanceSchema.index({ termId: 1, version: 1 });
+
+const ConsentAcceptance = mongoose.model('ConsentAcceptance', consentAcceptanceSchema);
+
+module.exports = ConsentAcceptance;
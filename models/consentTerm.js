@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Informed-consent term (TCLE) attached to forms; every change of text is a new version that participants accept again
+const consentTermSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Null for terms outside any institution, visible only to users with global scope
+    institutionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Institution',
+        default: null,
+        index: true
+    },
+    // Version participants must have accepted to answer the forms that use this term
+    currentVersion: {
+        type: Number,
+        default: 1
+    },
+    // Published texts are never edited, so an acceptance always points to the exact text shown
+    versions: [{
+        _id: false,
+        version: {
+            type: Number,
+            required: true
+        },
+        text: {
+            type: String,
+            required: true
+        },
+        publishedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        publishedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    deleted: {
+        type: Boolean,
+        default: false
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const ConsentTerm = mongoose.model('ConsentTerm', consentTermSchema);
+
+module.exports = ConsentTerm;
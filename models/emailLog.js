@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// One document per e-mail sent by the system (the body is not stored, it may contain tokens)
+const emailLogSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        required: true
+    },
+    to: {
+        type: String,
+        required: true,
+        lowercase: true
+    },
+    subject: {
+        type: String,
+        required: true
+    },
+    driver: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'sent', 'failed'],
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    failures: [{
+        attempt: Number,
+        error: String,
+        at: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    messageId: {
+        type: String,
+        default: null
+    },
+    sentAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+emailLogSchema.index({ createdAt: -1 });
+emailLogSchema.index({ status: 1, createdAt: -1 });
+
+const EmailLog = mongoose.model('EmailLog', emailLogSchema);
+
+module.exports = EmailLog;
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Tombstone kept as proof that a user's personal data was erased (LGPD); holds no personal data itself
+const erasureSchema = new mongoose.Schema({
+    // ID of the erased account, which stays in the database scrubbed so references keep working
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    institutionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Institution',
+        default: null
+    },
+    requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    reason: {
+        type: String,
+        default: ''
+    },
+    // "anonymize" keeps submitted answers as research records without the user; "delete" removes them
+    responses: {
+        type: String,
+        enum: ['anonymize', 'delete'],
+        required: true
+    },
+    // What was removed or detached, for the record
+    counts: {
+        responsesAnonymized: { type: Number, default: 0 },
+        responsesDeleted: { type: Number, default: 0 },
+        draftsDeleted: { type: Number, default: 0 },
+        formsUnassigned: { type: Number, default: 0 },
+        groupsLeft: { type: Number, default: 0 },
+        auditEntriesPseudonymized: { type: Number, default: 0 },
+        invitesDeleted: { type: Number, default: 0 },
+        sessionsDeleted: { type: Number, default: 0 }
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Tombstones are never changed or removed by the application
+const rejectChange = function () {
+    throw new Error('O registro de eliminação não pode ser alterado');
+};
+
+erasureSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'], rejectChange);
+
+erasureSchema.pre('save', function () {
+    if (!this.isNew) {
+        rejectChange();
+    }
+});
+
+const Erasure = mongoose.model('Erasure', erasureSchema);
+
+module.exports = Erasure;
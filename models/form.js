@@ -24,18 +24,49 @@ const formSchema = new mongoose.Schema({
             default: false 
         }
     }],
+    // Null for forms outside any institution, visible only to users with global scope
+    institutionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Institution',
+        default: null,
+        index: true
+    },
+    // Consent term (TCLE) participants accept before answering; null when not required
+    consentTermId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ConsentTerm',
+        default: null
+    },
     assignedUsers: [{
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
     }],
+    // Groups whose current members are also assigned to the form
+    assignedGroups: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Group'
+    }],
     isActive: {
         type: Boolean,
         default: true
     },
+    // When the form was last deactivated; retention rules count "years after the form closes" from it
+    closedAt: {
+        type: Date,
+        default: null
+    },
     deleted: {
         type: Boolean,
         default: false
     },
+    // Who moved the form to the trash and when (GET /api/trash/forms)
+    deletedAt: {
+        type: Date
+    },
+    deletedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
     createdBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
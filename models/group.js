@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Group of respondents (a class, a cohort) that forms are assigned to as a whole
+const groupSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    // Null for groups outside any institution, visible only to users with global scope
+    institutionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Institution',
+        default: null,
+        index: true
+    },
+    // Forms assigned to the group reach whoever is a member at the time, so changes here flow to assignments
+    members: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        index: true
+    }],
+    deleted: {
+        type: Boolean,
+        default: false
+    },
+    // Who removed the group and when
+    deletedAt: {
+        type: Date
+    },
+    deletedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const Group = mongoose.model('Group', groupSchema);
+
+module.exports = Group;
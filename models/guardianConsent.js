@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+// Authorization given by a parent or guardian for an underage student to take part in the research
+const guardianConsentSchema = new mongoose.Schema({
+    // Student the authorization refers to (one record per student, reused on new requests)
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        unique: true
+    },
+    institutionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Institution',
+        default: null,
+        index: true
+    },
+    guardianName: {
+        type: String,
+        default: ''
+    },
+    guardianEmail: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true
+    },
+    // Hash of the token e-mailed to the guardian; the same link grants and later revokes
+    tokenHash: {
+        type: String,
+        required: true,
+        index: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'granted', 'revoked'],
+        default: 'pending'
+    },
+    // Deadline to grant through the current link (revoking is always possible)
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    requestedAt: {
+        type: Date,
+        default: Date.now
+    },
+    grantedAt: {
+        type: Date,
+        default: null
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    // History of requests, grants and revocations; "by" is null when the guardian acted through the link
+    events: [{
+        action: {
+            type: String,
+            enum: ['requested', 'granted', 'revoked'],
+            required: true
+        },
+        by: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+        guardianEmail: {
+            type: String,
+            default: ''
+        },
+        reason: {
+            type: String,
+            default: ''
+        },
+        ip: {
+            type: String,
+            default: ''
+        },
+        userAgent: {
+            type: String,
+            default: ''
+        },
+        at: {
+            type: Date,
+            default: Date.now
+        }
+    }]
+});
+
+const GuardianConsent = mongoose.model('GuardianConsent', guardianConsentSchema);
+
+module.exports = GuardianConsent;
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+const identityProviderSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true
+    },
+    // Used in the login URL: /api/auth/oidc/<slug>/authorize
+    slug: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true
+    },
+    // Institution given to users provisioned by this provider (when no claim overrides it)
+    institution: {
+        type: String,
+        required: true
+    },
+    // Registered institution of the provisioned users
+    institutionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Institution',
+        default: null
+    },
+    issuer: {
+        type: String,
+        required: true
+    },
+    clientId: {
+        type: String,
+        required: true
+    },
+    clientSecret: {
+        type: String,
+        select: false
+    },
+    scopes: {
+        type: String,
+        default: 'openid email profile'
+    },
+    // Accepted e-mail domains; empty accepts any domain
+    emailDomains: [{
+        type: String,
+        lowercase: true,
+        trim: true
+    }],
+    // Claim holding the user's role(s) at the institution, e.g. "roles" or "groups"
+    roleClaim: {
+        type: String,
+        default: 'roles'
+    },
+    // First matching claim value wins
+    roleMapping: [{
+        _id: false,
+        value: {
+            type: String,
+            required: true
+        },
+        role: {
+            type: String,
+            required: true
+        }
+    }],
+    defaultRole: {
+        type: String,
+        default: 'student'
+    },
+    // Optional claim with the institution name (e.g. a campus); falls back to `institution`
+    institutionClaim: {
+        type: String
+    },
+    // Create accounts on first login; when false only existing e-mails can sign in
+    autoProvision: {
+        type: Boolean,
+        default: true
+    },
+    enabled: {
+        type: Boolean,
+        default: true
+    },
+    deleted: {
+        type: Boolean,
+        default: false
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date
+    }
+});
+
+const IdentityProvider = mongoose.model('IdentityProvider', identityProviderSchema);
+
+module.exports = IdentityProvider;
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// School or university; users, forms and invites belong to one and institution-level roles only see its data
+const institutionSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    acronym: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    deleted: {
+        type: Boolean,
+        default: false
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date
+    }
+});
+
+const Institution = mongoose.model('Institution', institutionSchema);
+
+module.exports = Institution;
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const inviteSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true
+    },
+    role: {
+        type: String,
+        required: true
+    },
+    institution: {
+        type: String,
+        required: true
+    },
+    institutionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Institution',
+        default: null
+    },
+    // Language of the invite e-mail, also suggested as the user's preferred language
+    preferredLanguage: {
+        type: String,
+        enum: ['pt-BR', 'en'],
+        default: 'pt-BR'
+    },
+    assignedForms: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Form'
+    }],
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: {
+        type: Date,
+        default: null
+    },
+    usedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const Invite = mongoose.model('Invite', inviteSchema);
+
+module.exports = Invite;
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Lease that keeps a background job (e.g. the retention policies) to one server instance at a time
+const jobLockSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Random ID of the run holding the lock
+    owner: {
+        type: String,
+        default: null
+    },
+    // The lease ends here even if the holder crashes without releasing it
+    lockedUntil: {
+        type: Date,
+        required: true
+    }
+});
+
+const JobLock = mongoose.model('JobLock', jobLockSchema);
+
+module.exports = JobLock;
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const loginAttemptSchema = new mongoose.Schema({
+    action: {
+        type: String,
+        enum: ['login', 'forgot-password', 'magic-link', '2fa'],
+        required: true
+    },
+    scope: {
+        type: String,
+        enum: ['account', 'ip'],
+        required: true
+    },
+    // E-mail or user ID (scope "account") or IP address (scope "ip")
+    identifier: {
+        type: String,
+        required: true
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    lastAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    lockedUntil: {
+        type: Date,
+        default: null
+    },
+    lockCount: {
+        type: Number,
+        default: 0
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+loginAttemptSchema.index({ action: 1, scope: 1, identifier: 1 }, { unique: true });
+
+// Forget counters some time after the last attempt
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+
+module.exports = LoginAttempt;
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// One SSO login attempt: PKCE/nonce data until the callback, then a one-time code for the frontend
+const oidcLoginSchema = new mongoose.Schema({
+    provider: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'IdentityProvider',
+        required: true
+    },
+    stateHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    nonce: {
+        type: String,
+        required: true
+    },
+    codeVerifier: {
+        type: String,
+        required: true
+    },
+    // Set when the callback consumes the state, so it cannot be replayed
+    callbackAt: {
+        type: Date,
+        default: null
+    },
+    // Set by the callback; exchanged once for a session in /api/auth/oidc/exchange
+    loginCodeHash: {
+        type: String,
+        index: true,
+        sparse: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+// Abandoned logins disappear on their own
+oidcLoginSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const OidcLogin = mongoose.model('OidcLogin', oidcLoginSchema);
+
+module.exports = OidcLogin;
@@ -24,6 +24,14 @@ const questionSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
+    // Set together with deleted, so the trash can show who removed the question
+    deletedAt: {
+        type: Date
+    },
+    deletedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
     createdBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
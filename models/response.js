@@ -6,10 +6,13 @@ const responseSchema = new mongoose.Schema({
         ref: 'Form',
         required: true
     },
+    // Null on anonymized research records, detached from an erased user (helpers/erasure.js)
     userId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
-        required: true
+        required: function () {
+            return !this.anonymized;
+        }
     },
     answers: [{
         questionId: {
@@ -22,6 +25,14 @@ const responseSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
+    // Set by the admin removal and when a draft is discarded or replaced by the submission
+    deletedAt: {
+        type: Date
+    },
+    deletedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
     submittedAt: {
         type: Date,
         default: Date.now
@@ -33,6 +44,13 @@ const responseSchema = new mongoose.Schema({
     lastModified: {
         type: Date,
         default: Date.now
+    },
+    anonymized: {
+        type: Boolean,
+        default: false
+    },
+    anonymizedAt: {
+        type: Date
     }
 });
 
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// Rule that purges or anonymizes old data of one kind (helpers/retention.js), applied by the scheduled job
+const retentionPolicySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true
+    },
+    // Kind of data the rule applies to, a key of RETENTION_TARGETS
+    target: {
+        type: String,
+        enum: ['drafts', 'responses', 'deleted_responses', 'deleted_forms', 'deleted_questions', 'deleted_groups', 'deleted_users'],
+        required: true
+    },
+    action: {
+        type: String,
+        enum: ['purge', 'anonymize'],
+        required: true
+    },
+    // Age, in days, from which the data is affected
+    afterDays: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    // Date the age of submitted responses is counted from: the submission or the closing of the form
+    basis: {
+        type: String,
+        enum: ['submittedAt', 'formClosedAt'],
+        default: 'submittedAt'
+    },
+    // Limits the rule to one form (drafts and responses); null for every form in scope
+    formId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Form',
+        default: null
+    },
+    // Limits the rule to one institution; null for a system-wide rule
+    institutionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Institution',
+        default: null,
+        index: true
+    },
+    // "preview" only reports what would be affected; "enforce" applies the rule
+    mode: {
+        type: String,
+        enum: ['disabled', 'preview', 'enforce'],
+        default: 'preview'
+    },
+    // Last time the rule was applied (not previewed)
+    lastAppliedAt: {
+        type: Date,
+        default: null
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const RetentionPolicy = mongoose.model('RetentionPolicy', retentionPolicySchema);
+
+module.exports = RetentionPolicy;
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// Report of one execution of the retention policies, scheduled or requested by an admin
+const retentionRunSchema = new mongoose.Schema({
+    trigger: {
+        type: String,
+        enum: ['schedule', 'manual'],
+        required: true
+    },
+    // True for previews: nothing was changed, results show what would be affected
+    dryRun: {
+        type: Boolean,
+        default: false
+    },
+    // Null on scheduled runs
+    requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    results: [{
+        policyId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'RetentionPolicy'
+        },
+        // Copied so the report still reads correctly after the policy changes or is removed
+        name: String,
+        target: String,
+        action: String,
+        institutionId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Institution',
+            default: null
+        },
+        // Data older than this date was affected
+        cutoff: Date,
+        // Also true for policies in "preview" mode during a real run
+        dryRun: Boolean,
+        matched: {
+            type: Number,
+            default: 0
+        },
+        affected: {
+            type: Number,
+            default: 0
+        },
+        // Matched but kept, e.g. deleted questions still used by forms or responses
+        skipped: {
+            type: Number,
+            default: 0
+        },
+        error: {
+            type: String,
+            default: null
+        }
+    }],
+    startedAt: {
+        type: Date,
+        default: Date.now
+    },
+    finishedAt: {
+        type: Date,
+        default: null
+    }
+});
+
+retentionRunSchema.index({ trigger: 1, startedAt: -1 });
+
+const RetentionRun = mongoose.model('RetentionRun', retentionRunSchema);
+
+module.exports = RetentionRun;
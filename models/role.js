@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Custom roles, plus admin overrides of the built-in roles' default permissions (helpers/permissions.js)
+const roleSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    permissions: [{
+        type: String
+    }],
+    builtIn: {
+        type: Boolean,
+        default: false
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedAt: {
+        type: Date
+    }
+});
+
+const Role = mongoose.model('Role', roleSchema);
+
+module.exports = Role;
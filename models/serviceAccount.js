@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Non-human account (e.g. analysis scripts) that owns API keys
+const serviceAccountSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    deleted: {
+        type: Boolean,
+        default: false
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const ServiceAccount = mongoose.model('ServiceAccount', serviceAccountSchema);
+
+module.exports = ServiceAccount;
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    userAgent: {
+        type: String,
+        default: ''
+    },
+    device: {
+        type: String,
+        default: 'Desconhecido'
+    },
+    ip: {
+        type: String,
+        default: ''
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastSeenAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'user_revoked', 'admin_revoked', 'reuse_detected', 'user_deleted', 'password_changed', 'password_reset', null],
+        default: null
+    },
+    revokedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+});
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
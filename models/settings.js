@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Single document with system-wide settings managed by admins
+const settingsSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        default: 'global',
+        unique: true
+    },
+    twoFactorRequiredRoles: [{
+        type: String
+    }],
+    // Roles allowed to sign in with an e-mailed link instead of the password
+    magicLinkRoles: [{
+        type: String
+    }],
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const Settings = mongoose.model('Settings', settingsSchema);
+
+module.exports = Settings;
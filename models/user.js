@@ -1,5 +1,10 @@
 const mongoose = require('mongoose');
 
+// Accounts created by institutional login (SSO) may have no local password or address
+const requiredWithoutSso = function () {
+    return !this.ssoIdentities || this.ssoIdentities.length === 0;
+};
+
 const userSchema = new mongoose.Schema({
     name: {
         type: String,
@@ -17,29 +22,67 @@ const userSchema = new mongoose.Schema({
     },
     password: {
         type: String,
-        required: true
+        required: requiredWithoutSso
+    },
+    // Hashes of previous passwords, most recent first (reuse check)
+    passwordHistory: {
+        type: [String],
+        select: false
     },
+    passwordChangedAt: {
+        type: Date
+    },
+    // Built-in role (admin, student, teacher_analyst, teacher_respondent) or the key of a custom Role
     role: {
         type: String,
-        enum: ['admin', 'student', 'teacher_analyst', 'teacher_respondent'],
         required: true
     },
     city: {
         type: String,
-        required: true
+        required: requiredWithoutSso
     },
     state: {
         type: String,
-        required: true
+        required: requiredWithoutSso
     },
+    // Display name; kept in sync with institutionId when the user belongs to a registered institution
     institution: {
         type: String,
         required: true
     },
+    institutionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Institution',
+        default: null,
+        index: true
+    },
+    // Language of the e-mails sent to the user
+    preferredLanguage: {
+        type: String,
+        enum: ['pt-BR', 'en'],
+        default: 'pt-BR'
+    },
+    // Underage student: assigned forms stay locked until a guardian authorizes participation (GuardianConsent)
+    guardianConsentRequired: {
+        type: Boolean,
+        default: false
+    },
     deleted: {
         type: Boolean,
         default: false
     },
+    // Soft delete author and date; erased accounts (erasedAt) never return from the trash
+    deletedAt: {
+        type: Date
+    },
+    deletedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Set when personal data was scrubbed on an erasure request (LGPD); the document only keeps references intact
+    erasedAt: {
+        type: Date
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -49,9 +92,74 @@ const userSchema = new mongoose.Schema({
     },
     resetPasswordExpires: {
         type: Date
-    }
+    },
+    magicLinkToken: {
+        type: String
+    },
+    magicLinkExpires: {
+        type: Date
+    },
+    // No default: accounts created before e-mail verification existed are treated as verified
+    emailVerified: {
+        type: Boolean
+    },
+    emailVerificationToken: {
+        type: String
+    },
+    emailVerificationExpires: {
+        type: Date
+    },
+    emailVerificationSentAt: {
+        type: Date
+    },
+    twoFactorEnabled: {
+        type: Boolean,
+        default: false
+    },
+    twoFactorEnabledAt: {
+        type: Date
+    },
+    // 2FA secrets never leave the database unless explicitly selected
+    twoFactorSecret: {
+        type: String,
+        select: false
+    },
+    twoFactorPendingSecret: {
+        type: String,
+        select: false
+    },
+    twoFactorLastStep: {
+        type: Number,
+        select: false
+    },
+    twoFactorRecoveryCodes: {
+        type: [String],
+        select: false
+    },
+    // Institutional accounts linked to this user (OIDC subject per identity provider)
+    ssoIdentities: [{
+        _id: false,
+        provider: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'IdentityProvider',
+            required: true
+        },
+        subject: {
+            type: String,
+            required: true
+        },
+        linkedAt: {
+            type: Date,
+            default: Date.now
+        },
+        lastLoginAt: {
+            type: Date
+        }
+    }]
 });
 
+userSchema.index({ 'ssoIdentities.provider': 1, 'ssoIdentities.subject': 1 });
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
\ No newline at end of file
@@ -0,0 +1,286 @@
+const router = require('express').Router();
+const mongoose = require('mongoose');
+
+// Models
+const AuditLog = require('../models/auditLog');
+
+// Middlewares
+const verifyToken = require('../helpers/check-token');
+const requirePermission = require('../helpers/require-permission');
+
+// Helpers
+const { recordAudit } = require('../helpers/audit');
+const { institutionFilter } = require('../helpers/institutions');
+const { toCsv } = require('../helpers/csv');
+const { parseListQuery, findPage, fieldsProjection } = require('../helpers/list-query');
+
+// Upper bound of a single CSV export; narrow the period for more
+const EXPORT_MAX_ROWS = 50000;
+
+const CSV_COLUMNS = [
+    { key: 'createdAt', header: 'data' },
+    { key: 'actor', header: 'usuario_id' },
+    { key: 'actorEmail', header: 'usuario_email' },
+    { key: 'actorRole', header: 'usuario_funcao' },
+    { key: 'apiKey', header: 'chave_api_id' },
+    { key: 'action', header: 'acao' },
+    { key: 'targetType', header: 'alvo_tipo' },
+    { key: 'targetId', header: 'alvo_id' },
+    { key: 'before', header: 'antes' },
+    { key: 'after', header: 'depois' },
+    { key: 'metadata', header: 'detalhes' },
+    { key: 'ip', header: 'ip' },
+    { key: 'userAgent', header: 'user_agent' }
+];
+
+// List protocol of GET /: the filters are the ones shared with the export (buildFilter)
+const AUDIT_LIST = {
+    sort: { fields: ['createdAt'], default: '-createdAt' },
+    fields: ['actor', 'actorEmail', 'actorRole', 'apiKey', 'institutionId', 'action', 'targetType', 'targetId', 'before', 'after', 'metadata', 'ip', 'userAgent', 'createdAt']
+};
+
+const FILTER_KEYS = ['actor', 'action', 'targetType', 'targetId', 'ip', 'from', 'to'];
+
+// Filters shared by the listing and the CSV export
+const buildFilter = (req) => {
+    const filter = { ...institutionFilter(req) };
+
+    if (req.query.actor) {
+        if (!mongoose.Types.ObjectId.isValid(req.query.actor)) {
+            return { error: "ID de usuário inválido" };
+        }
+        filter.actor = req.query.actor;
+    }
+
+    if (req.query.action) {
+        const action = String(req.query.action).trim();
+
+        // "form" matches every form action; "form.update" only that one
+        filter.action = action.includes('.') ? action : new RegExp(`^${action.replace(/[^a-z_-]/gi, '')}\\.`);
+    }
+
+    for (const field of ['targetType', 'targetId', 'ip']) {
+        if (req.query[field]) {
+            filter[field] = String(req.query[field]).trim();
+        }
+    }
+
+    if (req.query.from || req.query.to) {
+        const from = req.query.from ? new Date(req.query.from) : null;
+        const to = req.query.to ? new Date(req.query.to) : null;
+
+        if ((from && isNaN(from)) || (to && isNaN(to))) {
+            return { error: "Data inválida. Use o formato ISO (ex: 2025-01-31 ou 2025-01-31T23:59:59Z)" };
+        }
+
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = from;
+        if (to) filter.createdAt.$lte = to;
+    }
+
+    return { filter };
+};
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     AuditActor:
+ *       in: query
+ *       name: actor
+ *       schema:
+ *         type: string
+ *       description: ID do usuário que realizou a ação
+ *     AuditAction:
+ *       in: query
+ *       name: action
+ *       schema:
+ *         type: string
+ *       description: Ação exata (ex. form.update) ou entidade (ex. form, para todas as ações de formulário)
+ *     AuditTargetType:
+ *       in: query
+ *       name: targetType
+ *       schema:
+ *         type: string
+ *         example: Form
+ *     AuditTargetId:
+ *       in: query
+ *       name: targetId
+ *       schema:
+ *         type: string
+ *     AuditIp:
+ *       in: query
+ *       name: ip
+ *       schema:
+ *         type: string
+ *     AuditFrom:
+ *       in: query
+ *       name: from
+ *       schema:
+ *         type: string
+ *         format: date-time
+ *       description: Início do período (ISO 8601)
+ *     AuditTo:
+ *       in: query
+ *       name: to
+ *       schema:
+ *         type: string
+ *         format: date-time
+ *       description: Fim do período (ISO 8601)
+ */
+
+/**
+ * @swagger
+ * /api/audit-logs:
+ *   get:
+ *     summary: Consultar registro de auditoria
+ *     description: |
+ *       Lista as ações registradas, da mais recente para a mais antiga (permissão `audit:read`).
+ *       Cada registro tem o autor (usuário ou chave de API), a ação, o alvo, os campos alterados (antes/depois, com dados sensíveis redigidos), o IP e a data.
+ *       O registro é somente de inclusão: nenhuma rota altera ou remove entradas.
+ *     tags: [Auditoria]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuditActor'
+ *       - $ref: '#/components/parameters/AuditAction'
+ *       - $ref: '#/components/parameters/AuditTargetType'
+ *       - $ref: '#/components/parameters/AuditTargetId'
+ *       - $ref: '#/components/parameters/AuditIp'
+ *       - $ref: '#/components/parameters/AuditFrom'
+ *       - $ref: '#/components/parameters/AuditTo'
+ *       - $ref: '#/components/parameters/ListPage'
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: -createdAt
+ *         description: createdAt, com - para ordem decrescente
+ *       - $ref: '#/components/parameters/ListFields'
+ *     responses:
+ *       200:
+ *         description: Registros encontrados com sucesso
+ *         content:
+ *           application/json:
+ *             example:
+ *               error: null
+ *               msg: "Registros encontrados com sucesso"
+ *               data:
+ *                 - _id: "665f1f77bcf86cd799439011"
+ *                   actor: "507f1f77bcf86cd799439011"
+ *                   actorEmail: "admin@email.com"
+ *                   actorRole: "admin"
+ *                   action: "form.update"
+ *                   targetType: "Form"
+ *                   targetId: "507f1f77bcf86cd799439012"
+ *                   before: { isActive: true }
+ *                   after: { isActive: false }
+ *                   ip: "203.0.113.10"
+ *                   createdAt: "2025-01-15T10:30:00.000Z"
+ *               pagination:
+ *                 total: 1
+ *                 limit: 50
+ *                 page: 1
+ *                 hasMore: false
+ *                 nextCursor: null
+ *       400:
+ *         description: Filtro ou parâmetro de listagem inválido
+ *       403:
+ *         description: Sem a permissão audit:read
+ *       500:
+ *         description: Erro ao buscar registros
+ */
+// Get audit log entries
+router.get("/", verifyToken, requirePermission('audit:read'), async (req, res) => {
+
+    try {
+
+        const { filter, error } = buildFilter(req);
+        if (error) {
+            return res.status(400).json({ error: error });
+        }
+
+        const list = parseListQuery(req.query, AUDIT_LIST);
+        if (list.error) {
+            return res.status(400).json({ error: list.error });
+        }
+
+        const { items: logs, pagination } = await findPage(AuditLog, filter, list, query => list.fields ? query.select(fieldsProjection(list.fields)) : query);
+
+        return res.status(200).json({ error: null, msg: "Registros encontrados com sucesso", data: logs, pagination: pagination });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao buscar registros" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/audit-logs/export:
+ *   get:
+ *     summary: Exportar registro de auditoria (CSV)
+ *     description: |
+ *       Baixa em CSV (UTF-8, separado por vírgulas) as ações que atendem aos filtros, para revisão pelo comitê de ética (permissão `audit:read`).
+ *       Limite de 50.000 linhas por arquivo; a própria exportação também é registrada.
+ *     tags: [Auditoria]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuditActor'
+ *       - $ref: '#/components/parameters/AuditAction'
+ *       - $ref: '#/components/parameters/AuditTargetType'
+ *       - $ref: '#/components/parameters/AuditTargetId'
+ *       - $ref: '#/components/parameters/AuditIp'
+ *       - $ref: '#/components/parameters/AuditFrom'
+ *       - $ref: '#/components/parameters/AuditTo'
+ *     responses:
+ *       200:
+ *         description: Arquivo CSV
+ *         content:
+ *           text/csv:
+ *             example: "data,usuario_id,usuario_email,usuario_funcao,chave_api_id,acao,alvo_tipo,alvo_id,antes,depois,detalhes,ip,user_agent"
+ *       400:
+ *         description: Filtro inválido ou mais de 50.000 registros
+ *       403:
+ *         description: Sem a permissão audit:read
+ *       500:
+ *         description: Erro ao exportar registros
+ */
+// Export audit log entries as CSV
+router.get("/export", verifyToken, requirePermission('audit:read'), async (req, res) => {
+
+    try {
+
+        const { filter, error } = buildFilter(req);
+        if (error) {
+            return res.status(400).json({ error: error });
+        }
+
+        const total = await AuditLog.countDocuments(filter);
+
+        if (total > EXPORT_MAX_ROWS) {
+            return res.status(400).json({ error: `A exportação tem ${total} registros; o limite é ${EXPORT_MAX_ROWS}. Reduza o período com from e to` });
+        }
+
+        const logs = await AuditLog.find(filter).sort({ createdAt: -1 }).lean();
+
+        const filters = Object.fromEntries(Object.entries(req.query).filter(([key]) => FILTER_KEYS.includes(key)));
+
+        await recordAudit(req, { action: 'audit.export', targetType: 'AuditLog', metadata: { filters: filters, rows: logs.length } });
+
+        const filename = `auditoria-${new Date().toISOString().slice(0, 10)}.csv`;
+
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+        return res.status(200).send(toCsv(logs, CSV_COLUMNS));
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao exportar registros" });
+    }
+});
+
+
+module.exports = router;
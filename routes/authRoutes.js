@@ -1,18 +1,94 @@
 const router = require('express').Router();
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const mongoose = require('mongoose');
 
-// Import User model
+// Models
 const User = require('../models/user');
-const { sendResetEmail } = require('../helpers/emailService');
+const Session = require('../models/session');
+const LoginAttempt = require('../models/loginAttempt');
+const IdentityProvider = require('../models/identityProvider');
+const OidcLogin = require('../models/oidcLogin');
+
+// Middlewares
+const verifyToken = require('../helpers/check-token');
+const requirePermission = require('../helpers/require-permission');
+
+// Helpers
+const { sendResetEmail, sendVerificationEmail, sendMagicLinkEmail, sendPasswordChangedEmail } = require('../helpers/emailService');
+const { createEmailVerification, resendCooldown } = require('../helpers/email-verification');
+const { OPEN_REGISTRATION_ROLES, findValidInvite, claimInvite, releaseInvite, assignInviteForms } = require('../helpers/invites');
+const { hashToken, generateHashedToken } = require('../helpers/hashed-token');
+const { issueTokens, rotateRefreshToken, revokeSession, revokeUserSessions, signChallengeToken, verifyChallengeToken } = require('../helpers/auth-tokens');
+const { throttleKeys, reserveAttempt, releaseAttempt, clearAttempts, formatRetryAfter } = require('../helpers/login-throttle');
+const { generateSecret, buildOtpauthUri, verifyCode } = require('../helpers/totp');
+const { generateRecoveryCodes, verifySecondFactor, twoFactorResetUpdate } = require('../helpers/two-factor');
+const { isTwoFactorRequired, isMagicLinkEnabled } = require('../helpers/settings');
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('../helpers/email-templates');
+const { validatePassword, validatePasswordChange, nextPasswordHistory, getPasswordPolicy } = require('../helpers/password-policy');
+const { getClientIp, describeDevice } = require('../helpers/request-info');
+const { discover, createAuthorizationRequest, buildAuthorizationUrl, exchangeCode, verifyIdToken, loadUserInfo, mapClaims, findOrProvisionUser } = require('../helpers/oidc');
+const { listRoleKeys } = require('../helpers/permissions');
+const { findInstitution } = require('../helpers/institutions');
+const { recordAudit } = require('../helpers/audit');
+
+const MAGIC_LINK_EXPIRES_MINUTES = parseInt(process.env.MAGIC_LINK_EXPIRES_MINUTES) || 15;
+
+// Time to finish the login at the identity provider, then to exchange the one-time code
+const OIDC_LOGIN_EXPIRES_MINUTES = 10;
+const OIDC_LOGIN_CODE_EXPIRES_SECONDS = 120;
+
+// Compared against when the e-mail does not exist (or has no local password), so all cases take the same time
+const DUMMY_PASSWORD_HASH = '$2b$12$KcbstkdCqK/EkKdQpkDStu/vNypxQoRBTVqmr2aIBYyrbMK1ST6Vq';
+
+// Accepts a regular session or the enrollment challenge of a login whose role requires 2FA
+const verifyTokenOrSetupChallenge = (req, res, next) => {
+    if (!req.body || !req.body.challengeToken) {
+        return verifyToken(req, res, next);
+    }
+
+    const challenge = verifyChallengeToken(req.body.challengeToken, '2fa-setup');
+
+    if (!challenge) {
+        return res.status(401).json({ error: "Desafio inválido ou expirado. Faça login novamente" });
+    }
+
+    req.user = { userId: challenge.userId, challenge: true };
+    next();
+};
+
+// Last step of every first-factor login (password, magic link, institutional SSO or registration): 2FA checks, then the session
+const finishLogin = async (user, req, res, msg = "Você está autenticado") => {
+
+    // Second factor: the session is only created after /2fa/verify
+    if (user.twoFactorEnabled) {
+        return res.json({ error: null, msg: "Informe o código de autenticação", twoFactorRequired: true, challengeToken: signChallengeToken(user, '2fa') });
+    }
+
+    // Role requires 2FA but the user has not enrolled yet: enrollment completes the login
+    if (await isTwoFactorRequired(user.role)) {
+        return res.json({ error: null, msg: "Sua função exige autenticação em dois fatores. Configure-a para continuar", twoFactorSetupRequired: true, challengeToken: signChallengeToken(user, '2fa-setup') });
+    }
+
+    // Create user tokens
+    const tokens = await issueTokens(user, req);
+
+    // Return tokens
+    res.json({ error: null, msg: msg, ...tokens, userId: user._id, emailVerified: user.emailVerified !== false });
+};
 
 /**
  * @swagger
  * /api/auth/register:
  *   post:
  *     summary: Registrar novo usuário
- *     description: Cria uma nova conta de usuário no sistema
+ *     description: |
+ *       Cria uma nova conta de usuário no sistema.
+ *       - Sem convite, apenas as funções student e teacher_respondent podem ser escolhidas
+ *       - Com `inviteToken`, a função, a instituição e os formulários atribuídos vêm do convite (role e institution do corpo são ignorados)
+ *       - A instituição é informada por `institutionId` (lista em `/api/institutions/public`) ou pelo nome em `institution`; nomes que coincidem com uma instituição cadastrada (nome ou sigla) são vinculados a ela
+ *       - `preferredLanguage` (pt-BR ou en) define o idioma dos e-mails; sem ele, é usado o idioma do convite ou o cabeçalho Accept-Language
+ *       - Se a função exige 2FA (`twoFactorRequiredRoles`), a resposta traz `twoFactorSetupRequired` e um `challengeToken` em vez dos tokens, como no login
  *     tags: [Autenticação]
  *     requestBody:
  *       required: true
@@ -23,9 +99,11 @@ const { sendResetEmail } = require('../helpers/emailService');
  *           example:
  *             name: "João Silva"
  *             email: "joao@email.com"
- *             password: "senha123"
- *             confirmpassword: "senha123"
+ *             password: "MinhaSenha#2025"
+ *             confirmpassword: "MinhaSenha#2025"
  *             role: "student"
+ *             preferredLanguage: "pt-BR"
+ *             inviteToken: "3f7a1c0e9b..."
  *     responses:
  *       200:
  *         description: Usuário registrado com sucesso
@@ -40,10 +118,22 @@ const { sendResetEmail } = require('../helpers/emailService');
  *                   example: null
  *                 msg:
  *                   type: string
- *                   example: "Registro realizado com sucesso"
+ *                   example: "Registro realizado com sucesso. Confirme seu e-mail"
+ *                 emailVerified:
+ *                   type: boolean
+ *                   example: false
+ *                   description: Um e-mail de confirmação é enviado; responder formulários exige e-mail confirmado
  *                 token:
  *                   type: string
+ *                   description: Token de acesso (expira em JWT_EXPIRES_IN)
  *                   example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Token para renovar o acesso em /api/auth/refresh
+ *                   example: "9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08"
+ *                 expiresIn:
+ *                   type: string
+ *                   example: "15m"
  *                 userId:
  *                   type: string
  *                   example: "507f1f77bcf86cd799439011"
@@ -69,6 +159,20 @@ const { sendResetEmail } = require('../helpers/emailService');
  *                 emailEmUso:
  *                   value:
  *                     error: "O e-mail já está em uso"
+ *                 conviteInvalido:
+ *                   value:
+ *                     error: "Convite inválido ou expirado"
+ *                 instituicaoNaoEncontrada:
+ *                   value:
+ *                     error: "Instituição não encontrada"
+ *       403:
+ *         description: Função exige convite
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               error: "Esta função só pode ser atribuída por meio de convite"
  *       500:
  *         description: Erro interno do servidor
  *         content:
@@ -91,9 +195,12 @@ router.post("/register", async (req, res) => {
     const city = req.body.city;
     const state = req.body.state;
     const institution = req.body.institution;
+    const institutionId = req.body.institutionId;
+    const inviteToken = req.body.inviteToken;
+    const preferredLanguage = req.body.preferredLanguage;
 
-    // Check for required fields
-    if (!name || anonymous === undefined || !email || !password || !confirmpassword || !role || !city || !state || !institution) {
+    // Check for required fields (role and institution come from the invite when there is one)
+    if (!name || anonymous === undefined || !email || !password || !confirmpassword || !city || !state || (!inviteToken && (!role || (!institution && !institutionId)))) {
         return res.status(400).json({ error: "Por favor preencha todos os campos obrigatórios" });
     }
 
@@ -108,10 +215,63 @@ router.post("/register", async (req, res) => {
         return res.status(400).json({ error: "As senhas não coincidem" });
     }
 
-    // Check if role is valid
-    const validRoles = ['admin', 'student', 'teacher_analyst', 'teacher_respondent'];
-    if (!validRoles.includes(role)) {
-        return res.status(400).json({ error: "Função inválida" });
+    // Check password policy
+    const passwordValidation = validatePassword(password);
+    if (!passwordValidation.isValid) {
+        return res.status(400).json({ error: passwordValidation.error });
+    }
+
+    // Check language
+    if (preferredLanguage && !LANGUAGES.includes(preferredLanguage)) {
+        return res.status(400).json({ error: `Idioma inválido. Use: ${LANGUAGES.join(', ')}` });
+    }
+
+    let invite = null;
+    let userRole = role;
+    let userInstitution = institution;
+    let userInstitutionId = null;
+
+    if (inviteToken) {
+
+        // Invited users get the role and institution fixed by the invite
+        invite = await findValidInvite(inviteToken);
+
+        if (!invite) {
+            return res.status(400).json({ error: "Convite inválido ou expirado" });
+        }
+
+        if (invite.email !== email.trim().toLowerCase()) {
+            return res.status(400).json({ error: "Este convite foi enviado para outro e-mail" });
+        }
+
+        userRole = invite.role;
+        userInstitution = invite.institution;
+        userInstitutionId = invite.institutionId;
+
+    } else {
+
+        // Check if role is valid
+        const validRoles = await listRoleKeys();
+        if (!validRoles.includes(role)) {
+            return res.status(400).json({ error: "Função inválida" });
+        }
+
+        // Privileged roles can only be granted by an invite
+        if (!OPEN_REGISTRATION_ROLES.includes(role)) {
+            return res.status(403).json({ error: "Esta função só pode ser atribuída por meio de convite" });
+        }
+
+        // Registered institutions are matched by ID or by name/acronym; unknown names stay as free text
+        const registered = await findInstitution({ institutionId, institution });
+
+        if (institutionId && !registered) {
+            return res.status(400).json({ error: "Instituição não encontrada" });
+        }
+
+        if (registered) {
+            userInstitution = registered.name;
+            userInstitutionId = registered._id;
+        }
     }
 
     // Check if user already exists
@@ -125,46 +285,215 @@ router.post("/register", async (req, res) => {
     const salt = await bcrypt.genSalt(12);
     const passwordHash = await bcrypt.hash(password, salt);
 
+    // E-mail must be confirmed before answering forms (the invite link already proves it)
+    const verification = invite ? null : createEmailVerification();
+
     // Create a new user
     const user = new User({
         name: name,
         anonymous: anonymous,
         email: email,
         password: passwordHash,
-        role: role,
+        role: userRole,
         city: city,
         state: state,
-        institution: institution
+        institution: userInstitution,
+        institutionId: userInstitutionId,
+        preferredLanguage: preferredLanguage || (invite && invite.preferredLanguage) || req.acceptsLanguages(...LANGUAGES) || DEFAULT_LANGUAGE,
+        ...(verification ? verification.fields : { emailVerified: true })
     });
 
     try {
 
-        const newUser = await user.save();
+        if (invite && !(await claimInvite(invite, user._id))) {
+            return res.status(400).json({ error: "Convite inválido ou expirado" });
+        }
 
-        // Create user token
-        const token = jwt.sign(
-            {
-                name: newUser.name,
-                userId: newUser._id,
-                role: newUser.role
-            },
-            process.env.JWT_SECRET 
-        );
+        let newUser;
+
+        try {
+            newUser = await user.save();
+        } catch (error) {
+            if (invite) {
+                await releaseInvite(invite);
+            }
+            throw error;
+        }
 
-        // Return token
-        res.json({ error: null, msg: "Registro realizado com sucesso", token: token, userId: newUser._id });
+        await recordAudit(req, { action: 'user.register', targetType: 'User', targetId: newUser._id, after: newUser, metadata: { invite: invite ? invite._id : null } });
+
+        if (invite) {
+            await assignInviteForms(invite, newUser._id);
+        } else {
+            // The account is created even if the e-mail fails; the user can ask for a new one
+            try {
+                await sendVerificationEmail(newUser.email, verification.token, newUser.preferredLanguage);
+            } catch (error) {
+                console.error('Erro ao enviar e-mail de verificação no registro:', error);
+            }
+        }
+
+        // Invited roles may require 2FA: the session then waits for the enrollment, as on login
+        await finishLogin(newUser, req, res, invite ? "Registro realizado com sucesso" : "Registro realizado com sucesso. Confirme seu e-mail");
 
     } catch (error) {
         res.status(500).json({ error }); 
     }
 });
 
+/**
+ * @swagger
+ * /api/auth/bootstrap-admin:
+ *   post:
+ *     summary: Criar o primeiro administrador
+ *     description: |
+ *       Cria a conta do primeiro administrador do sistema.
+ *       - Exige o segredo definido em `ADMIN_BOOTSTRAP_TOKEN` no servidor (rota desativada se a variável não existir)
+ *       - Só funciona enquanto não houver nenhum administrador cadastrado
+ *       - Os demais administradores devem ser criados por convite
+ *     tags: [Autenticação]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             bootstrapToken: "valor-de-ADMIN_BOOTSTRAP_TOKEN"
+ *             name: "Administrador"
+ *             email: "admin@exemplo.com"
+ *             password: "MinhaSenha#2025"
+ *             confirmPassword: "MinhaSenha#2025"
+ *             city: "Belo Horizonte"
+ *             state: "MG"
+ *             institution: "UFMG"
+ *     responses:
+ *       201:
+ *         description: Administrador criado com sucesso
+ *       400:
+ *         description: Campos obrigatórios ausentes, senhas diferentes ou e-mail em uso
+ *       403:
+ *         description: Token de bootstrap inválido ou já existe um administrador
+ *       404:
+ *         description: Bootstrap desativado (ADMIN_BOOTSTRAP_TOKEN não configurado)
+ */
+// Create the first admin - requires ADMIN_BOOTSTRAP_TOKEN and no existing admin
+router.post("/bootstrap-admin", async (req, res) => {
+
+    const bootstrapToken = process.env.ADMIN_BOOTSTRAP_TOKEN;
+
+    // Disabled unless the server was configured for it
+    if (!bootstrapToken) {
+        return res.status(404).json({ error: "Rota não disponível" });
+    }
+
+    const name = req.body.name;
+    const email = req.body.email;
+    const password = req.body.password;
+    const confirmpassword = req.body.confirmPassword;
+    const city = req.body.city;
+    const state = req.body.state;
+    const institution = req.body.institution;
+
+    // Compare hashes so the check takes the same time whatever the input length
+    const provided = hashToken(String(req.body.bootstrapToken || ''));
+    const expected = hashToken(bootstrapToken);
+
+    if (!crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(expected))) {
+        return res.status(403).json({ error: "Token de bootstrap inválido" });
+    }
+
+    if (!name || !email || !password || !confirmpassword || !city || !state || !institution) {
+        return res.status(400).json({ error: "Por favor preencha todos os campos obrigatórios" });
+    }
+
+    if (password !== confirmpassword) {
+        return res.status(400).json({ error: "As senhas não coincidem" });
+    }
+
+    const passwordValidation = validatePassword(password);
+    if (!passwordValidation.isValid) {
+        return res.status(400).json({ error: passwordValidation.error });
+    }
+
+    try {
+
+        const adminExists = await User.exists({ role: 'admin', deleted: false });
+
+        if (adminExists) {
+            return res.status(403).json({ error: "Já existe um administrador. Use um convite para criar novos administradores" });
+        }
+
+        const emailExists = await User.findOne({ email: email });
+
+        if (emailExists) {
+            return res.status(400).json({ error: "O e-mail já está em uso" });
+        }
+
+        const salt = await bcrypt.genSalt(12);
+        const passwordHash = await bcrypt.hash(password, salt);
+
+        const user = new User({
+            name: name,
+            anonymous: false,
+            email: email,
+            password: passwordHash,
+            role: 'admin',
+            city: city,
+            state: state,
+            institution: institution,
+            emailVerified: true
+        });
+
+        const newUser = await user.save();
+
+        await recordAudit(req, { action: 'user.bootstrap_admin', targetType: 'User', targetId: newUser._id, after: newUser });
+
+        console.log('Administrador inicial criado:', newUser.email);
+
+        return res.status(201).json({ error: null, msg: "Administrador criado com sucesso. Remova ADMIN_BOOTSTRAP_TOKEN do ambiente", userId: newUser._id });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao criar administrador" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/password-policy:
+ *   get:
+ *     summary: Regras de senha
+ *     description: Retorna as regras de senha configuradas no servidor, para validação e exibição no frontend
+ *     tags: [Autenticação]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Regras de senha
+ *         content:
+ *           application/json:
+ *             example:
+ *               error: null
+ *               data:
+ *                 minLength: 8
+ *                 maxLength: 72
+ *                 requireUppercase: true
+ *                 requireLowercase: true
+ *                 requireNumber: true
+ *                 requireSymbol: false
+ *                 historySize: 5
+ */
+router.get("/password-policy", (req, res) => {
+    res.json({ error: null, data: getPasswordPolicy() });
+});
+
 /**
  * @swagger
  * /api/auth/login:
  *   post:
  *     summary: Login de usuário
- *     description: Autentica um usuário e retorna um token JWT
+ *     description: |
+ *       Autentica um usuário e retorna um token JWT.
+ *       - Se o usuário tem 2FA ativo, retorna `twoFactorRequired: true` e um `challengeToken`; o login é concluído em `/api/auth/2fa/verify`
+ *       - Se a função do usuário exige 2FA e ele ainda não o configurou, retorna `twoFactorSetupRequired: true` e um `challengeToken` para `/api/auth/2fa/setup` e `/api/auth/2fa/enable`
  *     tags: [Autenticação]
  *     requestBody:
  *       required: true
@@ -192,7 +521,15 @@ router.post("/register", async (req, res) => {
  *                   example: "Você está autenticado"
  *                 token:
  *                   type: string
+ *                   description: Token de acesso (expira em JWT_EXPIRES_IN)
  *                   example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Token para renovar o acesso em /api/auth/refresh
+ *                   example: "9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08"
+ *                 expiresIn:
+ *                   type: string
+ *                   example: "15m"
  *                 userId:
  *                   type: string
  *                   example: "507f1f77bcf86cd799439011"
@@ -209,12 +546,17 @@ router.post("/register", async (req, res) => {
  *                 camposObrigatorios:
  *                   value:
  *                     error: "Por favor preencha todos os campos obrigatórios"
- *                 usuarioNaoEncontrado:
- *                   value:
- *                     error: "Não há um usuário cadastrado com este e-mail"
- *                 senhaInvalida:
+ *                 credenciaisInvalidas:
  *                   value:
- *                     error: "Senha inválida"
+ *                     error: "E-mail ou senha inválidos"
+ *       429:
+ *         description: Muitas tentativas - aguarde antes de tentar novamente (cabeçalho Retry-After em segundos)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               error: "Muitas tentativas de login. Tente novamente em 15 minuto(s)"
  */
 // Login an User
 router.post("/login", async (req, res) => {
@@ -235,32 +577,29 @@ router.post("/login", async (req, res) => {
 
     try {
 
-        // Check if user exists
-        const user = await User.findOne({ email: email });
+        // Brute-force protection (per account and per IP): the attempt is counted before the password is checked
+        const keys = throttleKeys(email, req);
+        const throttle = await reserveAttempt('login', keys);
 
-        if (!user) {
-            return res.status(400).json({ error: "Não há um usuário cadastrado com este e-mail" });
+        if (throttle.blocked) {
+            res.set('Retry-After', String(throttle.retryAfter));
+            return res.status(429).json({ error: `Muitas tentativas de login. Tente novamente em ${formatRetryAfter(throttle.retryAfter)}` });
         }
 
-        // Check if password matches
-        const checkPassword = await bcrypt.compare(password, user.password);
+        // Check if user exists and password matches (same error for both, to not reveal registered e-mails)
+        // Accounts created by institutional login may have no local password
+        const user = await User.findOne({ email: email });
+        const checkPassword = await bcrypt.compare(password, user && user.password ? user.password : DUMMY_PASSWORD_HASH);
 
-        if (!checkPassword) {
-            return res.status(400).json({ error: "Senha inválida" });
+        if (!user || !checkPassword) {
+            return res.status(400).json({ error: "E-mail ou senha inválidos" });
         }
 
-        // Create user token
-        const token = jwt.sign(
-            {
-                name: user.name,
-                userId: user._id,
-                role: user.role
-            },
-            process.env.JWT_SECRET 
-        );
+        // Successful login clears the account counter and does not count against the IP
+        await clearAttempts('login', keys.filter(key => key.scope === 'account'));
+        await releaseAttempt('login', keys.filter(key => key.scope === 'ip'));
 
-        // Return token
-        res.json({ error: null, msg: "Você está autenticado", token: token, userId: user._id });
+        await finishLogin(user, req, res);
 
     } catch (error) {
         return res.status(500).json({ error }); 
@@ -269,34 +608,38 @@ router.post("/login", async (req, res) => {
 
 /**
  * @swagger
- * /api/auth/forgot-password:
+ * /api/auth/magic-link:
  *   post:
- *     summary: Solicitar reset de senha
- *     description: Envia email com link para redefinir senha
+ *     summary: Solicitar link de acesso
+ *     description: |
+ *       Envia ao e-mail um link de acesso sem senha, de uso único e curta duração (`MAGIC_LINK_EXPIRES_MINUTES`, padrão 15 minutos).
+ *       Disponível apenas para as funções habilitadas pelos administradores em `PUT /api/settings` (`magicLinkRoles`).
+ *       A resposta é sempre a mesma, para não revelar e-mails cadastrados.
  *     tags: [Autenticação]
+ *     security: []
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               email:
- *                 type: string
- *                 example: "joao@email.com"
+ *           example:
+ *             email: "aluno@email.com"
  *     responses:
  *       200:
- *         description: Email enviado com sucesso
+ *         description: Solicitação processada
+ *         content:
+ *           application/json:
+ *             example:
+ *               error: null
+ *               msg: "Se o e-mail puder entrar por link, você receberá um link de acesso"
  *       400:
- *         description: Email não fornecido
- *       500:
- *         description: Erro ao processar solicitação
+ *         description: E-mail ausente ou inválido
+ *       429:
+ *         description: Muitas solicitações
  */
-router.post("/forgot-password", async (req, res) => {
+router.post("/magic-link", async (req, res) => {
     try {
         const { email } = req.body;
 
-        // Email Validation
         if (!email) {
             return res.status(400).json({ error: "Por favor forneça o e-mail" });
         }
@@ -307,131 +650,1612 @@ router.post("/forgot-password", async (req, res) => {
             return res.status(400).json({ error: "Formato de e-mail inválido" });
         }
 
-        // Search for user
-        const user = await User.findOne({ email });
+        // Limit link e-mails per account and per IP
+        const keys = throttleKeys(email, req);
+        const throttle = await reserveAttempt('magic-link', keys);
 
-        // For security, always return success (do not reveal if email exists)
-        if (!user) {
-            return res.status(200).json({ 
-                error: null,
-                msg: "Se o e-mail existir, você receberá um link para redefinir a senha" 
-            });
+        if (throttle.blocked) {
+            res.set('Retry-After', String(throttle.retryAfter));
+            return res.status(429).json({ error: `Muitas solicitações. Tente novamente em ${formatRetryAfter(throttle.retryAfter)}` });
         }
 
-        // Generate random token
-        const token = crypto.randomBytes(32).toString('hex');
+        const genericResponse = { error: null, msg: "Se o e-mail puder entrar por link, você receberá um link de acesso" };
 
-        // Hash the token before saving
-        const hashedToken = crypto
-            .createHash('sha256')
-            .update(token)
-            .digest('hex');
+        const user = await User.findOne({ email: email, deleted: false });
 
-        // Save token and expiration date (1 hour)
-        user.resetPasswordToken = hashedToken;
-        user.resetPasswordExpires = Date.now() + 3600000; // 1 hour
+        // Same response whether the user does not exist or the role is not allowed
+        if (!user || !(await isMagicLinkEnabled(user.role))) {
+            return res.status(200).json(genericResponse);
+        }
+
+        // Only the hash is saved, as in the password reset
+        const { token, hashedToken } = generateHashedToken();
+
+        user.magicLinkToken = hashedToken;
+        user.magicLinkExpires = Date.now() + MAGIC_LINK_EXPIRES_MINUTES * 60 * 1000;
 
         await user.save();
 
-        // Send email with ORIGINAL token (not the hash)
-        await sendResetEmail(email, token);
+        await sendMagicLinkEmail(user.email, token, MAGIC_LINK_EXPIRES_MINUTES, user.preferredLanguage);
 
-        res.status(200).json({ 
-            error: null,
-            msg: "E-mail de recuperação enviado com sucesso" 
-        });
+        res.status(200).json(genericResponse);
 
     } catch (error) {
-        console.error('Erro em forgot-password:', error);
+        console.error('Erro em magic-link:', error);
         res.status(500).json({ error: "Erro ao processar solicitação" });
     }
 });
 
 /**
  * @swagger
- * /api/auth/reset-password/{token}:
+ * /api/auth/magic-link/{token}:
  *   post:
- *     summary: Redefinir senha
- *     description: Redefine a senha do usuário usando o token recebido por email
+ *     summary: Entrar com link de acesso
+ *     description: |
+ *       Troca o token recebido por e-mail por uma sessão normal (token + refreshToken). O token só pode ser usado uma vez.
+ *       Como o link prova o acesso ao e-mail, a conta também passa a ter o e-mail confirmado.
+ *       Se o usuário tiver 2FA, a resposta segue o mesmo fluxo do login (`twoFactorRequired` e `challengeToken`).
  *     tags: [Autenticação]
+ *     security: []
  *     parameters:
  *       - in: path
  *         name: token
  *         required: true
  *         schema:
  *           type: string
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               password:
- *                 type: string
- *                 example: "novaSenha123"
- *               confirmPassword:
- *                 type: string
- *                 example: "novaSenha123"
+ *         description: Token recebido por e-mail
  *     responses:
  *       200:
- *         description: Senha redefinida com sucesso
+ *         description: Login realizado com sucesso
  *       400:
- *         description: Token inválido ou senhas não coincidem
- *       500:
- *         description: Erro ao redefinir senha
+ *         description: Link inválido, expirado ou já utilizado
+ *       403:
+ *         description: Login por link desativado para a função do usuário
  */
-router.post("/reset-password/:token", async (req, res) => {
+router.post("/magic-link/:token", async (req, res) => {
     try {
         const { token } = req.params;
-        const { password, confirmPassword } = req.body;
 
-        // Validations
-        if (!password || !confirmPassword) {
-            return res.status(400).json({ error: "Por favor preencha todos os campos" });
-        }
+        // Atomically consume the token so the link works only once
+        const user = await User.findOneAndUpdate(
+            {
+                magicLinkToken: hashToken(token),
+                magicLinkExpires: { $gt: Date.now() },
+                deleted: false
+            },
+            { $unset: { magicLinkToken: 1, magicLinkExpires: 1 } },
+            { new: true }
+        );
 
-        if (password !== confirmPassword) {
-            return res.status(400).json({ error: "As senhas não coincidem" });
+        if (!user) {
+            return res.status(400).json({ error: "Link inválido, expirado ou já utilizado. Solicite um novo link" });
         }
 
-        // Hash the received token
-        const hashedToken = crypto
-            .createHash('sha256')
-            .update(token)
-            .digest('hex');
-
-        // Search for user with valid and non-expired token
-        const user = await User.findOne({
-            resetPasswordToken: hashedToken,
-            resetPasswordExpires: { $gt: Date.now() }
-        });
+        // The admin may have turned the feature off after the link was sent
+        if (!(await isMagicLinkEnabled(user.role))) {
+            return res.status(403).json({ error: "Login por link não está disponível para sua conta" });
+        }
 
-        if (!user) {
-            return res.status(400).json({ 
-                error: "Token inválido ou expirado. Solicite um novo link de recuperação" 
-            });
+        // Opening the link proves access to the mailbox
+        if (user.emailVerified === false) {
+            user.emailVerified = true;
+            user.emailVerificationToken = undefined;
+            user.emailVerificationExpires = undefined;
+            await user.save();
         }
 
-        // Criar hash da nova senha
-        const salt = await bcrypt.genSalt(12);
-        const passwordHash = await bcrypt.hash(password, salt);
+        await finishLogin(user, req, res);
 
-        // Atualizar senha e invalidar token
-        user.password = passwordHash;
-        user.resetPasswordToken = undefined;
-        user.resetPasswordExpires = undefined;
+    } catch (error) {
+        console.error('Erro em magic-link/:token:', error);
+        res.status(500).json({ error: "Erro ao entrar com link de acesso" });
+    }
+});
 
-        await user.save();
+/**
+ * @swagger
+ * /api/auth/oidc/providers:
+ *   get:
+ *     summary: Listar provedores de login institucional
+ *     description: Lista os provedores OIDC ativos, para exibir os botões "Entrar com ..." na tela de login (rota pública)
+ *     tags: [Autenticação]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Provedores encontrados com sucesso
+ *         content:
+ *           application/json:
+ *             example:
+ *               error: null
+ *               msg: "Provedores encontrados com sucesso"
+ *               data:
+ *                 - name: "UTFPR"
+ *                   slug: "utfpr"
+ *                   institution: "Universidade Tecnológica Federal do Paraná"
+ */
+router.get("/oidc/providers", async (req, res) => {
+    try {
+        const providers = await IdentityProvider.find({ enabled: true, deleted: false }, { name: 1, slug: 1, institution: 1, _id: 0 }).sort({ name: 1 });
 
-        res.status(200).json({ 
-            error: null,
-            msg: "Senha redefinida com sucesso. Você já pode fazer login" 
-        });
+        return res.status(200).json({ error: null, msg: "Provedores encontrados com sucesso", data: providers });
 
     } catch (error) {
-        console.error('Erro em reset-password:', error);
-        res.status(500).json({ error: "Erro ao redefinir senha" });
+        return res.status(500).json({ error: "Erro ao buscar provedores" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/oidc/{slug}/authorize:
+ *   get:
+ *     summary: Iniciar login institucional
+ *     description: |
+ *       Inicia o login OIDC (authorization code + PKCE) no provedor da instituição e redireciona o navegador para a página de login dele.
+ *       Com `format=json`, retorna a URL em vez de redirecionar.
+ *     tags: [Autenticação]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: "Identificador do provedor (ex: utfpr)"
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [redirect, json]
+ *           default: redirect
+ *     responses:
+ *       302:
+ *         description: Redirecionamento para o provedor
+ *       200:
+ *         description: URL de autorização (format=json)
+ *         content:
+ *           application/json:
+ *             example:
+ *               error: null
+ *               msg: "Redirecione o usuário para o provedor"
+ *               data:
+ *                 authorizationUrl: "https://sso.utfpr.edu.br/authorize?response_type=code&..."
+ *       404:
+ *         description: Provedor não encontrado ou desativado
+ *       502:
+ *         description: Provedor indisponível
+ */
+router.get("/oidc/:slug/authorize", async (req, res) => {
+    try {
+        const provider = await IdentityProvider.findOne({ slug: String(req.params.slug).toLowerCase(), enabled: true, deleted: false });
+
+        if (!provider) {
+            return res.status(404).json({ error: "Provedor de login não encontrado" });
+        }
+
+        let metadata;
+
+        try {
+            metadata = await discover(provider.issuer);
+        } catch (error) {
+            console.error('Erro na descoberta OIDC:', error.message);
+            return res.status(502).json({ error: "Não foi possível contatar o provedor de login" });
+        }
+
+        const request = createAuthorizationRequest();
+
+        // Only the hash of the state is saved, as with the other one-time tokens
+        await OidcLogin.create({
+            provider: provider._id,
+            stateHash: hashToken(request.state),
+            nonce: request.nonce,
+            codeVerifier: request.codeVerifier,
+            expiresAt: new Date(Date.now() + OIDC_LOGIN_EXPIRES_MINUTES * 60 * 1000)
+        });
+
+        const authorizationUrl = buildAuthorizationUrl(provider, metadata, request);
+
+        if (req.query.format === 'json') {
+            return res.status(200).json({ error: null, msg: "Redirecione o usuário para o provedor", data: { authorizationUrl } });
+        }
+
+        return res.redirect(authorizationUrl);
+
+    } catch (error) {
+        console.error('Erro em oidc/authorize:', error);
+        return res.status(500).json({ error: "Erro ao iniciar login institucional" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/oidc/callback:
+ *   get:
+ *     summary: Retorno do login institucional
+ *     description: |
+ *       Endereço de retorno (redirect URI) cadastrado no provedor: `OIDC_CALLBACK_URL`.
+ *       Valida o state, troca o código pelos tokens com o verificador PKCE, valida o ID token e encontra, vincula ou cria o usuário.
+ *       Em seguida redireciona para `FRONTEND_URL/sso/callback?loginCode=...`; o frontend troca o `loginCode` por uma sessão em `POST /api/auth/oidc/exchange`.
+ *       Em caso de falha, redireciona para `FRONTEND_URL/sso/callback?error=<código>`:
+ *       `access_denied`, `invalid_state`, `provider_error`, `email_missing`, `email_domain_not_allowed`, `email_not_verified`, `account_link_not_allowed`, `account_not_found`, `account_disabled`.
+ *     tags: [Autenticação]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: error
+ *         schema:
+ *           type: string
+ *         description: Erro informado pelo provedor
+ *     responses:
+ *       302:
+ *         description: Redirecionamento para o frontend
+ */
+router.get("/oidc/callback", async (req, res) => {
+
+    const frontendCallback = (params) => res.redirect(`${process.env.FRONTEND_URL}/sso/callback?${new URLSearchParams(params)}`);
+
+    try {
+        const { code, state } = req.query;
+
+        if (req.query.error) {
+            return frontendCallback({ error: 'access_denied' });
+        }
+
+        if (!code || !state) {
+            return frontendCallback({ error: 'invalid_state' });
+        }
+
+        // Atomically consume the state so a callback URL cannot be replayed
+        const login = await OidcLogin.findOneAndUpdate(
+            { stateHash: hashToken(String(state)), callbackAt: null, expiresAt: { $gt: new Date() } },
+            { $set: { callbackAt: new Date() } },
+            { new: true }
+        );
+
+        if (!login) {
+            return frontendCallback({ error: 'invalid_state' });
+        }
+
+        const provider = await IdentityProvider.findOne({ _id: login.provider, enabled: true, deleted: false }).select('+clientSecret');
+
+        if (!provider) {
+            return frontendCallback({ error: 'provider_error' });
+        }
+
+        let profile;
+
+        try {
+            const metadata = await discover(provider.issuer);
+            const tokens = await exchangeCode(provider, metadata, String(code), login.codeVerifier);
+            const idTokenClaims = await verifyIdToken(provider, metadata, tokens.id_token, login.nonce);
+            const claims = await loadUserInfo(metadata, idTokenClaims, tokens.access_token);
+
+            profile = mapClaims(provider, claims);
+        } catch (error) {
+            console.error(`Erro no login OIDC (${provider.slug}):`, error.message);
+            return frontendCallback({ error: 'provider_error' });
+        }
+
+        const { user, error, provisioned } = await findOrProvisionUser(provider, profile);
+
+        if (error) {
+            return frontendCallback({ error });
+        }
+
+        if (provisioned) {
+            await recordAudit(req, { action: 'user.provision', targetType: 'User', targetId: user._id, after: user, metadata: { identityProvider: provider._id } });
+        }
+
+        // Tokens never travel in the URL: the frontend exchanges this short-lived code instead
+        const { token: loginCode, hashedToken } = generateHashedToken();
+
+        login.user = user._id;
+        login.loginCodeHash = hashedToken;
+        login.expiresAt = new Date(Date.now() + OIDC_LOGIN_CODE_EXPIRES_SECONDS * 1000);
+        await login.save();
+
+        return frontendCallback({ loginCode });
+
+    } catch (error) {
+        console.error('Erro em oidc/callback:', error);
+        return frontendCallback({ error: 'provider_error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/oidc/exchange:
+ *   post:
+ *     summary: Concluir login institucional
+ *     description: |
+ *       Troca o `loginCode` recebido em `FRONTEND_URL/sso/callback` por uma sessão normal (token + refreshToken).
+ *       O código é de uso único e expira em 2 minutos. Se o usuário tiver 2FA, a resposta segue o mesmo fluxo do login (`twoFactorRequired` e `challengeToken`).
+ *     tags: [Autenticação]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             loginCode: "3f7a1c0e9b..."
+ *     responses:
+ *       200:
+ *         description: Login realizado com sucesso
+ *       400:
+ *         description: Código inválido, expirado ou já utilizado
+ */
+router.post("/oidc/exchange", async (req, res) => {
+    try {
+        const { loginCode } = req.body;
+
+        if (!loginCode) {
+            return res.status(400).json({ error: "Por favor forneça o código de login" });
+        }
+
+        // Single use: the record is removed as it is read
+        const login = await OidcLogin.findOneAndDelete({
+            loginCodeHash: hashToken(String(loginCode)),
+            expiresAt: { $gt: new Date() }
+        });
+
+        const user = login ? await User.findOne({ _id: login.user, deleted: false }) : null;
+
+        if (!user) {
+            return res.status(400).json({ error: "Código de login inválido, expirado ou já utilizado. Entre novamente" });
+        }
+
+        await finishLogin(user, req, res);
+
+    } catch (error) {
+        console.error('Erro em oidc/exchange:', error);
+        res.status(500).json({ error: "Erro ao concluir login institucional" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Solicitar reset de senha
+ *     description: Envia email com link para redefinir senha
+ *     tags: [Autenticação]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: "joao@email.com"
+ *     responses:
+ *       200:
+ *         description: Email enviado com sucesso
+ *       400:
+ *         description: Email não fornecido
+ *       429:
+ *         description: Muitas solicitações para este e-mail ou IP (cabeçalho Retry-After em segundos)
+ *       500:
+ *         description: Erro ao processar solicitação
+ */
+router.post("/forgot-password", async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        // Email Validation
+        if (!email) {
+            return res.status(400).json({ error: "Por favor forneça o e-mail" });
+        }
+
+        // Check email format
+        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+        if (!emailRegex.test(email)) {
+            return res.status(400).json({ error: "Formato de e-mail inválido" });
+        }
+
+        // Limit reset e-mails per account and per IP
+        const keys = throttleKeys(email, req);
+        const throttle = await reserveAttempt('forgot-password', keys);
+
+        if (throttle.blocked) {
+            res.set('Retry-After', String(throttle.retryAfter));
+            return res.status(429).json({ error: `Muitas solicitações. Tente novamente em ${formatRetryAfter(throttle.retryAfter)}` });
+        }
+
+        // Search for user
+        const user = await User.findOne({ email });
+
+        // For security, always return success (do not reveal if email exists)
+        if (!user) {
+            return res.status(200).json({ 
+                error: null,
+                msg: "Se o e-mail existir, você receberá um link para redefinir a senha" 
+            });
+        }
+
+        // Generate random token and its hash (only the hash is saved)
+        const { token, hashedToken } = generateHashedToken();
+
+        // Save token and expiration date (1 hour)
+        user.resetPasswordToken = hashedToken;
+        user.resetPasswordExpires = Date.now() + 3600000; // 1 hour
+
+        await user.save();
+
+        // Send email with ORIGINAL token (not the hash)
+        await sendResetEmail(email, token, user.preferredLanguage);
+
+        // Same message as above, to not reveal registered e-mails
+        res.status(200).json({ 
+            error: null,
+            msg: "Se o e-mail existir, você receberá um link para redefinir a senha" 
+        });
+
+    } catch (error) {
+        console.error('Erro em forgot-password:', error);
+        res.status(500).json({ error: "Erro ao processar solicitação" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/reset-password/{token}:
+ *   post:
+ *     summary: Redefinir senha
+ *     description: Redefine a senha do usuário usando o token recebido por email e encerra todas as suas sessões
+ *     tags: [Autenticação]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 example: "novaSenha123"
+ *               confirmPassword:
+ *                 type: string
+ *                 example: "novaSenha123"
+ *     responses:
+ *       200:
+ *         description: Senha redefinida com sucesso
+ *       400:
+ *         description: Token inválido ou senhas não coincidem
+ *       500:
+ *         description: Erro ao redefinir senha
+ */
+router.post("/reset-password/:token", async (req, res) => {
+    try {
+        const { token } = req.params;
+        const { password, confirmPassword } = req.body;
+
+        // Validations
+        if (!password || !confirmPassword) {
+            return res.status(400).json({ error: "Por favor preencha todos os campos" });
+        }
+
+        if (password !== confirmPassword) {
+            return res.status(400).json({ error: "As senhas não coincidem" });
+        }
+
+        // Hash the received token
+        const hashedToken = hashToken(token);
+
+        // Search for user with valid and non-expired token
+        const user = await User.findOne({
+            resetPasswordToken: hashedToken,
+            resetPasswordExpires: { $gt: Date.now() }
+        }).select('+passwordHistory');
+
+        if (!user) {
+            return res.status(400).json({ 
+                error: "Token inválido ou expirado. Solicite um novo link de recuperação" 
+            });
+        }
+
+        // Check password policy and reuse of recent passwords
+        const passwordValidation = await validatePasswordChange(user, password);
+        if (!passwordValidation.isValid) {
+            return res.status(400).json({ error: passwordValidation.error });
+        }
+
+        // Criar hash da nova senha
+        const salt = await bcrypt.genSalt(12);
+        const passwordHash = await bcrypt.hash(password, salt);
+
+        // Atualizar senha e invalidar token
+        user.passwordHistory = nextPasswordHistory(user);
+        user.passwordChangedAt = new Date();
+        user.password = passwordHash;
+        user.resetPasswordToken = undefined;
+        user.resetPasswordExpires = undefined;
+
+        // The link was delivered to the inbox, so it also confirms the e-mail (accounts created by import)
+        if (user.emailVerified === false) {
+            user.emailVerified = true;
+            user.emailVerificationToken = undefined;
+            user.emailVerificationExpires = undefined;
+        }
+
+        await user.save();
+
+        // Whoever knew the old password may still hold a session; every device has to sign in again
+        await revokeUserSessions(user._id, 'password_reset');
+
+        res.status(200).json({ 
+            error: null,
+            msg: "Senha redefinida com sucesso. Você já pode fazer login" 
+        });
+
+    } catch (error) {
+        console.error('Erro em reset-password:', error);
+        res.status(500).json({ error: "Erro ao redefinir senha" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/change-password:
+ *   post:
+ *     summary: Alterar senha
+ *     description: |
+ *       Altera a senha do usuário logado. Exige a senha atual e aplica a política de senhas.
+ *       Todas as outras sessões do usuário são encerradas (a sessão atual continua válida) e um aviso é enviado por e-mail.
+ *     tags: [Autenticação]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             currentPassword: "MinhaSenha#2025"
+ *             newPassword: "OutraSenha#2026"
+ *             confirmPassword: "OutraSenha#2026"
+ *     responses:
+ *       200:
+ *         description: Senha alterada com sucesso
+ *         content:
+ *           application/json:
+ *             example:
+ *               error: null
+ *               msg: "Senha alterada com sucesso"
+ *               revokedSessions: 2
+ *       400:
+ *         description: Senha atual incorreta, senhas diferentes ou nova senha fora da política
+ *       401:
+ *         description: Token não fornecido, expirado ou sessão encerrada
+ *       429:
+ *         description: Muitas tentativas com senha atual incorreta
+ */
+router.post("/change-password", verifyToken, async (req, res) => {
+
+    const currentPassword = req.body.currentPassword;
+    const newPassword = req.body.newPassword;
+    const confirmPassword = req.body.confirmPassword;
+
+    if (!currentPassword || !newPassword || !confirmPassword) {
+        return res.status(400).json({ error: "Por favor preencha todos os campos obrigatórios" });
+    }
+
+    if (newPassword !== confirmPassword) {
+        return res.status(400).json({ error: "As senhas não coincidem" });
+    }
+
+    try {
+
+        const user = await User.findOne({ _id: req.user.userId, deleted: false }).select('+passwordHistory');
+
+        if (!user) {
+            return res.status(404).json({ error: "Usuário não encontrado" });
+        }
+
+        // Wrong current passwords count as failed logins for the account
+        const keys = throttleKeys(user.email, req);
+        const throttle = await reserveAttempt('login', keys);
+
+        if (throttle.blocked) {
+            res.set('Retry-After', String(throttle.retryAfter));
+            return res.status(429).json({ error: `Muitas tentativas. Tente novamente em ${formatRetryAfter(throttle.retryAfter)}` });
+        }
+
+        const checkPassword = await bcrypt.compare(currentPassword, user.password || DUMMY_PASSWORD_HASH);
+
+        if (!checkPassword) {
+            return res.status(400).json({ error: "Senha atual incorreta" });
+        }
+
+        await clearAttempts('login', keys.filter(key => key.scope === 'account'));
+        await releaseAttempt('login', keys.filter(key => key.scope === 'ip'));
+
+        // Check password policy and reuse of recent passwords
+        const passwordValidation = await validatePasswordChange(user, newPassword);
+        if (!passwordValidation.isValid) {
+            return res.status(400).json({ error: passwordValidation.error });
+        }
+
+        const salt = await bcrypt.genSalt(12);
+        const passwordHash = await bcrypt.hash(newPassword, salt);
+
+        user.passwordHistory = nextPasswordHistory(user);
+        user.passwordChangedAt = new Date();
+        user.password = passwordHash;
+
+        // A pending recovery link must not be able to undo the change
+        user.resetPasswordToken = undefined;
+        user.resetPasswordExpires = undefined;
+
+        await user.save();
+
+        // Tokens issued to other devices stop working; this session stays signed in
+        const revokedSessions = await revokeUserSessions(user._id, 'password_changed', { exceptSessionId: req.user.sid });
+
+        try {
+            await sendPasswordChangedEmail(user.email, {
+                device: describeDevice(req.header('user-agent') || ''),
+                ip: getClientIp(req)
+            }, user.preferredLanguage);
+        } catch (error) {
+            console.error('Erro ao enviar aviso de alteração de senha:', error);
+        }
+
+        res.json({ error: null, msg: "Senha alterada com sucesso", revokedSessions: revokedSessions });
+
+    } catch (error) {
+        console.error('Erro em change-password:', error);
+        res.status(500).json({ error: "Erro ao alterar senha" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/verify-email/{token}:
+ *   post:
+ *     summary: Confirmar e-mail
+ *     description: Confirma o e-mail do usuário usando o token recebido por e-mail
+ *     tags: [Autenticação]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: E-mail confirmado com sucesso
+ *       400:
+ *         description: Token inválido ou expirado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               error: "Token inválido ou expirado. Solicite um novo e-mail de confirmação"
+ *       500:
+ *         description: Erro ao confirmar e-mail
+ */
+router.post("/verify-email/:token", async (req, res) => {
+    try {
+        const { token } = req.params;
+
+        // Hash the received token
+        const hashedToken = hashToken(token);
+
+        // Search for user with valid and non-expired token
+        const user = await User.findOne({
+            emailVerificationToken: hashedToken,
+            emailVerificationExpires: { $gt: Date.now() },
+            deleted: false
+        });
+
+        if (!user) {
+            return res.status(400).json({ 
+                error: "Token inválido ou expirado. Solicite um novo e-mail de confirmação" 
+            });
+        }
+
+        // Confirm e-mail and invalidate token
+        user.emailVerified = true;
+        user.emailVerificationToken = undefined;
+        user.emailVerificationExpires = undefined;
+
+        await user.save();
+
+        res.status(200).json({ 
+            error: null,
+            msg: "E-mail confirmado com sucesso" 
+        });
+
+    } catch (error) {
+        console.error('Erro em verify-email:', error);
+        res.status(500).json({ error: "Erro ao confirmar e-mail" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Reenviar e-mail de confirmação
+ *     description: Envia um novo link de confirmação para o e-mail do usuário logado. Só pode ser solicitado novamente após um intervalo (EMAIL_VERIFICATION_RESEND_SECONDS).
+ *     tags: [Autenticação]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: E-mail de confirmação enviado
+ *       400:
+ *         description: E-mail já confirmado
+ *       429:
+ *         description: Aguarde antes de solicitar um novo e-mail (cabeçalho Retry-After em segundos)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               error: "Aguarde 2 minuto(s) para solicitar um novo e-mail"
+ *       500:
+ *         description: Erro ao enviar e-mail de confirmação
+ */
+router.post("/resend-verification", verifyToken, async (req, res) => {
+    try {
+        const user = await User.findOne({ _id: req.user.userId, deleted: false });
+
+        if (!user) {
+            return res.status(404).json({ error: "Usuário não encontrado" });
+        }
+
+        if (user.emailVerified !== false) {
+            return res.status(400).json({ error: "O e-mail já está confirmado" });
+        }
+
+        const cooldown = resendCooldown(user);
+
+        if (cooldown > 0) {
+            res.set('Retry-After', String(cooldown));
+            return res.status(429).json({ error: `Aguarde ${formatRetryAfter(cooldown)} para solicitar um novo e-mail` });
+        }
+
+        const verification = createEmailVerification();
+
+        user.set(verification.fields);
+        await user.save();
+
+        await sendVerificationEmail(user.email, verification.token, user.preferredLanguage);
+
+        res.status(200).json({ error: null, msg: "E-mail de confirmação enviado" });
+
+    } catch (error) {
+        console.error('Erro em resend-verification:', error);
+        res.status(500).json({ error: "Erro ao enviar e-mail de confirmação" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Renovar token de acesso
+ *     description: |
+ *       Troca um refresh token válido por um novo par de tokens (rotação).
+ *       Cada refresh token só pode ser usado uma vez; reutilizar um token já trocado encerra a sessão inteira.
+ *     tags: [Autenticação]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 example: "9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08"
+ *     responses:
+ *       200:
+ *         description: Tokens renovados com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   nullable: true
+ *                   example: null
+ *                 msg:
+ *                   type: string
+ *                   example: "Token renovado com sucesso"
+ *                 token:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *                 expiresIn:
+ *                   type: string
+ *                   example: "15m"
+ *       400:
+ *         description: Refresh token não fornecido
+ *       401:
+ *         description: Refresh token inválido, expirado, revogado ou reutilizado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             examples:
+ *               invalido:
+ *                 value:
+ *                   error: "Refresh token inválido"
+ *               reutilizado:
+ *                 value:
+ *                   error: "Refresh token reutilizado. Por segurança, a sessão foi encerrada"
+ *       500:
+ *         description: Erro ao renovar token
+ */
+router.post("/refresh", async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({ error: "Por favor forneça o refresh token" });
+        }
+
+        const { tokens, error } = await rotateRefreshToken(refreshToken, req);
+
+        if (error) {
+            return res.status(401).json({ error });
+        }
+
+        res.status(200).json({ error: null, msg: "Token renovado com sucesso", ...tokens });
+
+    } catch (error) {
+        console.error('Erro em refresh:', error);
+        res.status(500).json({ error: "Erro ao renovar token" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Encerrar sessão
+ *     description: Revoga no servidor a sessão do token informado. O token de acesso e os refresh tokens dessa sessão deixam de ser aceitos.
+ *     tags: [Autenticação]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessão encerrada com sucesso
+ *       401:
+ *         description: Token não fornecido, expirado ou sessão já encerrada
+ *       500:
+ *         description: Erro ao encerrar sessão
+ */
+router.post("/logout", verifyToken, async (req, res) => {
+    try {
+        await revokeSession(req.user.sid, 'logout');
+
+        res.status(200).json({ error: null, msg: "Sessão encerrada com sucesso" });
+
+    } catch (error) {
+        console.error('Erro em logout:', error);
+        res.status(500).json({ error: "Erro ao encerrar sessão" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: Listar minhas sessões ativas
+ *     description: Retorna as sessões ativas do usuário logado com dispositivo, IP e último acesso
+ *     tags: [Autenticação]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessões encontradas com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   nullable: true
+ *                   example: null
+ *                 msg:
+ *                   type: string
+ *                   example: "Sessões encontradas com sucesso"
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                         example: "665f1f77bcf86cd799439011"
+ *                       device:
+ *                         type: string
+ *                         example: "Chrome em Windows"
+ *                       ip:
+ *                         type: string
+ *                         example: "200.17.101.4"
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                       lastSeenAt:
+ *                         type: string
+ *                         format: date-time
+ *                       current:
+ *                         type: boolean
+ *                         description: Se é a sessão do token usado na requisição
+ *       500:
+ *         description: Erro ao buscar sessões
+ */
+router.get("/sessions", verifyToken, async (req, res) => {
+    try {
+        const sessions = await Session.find(
+            { userId: req.user.userId, revokedAt: null, expiresAt: { $gt: new Date() } },
+            { userAgent: 0 }
+        ).sort({ lastSeenAt: -1 });
+
+        const data = sessions.map(session => ({
+            ...session.toObject(),
+            current: session._id.toString() === req.user.sid
+        }));
+
+        res.status(200).json({ error: null, msg: "Sessões encontradas com sucesso", data: data });
+
+    } catch (error) {
+        console.error('Erro ao buscar sessões:', error);
+        res.status(500).json({ error: "Erro ao buscar sessões" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   delete:
+ *     summary: Encerrar minhas outras sessões
+ *     description: Revoga todas as sessões do usuário logado, exceto a sessão atual
+ *     tags: [Autenticação]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessões encerradas com sucesso
+ *       500:
+ *         description: Erro ao encerrar sessões
+ */
+router.delete("/sessions", verifyToken, async (req, res) => {
+    try {
+        const revoked = await revokeUserSessions(req.user.userId, 'user_revoked', {
+            revokedBy: req.user.userId,
+            exceptSessionId: req.user.sid
+        });
+
+        res.status(200).json({ error: null, msg: "Sessões encerradas com sucesso", revoked: revoked });
+
+    } catch (error) {
+        console.error('Erro ao encerrar sessões:', error);
+        res.status(500).json({ error: "Erro ao encerrar sessões" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions/{sessionId}:
+ *   delete:
+ *     summary: Encerrar uma sessão
+ *     description: Revoga uma sessão específica do usuário logado
+ *     tags: [Autenticação]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID da sessão
+ *     responses:
+ *       200:
+ *         description: Sessão encerrada com sucesso
+ *       404:
+ *         description: Sessão não encontrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               error: "Sessão não encontrada"
+ *       500:
+ *         description: Erro ao encerrar sessão
+ */
+router.delete("/sessions/:sessionId", verifyToken, async (req, res) => {
+    const sessionId = req.params.sessionId;
+
+    try {
+        if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+            return res.status(404).json({ error: "Sessão não encontrada" });
+        }
+
+        // Users can only revoke their own sessions
+        const session = await Session.findOne({ _id: sessionId, userId: req.user.userId, revokedAt: null });
+
+        if (!session) {
+            return res.status(404).json({ error: "Sessão não encontrada" });
+        }
+
+        await revokeSession(session._id, 'user_revoked', req.user.userId);
+
+        res.status(200).json({ error: null, msg: "Sessão encerrada com sucesso" });
+
+    } catch (error) {
+        console.error('Erro ao encerrar sessão:', error);
+        res.status(500).json({ error: "Erro ao encerrar sessão" });
+    }
+});
+
+// Every route that accepts a second factor code shares the same per-account counter, so codes cannot be guessed through any of them.
+// The attempt is reserved before the code is checked and cleared when it is right
+const twoFactorThrottleKeys = (userId) => [{ scope: 'account', identifier: String(userId) }];
+
+const rejectTwoFactorThrottled = (res, throttle) => {
+    res.set('Retry-After', String(throttle.retryAfter));
+    return res.status(429).json({ error: `Muitas tentativas inválidas. Tente novamente em ${formatRetryAfter(throttle.retryAfter)}` });
+};
+
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Concluir login com segundo fator
+ *     description: |
+ *       Segunda etapa do login para contas com 2FA ativo. Envie o `challengeToken` retornado pelo login
+ *       junto com o código do aplicativo autenticador (`code`) ou um código de recuperação (`recoveryCode`).
+ *       Cada código de recuperação só pode ser usado uma vez.
+ *     tags: [Autenticação]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             challengeToken: "eyJhbGciOiJIUzI1NiIs..."
+ *             code: "123456"
+ *     responses:
+ *       200:
+ *         description: Login concluído, retorna token e refreshToken
+ *       400:
+ *         description: Código inválido
+ *       401:
+ *         description: Desafio inválido ou expirado
+ *       429:
+ *         description: Muitas tentativas inválidas
+ */
+router.post("/2fa/verify", async (req, res) => {
+
+    const challengeToken = req.body.challengeToken;
+    const code = req.body.code;
+    const recoveryCode = req.body.recoveryCode;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+        return res.status(400).json({ error: "Por favor preencha todos os campos obrigatórios" });
+    }
+
+    const challenge = verifyChallengeToken(challengeToken, '2fa');
+
+    if (!challenge) {
+        return res.status(401).json({ error: "Desafio inválido ou expirado. Faça login novamente" });
+    }
+
+    try {
+
+        // Brute-force protection for the 6-digit codes
+        const keys = twoFactorThrottleKeys(challenge.userId);
+        const throttle = await reserveAttempt('2fa', keys);
+
+        if (throttle.blocked) {
+            return rejectTwoFactorThrottled(res, throttle);
+        }
+
+        const method = await verifySecondFactor(challenge.userId, { code, recoveryCode });
+
+        if (!method) {
+            return res.status(400).json({ error: "Código inválido" });
+        }
+
+        await clearAttempts('2fa', keys);
+
+        const user = await User.findOne({ _id: challenge.userId, deleted: false }).select('+twoFactorRecoveryCodes');
+
+        const tokens = await issueTokens(user, req);
+
+        const result = { error: null, msg: "Você está autenticado", ...tokens, userId: user._id, emailVerified: user.emailVerified !== false };
+
+        if (method === 'recovery') {
+            result.recoveryCodesRemaining = user.twoFactorRecoveryCodes.length;
+        }
+
+        res.json(result);
+
+    } catch (error) {
+        console.error('Erro em 2fa/verify:', error);
+        res.status(500).json({ error: "Erro ao verificar código" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Iniciar configuração do 2FA
+ *     description: |
+ *       Gera um novo segredo TOTP e retorna a URI `otpauth://` para o QR code do aplicativo autenticador.
+ *       O 2FA só é ativado após confirmar um código em `/api/auth/2fa/enable`.
+ *       Usuários cuja função exige 2FA e que ainda não o configuraram podem enviar o `challengeToken` do login no lugar do token de acesso.
+ *     tags: [Autenticação]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           example:
+ *             challengeToken: "eyJhbGciOiJIUzI1NiIs... (opcional)"
+ *     responses:
+ *       200:
+ *         description: Segredo gerado
+ *         content:
+ *           application/json:
+ *             example:
+ *               error: null
+ *               msg: "Escaneie o QR code e confirme um código para ativar o 2FA"
+ *               secret: "JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP"
+ *               otpauthUri: "otpauth://totp/M2TIE%3Ausuario%40exemplo.com?secret=JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP&issuer=M2TIE&algorithm=SHA1&digits=6&period=30"
+ *       400:
+ *         description: 2FA já está ativo
+ *       401:
+ *         description: Token ou desafio inválido
+ */
+router.post("/2fa/setup", verifyTokenOrSetupChallenge, async (req, res) => {
+    try {
+
+        const user = await User.findOne({ _id: req.user.userId, deleted: false });
+
+        if (!user) {
+            return res.status(404).json({ error: "Usuário não encontrado" });
+        }
+
+        if (user.twoFactorEnabled) {
+            return res.status(400).json({ error: "A autenticação em dois fatores já está ativa" });
+        }
+
+        const secret = generateSecret();
+
+        await User.updateOne({ _id: user._id }, { $set: { twoFactorPendingSecret: secret } });
+
+        res.json({
+            error: null,
+            msg: "Escaneie o QR code e confirme um código para ativar o 2FA",
+            secret: secret,
+            otpauthUri: buildOtpauthUri(secret, user.email)
+        });
+
+    } catch (error) {
+        console.error('Erro em 2fa/setup:', error);
+        res.status(500).json({ error: "Erro ao configurar 2FA" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Ativar 2FA
+ *     description: |
+ *       Confirma o segredo gerado em `/api/auth/2fa/setup` com um código do aplicativo e ativa o 2FA.
+ *       Retorna os códigos de recuperação, exibidos apenas uma vez.
+ *       Quando chamado com o `challengeToken` do login, também retorna os tokens de acesso.
+ *     tags: [Autenticação]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             code: "123456"
+ *     responses:
+ *       200:
+ *         description: 2FA ativado, retorna recoveryCodes
+ *       400:
+ *         description: Código inválido ou configuração não iniciada
+ *       401:
+ *         description: Token ou desafio inválido
+ *       429:
+ *         description: Muitas tentativas inválidas
+ */
+router.post("/2fa/enable", verifyTokenOrSetupChallenge, async (req, res) => {
+
+    const code = req.body.code;
+
+    if (!code) {
+        return res.status(400).json({ error: "Informe o código do aplicativo autenticador" });
+    }
+
+    try {
+
+        const user = await User.findOne({ _id: req.user.userId, deleted: false }).select('+twoFactorPendingSecret');
+
+        if (!user) {
+            return res.status(404).json({ error: "Usuário não encontrado" });
+        }
+
+        if (user.twoFactorEnabled) {
+            return res.status(400).json({ error: "A autenticação em dois fatores já está ativa" });
+        }
+
+        if (!user.twoFactorPendingSecret) {
+            return res.status(400).json({ error: "Inicie a configuração em /api/auth/2fa/setup" });
+        }
+
+        const keys = twoFactorThrottleKeys(user._id);
+        const throttle = await reserveAttempt('2fa', keys);
+
+        if (throttle.blocked) {
+            return rejectTwoFactorThrottled(res, throttle);
+        }
+
+        const step = verifyCode(user.twoFactorPendingSecret, code);
+
+        if (step === null) {
+            return res.status(400).json({ error: "Código inválido" });
+        }
+
+        await clearAttempts('2fa', keys);
+
+        const recovery = generateRecoveryCodes();
+
+        await User.updateOne(
+            { _id: user._id },
+            {
+                $set: {
+                    twoFactorEnabled: true,
+                    twoFactorEnabledAt: new Date(),
+                    twoFactorSecret: user.twoFactorPendingSecret,
+                    twoFactorLastStep: step,
+                    twoFactorRecoveryCodes: recovery.hashedCodes
+                },
+                $unset: { twoFactorPendingSecret: 1 }
+            }
+        );
+
+        const result = {
+            error: null,
+            msg: "Autenticação em dois fatores ativada. Guarde os códigos de recuperação em local seguro",
+            recoveryCodes: recovery.codes
+        };
+
+        // Enrollment required at login: finish the login now
+        if (req.user.challenge) {
+            const tokens = await issueTokens(user, req);
+            Object.assign(result, tokens, { userId: user._id, emailVerified: user.emailVerified !== false });
+        }
+
+        res.json(result);
+
+    } catch (error) {
+        console.error('Erro em 2fa/enable:', error);
+        res.status(500).json({ error: "Erro ao ativar 2FA" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Desativar 2FA
+ *     description: Desativa o 2FA do próprio usuário. Exige a senha e um código (TOTP ou de recuperação). Não é permitido quando a função do usuário exige 2FA.
+ *     tags: [Autenticação]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             password: "senha123"
+ *             code: "123456"
+ *     responses:
+ *       200:
+ *         description: 2FA desativado
+ *       400:
+ *         description: Senha ou código inválido
+ *       403:
+ *         description: A função do usuário exige 2FA
+ *       429:
+ *         description: Muitas tentativas inválidas
+ */
+router.post("/2fa/disable", verifyToken, async (req, res) => {
+
+    const password = req.body.password;
+    const code = req.body.code;
+    const recoveryCode = req.body.recoveryCode;
+
+    if (!password || (!code && !recoveryCode)) {
+        return res.status(400).json({ error: "Por favor preencha todos os campos obrigatórios" });
+    }
+
+    try {
+
+        const user = await User.findOne({ _id: req.user.userId, deleted: false });
+
+        if (!user) {
+            return res.status(404).json({ error: "Usuário não encontrado" });
+        }
+
+        if (!user.twoFactorEnabled) {
+            return res.status(400).json({ error: "A autenticação em dois fatores não está ativa" });
+        }
+
+        if (await isTwoFactorRequired(user.role)) {
+            return res.status(403).json({ error: "Sua função exige autenticação em dois fatores" });
+        }
+
+        const keys = twoFactorThrottleKeys(user._id);
+        const throttle = await reserveAttempt('2fa', keys);
+
+        if (throttle.blocked) {
+            return rejectTwoFactorThrottled(res, throttle);
+        }
+
+        const checkPassword = await bcrypt.compare(password, user.password || DUMMY_PASSWORD_HASH);
+
+        if (!checkPassword || !(await verifySecondFactor(user._id, { code, recoveryCode }))) {
+            return res.status(400).json({ error: "Senha ou código inválido" });
+        }
+
+        await clearAttempts('2fa', keys);
+
+        await User.updateOne({ _id: user._id }, twoFactorResetUpdate());
+
+        res.json({ error: null, msg: "Autenticação em dois fatores desativada" });
+
+    } catch (error) {
+        console.error('Erro em 2fa/disable:', error);
+        res.status(500).json({ error: "Erro ao desativar 2FA" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Gerar novos códigos de recuperação
+ *     description: Substitui todos os códigos de recuperação por novos. Exige um código do aplicativo autenticador.
+ *     tags: [Autenticação]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             code: "123456"
+ *     responses:
+ *       200:
+ *         description: Novos códigos gerados, retorna recoveryCodes
+ *       400:
+ *         description: Código inválido ou 2FA inativo
+ *       429:
+ *         description: Muitas tentativas inválidas
+ */
+router.post("/2fa/recovery-codes", verifyToken, async (req, res) => {
+
+    const code = req.body.code;
+
+    if (!code) {
+        return res.status(400).json({ error: "Informe o código do aplicativo autenticador" });
+    }
+
+    try {
+
+        const user = await User.findOne({ _id: req.user.userId, deleted: false });
+
+        if (!user) {
+            return res.status(404).json({ error: "Usuário não encontrado" });
+        }
+
+        if (!user.twoFactorEnabled) {
+            return res.status(400).json({ error: "A autenticação em dois fatores não está ativa" });
+        }
+
+        const keys = twoFactorThrottleKeys(user._id);
+        const throttle = await reserveAttempt('2fa', keys);
+
+        if (throttle.blocked) {
+            return rejectTwoFactorThrottled(res, throttle);
+        }
+
+        if (!(await verifySecondFactor(user._id, { code }))) {
+            return res.status(400).json({ error: "Código inválido" });
+        }
+
+        await clearAttempts('2fa', keys);
+
+        const recovery = generateRecoveryCodes();
+
+        await User.updateOne({ _id: user._id }, { $set: { twoFactorRecoveryCodes: recovery.hashedCodes } });
+
+        res.json({ error: null, msg: "Novos códigos de recuperação gerados", recoveryCodes: recovery.codes });
+
+    } catch (error) {
+        console.error('Erro em 2fa/recovery-codes:', error);
+        res.status(500).json({ error: "Erro ao gerar códigos de recuperação" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/admins/lockouts:
+ *   get:
+ *     summary: Listar bloqueios e contadores de tentativas
+ *     description: Retorna os contadores de tentativas de login e de recuperação de senha por conta e por IP (permissão `lockouts:manage`)
+ *     tags: [Autenticação]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: identifier
+ *         schema:
+ *           type: string
+ *         description: Filtrar por e-mail ou IP
+ *         example: "joao@email.com"
+ *       - in: query
+ *         name: lockedOnly
+ *         schema:
+ *           type: boolean
+ *         description: Retornar apenas chaves bloqueadas no momento
+ *     responses:
+ *       200:
+ *         description: Bloqueios encontrados com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   nullable: true
+ *                   example: null
+ *                 msg:
+ *                   type: string
+ *                   example: "Bloqueios encontrados com sucesso"
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       action:
+ *                         type: string
+ *                         enum: [login, forgot-password]
+ *                       scope:
+ *                         type: string
+ *                         enum: [account, ip]
+ *                       identifier:
+ *                         type: string
+ *                         example: "joao@email.com"
+ *                       attempts:
+ *                         type: number
+ *                         example: 2
+ *                       lockedUntil:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                       locked:
+ *                         type: boolean
+ *       403:
+ *         description: Sem a permissão lockouts:manage
+ *       500:
+ *         description: Erro ao buscar bloqueios
+ */
+// Get lockouts
+router.get("/admins/lockouts", verifyToken, requirePermission('lockouts:manage'), async (req, res) => {
+
+    try {
+
+        const filter = {};
+
+        if (req.query.identifier) {
+            filter.identifier = String(req.query.identifier).trim().toLowerCase();
+        }
+
+        if (req.query.lockedOnly === 'true') {
+            filter.lockedUntil = { $gt: new Date() };
+        }
+
+        const attempts = await LoginAttempt.find(filter).sort({ lastAttemptAt: -1 });
+
+        const data = attempts.map(attempt => ({
+            ...attempt.toObject(),
+            locked: !!attempt.lockedUntil && attempt.lockedUntil > new Date()
+        }));
+
+        return res.status(200).json({ error: null, msg: "Bloqueios encontrados com sucesso", data: data });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao buscar bloqueios" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/admins/lockouts/{id}:
+ *   delete:
+ *     summary: Remover bloqueio
+ *     description: Zera o contador de tentativas e remove o bloqueio de uma conta ou IP (permissão `lockouts:manage`)
+ *     tags: [Autenticação]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID do registro de tentativas
+ *     responses:
+ *       200:
+ *         description: Bloqueio removido com sucesso
+ *       403:
+ *         description: Sem a permissão lockouts:manage
+ *       404:
+ *         description: Bloqueio não encontrado
+ *       500:
+ *         description: Erro ao remover bloqueio
+ */
+// Clear a lockout
+router.delete("/admins/lockouts/:id", verifyToken, requirePermission('lockouts:manage'), async (req, res) => {
+
+    const id = req.params.id;
+
+    try {
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(404).json({ error: "Bloqueio não encontrado" });
+        }
+
+        const removed = await LoginAttempt.findByIdAndDelete(id);
+
+        if (!removed) {
+            return res.status(404).json({ error: "Bloqueio não encontrado" });
+        }
+
+        await recordAudit(req, { action: 'lockout.clear', targetType: 'LoginAttempt', targetId: removed._id, before: removed });
+
+        return res.status(200).json({ error: null, msg: "Bloqueio removido com sucesso" });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao remover bloqueio" });
     }
 });
 
@@ -0,0 +1,564 @@
+const router = require('express').Router();
+const mongoose = require('mongoose');
+
+// Models
+const ConsentTerm = require('../models/consentTerm');
+const ConsentAcceptance = require('../models/consentAcceptance');
+const Form = require('../models/form');
+
+// Middlewares
+const verifyToken = require('../helpers/check-token');
+const requirePermission = require('../helpers/require-permission');
+const requireVerifiedEmail = require('../helpers/require-verified-email');
+
+// Helpers
+const { findInstitution, hasGlobalScope, institutionFilter } = require('../helpers/institutions');
+const { getConsentStatus } = require('../helpers/consent');
+const { getClientIp } = require('../helpers/request-info');
+const { recordAudit } = require('../helpers/audit');
+
+const validateText = (text) => typeof text === 'string' && text.trim().length >= 20;
+
+// Institution of a new term: users with global scope choose it (null for a term shared by every institution), everyone else uses their own
+const resolveTermInstitution = async (req) => {
+    if (!hasGlobalScope(req)) {
+        if (!req.currentUser.institutionId) {
+            return { status: 403, error: "Seu usuário não está vinculado a uma instituição" };
+        }
+
+        return { institutionId: req.currentUser.institutionId };
+    }
+
+    if (!req.body.institutionId) {
+        return { institutionId: null };
+    }
+
+    const institution = await findInstitution({ institutionId: req.body.institutionId });
+
+    if (!institution) {
+        return { status: 400, error: "Instituição não encontrada" };
+    }
+
+    return { institutionId: institution._id };
+};
+
+/**
+ * @swagger
+ * /api/consents:
+ *   get:
+ *     summary: Listar termos de consentimento (TCLE)
+ *     description: Lista os termos com a versão atual e o número de formulários que os utilizam (permissão `consents:manage`). Sem a permissão `institutions:global`, apenas os da própria instituição
+ *     tags: [Consentimento]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Termos encontrados com sucesso
+ *       403:
+ *         description: Sem a permissão consents:manage
+ *       500:
+ *         description: Erro ao buscar termos
+ */
+// Get consent terms
+router.get("/", verifyToken, requirePermission('consents:manage'), async (req, res) => {
+
+    try {
+
+        const terms = await ConsentTerm.find({ deleted: false, ...institutionFilter(req) }).sort({ createdAt: -1 });
+
+        const formCounts = await Form.aggregate([
+            { $match: { deleted: false, consentTermId: { $in: terms.map(term => term._id) } } },
+            { $group: { _id: '$consentTermId', count: { $sum: 1 } } }
+        ]);
+
+        const data = terms.map(term => {
+            const { versions, ...summary } = term.toObject();
+
+            return {
+                ...summary,
+                currentText: versions.find(item => item.version === term.currentVersion)?.text || '',
+                forms: formCounts.find(item => item._id.equals(term._id))?.count || 0
+            };
+        });
+
+        return res.status(200).json({ error: null, msg: "Termos encontrados com sucesso", data: data });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao buscar termos" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/consents:
+ *   post:
+ *     summary: Criar termo de consentimento (TCLE)
+ *     description: |
+ *       Cria um termo com a versão 1 do texto (permissão `consents:manage`). O termo pertence à instituição de quem o cria; com a permissão `institutions:global`, `institutionId` escolhe a instituição (omitido, o termo pode ser usado por formulários de qualquer instituição).
+ *       Para exigir o aceite, informe o `consentTermId` ao criar ou editar o formulário.
+ *     tags: [Consentimento]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [title, text]
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 example: "TCLE - Pesquisa de hábitos de estudo"
+ *               text:
+ *                 type: string
+ *                 description: Texto completo do termo (mínimo de 20 caracteres)
+ *               institutionId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Termo criado com sucesso
+ *       400:
+ *         description: Dados inválidos
+ *       403:
+ *         description: Sem a permissão consents:manage
+ *       500:
+ *         description: Erro ao criar termo
+ */
+// Create a consent term
+router.post("/", verifyToken, requirePermission('consents:manage'), async (req, res) => {
+
+    // Token data
+    const userId = req.user.userId;
+
+    // Request data
+    const { title, text } = req.body;
+
+    try {
+
+        if (!title || typeof title !== 'string' || !title.trim()) {
+            return res.status(400).json({ error: "O título do termo é obrigatório" });
+        }
+
+        if (!validateText(text)) {
+            return res.status(400).json({ error: "O texto do termo deve ter pelo menos 20 caracteres" });
+        }
+
+        const termInstitution = await resolveTermInstitution(req);
+        if (termInstitution.error) {
+            return res.status(termInstitution.status).json({ error: termInstitution.error });
+        }
+
+        const term = await ConsentTerm.create({
+            title: title.trim(),
+            institutionId: termInstitution.institutionId,
+            currentVersion: 1,
+            versions: [{ version: 1, text: text.trim(), publishedBy: userId }],
+            createdBy: userId
+        });
+
+        await recordAudit(req, { action: 'consent_term.create', targetType: 'ConsentTerm', targetId: term._id, after: term });
+
+        return res.status(201).json({ error: null, msg: "Termo criado com sucesso", data: term });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao criar termo" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/consents/{id}:
+ *   get:
+ *     summary: Obter termo de consentimento com todas as versões
+ *     description: Retorna o termo, o texto de cada versão e quantos participantes aceitaram cada uma (permissão `consents:manage`)
+ *     tags: [Consentimento]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Termo encontrado com sucesso
+ *       403:
+ *         description: Sem a permissão consents:manage
+ *       404:
+ *         description: Termo não encontrado
+ *       500:
+ *         description: Erro ao buscar termo
+ */
+// Get a consent term
+router.get("/:id", verifyToken, requirePermission('consents:manage'), async (req, res) => {
+
+    const id = req.params.id;
+
+    try {
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(404).json({ error: "Termo não encontrado" });
+        }
+
+        const term = await ConsentTerm.findOne({ _id: id, deleted: false, ...institutionFilter(req) });
+
+        if (!term) {
+            return res.status(404).json({ error: "Termo não encontrado" });
+        }
+
+        const acceptances = await ConsentAcceptance.aggregate([
+            { $match: { termId: term._id } },
+            { $group: { _id: '$version', count: { $sum: 1 } } }
+        ]);
+
+        const data = term.toObject();
+        data.versions = data.versions.map(item => ({
+            ...item,
+            acceptances: acceptances.find(count => count._id === item.version)?.count || 0
+        }));
+
+        return res.status(200).json({ error: null, msg: "Termo encontrado com sucesso", data: data });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao buscar termo" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/consents/{id}/versions:
+ *   post:
+ *     summary: Publicar nova versão do termo
+ *     description: |
+ *       Publica um novo texto, que passa a ser a versão atual (permissão `consents:manage`).
+ *       As versões anteriores são mantidas; participantes que aceitaram apenas versões anteriores precisam aceitar a nova antes de enviar novas respostas.
+ *     tags: [Consentimento]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [text]
+ *             properties:
+ *               text:
+ *                 type: string
+ *               title:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Versão publicada com sucesso
+ *       400:
+ *         description: Texto inválido
+ *       403:
+ *         description: Sem a permissão consents:manage
+ *       404:
+ *         description: Termo não encontrado
+ *       500:
+ *         description: Erro ao publicar versão
+ */
+// Publish a new version of a consent term
+router.post("/:id/versions", verifyToken, requirePermission('consents:manage'), async (req, res) => {
+
+    // Token data
+    const userId = req.user.userId;
+
+    // Request data
+    const id = req.params.id;
+    const { text, title } = req.body;
+
+    try {
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(404).json({ error: "Termo não encontrado" });
+        }
+
+        if (!validateText(text)) {
+            return res.status(400).json({ error: "O texto do termo deve ter pelo menos 20 caracteres" });
+        }
+
+        if (title !== undefined && (typeof title !== 'string' || !title.trim())) {
+            return res.status(400).json({ error: "O título do termo não pode ser vazio" });
+        }
+
+        const previous = await ConsentTerm.findOne({ _id: id, deleted: false, ...institutionFilter(req) });
+
+        if (!previous) {
+            return res.status(404).json({ error: "Termo não encontrado" });
+        }
+
+        const version = previous.currentVersion + 1;
+
+        // The version check makes concurrent publications fail instead of skipping a number
+        const term = await ConsentTerm.findOneAndUpdate(
+            { _id: previous._id, currentVersion: previous.currentVersion },
+            {
+                $set: { currentVersion: version, ...(title ? { title: title.trim() } : {}) },
+                $push: { versions: { version: version, text: text.trim(), publishedBy: userId, publishedAt: new Date() } }
+            },
+            { new: true }
+        );
+
+        if (!term) {
+            return res.status(409).json({ error: "O termo foi alterado por outra requisição. Tente novamente" });
+        }
+
+        await recordAudit(req, {
+            action: 'consent_term.publish',
+            targetType: 'ConsentTerm',
+            targetId: term._id,
+            before: { currentVersion: previous.currentVersion, title: previous.title },
+            after: { currentVersion: term.currentVersion, title: term.title }
+        });
+
+        return res.status(201).json({ error: null, msg: "Versão publicada com sucesso", data: term });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao publicar versão" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/consents/{id}:
+ *   delete:
+ *     summary: Remover termo de consentimento
+ *     description: Remove um termo que não está vinculado a nenhum formulário (permissão `consents:manage`). Os aceites registrados são mantidos
+ *     tags: [Consentimento]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Termo removido com sucesso
+ *       400:
+ *         description: Termo em uso por formulários
+ *       403:
+ *         description: Sem a permissão consents:manage
+ *       404:
+ *         description: Termo não encontrado
+ *       500:
+ *         description: Erro ao remover termo
+ */
+// Delete a consent term
+router.delete("/:id", verifyToken, requirePermission('consents:manage'), async (req, res) => {
+
+    const id = req.params.id;
+
+    try {
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(404).json({ error: "Termo não encontrado" });
+        }
+
+        const term = await ConsentTerm.findOne({ _id: id, deleted: false, ...institutionFilter(req) });
+
+        if (!term) {
+            return res.status(404).json({ error: "Termo não encontrado" });
+        }
+
+        const forms = await Form.countDocuments({ consentTermId: term._id, deleted: false });
+
+        if (forms > 0) {
+            return res.status(400).json({ error: "O termo está vinculado a formulários e não pode ser removido", usage: { forms } });
+        }
+
+        await ConsentTerm.updateOne({ _id: term._id }, { $set: { deleted: true } });
+
+        await recordAudit(req, { action: 'consent_term.delete', targetType: 'ConsentTerm', targetId: term._id, before: { deleted: false }, after: { deleted: true } });
+
+        return res.status(200).json({ error: null, msg: "Termo removido com sucesso" });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao remover termo" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/consents/forms/{formId}:
+ *   get:
+ *     summary: Consultar o termo de consentimento de um formulário
+ *     description: Retorna o texto da versão atual do termo do formulário e se o usuário logado já o aceitou. `required` é false quando o formulário não exige termo
+ *     tags: [Consentimento]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: formId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Situação do termo
+ *         content:
+ *           application/json:
+ *             example:
+ *               error: null
+ *               msg: "Termo encontrado com sucesso"
+ *               data:
+ *                 required: true
+ *                 termId: "665f1f77bcf86cd799439031"
+ *                 title: "TCLE - Pesquisa de hábitos de estudo"
+ *                 version: 2
+ *                 text: "Você está sendo convidado(a) a participar..."
+ *                 accepted: false
+ *                 acceptedAt: null
+ *       404:
+ *         description: Formulário não encontrado
+ *       500:
+ *         description: Erro ao buscar termo
+ */
+// Get the consent term of a form for the logged user
+router.get("/forms/:formId", verifyToken, requireVerifiedEmail, async (req, res) => {
+
+    // Token data
+    const userId = req.user.userId;
+
+    const formId = req.params.formId;
+
+    try {
+
+        if (!mongoose.Types.ObjectId.isValid(formId)) {
+            return res.status(404).json({ error: "Formulário não encontrado" });
+        }
+
+        const form = await Form.findOne({ _id: formId, deleted: false });
+
+        if (!form) {
+            return res.status(404).json({ error: "Formulário não encontrado" });
+        }
+
+        const status = await getConsentStatus(form, userId);
+
+        if (status.required) {
+            const term = await ConsentTerm.findById(status.termId);
+            status.text = term.versions.find(item => item.version === status.version).text;
+        }
+
+        return res.status(200).json({ error: null, msg: "Termo encontrado com sucesso", data: status });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao buscar termo" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/consents/forms/{formId}/accept:
+ *   post:
+ *     summary: Aceitar o termo de consentimento de um formulário
+ *     description: |
+ *       Registra o aceite da versão atual do termo pelo usuário logado, com data, IP e navegador (permissão `responses:submit`).
+ *       `version` deve ser a versão exibida ao participante; se uma nova versão tiver sido publicada nesse meio tempo, a rota responde 409 e o texto deve ser exibido novamente.
+ *     tags: [Consentimento]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: formId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [version]
+ *             properties:
+ *               version:
+ *                 type: integer
+ *                 example: 2
+ *     responses:
+ *       201:
+ *         description: Termo aceito com sucesso
+ *       400:
+ *         description: O formulário não exige termo
+ *       403:
+ *         description: Sem a permissão responses:submit
+ *       404:
+ *         description: Formulário não encontrado
+ *       409:
+ *         description: A versão aceita não é mais a atual
+ *       500:
+ *         description: Erro ao registrar aceite
+ */
+// Accept the consent term of a form
+router.post("/forms/:formId/accept", verifyToken, requirePermission('responses:submit'), requireVerifiedEmail, async (req, res) => {
+
+    // Token data
+    const userId = req.user.userId;
+
+    // Request data
+    const formId = req.params.formId;
+    const version = Number(req.body.version);
+
+    try {
+
+        if (!mongoose.Types.ObjectId.isValid(formId)) {
+            return res.status(404).json({ error: "Formulário não encontrado" });
+        }
+
+        const form = await Form.findOne({ _id: formId, deleted: false });
+
+        if (!form) {
+            return res.status(404).json({ error: "Formulário não encontrado" });
+        }
+
+        const status = await getConsentStatus(form, userId);
+
+        if (!status.required) {
+            return res.status(400).json({ error: "Este formulário não exige termo de consentimento" });
+        }
+
+        if (version !== status.version) {
+            return res.status(409).json({ error: "O termo foi atualizado. Leia e aceite a versão atual", version: status.version });
+        }
+
+        if (status.accepted) {
+            return res.status(200).json({ error: null, msg: "Termo já aceito", data: status });
+        }
+
+        const acceptance = await ConsentAcceptance.create({
+            userId: userId,
+            termId: status.termId,
+            version: status.version,
+            formId: form._id,
+            ip: getClientIp(req),
+            userAgent: req.get('user-agent') || ''
+        });
+
+        await recordAudit(req, {
+            action: 'consent.accept',
+            targetType: 'ConsentTerm',
+            targetId: status.termId,
+            metadata: { version: status.version, formId: form._id }
+        });
+
+        return res.status(201).json({ error: null, msg: "Termo aceito com sucesso", data: { ...status, accepted: true, acceptedAt: acceptance.acceptedAt } });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao registrar aceite" });
+    }
+});
+
+
+module.exports = router;
@@ -3,24 +3,28 @@ const router = require('express').Router();
 // Models
 const Form = require('../models/form');
 const Question = require('../models/question');
-const User = require('../models/user');
 const Response = require('../models/response');
 
 // Middlewares
 const verifyToken = require('../helpers/check-token');
+const requirePermission = require('../helpers/require-permission');
 
 // Helpers
-const getUserByToken = require('../helpers/get-user-by-token');
+const { hasFormAccess } = require('../helpers/api-keys');
+const { institutionFilter } = require('../helpers/institutions');
+const { recordAudit } = require('../helpers/audit');
+const { ANONYMIZED_RESPONDENT, isCountedResponse } = require('../helpers/erasure');
 
 /**
  * @swagger
  * /api/dashboards/analysis/{formId}/{questionId}:
  *   get:
  *     summary: Análise de uma questão específica
- *     description: Retorna estatísticas detalhadas de uma questão do formulário (apenas admin e teacher_analyst)
+ *     description: Retorna estatísticas detalhadas de uma questão do formulário (permissão `analytics:read`)
  *     tags: [Dashboards]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: formId
@@ -84,7 +88,7 @@ const getUserByToken = require('../helpers/get-user-by-token');
  *                           type: number
  *                           example: 150
  *       403:
- *         description: Acesso negado - apenas admin e teacher_analyst
+ *         description: Sem a permissão analytics:read ou chave de API sem acesso ao formulário
  *         content:
  *           application/json:
  *             schema:
@@ -123,12 +127,7 @@ const getUserByToken = require('../helpers/get-user-by-token');
  *               error: "Mensagem de erro detalhada"
  */
 // Question Analysis from FormId and QuestionId (ADMIN e ANALYST)
-router.get("/analysis/:formId/:questionId", verifyToken, async (req, res) => {
-
-    // Token data
-    const token = req.header("auth-token");
-    const userByToken = await getUserByToken(token);
-    const userId = userByToken._id.toString();
+router.get("/analysis/:formId/:questionId", verifyToken.allowApiKey('analytics:read'), requirePermission('analytics:read'), async (req, res) => {
 
     // Request params
     const formId = req.params.formId;
@@ -136,19 +135,13 @@ router.get("/analysis/:formId/:questionId", verifyToken, async (req, res) => {
 
     try {
 
-        // Verify user
-        const user = await User.findOne({ _id: userId, deleted: false });
-        if (!user) {
-            return res.status(404).json({ error: "Usuário não encontrado." });
-        }
-
-        const role = user.role;
-        if (role !== 'admin' && role !== 'teacher_analyst') {
-            return res.status(403).json({ error: "Acesso negado." });
+        // API keys only reach the forms they were issued for
+        if (req.apiKey && !hasFormAccess(req.apiKey, formId)) {
+            return res.status(403).json({ error: "Acesso negado. A chave de API não tem acesso a este formulário." });
         }
 
         // Verify form
-        const form = await Form.findOne({ _id: formId, deleted: false });
+        const form = await Form.findOne({ _id: formId, deleted: false, ...institutionFilter(req) });
         if (!form) {
             return res.status(404).json({ error: "Formulário não encontrado." });
         }
@@ -159,11 +152,16 @@ router.get("/analysis/:formId/:questionId", verifyToken, async (req, res) => {
             return res.status(404).json({ error: "Questão não encontrada." });
         }
 
-        // Get responses
-        const responses = await Response.find({ formId, deleted: false });
+        // Get responses (same population as the full analysis: removed users only count as anonymized records)
+        const responses = await Response.find({ formId, deleted: false, isDraft: false })
+            .populate({
+                path: 'userId',
+                select: '_id',
+                match: { deleted: false }
+            });
 
         // Filter the answers to remove answers with questionId null
-        const filteredResponses = responses.map(response => {
+        const filteredResponses = responses.filter(isCountedResponse).map(response => {
             const filteredAnswers = response.answers.filter(a => a.questionId && a.questionId.toString() === questionId);
             return {
                 ...response.toObject(),
@@ -259,10 +257,11 @@ router.get("/analysis/:formId/:questionId", verifyToken, async (req, res) => {
  * /api/dashboards/full-analysis/{formId}:
  *   get:
  *     summary: Análise completa do formulário
- *     description: Retorna análise estatística de todas as questões do formulário (apenas admin e teacher_analyst)
+ *     description: Retorna análise estatística de todas as questões do formulário (permissão `analytics:read`)
  *     tags: [Dashboards]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: formId
@@ -330,7 +329,7 @@ router.get("/analysis/:formId/:questionId", verifyToken, async (req, res) => {
  *                         type: number
  *                         example: 150
  *       403:
- *         description: Acesso negado
+ *         description: Sem a permissão analytics:read ou chave de API sem acesso ao formulário
  *         content:
  *           application/json:
  *             schema:
@@ -354,31 +353,20 @@ router.get("/analysis/:formId/:questionId", verifyToken, async (req, res) => {
  *                   type: string
  */
 // Full Analysis from FormId (ADMIN E ANALYST)
-router.get("/full-analysis/:formId", verifyToken, async (req, res) => {
-
-    // Token data
-    const token = req.header("auth-token");
-    const userByToken = await getUserByToken(token);
-    const userId = userByToken._id.toString();
+router.get("/full-analysis/:formId", verifyToken.allowApiKey('analytics:read'), requirePermission('analytics:read'), async (req, res) => {
 
     // Request params
     const formId = req.params.formId;
 
     try {
 
-        // Verify user
-        const user = await User.findOne({ _id: userId, deleted: false });
-        if (!user) {
-            return res.status(404).json({ error: "Usuário não encontrado." });
-        }
-
-        const role = user.role;
-        if (role !== 'admin' && role !== 'teacher_analyst') {
-            return res.status(403).json({ error: "Acesso negado." });
+        // API keys only reach the forms they were issued for
+        if (req.apiKey && !hasFormAccess(req.apiKey, formId)) {
+            return res.status(403).json({ error: "Acesso negado. A chave de API não tem acesso a este formulário." });
         }
 
         // Verify form
-        const form = await Form.findOne({ _id: formId, deleted: false })
+        const form = await Form.findOne({ _id: formId, deleted: false, ...institutionFilter(req) })
             .populate({
                 path: 'questions.questionId',
                 match: { deleted: false }
@@ -388,16 +376,16 @@ router.get("/full-analysis/:formId", verifyToken, async (req, res) => {
         }
 
         // Get responses
-        const responses = await Response.find({ formId, deleted: false })
+        const responses = await Response.find({ formId, deleted: false, isDraft: false })
             .populate({
                 path: 'userId',
                 select: 'name email city state institution',
                 match: { deleted: false }
             });
 
-        // Filter responses from deleted users
+        // Filter responses from deleted users, keeping anonymized research records
         const filteredResponses = responses
-            .filter(r => r.userId !== null)
+            .filter(isCountedResponse)
             .map(response => {
                 const filteredAnswers = response.answers.filter(a => a.questionId !== null);
                 return {
@@ -501,7 +489,7 @@ router.get("/full-analysis/:formId", verifyToken, async (req, res) => {
  * /api/dashboards/export/{formId}:
  *   get:
  *     summary: Exportar dados do formulário
- *     description: Retorna dados em formato tabular para exportação (CSV/Excel) - apenas admin e teacher_analyst
+ *     description: Retorna dados em formato tabular para exportação (CSV/Excel) (permissão `responses:export`)
  *     tags: [Dashboards]
  *     security:
  *       - bearerAuth: []
@@ -544,7 +532,7 @@ router.get("/full-analysis/:formId", verifyToken, async (req, res) => {
  *                       "Qual o seu nome?": "Maria Santos"
  *                       "Nível de satisfação": "8"
  *       403:
- *         description: Acesso negado
+ *         description: Sem a permissão responses:export
  *         content:
  *           application/json:
  *             schema:
@@ -568,31 +556,15 @@ router.get("/full-analysis/:formId", verifyToken, async (req, res) => {
  *                   type: string
  */
 // Export Data from FormId (ADMIN)
-router.get("/admins/export/:formId", verifyToken, async (req, res) => {
-    
-    // Token data
-    const token = req.header("auth-token");
-    const userByToken = await getUserByToken(token);
-    const userId = userByToken._id.toString();
+router.get("/admins/export/:formId", verifyToken, requirePermission('responses:export'), async (req, res) => {
 
     // Request params
     const formId = req.params.formId;
 
     try {
 
-        // Verify user
-        const user = await User.findOne({ _id: userId, deleted: false });
-        if (!user) {
-            return res.status(404).json({ error: "Usuário não encontrado." });
-        }
-
-        const role = user.role;
-        if (role !== 'admin') {
-            return res.status(403).json({ error: "Acesso negado." });
-        }
-
         // Verify form
-        const form = await Form.findOne({ _id: formId, deleted: false })
+        const form = await Form.findOne({ _id: formId, deleted: false, ...institutionFilter(req) })
             .populate({
                 path: 'questions.questionId',
                 match: { deleted: false }
@@ -602,7 +574,7 @@ router.get("/admins/export/:formId", verifyToken, async (req, res) => {
         }
 
         // Get responses
-        const responses = await Response.find({ formId, deleted: false })
+        const responses = await Response.find({ formId, deleted: false, isDraft: false })
             .populate({
                 path: 'userId',
                 select: 'name email city state institution',
@@ -614,11 +586,12 @@ router.get("/admins/export/:formId", verifyToken, async (req, res) => {
 
         // Prepare data
         const exportData = responses
-            .filter(response => response.userId) // Filter responses from deleted users
+            .filter(isCountedResponse) // Filter responses from deleted users, keeping anonymized research records
             .map(response => {
+                const respondent = response.userId || ANONYMIZED_RESPONDENT;
                 const data = {
-                    respondent: response.userId.name,
-                    email: response.userId.email,
+                    respondent: respondent.name,
+                    email: respondent.email,
                     submittedAt: response.submittedAt
                 };
 
@@ -638,6 +611,8 @@ router.get("/admins/export/:formId", verifyToken, async (req, res) => {
                 return data;
             });
 
+        await recordAudit(req, { action: 'responses.export', targetType: 'Form', targetId: form._id, metadata: { rows: exportData.length, identifiable: true } });
+
         return res.status(200).json({
             formTitle: form.title,
             totalResponses: responses.length,
@@ -654,10 +629,11 @@ router.get("/admins/export/:formId", verifyToken, async (req, res) => {
  * /api/dashboards/export/{formId}:
  *   get:
  *     summary: Exportar dados do formulário
- *     description: Retorna dados em formato tabular para exportação (CSV/Excel) - apenas admin e teacher_analyst
+ *     description: Retorna dados em formato tabular para exportação (CSV/Excel) (permissão `analytics:export`)
  *     tags: [Dashboards]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: formId
@@ -697,7 +673,7 @@ router.get("/admins/export/:formId", verifyToken, async (req, res) => {
  *                       "Qual o seu nome?": "Maria Santos"
  *                       "Nível de satisfação": "8"
  *       403:
- *         description: Acesso negado
+ *         description: Sem a permissão analytics:export ou chave de API sem acesso ao formulário
  *         content:
  *           application/json:
  *             schema:
@@ -721,31 +697,20 @@ router.get("/admins/export/:formId", verifyToken, async (req, res) => {
  *                   type: string
  */
 // Export Data from FormId (ANALYST)
-router.get("/analysts/export/:formId", verifyToken, async (req, res) => {
-    
-    // Token data
-    const token = req.header("auth-token");
-    const userByToken = await getUserByToken(token);
-    const userId = userByToken._id.toString();
+router.get("/analysts/export/:formId", verifyToken.allowApiKey('exports:read'), requirePermission('analytics:export'), async (req, res) => {
 
     // Request params
     const formId = req.params.formId;
 
     try {
 
-        // Verify user
-        const user = await User.findOne({ _id: userId, deleted: false });
-        if (!user) {
-            return res.status(404).json({ error: "Usuário não encontrado." });
-        }
-
-        const role = user.role;
-        if (role !== 'teacher_analyst') {
-            return res.status(403).json({ error: "Acesso negado." });
+        // API keys only reach the forms they were issued for
+        if (req.apiKey && !hasFormAccess(req.apiKey, formId)) {
+            return res.status(403).json({ error: "Acesso negado. A chave de API não tem acesso a este formulário." });
         }
 
         // Verify form
-        const form = await Form.findOne({ _id: formId, deleted: false })
+        const form = await Form.findOne({ _id: formId, deleted: false, ...institutionFilter(req) })
             .populate({
                 path: 'questions.questionId',
                 match: { deleted: false }
@@ -755,7 +720,7 @@ router.get("/analysts/export/:formId", verifyToken, async (req, res) => {
         }
 
         // Get responses
-        const responses = await Response.find({ formId, deleted: false })
+        const responses = await Response.find({ formId, deleted: false, isDraft: false })
             .populate({
                 path: 'userId',
                 select: 'name email city state institution anonymous',
@@ -767,10 +732,10 @@ router.get("/analysts/export/:formId", verifyToken, async (req, res) => {
 
         // Prepare data
         const exportData = responses
-            .filter(response => response.userId) // Filter responses from deleted users
+            .filter(isCountedResponse) // Filter responses from deleted users, keeping anonymized research records
             .map(response => {
                 let respondent, email, city, state, institution;
-                if (response.userId.anonymous === true) {
+                if (!response.userId || response.userId.anonymous === true) {
                     respondent = "Anônimo";
                     email = "N/A";
                     city = "N/A";
@@ -809,6 +774,8 @@ router.get("/analysts/export/:formId", verifyToken, async (req, res) => {
                 return data;
             });
 
+        await recordAudit(req, { action: 'analytics.export', targetType: 'Form', targetId: form._id, metadata: { rows: exportData.length, identifiable: exportData.some(row => row.respondent !== "Anônimo") } });
+
         return res.status(200).json({
             formTitle: form.title,
             totalResponses: responses.length,
@@ -825,7 +792,7 @@ router.get("/analysts/export/:formId", verifyToken, async (req, res) => {
  * /api/dashboards/{formId}:
  *   get:
  *     summary: Obter todas as respostas brutas
- *     description: Retorna todas as respostas do formulário sem processamento estatístico (apenas admin e teacher_analyst)
+ *     description: Retorna todas as respostas do formulário sem processamento estatístico (permissão `responses:read`)
  *     tags: [Dashboards]
  *     security:
  *       - bearerAuth: []
@@ -891,7 +858,7 @@ router.get("/analysts/export/:formId", verifyToken, async (req, res) => {
  *                         type: string
  *                         format: date-time
  *       403:
- *         description: Acesso negado
+ *         description: Sem a permissão responses:read
  *         content:
  *           application/json:
  *             schema:
@@ -915,38 +882,22 @@ router.get("/analysts/export/:formId", verifyToken, async (req, res) => {
  *                   type: string
  */
 // All Raw Responses from FormId (ADMIN)
-router.get("/admins/:formId", verifyToken, async (req, res) => {
-    
-    // Token data
-    const token = req.header("auth-token");
-    const userByToken = await getUserByToken(token);
-    const userId = userByToken._id.toString();
+router.get("/admins/:formId", verifyToken, requirePermission('responses:read'), async (req, res) => {
 
     // Request params
     const formId = req.params.formId;
 
-    // Verify user
     try {
 
-        const user = await User.findOne({ _id: userId, deleted: false });
-        if (!user) {
-            return res.status(404).json({ error: "Usuário não encontrado." });
-        }
-
-        const role = user.role;
-        if (role !== 'admin') {
-            return res.status(403).json({ error: "Acesso negado." });
-        }
-
         // Verify form
-        const form = await Form.findOne({ _id: formId, deleted: false });
+        const form = await Form.findOne({ _id: formId, deleted: false, ...institutionFilter(req) });
         if (!form) {
             return res.status(404).json({ error: "Formulário não encontrado." });
         }
 
         // Get responses
-        const totalResponses = await Response.countDocuments({ formId, deleted: false });
-        const responses = await Response.find({ formId, deleted: false })
+        const totalResponses = await Response.countDocuments({ formId, deleted: false, isDraft: false });
+        const responses = await Response.find({ formId, deleted: false, isDraft: false })
             .populate({
                 path: 'userId',
                 select: 'name email city state institution',
@@ -958,13 +909,14 @@ router.get("/admins/:formId", verifyToken, async (req, res) => {
                 match: { deleted: false }
             });
 
-        // Filter responses whose userId became null (deleted user)
+        // Filter responses whose userId became null (deleted user), keeping anonymized research records
         const filteredResponses = responses
-            .filter(response => response.userId !== null)
+            .filter(isCountedResponse)
             .map(response => {
                 const filteredAnswers = response.answers.filter(a => a.questionId !== null);
                 return {
                     ...response.toObject(),
+                    userId: response.userId || ANONYMIZED_RESPONDENT,
                     answers: filteredAnswers
                 };
             });
@@ -988,10 +940,11 @@ router.get("/admins/:formId", verifyToken, async (req, res) => {
  * /api/dashboards/{formId}:
  *   get:
  *     summary: Obter todas as respostas brutas
- *     description: Retorna todas as respostas do formulário sem processamento estatístico (apenas admin e teacher_analyst)
+ *     description: Retorna todas as respostas do formulário sem processamento estatístico (permissão `responses:analyze`)
  *     tags: [Dashboards]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: formId
@@ -1054,7 +1007,7 @@ router.get("/admins/:formId", verifyToken, async (req, res) => {
  *                         type: string
  *                         format: date-time
  *       403:
- *         description: Acesso negado
+ *         description: Sem a permissão responses:analyze ou chave de API sem acesso ao formulário
  *         content:
  *           application/json:
  *             schema:
@@ -1078,38 +1031,27 @@ router.get("/admins/:formId", verifyToken, async (req, res) => {
  *                   type: string
  */
 // All Raw Responses from FormId (ANALYST)
-router.get("/analysts/:formId", verifyToken, async (req, res) => {
-    
-    // Token data
-    const token = req.header("auth-token");
-    const userByToken = await getUserByToken(token);
-    const userId = userByToken._id.toString();
+router.get("/analysts/:formId", verifyToken.allowApiKey('analytics:read'), requirePermission('responses:analyze'), async (req, res) => {
 
     // Request params
     const formId = req.params.formId;
 
-    // Verify user
     try {
 
-        const user = await User.findOne({ _id: userId, deleted: false });
-        if (!user) {
-            return res.status(404).json({ error: "Usuário não encontrado." });
-        }
-
-        const role = user.role;
-        if (role !== 'teacher_analyst') {
-            return res.status(403).json({ error: "Acesso negado. Apenas analistas podem acessar esta rota." });
+        // API keys only reach the forms they were issued for
+        if (req.apiKey && !hasFormAccess(req.apiKey, formId)) {
+            return res.status(403).json({ error: "Acesso negado. A chave de API não tem acesso a este formulário." });
         }
 
         // Verify form
-        const form = await Form.findOne({ _id: formId, deleted: false });
+        const form = await Form.findOne({ _id: formId, deleted: false, ...institutionFilter(req) });
         if (!form) {
             return res.status(404).json({ error: "Formulário não encontrado." });
         }
 
         // Get responses
-        const totalResponses = await Response.countDocuments({ formId, deleted: false });
-        const responses = await Response.find({ formId, deleted: false })
+        const totalResponses = await Response.countDocuments({ formId, deleted: false, isDraft: false });
+        const responses = await Response.find({ formId, deleted: false, isDraft: false })
             .populate({
                 path: 'userId',
                 select: 'name email city state institution anonymous',
@@ -1121,15 +1063,17 @@ router.get("/analysts/:formId", verifyToken, async (req, res) => {
                 match: { deleted: false }
             });
 
-        // Filter responses whose userId became null (deleted user)
+        // Filter responses whose userId became null (deleted user), keeping anonymized research records
         const filteredResponses = responses
-            .filter(response => response.userId !== null)
+            .filter(isCountedResponse)
             .map(response => {
                 const responseObj = response.toObject();
                 const filteredAnswers = responseObj.answers.filter(a => a.questionId !== null);
 
                 // Anonymity handling
-                if (responseObj.userId.anonymous === true) {
+                if (!responseObj.userId) {
+                    responseObj.userId = ANONYMIZED_RESPONDENT;
+                } else if (responseObj.userId.anonymous === true) {
                     responseObj.userId = { _id: responseObj.userId._id };
                 } else {
                     delete responseObj.userId.anonymous;
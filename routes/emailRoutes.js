@@ -0,0 +1,229 @@
+const router = require('express').Router();
+
+// Models
+const EmailLog = require('../models/emailLog');
+
+// Middlewares
+const verifyToken = require('../helpers/check-token');
+const requirePermission = require('../helpers/require-permission');
+
+// Helpers
+const { LANGUAGES, TEMPLATE_NAMES, renderPreview } = require('../helpers/email-templates');
+const { parseListQuery, findPage, fieldsProjection } = require('../helpers/list-query');
+
+// List protocol of GET /logs
+const EMAIL_LOG_LIST = {
+    sort: { fields: ['createdAt', 'sentAt'], default: '-createdAt' },
+    filters: {
+        status: { values: ['pending', 'sent', 'failed'] },
+        type: {},
+        // Not "to", which is the end of the date range
+        recipient: { path: 'to' }
+    },
+    dateField: 'createdAt',
+    search: ['to', 'subject'],
+    fields: ['type', 'to', 'subject', 'driver', 'status', 'attempts', 'failures', 'messageId', 'sentAt', 'createdAt']
+};
+
+/**
+ * @swagger
+ * /api/emails/logs:
+ *   get:
+ *     summary: Listar registro de e-mails
+ *     description: Lista os e-mails enviados pelo sistema com situação, tentativas e erros, do mais recente para o mais antigo (permissão `emails:read`), paginados e com filtros. O conteúdo dos e-mails não é armazenado.
+ *     tags: [E-mails]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ListPage'
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - $ref: '#/components/parameters/ListSort'
+ *       - $ref: '#/components/parameters/ListSearch'
+ *       - $ref: '#/components/parameters/ListFields'
+ *       - $ref: '#/components/parameters/ListFrom'
+ *       - $ref: '#/components/parameters/ListTo'
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, sent, failed]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [reset_password, email_verification, invite, magic_link, password_changed]
+ *       - in: query
+ *         name: recipient
+ *         schema:
+ *           type: string
+ *         description: E-mail do destinatário (o parâmetro `to` é o fim do período de `createdAt`)
+ *     responses:
+ *       200:
+ *         description: Registros encontrados com sucesso
+ *         content:
+ *           application/json:
+ *             example:
+ *               error: null
+ *               msg: "Registros encontrados com sucesso"
+ *               data:
+ *                 - _id: "665f1f77bcf86cd799439011"
+ *                   type: "reset_password"
+ *                   to: "joao@email.com"
+ *                   subject: "Recuperação de Senha"
+ *                   driver: "smtp"
+ *                   status: "failed"
+ *                   attempts: 3
+ *                   failures:
+ *                     - attempt: 1
+ *                       error: "Connection timeout"
+ *                       at: "2025-01-15T10:30:00.000Z"
+ *               pagination:
+ *                 total: 1
+ *                 limit: 50
+ *                 page: 1
+ *                 hasMore: false
+ *                 nextCursor: null
+ *       400:
+ *         description: Parâmetro de listagem inválido
+ *       403:
+ *         description: Sem a permissão emails:read
+ *       500:
+ *         description: Erro ao buscar registros
+ */
+// Get e-mail logs
+router.get("/logs", verifyToken, requirePermission('emails:read'), async (req, res) => {
+
+    try {
+
+        // Addresses are stored in lower case
+        const list = parseListQuery({ ...req.query, ...(req.query.recipient ? { recipient: String(req.query.recipient).trim().toLowerCase() } : {}) }, EMAIL_LOG_LIST);
+        if (list.error) {
+            return res.status(400).json({ error: list.error });
+        }
+
+        const { items: logs, pagination } = await findPage(EmailLog, {}, list, query => list.fields ? query.select(fieldsProjection(list.fields)) : query);
+
+        return res.status(200).json({ error: null, msg: "Registros encontrados com sucesso", data: logs, pagination: pagination });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao buscar registros" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/emails/templates:
+ *   get:
+ *     summary: Listar templates de e-mail
+ *     description: Lista os templates de e-mail e os idiomas disponíveis (permissão `emails:read`)
+ *     tags: [E-mails]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Templates encontrados com sucesso
+ *         content:
+ *           application/json:
+ *             example:
+ *               error: null
+ *               msg: "Templates encontrados com sucesso"
+ *               data:
+ *                 templates: ["reset-password", "email-verification", "invite", "magic-link", "password-changed"]
+ *                 languages: ["pt-BR", "en"]
+ *       403:
+ *         description: Sem a permissão emails:read
+ */
+// List e-mail templates
+router.get("/templates", verifyToken, requirePermission('emails:read'), async (req, res) => {
+
+    try {
+
+        return res.status(200).json({ error: null, msg: "Templates encontrados com sucesso", data: { templates: TEMPLATE_NAMES, languages: LANGUAGES } });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao buscar templates" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/emails/templates/{name}/preview:
+ *   get:
+ *     summary: Pré-visualizar template de e-mail
+ *     description: Renderiza um template com dados de exemplo no idioma escolhido (permissão `emails:read`). Com `format=html`, retorna a página HTML pronta para abrir no navegador.
+ *     tags: [E-mails]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [reset-password, email-verification, invite, magic-link, password-changed]
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *           enum: [pt-BR, en]
+ *           default: pt-BR
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, html]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Template renderizado
+ *         content:
+ *           application/json:
+ *             example:
+ *               error: null
+ *               msg: "Template renderizado com sucesso"
+ *               data:
+ *                 subject: "Recuperação de Senha"
+ *                 language: "pt-BR"
+ *                 html: "<!DOCTYPE html>..."
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Idioma inválido
+ *       403:
+ *         description: Sem a permissão emails:read
+ *       404:
+ *         description: Template não encontrado
+ */
+// Preview an e-mail template
+router.get("/templates/:name/preview", verifyToken, requirePermission('emails:read'), async (req, res) => {
+
+    const name = req.params.name;
+    const language = req.query.language || 'pt-BR';
+
+    try {
+
+        if (!TEMPLATE_NAMES.includes(name)) {
+            return res.status(404).json({ error: "Template não encontrado" });
+        }
+
+        if (!LANGUAGES.includes(language)) {
+            return res.status(400).json({ error: `Idioma inválido. Use: ${LANGUAGES.join(', ')}` });
+        }
+
+        const preview = renderPreview(name, language);
+
+        if (req.query.format === 'html') {
+            return res.status(200).type('html').send(preview.html);
+        }
+
+        return res.status(200).json({ error: null, msg: "Template renderizado com sucesso", data: preview });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao renderizar template" });
+    }
+});
+
+
+module.exports = router;
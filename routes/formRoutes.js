@@ -6,20 +6,147 @@ const Form = require('../models/form');
 const Question = require('../models/question');
 const User = require('../models/user');
 const Response = require('../models/response');
+const ConsentTerm = require('../models/consentTerm');
+const Group = require('../models/group');
 
 // Middlewares
 const verifyToken = require('../helpers/check-token');
+const requirePermission = require('../helpers/require-permission');
 
 // Helpers
 const getUserByToken = require('../helpers/get-user-by-token');
 const validateFormUpdate  = require('../helpers/validate-form-fields');
+const { getRolesWithPermission } = require('../helpers/permissions');
+const { findInstitution, hasGlobalScope, institutionFilter } = require('../helpers/institutions');
+const { recordAudit } = require('../helpers/audit');
+const { getConsentStatus } = require('../helpers/consent');
+const { getGuardianConsentStatus } = require('../helpers/guardian-consent');
+const { parseListQuery, findPage, pickFields, wantsField } = require('../helpers/list-query');
+const { validateAssignedGroups, assignedFormsFilter, resolveAssignedUsers } = require('../helpers/groups');
+
+// List protocol of GET /admins/all and /analysts/all
+const FORM_LIST = {
+    sort: { fields: ['createdAt', 'title'], default: '-createdAt' },
+    filters: {
+        type: { values: ['form', 'diary'] },
+        isActive: { type: 'boolean' },
+        institutionId: { type: 'objectId' },
+        createdBy: { type: 'objectId' },
+        assignedUser: { path: 'assignedUsers', type: 'objectId' },
+        assignedGroup: { path: 'assignedGroups', type: 'objectId' }
+    },
+    dateField: 'createdAt',
+    search: ['title', 'description'],
+    fields: ['title', 'description', 'type', 'questions', 'institutionId', 'consentTermId', 'assignedUsers', 'assignedGroups', 'isActive', 'createdBy', 'createdAt', 'totalResponses', 'totalAssigned']
+};
+
+// Page of forms for the list protocol, populating only what the requested fields need
+const findFormsPage = (req, list, assignedUserSelect) => findPage(Form, { deleted: false, ...institutionFilter(req) }, list, query => {
+    if (wantsField(list.fields, 'questions')) {
+        query = query.populate({
+            path: 'questions.questionId',
+            match: { deleted: false }
+        });
+    }
+    if (wantsField(list.fields, 'assignedUsers')) {
+        query = query.populate({
+            path: 'assignedUsers',
+            select: assignedUserSelect,
+            match: { deleted: false }
+        });
+    }
+    if (wantsField(list.fields, 'assignedGroups')) {
+        query = query.populate({
+            path: 'assignedGroups',
+            select: 'name',
+            match: { deleted: false }
+        });
+    }
+    if (wantsField(list.fields, 'createdBy')) {
+        query = query.populate({
+            path: 'createdBy',
+            select: 'name email role city state institution',
+            match: { deleted: false }
+        });
+    }
+    return query;
+});
+
+// Responses per form from users that were not removed, counted in a single query
+const countFormResponses = async (forms) => {
+    const counts = await Response.aggregate([
+        { $match: { formId: { $in: forms.map(form => form._id) }, deleted: false, userId: { $ne: null } } },
+        { $lookup: { from: User.collection.name, localField: 'userId', foreignField: '_id', pipeline: [{ $project: { deleted: 1 } }], as: 'user' } },
+        { $match: { 'user.deleted': false } },
+        { $group: { _id: '$formId', total: { $sum: 1 } } }
+    ]);
+
+    return new Map(counts.map(count => [String(count._id), count.total]));
+};
+
+// Institution of a new or updated form: users with global scope choose it (null for none), everyone else uses their own
+const resolveFormInstitution = async (req, current) => {
+    const requested = req.body.institutionId;
+
+    if (!hasGlobalScope(req)) {
+        if (requested !== undefined && String(requested) !== String(req.currentUser.institutionId)) {
+            return { status: 403, error: "Acesso negado. Apenas usuários com a permissão institutions:global podem alterar a instituição do formulário" };
+        }
+
+        if (!req.currentUser.institutionId) {
+            return { status: 403, error: "Seu usuário não está vinculado a uma instituição" };
+        }
+
+        return { institutionId: req.currentUser.institutionId };
+    }
+
+    if (requested === undefined) {
+        return { institutionId: current };
+    }
+
+    if (requested === null) {
+        return { institutionId: null };
+    }
+
+    const institution = await findInstitution({ institutionId: requested });
+
+    if (!institution) {
+        return { status: 400, error: "Instituição não encontrada" };
+    }
+
+    return { institutionId: institution._id };
+};
+
+// Consent term of a form: from the form's institution or shared by every institution (null detaches it)
+const resolveConsentTerm = async (consentTermId, institutionId) => {
+    if (consentTermId === null || consentTermId === '') {
+        return { consentTermId: null };
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(consentTermId)) {
+        return { error: "ID do termo de consentimento inválido" };
+    }
+
+    const term = await ConsentTerm.findOne({ _id: consentTermId, deleted: false, institutionId: { $in: [null, institutionId] } });
+
+    if (!term) {
+        return { error: "Termo de consentimento não encontrado ou de outra instituição" };
+    }
+
+    return { consentTermId: term._id };
+};
 
 /**
  * @swagger
  * /api/forms:
  *   post:
  *     summary: Criar novo formulário
- *     description: Cria um novo formulário com questões e usuários associados (apenas admin)
+ *     description: |
+ *       Cria um novo formulário com questões e usuários associados (permissão `forms:create`).
+ *       O formulário pertence à instituição de quem o cria; com a permissão `institutions:global`, `institutionId` escolhe a instituição (omitido, o formulário fica sem instituição e só é visto com a permissão global).
+ *       Os usuários atribuídos devem ser da instituição do formulário.
+ *       `assignedGroups` atribui o formulário a grupos (turmas, ver `/api/groups`): os membros atuais de cada grupo passam a recebê-lo, inclusive os que entrarem depois.
+ *       `consentTermId` exige que os participantes aceitem o termo de consentimento (TCLE) antes de responder (ver `/api/consents`).
  *     tags: [Formulários]
  *     security:
  *       - bearerAuth: []
@@ -42,7 +169,10 @@ const validateFormUpdate  = require('../helpers/validate-form-fields');
  *             assignedUsers:
  *               - "507f1f77bcf86cd799439021"
  *               - "507f1f77bcf86cd799439022"
+ *             assignedGroups:
+ *               - "667f1f77bcf86cd799439051"
  *             isActive: true
+ *             consentTermId: "665f1f77bcf86cd799439031"
  *     responses:
  *       201:
  *         description: Formulário criado com sucesso
@@ -81,14 +211,8 @@ const validateFormUpdate  = require('../helpers/validate-form-fields');
  *               usuariosInvalidos:
  *                 value:
  *                   error: "Um ou mais usuários não foram encontrados ou não são respondentes"
- *       401:
- *         description: Apenas administradores
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
- *             example:
- *               error: "Apenas administradores podem criar formulários."
+ *       403:
+ *         description: Sem a permissão forms:create
  *       404:
  *         description: Usuário não encontrado
  *         content:
@@ -99,33 +223,19 @@ const validateFormUpdate  = require('../helpers/validate-form-fields');
  *         description: Erro interno do servidor
  */
 // Create new Form
-router.post("/", verifyToken, async (req, res) => {
-
-    // Token data
-    const token = req.header("auth-token");
-    const userByToken = await getUserByToken(token);
-    const userId = userByToken._id.toString();
+router.post("/", verifyToken, requirePermission('forms:create'), async (req, res) => {
 
     // Request data
     const title = req.body.title;
     const description = req.body.description;
     const questions = req.body.questions;
     const assignedUsers = req.body.assignedUsers;
+    const assignedGroups = req.body.assignedGroups;
     const isActive = req.body.isActive;
     const type = req.body.type || 'form';
+    const consentTermId = req.body.consentTermId;
 
-    // Verify Admin user
     try {
-        const user = await User.findOne({ _id: userId, deleted: false });
-
-        if (!user) {
-            return res.status(404).json({ error: "Usuário não encontrado" });
-        }
-
-        if (user.role !== 'admin') {
-            return res.status(401).json({ error: "Apenas administradores podem criar formulários." });
-        }
-
         // Validate fields
         if (!title || title.trim() === '') {
             return res.status(400).json({ error: "O título é obrigatório" });
@@ -149,6 +259,11 @@ router.post("/", verifyToken, async (req, res) => {
             return res.status(400).json({ error: "Uma ou mais questões não foram encontradas" });
         }
 
+        const formInstitution = await resolveFormInstitution(req, null);
+        if (formInstitution.error) {
+            return res.status(formInstitution.status).json({ error: formInstitution.error });
+        }
+
         // Validate assignedUsers if provided
         if (assignedUsers && Array.isArray(assignedUsers) && assignedUsers.length > 0) {
             const invalidUserIds = assignedUsers.filter(id => !mongoose.Types.ObjectId.isValid(id));
@@ -156,17 +271,30 @@ router.post("/", verifyToken, async (req, res) => {
                 return res.status(400).json({ error: "Um ou mais IDs de usuário são inválidos" });
             }
 
+            // Only roles that answer forms may be assigned, and only from the form's institution
             const existingUsers = await User.find({ 
                 _id: { $in: assignedUsers }, 
                 deleted: false,
-                role: { $in: ['student', 'teacher_respondent'] } 
+                role: { $in: await getRolesWithPermission('responses:submit') },
+                ...(formInstitution.institutionId ? { institutionId: formInstitution.institutionId } : {})
             });
 
             if (existingUsers.length !== assignedUsers.length) {
-                return res.status(400).json({ error: "Um ou mais usuários não foram encontrados ou não são respondentes" });
+                return res.status(400).json({ error: "Um ou mais usuários não foram encontrados, não são respondentes ou não pertencem à instituição do formulário" });
             }
         }
 
+        // Validate assignedGroups if provided
+        const formGroups = assignedGroups !== undefined ? await validateAssignedGroups(req, assignedGroups, formInstitution.institutionId) : { groupIds: [] };
+        if (formGroups.error) {
+            return res.status(400).json({ error: formGroups.error });
+        }
+
+        const formConsent = consentTermId !== undefined ? await resolveConsentTerm(consentTermId, formInstitution.institutionId) : { consentTermId: null };
+        if (formConsent.error) {
+            return res.status(400).json({ error: formConsent.error });
+        }
+
         // Diary type validation
         if (type === 'diary') {
             if (questions.length !== 1) {
@@ -193,13 +321,19 @@ router.post("/", verifyToken, async (req, res) => {
                 required: q.required || false
             })),
             assignedUsers: assignedUsers || [], 
+            assignedGroups: formGroups.groupIds,
+            institutionId: formInstitution.institutionId,
+            consentTermId: formConsent.consentTermId,
             isActive: formIsActive,
-            createdBy: user._id.toString()
+            closedAt: formIsActive ? null : new Date(),
+            createdBy: req.currentUser._id.toString()
         });
 
         // Save form
         const newForm = await form.save();
 
+        await recordAudit(req, { action: 'form.create', targetType: 'Form', targetId: newForm._id, after: newForm });
+
         // Populate to return complete data
         const populatedForm = await Form.findById(newForm._id)
             .populate({
@@ -211,6 +345,11 @@ router.post("/", verifyToken, async (req, res) => {
                 select: 'name email role city state institution',
                 match: { deleted: false }
             })
+            .populate({
+                path: 'assignedGroups',
+                select: 'name',
+                match: { deleted: false }
+            })
             .populate({
                 path: 'createdBy',
                 select: 'name email role',
@@ -234,7 +373,9 @@ router.post("/", verifyToken, async (req, res) => {
  * /api/forms/active:
  *   get:
  *     summary: Obter formulários ativos do usuário logado
- *     description: Retorna todos os formulários ativos que foram atribuídos ao usuário logado, indicando quais já foram respondidos
+ *     description: |
+ *       Retorna todos os formulários ativos que foram atribuídos ao usuário logado, indicando quais já foram respondidos.
+ *       `consent` traz a situação do termo de consentimento (TCLE) de cada formulário. Para estudantes menores de idade, `guardianConsent` traz a situação da autorização do responsável e `locked` indica que os formulários não podem ser respondidos até a autorização.
  *     tags: [Formulários]
  *     security:
  *       - bearerAuth: []
@@ -271,6 +412,15 @@ router.post("/", verifyToken, async (req, res) => {
  *                             type: string
  *                             format: date-time
  *                             nullable: true
+ *                           consent:
+ *                             type: object
+ *                             description: Situação do termo de consentimento (TCLE)
+ *                           locked:
+ *                             type: boolean
+ *                             description: Bloqueado por falta da autorização do responsável
+ *                 guardianConsent:
+ *                   type: object
+ *                   description: Situação da autorização do responsável
  *             example:
  *               error: null
  *               msg: "Formulários ativos encontrados com sucesso"
@@ -317,8 +467,9 @@ router.get("/active", verifyToken, async (req, res) => {
             return res.status(404).json({ error: "Usuário não encontrado" });
         }
         
+        // Forms assigned directly or through one of the user's groups
         const forms = await Form.find({ 
-            assignedUsers: userId,
+            ...await assignedFormsFilter(user._id),
             isActive: true,
             deleted: false 
         })
@@ -341,6 +492,9 @@ router.get("/active", verifyToken, async (req, res) => {
             });
         }
         
+        // Underage students without the guardian's authorization see their forms locked
+        const guardianConsent = await getGuardianConsentStatus(user);
+
         // For each form, check if the user has already responded
         const formsWithStatus = await Promise.all(forms.map(async form => {
             let response;
@@ -404,6 +558,8 @@ router.get("/active", verifyToken, async (req, res) => {
                 questions: filteredQuestions,
                 hasResponded: hasResponded,
                 hasDraft: hasDraft, // ⬅️ NOVO: Informar se tem draft
+                consent: await getConsentStatus(form, userId),
+                locked: guardianConsent.locked,
                 responseId: response?._id,
                 submittedAt: response?.submittedAt,
                 isDiary: form.type === 'diary'
@@ -413,7 +569,8 @@ router.get("/active", verifyToken, async (req, res) => {
         return res.status(200).json({ 
             error: null, 
             msg: "Formulários ativos encontrados com sucesso", 
-            data: formsWithStatus
+            data: formsWithStatus,
+            guardianConsent: guardianConsent
         });
         
     } catch (error) {
@@ -426,10 +583,51 @@ router.get("/active", verifyToken, async (req, res) => {
  * /api/forms/all:
  *   get:
  *     summary: Listar todos os formulários
- *     description: Retorna todos os formulários cadastrados no sistema com informações de usuários atribuídos e respostas
+ *     description: Retorna os formulários com informações de usuários atribuídos e respostas (permissão `forms:read`), paginados e com filtros. Sem a permissão `institutions:global`, apenas os da instituição do usuário
  *     tags: [Formulários]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ListPage'
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: -createdAt
+ *           enum: [createdAt, -createdAt, title, -title]
+ *         description: Ordenação (prefixo - para ordem decrescente)
+ *       - $ref: '#/components/parameters/ListSearch'
+ *       - $ref: '#/components/parameters/ListFields'
+ *       - $ref: '#/components/parameters/ListFrom'
+ *       - $ref: '#/components/parameters/ListTo'
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [form, diary]
+ *         description: Tipo do formulário
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *         description: Formulários ativos ou inativos
+ *       - in: query
+ *         name: institutionId
+ *         schema:
+ *           type: string
+ *         description: ID da instituição
+ *       - in: query
+ *         name: createdBy
+ *         schema:
+ *           type: string
+ *         description: ID de quem criou o formulário
+ *       - in: query
+ *         name: assignedUser
+ *         schema:
+ *           type: string
+ *         description: ID de um usuário atribuído
  *     responses:
  *       200:
  *         description: Formulários encontrados com sucesso
@@ -449,6 +647,16 @@ router.get("/active", verifyToken, async (req, res) => {
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/Form'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Parâmetro de listagem inválido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               error: "Valor inválido para isActive. Use true ou false"
  *       404:
  *         description: Usuário não encontrado
  *         content:
@@ -459,67 +667,41 @@ router.get("/active", verifyToken, async (req, res) => {
  *         description: Erro interno do servidor
  */
 // Get all Forms
-router.get("/admins/all", verifyToken, async (req, res) => {
-
-    const token = req.header("auth-token");
-    const userByToken = await getUserByToken(token);
-    const userId = userByToken._id.toString();
+router.get("/admins/all", verifyToken, requirePermission('forms:read'), async (req, res) => {
 
     try {
-        const user = await User.findOne({ _id: userId, deleted: false });
-
-        if (!user) {
-            return res.status(404).json({ error: "Usuário não encontrado" });
+        const list = parseListQuery(req.query, FORM_LIST);
+        if (list.error) {
+            return res.status(400).json({ error: list.error });
         }
 
-        if (user.role !== 'admin') {
-            return res.status(401).json({ error: "Apenas administradores podem acessar todos os formulários." });
-        }
+        const { items: forms, pagination } = await findFormsPage(req, list, 'name email role city state institution');
 
-        const forms = await Form.find({ deleted: false })
-            .sort({ createdAt: -1 })
-            .populate({
-                path: 'questions.questionId',
-                match: { deleted: false }
-            })
-            .populate({
-                path: 'assignedUsers',
-                select: 'name email role city state institution',
-                match: { deleted: false }
-            })
-            .populate({
-                path: 'createdBy',
-                select: 'name email role city state institution',
-                match: { deleted: false }
-            });
+        // Count valid responses of the page's forms
+        const responseCounts = wantsField(list.fields, 'totalResponses') ? await countFormResponses(forms) : new Map();
 
-        // For each form, count valid responses
-        const formsWithResponseCount = await Promise.all(forms.map(async form => {
-            const responses = await Response.find({
-                formId: form._id,
-                deleted: false
-            }).populate({
-                path: 'userId',
-                match: { deleted: false }
-            });
-            const validResponsesCount = responses.filter(r => r.userId !== null).length;
+        // Assigned users include the current members of the assigned groups
+        const assigned = wantsField(list.fields, 'totalAssigned') ? await resolveAssignedUsers(forms) : new Map();
 
+        const formsWithResponseCount = forms.map(form => {
             const filteredQuestions = form.questions.filter(q => q.questionId !== null);
             const filteredAssignedUsers = form.assignedUsers.filter(u => u !== null);
 
-            return {
+            return pickFields({
                 ...form.toObject(),
                 questions: filteredQuestions,
                 assignedUsers: filteredAssignedUsers,
-                totalResponses: validResponsesCount,
-                totalAssigned: filteredAssignedUsers.length
-            };
-        }));
+                assignedGroups: form.assignedGroups.filter(g => g !== null),
+                totalResponses: responseCounts.get(String(form._id)) || 0,
+                totalAssigned: (assigned.get(String(form._id)) || []).length
+            }, list.fields);
+        });
 
         return res.status(200).json({ 
             error: null, 
             msg: "Formulários encontrados com sucesso", 
-            data: formsWithResponseCount 
+            data: formsWithResponseCount,
+            pagination: pagination
         });
 
     } catch (error) {
@@ -531,8 +713,8 @@ router.get("/admins/all", verifyToken, async (req, res) => {
  * @swagger
  * /api/forms/{formId}:
  *   get:
- *     summary: Obter formulário por ID (Admin/Analista apenas)
- *     description: Retorna um formulário específico com todas as informações. Acesso restrito a admins e analistas.
+ *     summary: Obter formulário por ID (permissão `forms:read`)
+ *     description: Retorna um formulário específico com todas as informações.
  *     tags: [Formulários]
  *     security:
  *       - bearerAuth: []
@@ -580,26 +762,11 @@ router.get("/admins/all", verifyToken, async (req, res) => {
  *         description: Erro interno do servidor
  */
 // Get a Form by ID - (ADMIN)
-router.get("/admins/:formId", verifyToken, async (req, res) => {
+router.get("/admins/:formId", verifyToken, requirePermission('forms:read'), async (req, res) => {
     const formId = req.params.formId;
 
-    const token = req.header("auth-token");
-    const userByToken = await getUserByToken(token);
-    const userId = userByToken._id.toString();
-
     try {
-        const user = await User.findOne({ _id: userId, deleted: false });
-
-        if (!user) {
-            return res.status(404).json({ error: "Usuário não encontrado" });
-        }
-
-        const role = user.role;
-        if (role !== 'admin') {
-            return res.status(403).json({ error: "Acesso negado ao formulário" });
-        }
-
-        const form = await Form.findOne({ _id: formId, deleted: false })
+        const form = await Form.findOne({ _id: formId, deleted: false, ...institutionFilter(req) })
             .populate({
                 path: 'questions.questionId',
                 match: { deleted: false }
@@ -609,6 +776,11 @@ router.get("/admins/:formId", verifyToken, async (req, res) => {
                 select: 'name email role city state institution',
                 match: { deleted: false }
             })
+            .populate({
+                path: 'assignedGroups',
+                select: 'name description',
+                match: { deleted: false }
+            })
             .populate({
                 path: 'createdBy',
                 select: 'name email role city state institution',
@@ -622,12 +794,22 @@ router.get("/admins/:formId", verifyToken, async (req, res) => {
         // Filter questions to remove those with null questionId
         const filteredQuestions = form.questions.filter(q => q.questionId !== null);
         const filteredAssignedUsers = form.assignedUsers.filter(u => u !== null);
+        const filteredAssignedGroups = form.assignedGroups.filter(g => g !== null);
+
+        // Users assigned directly or through the groups
+        const assigned = await resolveAssignedUsers([form]);
 
         // Return the form with filtered questions
         return res.status(200).json({ 
             error: null, 
             msg: "Formulário encontrado com sucesso", 
-            data: { ...form.toObject(), questions: filteredQuestions, assignedUsers: filteredAssignedUsers }
+            data: {
+                ...form.toObject(),
+                questions: filteredQuestions,
+                assignedUsers: filteredAssignedUsers,
+                assignedGroups: filteredAssignedGroups,
+                totalAssigned: assigned.get(String(form._id)).length
+            }
         });
 
     } catch (error) {
@@ -640,10 +822,51 @@ router.get("/admins/:formId", verifyToken, async (req, res) => {
  * /api/forms/all:
  *   get:
  *     summary: Listar todos os formulários
- *     description: Retorna todos os formulários cadastrados no sistema com informações de usuários atribuídos e respostas
+ *     description: Retorna os formulários com informações de usuários atribuídos e respostas (permissão `forms:analyze`), paginados e com filtros. Sem a permissão `institutions:global`, apenas os da instituição do usuário
  *     tags: [Formulários]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ListPage'
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: -createdAt
+ *           enum: [createdAt, -createdAt, title, -title]
+ *         description: Ordenação (prefixo - para ordem decrescente)
+ *       - $ref: '#/components/parameters/ListSearch'
+ *       - $ref: '#/components/parameters/ListFields'
+ *       - $ref: '#/components/parameters/ListFrom'
+ *       - $ref: '#/components/parameters/ListTo'
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [form, diary]
+ *         description: Tipo do formulário
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *         description: Formulários ativos ou inativos
+ *       - in: query
+ *         name: institutionId
+ *         schema:
+ *           type: string
+ *         description: ID da instituição
+ *       - in: query
+ *         name: createdBy
+ *         schema:
+ *           type: string
+ *         description: ID de quem criou o formulário
+ *       - in: query
+ *         name: assignedUser
+ *         schema:
+ *           type: string
+ *         description: ID de um usuário atribuído
  *     responses:
  *       200:
  *         description: Formulários encontrados com sucesso
@@ -663,6 +886,16 @@ router.get("/admins/:formId", verifyToken, async (req, res) => {
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/Form'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Parâmetro de listagem inválido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               error: "Valor inválido para isActive. Use true ou false"
  *       404:
  *         description: Usuário não encontrado
  *         content:
@@ -673,50 +906,23 @@ router.get("/admins/:formId", verifyToken, async (req, res) => {
  *         description: Erro interno do servidor
  */
 // Get all Forms (ANALYST)
-router.get("/analysts/all", verifyToken, async (req, res) => {
-
-    const token = req.header("auth-token");
-    const userByToken = await getUserByToken(token);
-    const userId = userByToken._id.toString();
+router.get("/analysts/all", verifyToken, requirePermission('forms:analyze'), async (req, res) => {
 
     try {
-        const user = await User.findOne({ _id: userId, deleted: false });
-
-        if (!user) {
-            return res.status(404).json({ error: "Usuário não encontrado" });
-        }
-        if (user.role !== 'teacher_analyst') {
-            return res.status(401).json({ error: "Apenas analistas podem acessar todos os formulários." });
+        const list = parseListQuery(req.query, FORM_LIST);
+        if (list.error) {
+            return res.status(400).json({ error: list.error });
         }
 
-        const forms = await Form.find({ deleted: false })
-            .sort({ createdAt: -1 })
-            .populate({
-                path: 'questions.questionId',
-                match: { deleted: false }
-            })
-            .populate({
-                path: 'assignedUsers',
-                select: 'name email role city state institution anonymous',
-                match: { deleted: false }
-            })
-            .populate({
-                path: 'createdBy',
-                select: 'name email role city state institution',
-                match: { deleted: false }
-            });
+        const { items: forms, pagination } = await findFormsPage(req, list, 'name email role city state institution anonymous');
 
-        // For each form, count valid responses
-        const formsWithResponseCount = await Promise.all(forms.map(async form => {
-            const responses = await Response.find({
-                formId: form._id,
-                deleted: false
-            }).populate({
-                path: 'userId',
-                match: { deleted: false }
-            });
-            const validResponsesCount = responses.filter(r => r.userId !== null).length;
+        // Count valid responses of the page's forms
+        const responseCounts = wantsField(list.fields, 'totalResponses') ? await countFormResponses(forms) : new Map();
 
+        // Assigned users include the current members of the assigned groups
+        const assigned = wantsField(list.fields, 'totalAssigned') ? await resolveAssignedUsers(forms) : new Map();
+
+        const formsWithResponseCount = forms.map(form => {
             const filteredQuestions = form.questions.filter(q => q.questionId !== null);
 
             // Anonymity handling for assignedUsers
@@ -731,19 +937,21 @@ router.get("/analysts/all", verifyToken, async (req, res) => {
                     return userObj;
                 });
 
-            return {
+            return pickFields({
                 ...form.toObject(),
                 questions: filteredQuestions,
                 assignedUsers: filteredAssignedUsers,
-                totalResponses: validResponsesCount,
-                totalAssigned: filteredAssignedUsers.length
-            };
-        }));
+                assignedGroups: form.assignedGroups.filter(g => g !== null),
+                totalResponses: responseCounts.get(String(form._id)) || 0,
+                totalAssigned: (assigned.get(String(form._id)) || []).length
+            }, list.fields);
+        });
 
         return res.status(200).json({ 
             error: null, 
             msg: "Formulários encontrados com sucesso", 
-            data: formsWithResponseCount 
+            data: formsWithResponseCount,
+            pagination: pagination
         });
 
     } catch (error) {
@@ -755,8 +963,8 @@ router.get("/analysts/all", verifyToken, async (req, res) => {
  * @swagger
  * /api/forms/{formId}:
  *   get:
- *     summary: Obter formulário por ID (Admin/Analista apenas)
- *     description: Retorna um formulário específico com todas as informações. Acesso restrito a admins e analistas.
+ *     summary: Obter formulário por ID (permissão `forms:analyze`)
+ *     description: Retorna um formulário específico com todas as informações.
  *     tags: [Formulários]
  *     security:
  *       - bearerAuth: []
@@ -804,26 +1012,11 @@ router.get("/analysts/all", verifyToken, async (req, res) => {
  *         description: Erro interno do servidor
  */
 // Get a Form by ID - (ADMIN)
-router.get("/analysts/:formId", verifyToken, async (req, res) => {
+router.get("/analysts/:formId", verifyToken, requirePermission('forms:analyze'), async (req, res) => {
     const formId = req.params.formId;
 
-    const token = req.header("auth-token");
-    const userByToken = await getUserByToken(token);
-    const userId = userByToken._id.toString();
-
     try {
-        const user = await User.findOne({ _id: userId, deleted: false });
-
-        if (!user) {
-            return res.status(404).json({ error: "Usuário não encontrado" });
-        }
-
-        const role = user.role;
-        if (role !== 'teacher_analyst') {
-            return res.status(403).json({ error: "Acesso negado ao formulário" });
-        }
-
-        const form = await Form.findOne({ _id: formId, deleted: false })
+        const form = await Form.findOne({ _id: formId, deleted: false, ...institutionFilter(req) })
             .populate({
                 path: 'questions.questionId',
                 match: { deleted: false }
@@ -833,6 +1026,11 @@ router.get("/analysts/:formId", verifyToken, async (req, res) => {
                 select: 'name email role city state institution anonymous',
                 match: { deleted: false }
             })
+            .populate({
+                path: 'assignedGroups',
+                select: 'name description',
+                match: { deleted: false }
+            })
             .populate({
                 path: 'createdBy',
                 select: 'name email role city state institution',
@@ -860,11 +1058,20 @@ router.get("/analysts/:formId", verifyToken, async (req, res) => {
                 return userObj;
             });
 
+        // Users assigned directly or through the groups
+        const assigned = await resolveAssignedUsers([form]);
+
         // Return the form with filtered questions and assigned users
         return res.status(200).json({ 
             error: null, 
             msg: "Formulário encontrado com sucesso", 
-            data: { ...form.toObject(), questions: filteredQuestions, assignedUsers: filteredAssignedUsers }
+            data: {
+                ...form.toObject(),
+                questions: filteredQuestions,
+                assignedUsers: filteredAssignedUsers,
+                assignedGroups: form.assignedGroups.filter(g => g !== null),
+                totalAssigned: assigned.get(String(form._id)).length
+            }
         });
 
     } catch (error) {
@@ -876,8 +1083,8 @@ router.get("/analysts/:formId", verifyToken, async (req, res) => {
  * @swagger
  * /api/forms/{formId}:
  *   delete:
- *     summary: Deletar formulário (Admin apenas)
- *     description: Remove um formulário do sistema (soft delete). Apenas administradores.
+ *     summary: Deletar formulário (permissão `forms:delete`)
+ *     description: Remove um formulário do sistema (soft delete).
  *     tags: [Formulários]
  *     security:
  *       - bearerAuth: []
@@ -905,14 +1112,8 @@ router.get("/analysts/:formId", verifyToken, async (req, res) => {
  *                 msg:
  *                   type: string
  *                   example: "Formulário deletado com sucesso"
- *       401:
- *         description: Apenas administradores
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
- *             example:
- *               error: "Apenas administradores podem deletar formulários."
+ *       403:
+ *         description: Sem a permissão forms:delete
  *       404:
  *         description: Formulário ou usuário não encontrado
  *         content:
@@ -923,34 +1124,21 @@ router.get("/analysts/:formId", verifyToken, async (req, res) => {
  *         description: Erro interno do servidor
  */
 // Delete a Form by ID (ADMIN)
-router.delete("/:formId", verifyToken, async (req, res) => {
+router.delete("/:formId", verifyToken, requirePermission('forms:delete'), async (req, res) => {
     const formId = req.params.formId;
 
-    const token = req.header("auth-token");
-    const userByToken = await getUserByToken(token);
-    const userId = userByToken._id.toString();
-
     try {
-        const user = await User.findOne({ _id: userId, deleted: false });
-
-        if (!user) {
-            return res.status(404).json({ error: "Usuário não encontrado" });
-        }
-
-        if (user.role !== 'admin') {
-            return res.status(401).json({ error: "Apenas administradores podem deletar formulários." });
-        }
-
-        const updatedForm = await Form.findByIdAndUpdate(
-            formId,
-            { $set: { deleted: true } },
-            { new: true }
+        const form = await Form.findOneAndUpdate(
+            { _id: formId, deleted: false, ...institutionFilter(req) },
+            { $set: { deleted: true, deletedAt: new Date(), deletedBy: req.currentUser._id } }
         );
 
-        if (!updatedForm) {
+        if (!form) {
             return res.status(404).json({ error: "Formulário não encontrado" });
         }
 
+        await recordAudit(req, { action: 'form.delete', targetType: 'Form', targetId: form._id, before: { deleted: form.deleted }, after: { deleted: true } });
+
         return res.status(200).json({ error: null, msg: "Formulário deletado com sucesso" });
 
     } catch (error) {
@@ -963,8 +1151,8 @@ router.delete("/:formId", verifyToken, async (req, res) => {
  * @swagger
  * /api/forms/{formId}:
  *   put:
- *     summary: Atualizar formulário (Admin apenas)
- *     description: Atualiza informações de um formulário existente, incluindo usuários atribuídos. Apenas administradores.
+ *     summary: Atualizar formulário (permissão `forms:update`)
+ *     description: Atualiza informações de um formulário existente, incluindo usuários e grupos atribuídos (`assignedGroups` substitui a lista; [] remove todos os grupos). Apenas usuários com a permissão `institutions:global` podem alterar `institutionId` (null remove a instituição).
  *     tags: [Formulários]
  *     security:
  *       - bearerAuth: []
@@ -1012,9 +1200,19 @@ router.delete("/:formId", verifyToken, async (req, res) => {
  *                   type: string
  *                   format: objectId
  *                 example: ["507f1f77bcf86cd799439021", "507f1f77bcf86cd799439023"]
+ *               assignedGroups:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: objectId
+ *                 example: ["667f1f77bcf86cd799439051"]
  *               isActive:
  *                 type: boolean
  *                 example: true
+ *               consentTermId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Termo de consentimento (TCLE) exigido antes de responder; null remove a exigência
  *     responses:
  *       200:
  *         description: Formulário atualizado com sucesso
@@ -1045,12 +1243,8 @@ router.delete("/:formId", verifyToken, async (req, res) => {
  *               usuariosVazio:
  *                 value:
  *                   error: "O formulário deve ter pelo menos um usuário associado"
- *       401:
- *         description: Apenas administradores
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Sem a permissão forms:update
  *       404:
  *         description: Formulário, questões ou usuários não encontrados
  *         content:
@@ -1061,33 +1255,26 @@ router.delete("/:formId", verifyToken, async (req, res) => {
  *         description: Erro interno do servidor
  */
 // Update a Form by ID
-router.put("/:formId", verifyToken, async (req, res) => {
+router.put("/:formId", verifyToken, requirePermission('forms:update'), async (req, res) => {
 
     const formId = req.params.formId;
 
-    const token = req.header("auth-token");
-    const userByToken = await getUserByToken(token);
-    const userId = userByToken._id.toString();
-
-    const { title, description, type, questions, assignedUsers, isActive } = req.body;
+    const { title, description, type, questions, assignedUsers, assignedGroups, isActive, consentTermId } = req.body;
 
     try {
 
-        const user = await User.findOne({ _id: userId, deleted: false });
+        const form = await Form.findOne({ _id: formId, deleted: false, ...institutionFilter(req) });
 
-        if (!user) {
-            return res.status(404).json({ error: "Usuário não encontrado" });
+        if (!form) {
+            return res.status(404).json({ error: "Formulário não encontrado" });
         }
 
-        if (user.role !== 'admin') {
-            return res.status(401).json({ error: "Apenas administradores podem atualizar formulários." });
+        const formInstitution = await resolveFormInstitution(req, form.institutionId);
+        if (formInstitution.error) {
+            return res.status(formInstitution.status).json({ error: formInstitution.error });
         }
 
-        const form = await Form.findOne({ _id: formId, deleted: false });
-
-        if (!form) {
-            return res.status(404).json({ error: "Formulário não encontrado" });
-        }
+        const institutionChanged = String(formInstitution.institutionId) !== String(form.institutionId);
 
         // Validate update data
         const validationResult = validateFormUpdate({ title, description, questions, assignedUsers, isActive }, form);
@@ -1121,15 +1308,53 @@ router.put("/:formId", verifyToken, async (req, res) => {
                 const existingUsers = await User.find({ 
                     _id: { $in: assignedUsers }, 
                     deleted: false,
-                    role: { $in: ['student', 'teacher_respondent'] }
+                    role: { $in: await getRolesWithPermission('responses:submit') },
+                    ...(formInstitution.institutionId ? { institutionId: formInstitution.institutionId } : {})
                 });
 
                 if (existingUsers.length !== assignedUsers.length) {
-                    return res.status(400).json({ error: "Um ou mais usuários não foram encontrados ou não são respondentes" });
+                    return res.status(400).json({ error: "Um ou mais usuários não foram encontrados, não são respondentes ou não pertencem à instituição do formulário" });
                 }
             }
         }
 
+        // Moving the form to another institution must not keep users of the previous one assigned
+        if (institutionChanged && formInstitution.institutionId && (assignedUsers === undefined || assignedUsers === null || assignedUsers.length === 0)) {
+            const outsiders = await User.countDocuments({ _id: { $in: form.assignedUsers }, deleted: false, institutionId: { $ne: formInstitution.institutionId } });
+
+            if (outsiders > 0) {
+                return res.status(400).json({ error: "O formulário tem usuários atribuídos de outra instituição. Envie assignedUsers com os usuários da nova instituição" });
+            }
+        }
+
+        // Groups are validated when sent, and kept ones must follow the form to a new institution
+        let formGroups = null;
+
+        if (assignedGroups !== undefined && assignedGroups !== null) {
+            formGroups = await validateAssignedGroups(req, assignedGroups, formInstitution.institutionId);
+
+            if (formGroups.error) {
+                return res.status(400).json({ error: formGroups.error });
+            }
+        } else if (institutionChanged && formInstitution.institutionId && form.assignedGroups.length > 0) {
+            const outsiders = await Group.countDocuments({ _id: { $in: form.assignedGroups }, deleted: false, institutionId: { $ne: formInstitution.institutionId } });
+
+            if (outsiders > 0) {
+                return res.status(400).json({ error: "O formulário tem grupos atribuídos de outra instituição. Envie assignedGroups com os grupos da nova instituição" });
+            }
+        }
+
+        // A term of the previous institution cannot follow the form to another one
+        let formConsent = null;
+
+        if (consentTermId !== undefined || (institutionChanged && form.consentTermId)) {
+            formConsent = await resolveConsentTerm(consentTermId !== undefined ? consentTermId : form.consentTermId, formInstitution.institutionId);
+
+            if (formConsent.error) {
+                return res.status(400).json({ error: formConsent.error });
+            }
+        }
+
         // If changing to diary or already diary
         if ((type === 'diary' || form.type === 'diary') && questions !== undefined) {
             if (questions.length !== 1) {
@@ -1168,8 +1393,24 @@ router.put("/:formId", verifyToken, async (req, res) => {
             }
         }
 
+        if (formGroups) {
+            updateData.assignedGroups = formGroups.groupIds;
+        }
+
         if (isActive !== undefined) {
             updateData.isActive = isActive;
+
+            if (isActive !== form.isActive) {
+                updateData.closedAt = isActive ? null : new Date();
+            }
+        }
+
+        if (institutionChanged) {
+            updateData.institutionId = formInstitution.institutionId;
+        }
+
+        if (formConsent) {
+            updateData.consentTermId = formConsent.consentTermId;
         }
 
         // Update form
@@ -1187,12 +1428,19 @@ router.put("/:formId", verifyToken, async (req, res) => {
             select: 'name email role city state institution',
             match: { deleted: false }
         })
+        .populate({
+            path: 'assignedGroups',
+            select: 'name',
+            match: { deleted: false }
+        })
         .populate({
             path: 'createdBy',
             select: 'name email role',
             match: { deleted: false }
         });
 
+        await recordAudit(req, { action: 'form.update', targetType: 'Form', targetId: form._id, before: form, after: { ...form.toObject(), ...updateData } });
+
         const filteredQuestions = updatedForm.questions.filter(q => q.questionId !== null);
         const filteredAssignedUsers = updatedForm.assignedUsers.filter(u => u !== null);
 
@@ -1202,7 +1450,8 @@ router.put("/:formId", verifyToken, async (req, res) => {
             data: { 
                 ...updatedForm.toObject(), 
                 questions: filteredQuestions, 
-                assignedUsers: filteredAssignedUsers 
+                assignedUsers: filteredAssignedUsers,
+                assignedGroups: updatedForm.assignedGroups.filter(g => g !== null)
             }
         });
 
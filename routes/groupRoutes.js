@@ -0,0 +1,643 @@
+const router = require('express').Router();
+const mongoose = require('mongoose');
+
+// Models
+const Group = require('../models/group');
+const Form = require('../models/form');
+const Response = require('../models/response');
+
+// Middlewares
+const verifyToken = require('../helpers/check-token');
+const requirePermission = require('../helpers/require-permission');
+
+// Helpers
+const { findInstitution, hasGlobalScope, institutionFilter } = require('../helpers/institutions');
+const { validateMembers } = require('../helpers/groups');
+const { parseListQuery, findPage, pickFields } = require('../helpers/list-query');
+const { recordAudit } = require('../helpers/audit');
+
+// List protocol of GET /
+const GROUP_LIST = {
+    sort: { fields: ['name', 'createdAt'], default: 'name' },
+    filters: {
+        institutionId: { type: 'objectId' },
+        member: { path: 'members', type: 'objectId' }
+    },
+    dateField: 'createdAt',
+    search: ['name', 'description'],
+    fields: ['name', 'description', 'institutionId', 'totalMembers', 'forms', 'createdBy', 'createdAt']
+};
+
+// Institution of a new group: users with global scope choose it (null for a group without institution), everyone else uses their own
+const resolveGroupInstitution = async (req) => {
+    if (!hasGlobalScope(req)) {
+        if (!req.currentUser.institutionId) {
+            return { status: 403, error: "Seu usuário não está vinculado a uma instituição" };
+        }
+
+        return { institutionId: req.currentUser.institutionId };
+    }
+
+    if (!req.body.institutionId) {
+        return { institutionId: null };
+    }
+
+    const institution = await findInstitution({ institutionId: req.body.institutionId });
+
+    if (!institution) {
+        return { status: 400, error: "Instituição não encontrada" };
+    }
+
+    return { institutionId: institution._id };
+};
+
+// Names are unique among the active groups of an institution
+const isNameTaken = async (name, institutionId, exceptId = null) => {
+    const exact = new RegExp(`^${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+
+    return Boolean(await Group.exists({ name: exact, institutionId: institutionId, deleted: false, ...(exceptId ? { _id: { $ne: exceptId } } : {}) }));
+};
+
+const findGroup = async (req, id) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return null;
+    }
+
+    return Group.findOne({ _id: id, deleted: false, ...institutionFilter(req) });
+};
+
+/**
+ * @swagger
+ * /api/groups:
+ *   get:
+ *     summary: Listar grupos
+ *     description: Lista os grupos (turmas) com o número de membros e de formulários atribuídos (permissão `groups:read`), paginados e com filtros. Sem a permissão `institutions:global`, apenas os da própria instituição
+ *     tags: [Grupos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ListPage'
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: name
+ *           enum: [name, -name, createdAt, -createdAt]
+ *         description: Ordenação (prefixo - para ordem decrescente)
+ *       - $ref: '#/components/parameters/ListSearch'
+ *       - $ref: '#/components/parameters/ListFields'
+ *       - $ref: '#/components/parameters/ListFrom'
+ *       - $ref: '#/components/parameters/ListTo'
+ *       - in: query
+ *         name: institutionId
+ *         schema:
+ *           type: string
+ *         description: ID da instituição
+ *       - in: query
+ *         name: member
+ *         schema:
+ *           type: string
+ *         description: Grupos de que um usuário participa
+ *     responses:
+ *       200:
+ *         description: Grupos encontrados com sucesso
+ *         content:
+ *           application/json:
+ *             example:
+ *               error: null
+ *               msg: "Grupos encontrados com sucesso"
+ *               data:
+ *                 - _id: "667f1f77bcf86cd799439051"
+ *                   name: "9º ano A - 2025"
+ *                   description: "Turma da manhã"
+ *                   institutionId: "665f1f77bcf86cd799439001"
+ *                   totalMembers: 38
+ *                   forms: 2
+ *                   createdAt: "2025-02-10T12:00:00.000Z"
+ *               pagination:
+ *                 total: 1
+ *                 limit: 50
+ *                 page: 1
+ *                 hasMore: false
+ *                 nextCursor: null
+ *       400:
+ *         description: Parâmetro de listagem inválido
+ *       403:
+ *         description: Sem a permissão groups:read
+ *       500:
+ *         description: Erro ao buscar grupos
+ */
+// Get groups
+router.get("/", verifyToken, requirePermission('groups:read'), async (req, res) => {
+
+    try {
+
+        const list = parseListQuery(req.query, GROUP_LIST);
+        if (list.error) {
+            return res.status(400).json({ error: list.error });
+        }
+
+        const { items: groups, pagination } = await findPage(Group, { deleted: false, ...institutionFilter(req) }, list);
+
+        const formCounts = await Form.aggregate([
+            { $match: { deleted: false, assignedGroups: { $in: groups.map(group => group._id) } } },
+            { $unwind: '$assignedGroups' },
+            { $group: { _id: '$assignedGroups', count: { $sum: 1 } } }
+        ]);
+
+        const data = groups.map(group => {
+            const { members, ...summary } = group.toObject();
+
+            return pickFields({
+                ...summary,
+                totalMembers: members.length,
+                forms: formCounts.find(item => item._id.equals(group._id))?.count || 0
+            }, list.fields);
+        });
+
+        return res.status(200).json({ error: null, msg: "Grupos encontrados com sucesso", data: data, pagination: pagination });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao buscar grupos" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/groups:
+ *   post:
+ *     summary: Criar grupo
+ *     description: |
+ *       Cria um grupo (turma) de respondentes (permissão `groups:manage`). O grupo pertence à instituição de quem o cria; com a permissão `institutions:global`, `institutionId` escolhe a instituição.
+ *       Os membros devem ser usuários que respondem formulários, da instituição do grupo. Formulários atribuídos ao grupo (`assignedGroups`) chegam aos membros atuais, inclusive aos que entrarem depois.
+ *     tags: [Grupos]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "9º ano A - 2025"
+ *               description:
+ *                 type: string
+ *                 example: "Turma da manhã"
+ *               institutionId:
+ *                 type: string
+ *               members:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["507f1f77bcf86cd799439021", "507f1f77bcf86cd799439022"]
+ *     responses:
+ *       201:
+ *         description: Grupo criado com sucesso
+ *       400:
+ *         description: Dados inválidos ou nome já utilizado
+ *       403:
+ *         description: Sem a permissão groups:manage
+ *       500:
+ *         description: Erro ao criar grupo
+ */
+// Create a group
+router.post("/", verifyToken, requirePermission('groups:manage'), async (req, res) => {
+
+    // Token data
+    const userId = req.user.userId;
+
+    // Request data
+    const { name, description, members } = req.body;
+
+    try {
+
+        if (!name || typeof name !== 'string' || !name.trim()) {
+            return res.status(400).json({ error: "O nome do grupo é obrigatório" });
+        }
+
+        if (description !== undefined && typeof description !== 'string') {
+            return res.status(400).json({ error: "A descrição deve ser um texto" });
+        }
+
+        const groupInstitution = await resolveGroupInstitution(req);
+        if (groupInstitution.error) {
+            return res.status(groupInstitution.status).json({ error: groupInstitution.error });
+        }
+
+        if (await isNameTaken(name.trim(), groupInstitution.institutionId)) {
+            return res.status(400).json({ error: "Já existe um grupo com este nome na instituição" });
+        }
+
+        const groupMembers = await validateMembers(members || [], groupInstitution.institutionId);
+        if (groupMembers.error) {
+            return res.status(400).json({ error: groupMembers.error });
+        }
+
+        const group = await Group.create({
+            name: name.trim(),
+            description: description ? description.trim() : '',
+            institutionId: groupInstitution.institutionId,
+            members: groupMembers.members,
+            createdBy: userId
+        });
+
+        await recordAudit(req, { action: 'group.create', targetType: 'Group', targetId: group._id, after: group });
+
+        return res.status(201).json({ error: null, msg: "Grupo criado com sucesso", data: group });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao criar grupo" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/groups/{id}:
+ *   get:
+ *     summary: Obter grupo com membros e formulários
+ *     description: |
+ *       Retorna o grupo, os membros e os formulários atribuídos a ele (permissão `groups:read`).
+ *       Em cada formulário, `responded` é o número de membros atuais que já enviaram resposta.
+ *     tags: [Grupos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Grupo encontrado com sucesso
+ *         content:
+ *           application/json:
+ *             example:
+ *               error: null
+ *               msg: "Grupo encontrado com sucesso"
+ *               data:
+ *                 _id: "667f1f77bcf86cd799439051"
+ *                 name: "9º ano A - 2025"
+ *                 description: "Turma da manhã"
+ *                 institutionId: "665f1f77bcf86cd799439001"
+ *                 members:
+ *                   - _id: "507f1f77bcf86cd799439021"
+ *                     name: "Maria Souza"
+ *                     email: "maria.souza@escola.com"
+ *                     role: "student"
+ *                 forms:
+ *                   - _id: "507f1f77bcf86cd799439013"
+ *                     title: "Hábitos de estudo"
+ *                     type: "form"
+ *                     isActive: true
+ *                     responded: 21
+ *       403:
+ *         description: Sem a permissão groups:read
+ *       404:
+ *         description: Grupo não encontrado
+ *       500:
+ *         description: Erro ao buscar grupo
+ */
+// Get a group
+router.get("/:id", verifyToken, requirePermission('groups:read'), async (req, res) => {
+
+    const id = req.params.id;
+
+    try {
+
+        const group = await findGroup(req, id);
+
+        if (!group) {
+            return res.status(404).json({ error: "Grupo não encontrado" });
+        }
+
+        await group.populate({
+            path: 'members',
+            select: 'name email role city state institution',
+            match: { deleted: false }
+        });
+
+        const members = group.members.filter(member => member !== null);
+        const forms = await Form.find({ assignedGroups: group._id, deleted: false }).select('title type isActive createdAt').sort({ createdAt: -1 });
+
+        // Completion of each form among the current members
+        const responded = await Response.aggregate([
+            { $match: { formId: { $in: forms.map(form => form._id) }, userId: { $in: members.map(member => member._id) }, deleted: false, isDraft: false } },
+            { $group: { _id: { formId: '$formId', userId: '$userId' } } },
+            { $group: { _id: '$_id.formId', count: { $sum: 1 } } }
+        ]);
+
+        return res.status(200).json({
+            error: null,
+            msg: "Grupo encontrado com sucesso",
+            data: {
+                ...group.toObject(),
+                members: members,
+                forms: forms.map(form => ({
+                    ...form.toObject(),
+                    responded: responded.find(item => item._id.equals(form._id))?.count || 0
+                }))
+            }
+        });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao buscar grupo" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/groups/{id}:
+ *   put:
+ *     summary: Atualizar grupo
+ *     description: Altera o nome, a descrição ou a lista completa de membros (`members` substitui a lista) do grupo (permissão `groups:manage`). Os formulários atribuídos ao grupo passam a valer para os novos membros
+ *     tags: [Grupos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               members:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Grupo atualizado com sucesso
+ *       400:
+ *         description: Dados inválidos ou nome já utilizado
+ *       403:
+ *         description: Sem a permissão groups:manage
+ *       404:
+ *         description: Grupo não encontrado
+ *       500:
+ *         description: Erro ao atualizar grupo
+ */
+// Update a group
+router.put("/:id", verifyToken, requirePermission('groups:manage'), async (req, res) => {
+
+    // Request data
+    const id = req.params.id;
+    const { name, description, members } = req.body;
+
+    try {
+
+        const group = await findGroup(req, id);
+
+        if (!group) {
+            return res.status(404).json({ error: "Grupo não encontrado" });
+        }
+
+        const updateData = {};
+
+        if (name !== undefined) {
+            if (typeof name !== 'string' || !name.trim()) {
+                return res.status(400).json({ error: "O nome do grupo não pode ser vazio" });
+            }
+
+            if (await isNameTaken(name.trim(), group.institutionId, group._id)) {
+                return res.status(400).json({ error: "Já existe um grupo com este nome na instituição" });
+            }
+
+            updateData.name = name.trim();
+        }
+
+        if (description !== undefined) {
+            if (typeof description !== 'string') {
+                return res.status(400).json({ error: "A descrição deve ser um texto" });
+            }
+
+            updateData.description = description.trim();
+        }
+
+        if (members !== undefined) {
+            const groupMembers = await validateMembers(members, group.institutionId);
+            if (groupMembers.error) {
+                return res.status(400).json({ error: groupMembers.error });
+            }
+
+            updateData.members = groupMembers.members;
+        }
+
+        const updated = await Group.findOneAndUpdate({ _id: group._id }, { $set: updateData }, { new: true });
+
+        await recordAudit(req, { action: 'group.update', targetType: 'Group', targetId: group._id, before: group, after: updated });
+
+        return res.status(200).json({ error: null, msg: "Grupo atualizado com sucesso", data: updated });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao atualizar grupo" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/groups/{id}/members:
+ *   post:
+ *     summary: Adicionar membros ao grupo
+ *     description: Adiciona usuários ao grupo sem alterar os demais membros (permissão `groups:manage`). Os formulários atribuídos ao grupo passam a aparecer em `/api/forms/active` para os novos membros
+ *     tags: [Grupos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [members]
+ *             properties:
+ *               members:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["507f1f77bcf86cd799439023"]
+ *     responses:
+ *       200:
+ *         description: Membros adicionados com sucesso
+ *       400:
+ *         description: Usuários inválidos
+ *       403:
+ *         description: Sem a permissão groups:manage
+ *       404:
+ *         description: Grupo não encontrado
+ *       500:
+ *         description: Erro ao adicionar membros
+ */
+// Add members to a group
+router.post("/:id/members", verifyToken, requirePermission('groups:manage'), async (req, res) => {
+
+    // Request data
+    const id = req.params.id;
+    const members = req.body?.members;
+
+    try {
+
+        const group = await findGroup(req, id);
+
+        if (!group) {
+            return res.status(404).json({ error: "Grupo não encontrado" });
+        }
+
+        if (!Array.isArray(members) || members.length === 0) {
+            return res.status(400).json({ error: "Informe os usuários em members" });
+        }
+
+        const groupMembers = await validateMembers(members, group.institutionId);
+        if (groupMembers.error) {
+            return res.status(400).json({ error: groupMembers.error });
+        }
+
+        const updated = await Group.findOneAndUpdate(
+            { _id: group._id },
+            { $addToSet: { members: { $each: groupMembers.members } } },
+            { new: true }
+        );
+
+        const added = groupMembers.members.filter(member => !group.members.some(current => String(current) === member));
+
+        await recordAudit(req, { action: 'group.member_add', targetType: 'Group', targetId: group._id, metadata: { members: added } });
+
+        return res.status(200).json({ error: null, msg: "Membros adicionados com sucesso", data: updated });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao adicionar membros" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/groups/{id}/members/{userId}:
+ *   delete:
+ *     summary: Remover membro do grupo
+ *     description: Remove um usuário do grupo (permissão `groups:manage`). Os formulários atribuídos apenas pelo grupo deixam de aparecer para ele; as respostas já enviadas são mantidas
+ *     tags: [Grupos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Membro removido com sucesso
+ *       403:
+ *         description: Sem a permissão groups:manage
+ *       404:
+ *         description: Grupo ou membro não encontrado
+ *       500:
+ *         description: Erro ao remover membro
+ */
+// Remove a member from a group
+router.delete("/:id/members/:userId", verifyToken, requirePermission('groups:manage'), async (req, res) => {
+
+    // Request data
+    const id = req.params.id;
+    const memberId = req.params.userId;
+
+    try {
+
+        const group = await findGroup(req, id);
+
+        if (!group) {
+            return res.status(404).json({ error: "Grupo não encontrado" });
+        }
+
+        if (!group.members.some(member => String(member) === memberId)) {
+            return res.status(404).json({ error: "O usuário não é membro do grupo" });
+        }
+
+        const updated = await Group.findOneAndUpdate({ _id: group._id }, { $pull: { members: memberId } }, { new: true });
+
+        await recordAudit(req, { action: 'group.member_remove', targetType: 'Group', targetId: group._id, metadata: { members: [memberId] } });
+
+        return res.status(200).json({ error: null, msg: "Membro removido com sucesso", data: updated });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao remover membro" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/groups/{id}:
+ *   delete:
+ *     summary: Remover grupo
+ *     description: Remove o grupo (permissão `groups:manage`). Os formulários atribuídos a ele deixam de chegar aos membros, exceto aos atribuídos diretamente; as respostas já enviadas são mantidas
+ *     tags: [Grupos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Grupo removido com sucesso
+ *       403:
+ *         description: Sem a permissão groups:manage
+ *       404:
+ *         description: Grupo não encontrado
+ *       500:
+ *         description: Erro ao remover grupo
+ */
+// Delete a group
+router.delete("/:id", verifyToken, requirePermission('groups:manage'), async (req, res) => {
+
+    const id = req.params.id;
+
+    try {
+
+        const group = await findGroup(req, id);
+
+        if (!group) {
+            return res.status(404).json({ error: "Grupo não encontrado" });
+        }
+
+        await Group.updateOne({ _id: group._id }, { $set: { deleted: true, deletedAt: new Date(), deletedBy: req.currentUser._id } });
+
+        await recordAudit(req, { action: 'group.delete', targetType: 'Group', targetId: group._id, before: { deleted: false }, after: { deleted: true } });
+
+        return res.status(200).json({ error: null, msg: "Grupo removido com sucesso" });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao remover grupo" });
+    }
+});
+
+module.exports = router;
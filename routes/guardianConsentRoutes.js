@@ -0,0 +1,778 @@
+const router = require('express').Router();
+const mongoose = require('mongoose');
+
+// Models
+const GuardianConsent = require('../models/guardianConsent');
+const User = require('../models/user');
+const Form = require('../models/form');
+
+// Middlewares
+const verifyToken = require('../helpers/check-token');
+const requirePermission = require('../helpers/require-permission');
+
+// Helpers
+const { institutionFilter, canManageRole } = require('../helpers/institutions');
+const {
+    GUARDIAN_CONSENT_EXPIRES_DAYS,
+    getGuardianConsentStatus,
+    requestCooldown,
+    createGuardianConsentRequest,
+    findGuardianConsentByToken,
+    recordGuardianDecision
+} = require('../helpers/guardian-consent');
+const { sendGuardianConsentEmail } = require('../helpers/emailService');
+const { getClientIp } = require('../helpers/request-info');
+const { recordAudit } = require('../helpers/audit');
+const { toCsv } = require('../helpers/csv');
+const { resolveAssignedUsers } = require('../helpers/groups');
+
+// Student handled by the request: the logged user, or a student managed by someone with guardian-consents:manage
+const findTargetStudent = async (req, id, { allowSelf }) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return { status: 404, error: "Usuário não encontrado" };
+    }
+
+    let user;
+
+    if (allowSelf && req.user.userId === id) {
+        user = req.currentUser;
+    } else {
+
+        if (!req.permissions.includes('guardian-consents:manage')) {
+            return { status: 403, error: "Acesso negado. Permissão necessária: guardian-consents:manage" };
+        }
+
+        user = await User.findOne({ _id: id, deleted: false, ...institutionFilter(req) });
+
+        if (!user) {
+            return { status: 404, error: "Usuário não encontrado" };
+        }
+
+        if (!(await canManageRole(req, user.role))) {
+            return { status: 403, error: "Acesso negado. Você não pode gerenciar usuários desta função" };
+        }
+    }
+
+    if (user.role !== 'student') {
+        return { status: 400, error: "A autorização do responsável se aplica apenas a estudantes" };
+    }
+
+    return { user };
+};
+
+// Whether the current guardian address was entered by staff, not by the student (who could name a mailbox of their own and approve themselves)
+const isRecordedByStaff = (consent, student) => consent.events.some(event =>
+    event.action === 'requested' && event.guardianEmail === consent.guardianEmail && event.by && !event.by.equals(student._id)
+);
+
+/**
+ * @swagger
+ * /api/guardian-consents/users/{userId}:
+ *   post:
+ *     summary: Pedir a autorização do responsável
+ *     description: |
+ *       Registra o e-mail do responsável por um estudante menor de idade e envia o link de autorização (válido por GUARDIAN_CONSENT_EXPIRES_DAYS dias, padrão 14).
+ *       O estudante passa a exigir a autorização: os formulários atribuídos ficam bloqueados até o responsável autorizar.
+ *       Apenas quem tem a permissão `guardian-consents:manage` informa ou altera o e-mail do responsável. O próprio estudante pode apenas reenviar o pedido ao responsável já cadastrado pela instituição (sem `guardianEmail`, ou com o mesmo e-mail).
+ *       Um novo pedido substitui o link anterior e exige nova autorização. O reenvio ao mesmo responsável só é aceito após 2 minutos.
+ *     tags: [Autorização do Responsável]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               guardianName:
+ *                 type: string
+ *                 example: "Maria Souza"
+ *               guardianEmail:
+ *                 type: string
+ *                 example: "maria.souza@email.com"
+ *     responses:
+ *       201:
+ *         description: Pedido enviado ao responsável (emailSent indica se o e-mail foi enviado)
+ *         content:
+ *           application/json:
+ *             example:
+ *               error: null
+ *               msg: "Pedido de autorização enviado ao responsável"
+ *               data:
+ *                 required: true
+ *                 status: "pending"
+ *                 locked: true
+ *                 guardianEmail: "maria.souza@email.com"
+ *                 requestedAt: "2025-11-16T14:25:00.000Z"
+ *                 grantedAt: null
+ *                 revokedAt: null
+ *               emailSent: true
+ *       400:
+ *         description: E-mail inválido ou usuário que não é estudante
+ *       403:
+ *         description: Sem a permissão guardian-consents:manage, ou estudante tentando informar ou alterar o e-mail do responsável
+ *       404:
+ *         description: Usuário não encontrado
+ *       429:
+ *         description: Pedido enviado há pouco tempo
+ *       500:
+ *         description: Erro ao pedir autorização
+ */
+// Request the guardian's authorization for a student
+router.post("/users/:userId", verifyToken, requirePermission(), async (req, res) => {
+
+    // Request data
+    let guardianName = typeof req.body?.guardianName === 'string' ? req.body.guardianName.trim() : '';
+    let guardianEmail = typeof req.body?.guardianEmail === 'string' ? req.body.guardianEmail.trim().toLowerCase() : '';
+
+    try {
+
+        const target = await findTargetStudent(req, req.params.userId, { allowSelf: true });
+        if (target.error) {
+            return res.status(target.status).json({ error: target.error });
+        }
+
+        const user = target.user;
+        const current = await GuardianConsent.findOne({ userId: user._id });
+
+        // Students only re-send to the guardian the institution recorded
+        if (!req.permissions.includes('guardian-consents:manage')) {
+
+            if (!current || !isRecordedByStaff(current, user)) {
+                return res.status(403).json({ error: "O e-mail do responsável é informado pela instituição. Procure a coordenação da sua escola" });
+            }
+
+            if (guardianEmail && guardianEmail !== current.guardianEmail) {
+                return res.status(403).json({ error: "Apenas a instituição pode alterar o e-mail do responsável" });
+            }
+
+            guardianEmail = current.guardianEmail;
+            guardianName = current.guardianName;
+        }
+
+        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+        if (!emailRegex.test(guardianEmail)) {
+            return res.status(400).json({ error: "E-mail do responsável inválido" });
+        }
+
+        if (guardianEmail === user.email) {
+            return res.status(400).json({ error: "O e-mail do responsável deve ser diferente do e-mail do estudante" });
+        }
+
+        const cooldown = current && current.guardianEmail === guardianEmail ? requestCooldown(current) : 0;
+        if (cooldown > 0) {
+            return res.status(429).json({ error: `Aguarde ${cooldown} segundos para reenviar o pedido` });
+        }
+
+        const { consent, token } = await createGuardianConsentRequest(user, {
+            guardianName: guardianName,
+            guardianEmail: guardianEmail,
+            requestedBy: req.currentUser._id,
+            ip: getClientIp(req),
+            userAgent: req.get('user-agent') || ''
+        });
+
+        if (!user.guardianConsentRequired) {
+            await User.updateOne({ _id: user._id }, { $set: { guardianConsentRequired: true } });
+            user.guardianConsentRequired = true;
+        }
+
+        await recordAudit(req, {
+            action: 'guardian_consent.request',
+            targetType: 'User',
+            targetId: user._id,
+            before: current ? { guardianEmail: current.guardianEmail, status: current.status } : null,
+            after: { guardianEmail: consent.guardianEmail, status: consent.status }
+        });
+
+        // The request is saved even if the e-mail fails; it can be sent again
+        let emailSent = true;
+
+        try {
+            await sendGuardianConsentEmail(consent.guardianEmail, token, {
+                guardianName: consent.guardianName,
+                studentName: user.name,
+                institution: user.institution,
+                expiresDays: GUARDIAN_CONSENT_EXPIRES_DAYS
+            }, user.preferredLanguage);
+        } catch (error) {
+            emailSent = false;
+        }
+
+        const data = await getGuardianConsentStatus(user, consent);
+
+        return res.status(201).json({ error: null, msg: "Pedido de autorização enviado ao responsável", data: data, emailSent: emailSent });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao pedir autorização" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/guardian-consents/users/{userId}:
+ *   get:
+ *     summary: Situação da autorização do responsável
+ *     description: |
+ *       Retorna se o estudante exige autorização e a situação atual (`missing`, `pending`, `granted`, `revoked`), com o histórico de pedidos e decisões.
+ *       O próprio estudante consulta a sua; para outros estudantes é necessária a permissão `guardian-consents:manage`.
+ *     tags: [Autorização do Responsável]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Situação encontrada
+ *       400:
+ *         description: O usuário não é estudante
+ *       403:
+ *         description: Sem a permissão guardian-consents:manage
+ *       404:
+ *         description: Usuário não encontrado
+ *       500:
+ *         description: Erro ao buscar autorização
+ */
+// Get the guardian consent status of a student
+router.get("/users/:userId", verifyToken, requirePermission(), async (req, res) => {
+
+    try {
+
+        const target = await findTargetStudent(req, req.params.userId, { allowSelf: true });
+        if (target.error) {
+            return res.status(target.status).json({ error: target.error });
+        }
+
+        const consent = await GuardianConsent.findOne({ userId: target.user._id });
+
+        const data = {
+            ...(await getGuardianConsentStatus(target.user, consent)),
+            guardianConsentRequired: target.user.guardianConsentRequired,
+            guardianName: consent ? consent.guardianName : null,
+            expiresAt: consent ? consent.expiresAt : null,
+            events: consent ? consent.events.map(event => ({
+                action: event.action,
+                by: event.by,
+                guardianEmail: event.guardianEmail,
+                reason: event.reason,
+                at: event.at
+            })) : []
+        };
+
+        return res.status(200).json({ error: null, msg: "Autorização encontrada com sucesso", data: data });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao buscar autorização" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/guardian-consents/users/{userId}:
+ *   patch:
+ *     summary: Definir se o estudante exige autorização do responsável
+ *     description: Marca ou desmarca o estudante como menor de idade (permissão `guardian-consents:manage`). Desmarcado, os formulários deixam de depender da autorização; o histórico é mantido
+ *     tags: [Autorização do Responsável]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [required]
+ *             properties:
+ *               required:
+ *                 type: boolean
+ *                 example: false
+ *     responses:
+ *       200:
+ *         description: Exigência atualizada
+ *       400:
+ *         description: Valor inválido ou usuário que não é estudante
+ *       403:
+ *         description: Sem a permissão guardian-consents:manage
+ *       404:
+ *         description: Usuário não encontrado
+ *       500:
+ *         description: Erro ao atualizar exigência
+ */
+// Set whether a student needs the guardian's authorization
+router.patch("/users/:userId", verifyToken, requirePermission('guardian-consents:manage'), async (req, res) => {
+
+    // Request data
+    const required = req.body.required;
+
+    try {
+
+        if (typeof required !== 'boolean') {
+            return res.status(400).json({ error: "O campo required deve ser true ou false" });
+        }
+
+        const target = await findTargetStudent(req, req.params.userId, { allowSelf: false });
+        if (target.error) {
+            return res.status(target.status).json({ error: target.error });
+        }
+
+        const user = target.user;
+        const previous = user.guardianConsentRequired === true;
+
+        if (previous !== required) {
+            await User.updateOne({ _id: user._id }, { $set: { guardianConsentRequired: required } });
+            user.guardianConsentRequired = required;
+
+            await recordAudit(req, {
+                action: 'guardian_consent.requirement',
+                targetType: 'User',
+                targetId: user._id,
+                before: { guardianConsentRequired: previous },
+                after: { guardianConsentRequired: required }
+            });
+        }
+
+        const data = await getGuardianConsentStatus(user);
+
+        return res.status(200).json({ error: null, msg: "Exigência de autorização atualizada", data: data });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao atualizar exigência" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/guardian-consents/users/{userId}/revoke:
+ *   post:
+ *     summary: Registrar a revogação da autorização
+ *     description: Registra a revogação comunicada pelo responsável fora do sistema (ex. por escrito), com o motivo (permissão `guardian-consents:manage`). Os formulários do estudante voltam a ficar bloqueados
+ *     tags: [Autorização do Responsável]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "Revogação entregue por escrito na secretaria"
+ *     responses:
+ *       200:
+ *         description: Autorização revogada
+ *       400:
+ *         description: Não há autorização a revogar ou usuário que não é estudante
+ *       403:
+ *         description: Sem a permissão guardian-consents:manage
+ *       404:
+ *         description: Usuário não encontrado
+ *       500:
+ *         description: Erro ao revogar autorização
+ */
+// Record the revocation of a guardian consent on the guardian's behalf
+router.post("/users/:userId/revoke", verifyToken, requirePermission('guardian-consents:manage'), async (req, res) => {
+
+    // Request data
+    const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim().slice(0, 500) : '';
+
+    try {
+
+        const target = await findTargetStudent(req, req.params.userId, { allowSelf: false });
+        if (target.error) {
+            return res.status(target.status).json({ error: target.error });
+        }
+
+        const consent = await GuardianConsent.findOne({ userId: target.user._id });
+
+        if (!consent || consent.status === 'revoked') {
+            return res.status(400).json({ error: "Não há autorização a revogar" });
+        }
+
+        const previous = consent.status;
+
+        await recordGuardianDecision(consent, 'revoked', {
+            by: req.currentUser._id,
+            reason: reason,
+            ip: getClientIp(req),
+            userAgent: req.get('user-agent') || ''
+        });
+
+        await recordAudit(req, {
+            action: 'guardian_consent.revoke',
+            targetType: 'User',
+            targetId: target.user._id,
+            before: { status: previous },
+            after: { status: consent.status },
+            metadata: { reason: reason }
+        });
+
+        const data = await getGuardianConsentStatus(target.user, consent);
+
+        return res.status(200).json({ error: null, msg: "Autorização revogada com sucesso", data: data });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao revogar autorização" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/guardian-consents/forms/{formId}:
+ *   get:
+ *     summary: Relatório de autorizações de um formulário
+ *     description: |
+ *       Lista os estudantes atribuídos ao formulário com a situação da autorização do responsável e se o formulário está bloqueado para cada um (permissão `guardian-consents:manage`).
+ *       `format=csv` baixa o mesmo relatório em CSV.
+ *     tags: [Autorização do Responsável]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: formId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Relatório gerado
+ *         content:
+ *           application/json:
+ *             example:
+ *               error: null
+ *               msg: "Relatório gerado com sucesso"
+ *               formTitle: "Pesquisa de hábitos de estudo"
+ *               summary: { students: 3, required: 2, granted: 1, pending: 1, revoked: 0, missing: 0, locked: 1 }
+ *               data:
+ *                 - userId: "507f1f77bcf86cd799439021"
+ *                   name: "João Souza"
+ *                   email: "joao@escola.com"
+ *                   required: true
+ *                   status: "granted"
+ *                   locked: false
+ *                   guardianEmail: "maria.souza@email.com"
+ *                   requestedAt: "2025-11-10T09:00:00.000Z"
+ *                   grantedAt: "2025-11-11T20:15:00.000Z"
+ *                   revokedAt: null
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Formato inválido
+ *       403:
+ *         description: Sem a permissão guardian-consents:manage
+ *       404:
+ *         description: Formulário não encontrado
+ *       500:
+ *         description: Erro ao gerar relatório
+ */
+// Guardian consent report of the students assigned to a form
+router.get("/forms/:formId", verifyToken, requirePermission('guardian-consents:manage'), async (req, res) => {
+
+    // Request data
+    const formId = req.params.formId;
+    const format = req.query.format || 'json';
+
+    try {
+
+        if (!['json', 'csv'].includes(format)) {
+            return res.status(400).json({ error: "Formato inválido. Use: json, csv" });
+        }
+
+        if (!mongoose.Types.ObjectId.isValid(formId)) {
+            return res.status(404).json({ error: "Formulário não encontrado" });
+        }
+
+        const form = await Form.findOne({ _id: formId, deleted: false, ...institutionFilter(req) });
+
+        if (!form) {
+            return res.status(404).json({ error: "Formulário não encontrado" });
+        }
+
+        // Students assigned directly or through the form's groups
+        const assigned = await resolveAssignedUsers([form]);
+        const students = await User.find({ _id: { $in: assigned.get(String(form._id)) }, role: 'student', deleted: false }).sort({ name: 1 });
+        const consents = await GuardianConsent.find({ userId: { $in: students.map(student => student._id) } });
+
+        const data = await Promise.all(students.map(async student => {
+            const consent = consents.find(item => item.userId.equals(student._id)) || null;
+            const status = await getGuardianConsentStatus(student, consent);
+
+            return {
+                userId: student._id,
+                name: student.name,
+                email: student.email,
+                required: status.required,
+                // Students who do not need the authorization still show the guardian's decision, if any
+                status: status.required ? status.status : (consent ? consent.status : null),
+                locked: status.locked,
+                guardianEmail: consent ? consent.guardianEmail : null,
+                requestedAt: consent ? consent.requestedAt : null,
+                grantedAt: consent ? consent.grantedAt : null,
+                revokedAt: consent ? consent.revokedAt : null
+            };
+        }));
+
+        const required = data.filter(row => row.required);
+
+        const summary = {
+            students: data.length,
+            required: required.length,
+            granted: required.filter(row => row.status === 'granted').length,
+            pending: required.filter(row => row.status === 'pending').length,
+            revoked: required.filter(row => row.status === 'revoked').length,
+            missing: required.filter(row => row.status === 'missing').length,
+            locked: data.filter(row => row.locked).length
+        };
+
+        if (format === 'json') {
+            return res.status(200).json({ error: null, msg: "Relatório gerado com sucesso", formTitle: form.title, summary: summary, data: data });
+        }
+
+        await recordAudit(req, { action: 'guardian_consent.export', targetType: 'Form', targetId: form._id, metadata: { rows: data.length } });
+
+        const filename = `autorizacoes-${form._id}-${new Date().toISOString().slice(0, 10)}.csv`;
+
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+        return res.status(200).send(toCsv(data, [
+            { key: 'userId', header: 'usuario_id' },
+            { key: 'name', header: 'nome' },
+            { key: 'email', header: 'email' },
+            { key: 'required', header: 'exige_autorizacao' },
+            { key: 'status', header: 'situacao' },
+            { key: 'locked', header: 'bloqueado' },
+            { key: 'guardianEmail', header: 'email_responsavel' },
+            { key: 'requestedAt', header: 'pedido_em' },
+            { key: 'grantedAt', header: 'autorizado_em' },
+            { key: 'revokedAt', header: 'revogado_em' }
+        ]));
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao gerar relatório" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/guardian-consents/token/{token}:
+ *   get:
+ *     summary: Consultar pedido de autorização pelo link
+ *     description: Rota pública usada pela página do link enviado ao responsável. `canGrant` indica se o link ainda permite autorizar (a revogação é sempre possível)
+ *     tags: [Autorização do Responsável]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Pedido encontrado
+ *         content:
+ *           application/json:
+ *             example:
+ *               error: null
+ *               msg: "Pedido encontrado"
+ *               data:
+ *                 studentName: "João Souza"
+ *                 institution: "Escola Estadual Exemplo"
+ *                 guardianName: "Maria Souza"
+ *                 status: "pending"
+ *                 expiresAt: "2025-11-24T09:00:00.000Z"
+ *                 canGrant: true
+ *       404:
+ *         description: Link inválido
+ *       500:
+ *         description: Erro ao buscar pedido
+ */
+// Get a guardian consent request through the e-mailed link
+router.get("/token/:token", async (req, res) => {
+
+    try {
+
+        const consent = await findGuardianConsentByToken(req.params.token);
+        const student = consent ? await User.findOne({ _id: consent.userId, deleted: false }) : null;
+
+        if (!student) {
+            return res.status(404).json({ error: "Link de autorização inválido" });
+        }
+
+        const data = {
+            studentName: student.name,
+            institution: student.institution,
+            guardianName: consent.guardianName,
+            status: consent.status,
+            expiresAt: consent.expiresAt,
+            canGrant: consent.status !== 'granted' && consent.expiresAt > new Date()
+        };
+
+        return res.status(200).json({ error: null, msg: "Pedido encontrado", data: data });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao buscar pedido" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/guardian-consents/token/{token}/grant:
+ *   post:
+ *     summary: Autorizar a participação
+ *     description: Rota pública em que o responsável autoriza a participação do estudante pelo link recebido por e-mail. A data, o IP e o navegador ficam registrados
+ *     tags: [Autorização do Responsável]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Participação autorizada
+ *       400:
+ *         description: Link expirado (é necessário um novo pedido)
+ *       404:
+ *         description: Link inválido
+ *       500:
+ *         description: Erro ao registrar autorização
+ */
+// Grant a guardian consent through the e-mailed link
+router.post("/token/:token/grant", async (req, res) => {
+
+    try {
+
+        const consent = await findGuardianConsentByToken(req.params.token);
+        const student = consent ? await User.findOne({ _id: consent.userId, deleted: false }) : null;
+
+        if (!student) {
+            return res.status(404).json({ error: "Link de autorização inválido" });
+        }
+
+        if (consent.status === 'granted') {
+            return res.status(200).json({ error: null, msg: "Participação já autorizada", data: { status: consent.status, grantedAt: consent.grantedAt } });
+        }
+
+        if (consent.expiresAt <= new Date()) {
+            return res.status(400).json({ error: "Link de autorização expirado. Peça um novo envio à instituição" });
+        }
+
+        const previous = consent.status;
+
+        await recordGuardianDecision(consent, 'granted', { ip: getClientIp(req), userAgent: req.get('user-agent') || '' });
+
+        await recordAudit(req, {
+            action: 'guardian_consent.grant',
+            targetType: 'User',
+            targetId: student._id,
+            before: { status: previous },
+            after: { status: consent.status }
+        });
+
+        return res.status(200).json({ error: null, msg: "Participação autorizada com sucesso", data: { status: consent.status, grantedAt: consent.grantedAt } });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao registrar autorização" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/guardian-consents/token/{token}/revoke:
+ *   post:
+ *     summary: Revogar ou recusar a participação
+ *     description: Rota pública em que o responsável recusa o pedido ou revoga uma autorização já dada, pelo mesmo link recebido por e-mail (mesmo após o prazo para autorizar). Os formulários do estudante voltam a ficar bloqueados
+ *     tags: [Autorização do Responsável]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Participação revogada
+ *       404:
+ *         description: Link inválido
+ *       500:
+ *         description: Erro ao registrar revogação
+ */
+// Revoke a guardian consent through the e-mailed link
+router.post("/token/:token/revoke", async (req, res) => {
+
+    // Request data
+    const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim().slice(0, 500) : '';
+
+    try {
+
+        const consent = await findGuardianConsentByToken(req.params.token);
+        const student = consent ? await User.findOne({ _id: consent.userId, deleted: false }) : null;
+
+        if (!student) {
+            return res.status(404).json({ error: "Link de autorização inválido" });
+        }
+
+        if (consent.status === 'revoked') {
+            return res.status(200).json({ error: null, msg: "Participação já revogada", data: { status: consent.status, revokedAt: consent.revokedAt } });
+        }
+
+        const previous = consent.status;
+
+        await recordGuardianDecision(consent, 'revoked', { reason: reason, ip: getClientIp(req), userAgent: req.get('user-agent') || '' });
+
+        await recordAudit(req, {
+            action: 'guardian_consent.revoke',
+            targetType: 'User',
+            targetId: student._id,
+            before: { status: previous },
+            after: { status: consent.status },
+            metadata: { reason: reason }
+        });
+
+        return res.status(200).json({ error: null, msg: "Participação revogada com sucesso", data: { status: consent.status, revokedAt: consent.revokedAt } });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao registrar revogação" });
+    }
+});
+
+
+module.exports = router;
@@ -0,0 +1,345 @@
+const router = require('express').Router();
+const mongoose = require('mongoose');
+
+// Models
+const User = require('../models/user');
+const IdentityProvider = require('../models/identityProvider');
+
+// Middlewares
+const verifyToken = require('../helpers/check-token');
+const requirePermission = require('../helpers/require-permission');
+
+// Helpers
+const validateIdentityProviderFields = require('../helpers/validate-identity-provider-fields');
+const { OIDC_CALLBACK_URL } = require('../helpers/oidc');
+const { listRoleKeys } = require('../helpers/permissions');
+const { findInstitution } = require('../helpers/institutions');
+const { recordAudit } = require('../helpers/audit');
+
+// Fields an admin may set; everything else is managed by the server
+const EDITABLE_FIELDS = ['name', 'slug', 'institution', 'institutionId', 'issuer', 'clientId', 'clientSecret', 'scopes', 'emailDomains', 'roleClaim', 'roleMapping', 'defaultRole', 'institutionClaim', 'autoProvision', 'enabled'];
+
+const pickEditableFields = (body) => {
+    const data = {};
+
+    for (const field of EDITABLE_FIELDS) {
+        if (typeof body[field] !== "undefined") {
+            data[field] = typeof body[field] === 'string' ? body[field].trim() : body[field];
+        }
+    }
+
+    if (data.emailDomains) {
+        data.emailDomains = [...new Set(data.emailDomains.map(domain => domain.trim().toLowerCase()))];
+    }
+
+    return data;
+};
+
+// A registered institution also sets the institution name of the provisioned users
+const applyInstitution = async (data) => {
+    if (!data.institutionId) {
+        return true;
+    }
+
+    const institution = await findInstitution({ institutionId: data.institutionId });
+
+    if (!institution) {
+        return false;
+    }
+
+    data.institution = institution.name;
+
+    return true;
+};
+
+/**
+ * @swagger
+ * /api/identity-providers:
+ *   post:
+ *     summary: Cadastrar provedor de login institucional
+ *     description: |
+ *       Cadastra um provedor OpenID Connect de uma instituição (permissão `identity-providers:manage`).
+ *       O `redirect_uri` a registrar no provedor é o valor de `OIDC_CALLBACK_URL` (retornado em `callbackUrl`).
+ *       - `roleClaim` e `roleMapping`: a primeira entrada cujo `value` aparecer na claim define a função; sem correspondência, vale `defaultRole`
+ *       - `institutionId`: instituição cadastrada dos usuários criados (substitui `institution`, que passa a ser o nome dela)
+ *       - `institutionClaim`: claim opcional com o nome da instituição; sem ela, vale `institution`
+ *       - `emailDomains`: limita os e-mails aceitos (vazio aceita qualquer domínio)
+ *       - `autoProvision`: cria a conta no primeiro login; desativado, só entram e-mails já cadastrados
+ *       A função e a instituição das claims valem apenas para contas criadas pelo login institucional; contas existentes são vinculadas pelo e-mail e mantêm seus dados.
+ *     tags: [Provedores de Identidade]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             name: "UTFPR"
+ *             slug: "utfpr"
+ *             institution: "Universidade Tecnológica Federal do Paraná"
+ *             issuer: "https://sso.utfpr.edu.br/realms/utfpr"
+ *             clientId: "m2tie"
+ *             clientSecret: "segredo-do-cliente"
+ *             emailDomains: ["utfpr.edu.br", "alunos.utfpr.edu.br"]
+ *             roleClaim: "groups"
+ *             roleMapping:
+ *               - value: "professores"
+ *                 role: "teacher_analyst"
+ *               - value: "alunos"
+ *                 role: "student"
+ *             defaultRole: "student"
+ *     responses:
+ *       201:
+ *         description: Provedor cadastrado com sucesso
+ *       400:
+ *         description: Dados inválidos ou slug já em uso
+ *       403:
+ *         description: Sem a permissão identity-providers:manage
+ *       500:
+ *         description: Erro ao cadastrar provedor
+ */
+// Create an identity provider
+router.post("/", verifyToken, requirePermission('identity-providers:manage'), async (req, res) => {
+
+    // Token data
+    const userId = req.user.userId;
+
+    try {
+
+        const validation = validateIdentityProviderFields(req.body, await listRoleKeys());
+        if (!validation.isValid) {
+            return res.status(400).json({ error: validation.error });
+        }
+
+        const data = pickEditableFields(req.body);
+
+        if (!(await applyInstitution(data))) {
+            return res.status(400).json({ error: "Instituição não encontrada" });
+        }
+
+        const slugExists = await IdentityProvider.exists({ slug: data.slug });
+
+        if (slugExists) {
+            return res.status(400).json({ error: "O slug já está em uso" });
+        }
+
+        const provider = await IdentityProvider.create({ ...data, createdBy: userId });
+
+        await recordAudit(req, { action: 'identity_provider.create', targetType: 'IdentityProvider', targetId: provider._id, after: provider });
+
+        const result = provider.toObject();
+        delete result.clientSecret;
+
+        return res.status(201).json({ error: null, msg: "Provedor cadastrado com sucesso", data: result, callbackUrl: OIDC_CALLBACK_URL });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao cadastrar provedor" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/identity-providers:
+ *   get:
+ *     summary: Listar provedores de login institucional
+ *     description: Lista os provedores cadastrados com a configuração completa, exceto o segredo do cliente (permissão `identity-providers:manage`)
+ *     tags: [Provedores de Identidade]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Provedores encontrados com sucesso
+ *       403:
+ *         description: Sem a permissão identity-providers:manage
+ *       500:
+ *         description: Erro ao buscar provedores
+ */
+// Get identity providers
+router.get("/", verifyToken, requirePermission('identity-providers:manage'), async (req, res) => {
+
+    try {
+
+        const providers = await IdentityProvider.find({ deleted: false })
+            .populate('createdBy', 'name email')
+            .sort({ name: 1 });
+
+        // Number of accounts linked to each provider
+        const linkedCounts = await User.aggregate([
+            { $match: { deleted: false, 'ssoIdentities.0': { $exists: true } } },
+            { $unwind: '$ssoIdentities' },
+            { $group: { _id: '$ssoIdentities.provider', count: { $sum: 1 } } }
+        ]);
+
+        const data = providers.map(provider => ({
+            ...provider.toObject(),
+            linkedUsers: linkedCounts.find(item => item._id.equals(provider._id))?.count || 0
+        }));
+
+        return res.status(200).json({ error: null, msg: "Provedores encontrados com sucesso", data: data, callbackUrl: OIDC_CALLBACK_URL });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao buscar provedores" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/identity-providers/{id}:
+ *   put:
+ *     summary: Atualizar provedor de login institucional
+ *     description: Atualiza a configuração de um provedor (permissão `identity-providers:manage`). Apenas os campos enviados são alterados; `clientSecret` nulo remove o segredo (cliente público, apenas PKCE).
+ *     tags: [Provedores de Identidade]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID do provedor
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             enabled: false
+ *     responses:
+ *       200:
+ *         description: Provedor atualizado com sucesso
+ *       400:
+ *         description: Dados inválidos ou slug já em uso
+ *       403:
+ *         description: Sem a permissão identity-providers:manage
+ *       404:
+ *         description: Provedor não encontrado
+ *       500:
+ *         description: Erro ao atualizar provedor
+ */
+// Update an identity provider
+router.put("/:id", verifyToken, requirePermission('identity-providers:manage'), async (req, res) => {
+
+    const id = req.params.id;
+
+    try {
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(404).json({ error: "Provedor não encontrado" });
+        }
+
+        const validation = validateIdentityProviderFields(req.body, await listRoleKeys(), true);
+        if (!validation.isValid) {
+            return res.status(400).json({ error: validation.error });
+        }
+
+        const data = pickEditableFields(req.body);
+
+        if (!(await applyInstitution(data))) {
+            return res.status(400).json({ error: "Instituição não encontrada" });
+        }
+
+        if (data.slug) {
+            const slugExists = await IdentityProvider.exists({ slug: data.slug, _id: { $ne: id } });
+
+            if (slugExists) {
+                return res.status(400).json({ error: "O slug já está em uso" });
+            }
+        }
+
+        const update = { $set: { ...data, updatedAt: new Date() } };
+
+        for (const field of ['clientSecret', 'institutionClaim']) {
+            if (data[field] === null) {
+                delete update.$set[field];
+                update.$unset = { ...update.$unset, [field]: 1 };
+            }
+        }
+
+        const previous = await IdentityProvider.findOne({ _id: id, deleted: false });
+
+        if (!previous) {
+            return res.status(404).json({ error: "Provedor não encontrado" });
+        }
+
+        const provider = await IdentityProvider.findOneAndUpdate(
+            { _id: previous._id },
+            update,
+            { new: true, runValidators: true }
+        );
+
+        // The secret is not loaded, so only the fact that it changed is recorded
+        await recordAudit(req, {
+            action: 'identity_provider.update',
+            targetType: 'IdentityProvider',
+            targetId: provider._id,
+            before: previous,
+            after: provider,
+            metadata: data.clientSecret !== undefined ? { clientSecretChanged: true } : null
+        });
+
+        return res.status(200).json({ error: null, msg: "Provedor atualizado com sucesso", data: provider });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao atualizar provedor" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/identity-providers/{id}:
+ *   delete:
+ *     summary: Remover provedor de login institucional
+ *     description: Remove o provedor (permissão `identity-providers:manage`). O login por ele deixa de funcionar; as contas vinculadas continuam existindo e podem entrar por senha, link ou outro provedor.
+ *     tags: [Provedores de Identidade]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID do provedor
+ *     responses:
+ *       200:
+ *         description: Provedor removido com sucesso
+ *       403:
+ *         description: Sem a permissão identity-providers:manage
+ *       404:
+ *         description: Provedor não encontrado
+ *       500:
+ *         description: Erro ao remover provedor
+ */
+// Delete an identity provider
+router.delete("/:id", verifyToken, requirePermission('identity-providers:manage'), async (req, res) => {
+
+    const id = req.params.id;
+
+    try {
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(404).json({ error: "Provedor não encontrado" });
+        }
+
+        // The slug is released so it can be reused by a new configuration
+        const provider = await IdentityProvider.findOneAndUpdate(
+            { _id: id, deleted: false },
+            { $set: { deleted: true, enabled: false, slug: `deleted-${id}`, updatedAt: new Date() } },
+            { new: true }
+        );
+
+        if (!provider) {
+            return res.status(404).json({ error: "Provedor não encontrado" });
+        }
+
+        await recordAudit(req, { action: 'identity_provider.delete', targetType: 'IdentityProvider', targetId: provider._id, before: { deleted: false }, after: { deleted: true } });
+
+        return res.status(200).json({ error: null, msg: "Provedor removido com sucesso" });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao remover provedor" });
+    }
+});
+
+
+module.exports = router;
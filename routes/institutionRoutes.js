@@ -0,0 +1,386 @@
+const router = require('express').Router();
+const mongoose = require('mongoose');
+
+// Models
+const Institution = require('../models/institution');
+const User = require('../models/user');
+const Form = require('../models/form');
+const Invite = require('../models/invite');
+const IdentityProvider = require('../models/identityProvider');
+
+// Middlewares
+const verifyToken = require('../helpers/check-token');
+const requirePermission = require('../helpers/require-permission');
+
+// Helpers
+const { findInstitution } = require('../helpers/institutions');
+const { recordAudit } = require('../helpers/audit');
+const { parseListQuery, findPage, pickFields } = require('../helpers/list-query');
+
+// List protocol of GET /
+const INSTITUTION_LIST = {
+    sort: { fields: ['name', 'acronym', 'createdAt'], default: 'name' },
+    dateField: 'createdAt',
+    search: ['name', 'acronym'],
+    fields: ['name', 'acronym', 'users', 'forms', 'createdBy', 'createdAt', 'updatedAt']
+};
+
+const validateInstitutionFields = ({ name, acronym }, partial = false) => {
+    if (!partial && !name) {
+        return "Por favor preencha todos os campos obrigatórios";
+    }
+
+    if (name !== undefined && (typeof name !== 'string' || name.trim().length < 2 || name.trim().length > 200)) {
+        return "O nome da instituição deve ter de 2 a 200 caracteres";
+    }
+
+    if (acronym !== undefined && (typeof acronym !== 'string' || acronym.trim().length > 20)) {
+        return "A sigla deve ter no máximo 20 caracteres";
+    }
+
+    return null;
+};
+
+// Name and acronym identify the institution at registration, so both must be unique
+const findConflict = async ({ name, acronym }, id = null) => {
+    for (const value of [name, acronym]) {
+        if (value && value.trim()) {
+            const existing = await findInstitution({ institution: value });
+
+            if (existing && !existing._id.equals(id)) {
+                return existing;
+            }
+        }
+    }
+
+    return null;
+};
+
+/**
+ * @swagger
+ * /api/institutions/public:
+ *   get:
+ *     summary: Listar instituições para o cadastro
+ *     description: Lista pública (sem autenticação) com ID, nome e sigla das instituições, usada no formulário de registro (`institutionId`)
+ *     tags: [Instituições]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Instituições encontradas com sucesso
+ *         content:
+ *           application/json:
+ *             example:
+ *               error: null
+ *               msg: "Instituições encontradas com sucesso"
+ *               data:
+ *                 - _id: "507f1f77bcf86cd799439020"
+ *                   name: "Universidade Tecnológica Federal do Paraná"
+ *                   acronym: "UTFPR"
+ *       500:
+ *         description: Erro ao buscar instituições
+ */
+// Get institutions for the registration form
+router.get("/public", async (req, res) => {
+
+    try {
+
+        const institutions = await Institution.find({ deleted: false }, { name: 1, acronym: 1 }).sort({ name: 1 });
+
+        return res.status(200).json({ error: null, msg: "Instituições encontradas com sucesso", data: institutions });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao buscar instituições" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/institutions:
+ *   get:
+ *     summary: Listar instituições
+ *     description: Lista as instituições com o número de usuários e formulários de cada uma (permissão `institutions:manage`), paginadas e com busca
+ *     tags: [Instituições]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ListPage'
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - $ref: '#/components/parameters/ListSort'
+ *       - $ref: '#/components/parameters/ListSearch'
+ *       - $ref: '#/components/parameters/ListFields'
+ *       - $ref: '#/components/parameters/ListFrom'
+ *       - $ref: '#/components/parameters/ListTo'
+ *     responses:
+ *       200:
+ *         description: Instituições encontradas com sucesso
+ *       400:
+ *         description: Parâmetro de listagem inválido
+ *       403:
+ *         description: Sem a permissão institutions:manage
+ *       500:
+ *         description: Erro ao buscar instituições
+ */
+// Get all institutions
+router.get("/", verifyToken, requirePermission('institutions:manage'), async (req, res) => {
+
+    try {
+
+        const list = parseListQuery(req.query, INSTITUTION_LIST);
+        if (list.error) {
+            return res.status(400).json({ error: list.error });
+        }
+
+        const { items: institutions, pagination } = await findPage(Institution, { deleted: false }, list);
+
+        // Counts of the listed institutions only
+        const countBy = (Model) => Model.aggregate([
+            { $match: { deleted: false, institutionId: { $in: institutions.map(institution => institution._id) } } },
+            { $group: { _id: '$institutionId', count: { $sum: 1 } } }
+        ]);
+
+        const [userCounts, formCounts] = await Promise.all([countBy(User), countBy(Form)]);
+
+        const data = institutions.map(institution => pickFields({
+            ...institution.toObject(),
+            users: userCounts.find(item => item._id.equals(institution._id))?.count || 0,
+            forms: formCounts.find(item => item._id.equals(institution._id))?.count || 0
+        }, list.fields));
+
+        return res.status(200).json({ error: null, msg: "Instituições encontradas com sucesso", data: data, pagination: pagination });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao buscar instituições" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/institutions:
+ *   post:
+ *     summary: Cadastrar instituição
+ *     description: Cadastra uma escola ou universidade (permissão `institutions:manage`). Nome e sigla devem ser únicos.
+ *     tags: [Instituições]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             name: "Universidade Tecnológica Federal do Paraná"
+ *             acronym: "UTFPR"
+ *     responses:
+ *       201:
+ *         description: Instituição cadastrada com sucesso
+ *       400:
+ *         description: Dados inválidos ou nome/sigla já em uso
+ *       403:
+ *         description: Sem a permissão institutions:manage
+ *       500:
+ *         description: Erro ao cadastrar instituição
+ */
+// Create an institution
+router.post("/", verifyToken, requirePermission('institutions:manage'), async (req, res) => {
+
+    // Token data
+    const userId = req.user.userId;
+
+    // Request data
+    const { name, acronym } = req.body;
+
+    try {
+
+        const error = validateInstitutionFields({ name, acronym });
+        if (error) {
+            return res.status(400).json({ error: error });
+        }
+
+        if (await findConflict({ name, acronym })) {
+            return res.status(400).json({ error: "Já existe uma instituição com este nome ou sigla" });
+        }
+
+        const institution = await Institution.create({
+            name: name.trim(),
+            acronym: acronym ? acronym.trim() : '',
+            createdBy: userId
+        });
+
+        await recordAudit(req, { action: 'institution.create', targetType: 'Institution', targetId: institution._id, after: institution });
+
+        return res.status(201).json({ error: null, msg: "Instituição cadastrada com sucesso", data: institution });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao cadastrar instituição" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/institutions/{id}:
+ *   put:
+ *     summary: Atualizar instituição
+ *     description: Atualiza nome e sigla (permissão `institutions:manage`). O novo nome é aplicado aos usuários, convites pendentes e provedores de identidade da instituição.
+ *     tags: [Instituições]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID da instituição
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             acronym: "UTFPR-CT"
+ *     responses:
+ *       200:
+ *         description: Instituição atualizada com sucesso
+ *       400:
+ *         description: Dados inválidos ou nome/sigla já em uso
+ *       403:
+ *         description: Sem a permissão institutions:manage
+ *       404:
+ *         description: Instituição não encontrada
+ *       500:
+ *         description: Erro ao atualizar instituição
+ */
+// Update an institution
+router.put("/:id", verifyToken, requirePermission('institutions:manage'), async (req, res) => {
+
+    // Request data
+    const id = req.params.id;
+    const { name, acronym } = req.body;
+
+    try {
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(404).json({ error: "Instituição não encontrada" });
+        }
+
+        const error = validateInstitutionFields({ name, acronym }, true);
+        if (error) {
+            return res.status(400).json({ error: error });
+        }
+
+        if (await findConflict({ name, acronym }, new mongoose.Types.ObjectId(id))) {
+            return res.status(400).json({ error: "Já existe uma instituição com este nome ou sigla" });
+        }
+
+        const updateData = { updatedAt: new Date() };
+
+        if (name !== undefined) {
+            updateData.name = name.trim();
+        }
+
+        if (acronym !== undefined) {
+            updateData.acronym = acronym.trim();
+        }
+
+        const previous = await Institution.findOne({ _id: id, deleted: false });
+
+        if (!previous) {
+            return res.status(404).json({ error: "Instituição não encontrada" });
+        }
+
+        const institution = await Institution.findOneAndUpdate(
+            { _id: previous._id },
+            { $set: updateData },
+            { new: true }
+        );
+
+        await recordAudit(req, { action: 'institution.update', targetType: 'Institution', targetId: institution._id, before: previous, after: institution });
+
+        // Keep the denormalized display name in sync
+        if (updateData.name) {
+            await Promise.all([
+                User.updateMany({ institutionId: institution._id }, { $set: { institution: institution.name } }),
+                Invite.updateMany({ institutionId: institution._id, usedAt: null }, { $set: { institution: institution.name } }),
+                IdentityProvider.updateMany({ institutionId: institution._id }, { $set: { institution: institution.name } })
+            ]);
+        }
+
+        return res.status(200).json({ error: null, msg: "Instituição atualizada com sucesso", data: institution });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao atualizar instituição" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/institutions/{id}:
+ *   delete:
+ *     summary: Remover instituição
+ *     description: Remove a instituição (permissão `institutions:manage`) se nenhum usuário, formulário, convite pendente ou provedor de identidade estiver vinculado a ela.
+ *     tags: [Instituições]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID da instituição
+ *     responses:
+ *       200:
+ *         description: Instituição removida com sucesso
+ *       400:
+ *         description: Instituição em uso
+ *       403:
+ *         description: Sem a permissão institutions:manage
+ *       404:
+ *         description: Instituição não encontrada
+ *       500:
+ *         description: Erro ao remover instituição
+ */
+// Delete an institution
+router.delete("/:id", verifyToken, requirePermission('institutions:manage'), async (req, res) => {
+
+    // Request data
+    const id = req.params.id;
+
+    try {
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(404).json({ error: "Instituição não encontrada" });
+        }
+
+        const institution = await Institution.findOne({ _id: id, deleted: false });
+
+        if (!institution) {
+            return res.status(404).json({ error: "Instituição não encontrada" });
+        }
+
+        const [users, forms, invites, providers] = await Promise.all([
+            User.countDocuments({ institutionId: id, deleted: false }),
+            Form.countDocuments({ institutionId: id, deleted: false }),
+            Invite.countDocuments({ institutionId: id, usedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } }),
+            IdentityProvider.countDocuments({ institutionId: id, deleted: false })
+        ]);
+
+        if (users > 0 || forms > 0 || invites > 0 || providers > 0) {
+            return res.status(400).json({
+                error: "A instituição está em uso e não pode ser removida",
+                usage: { users, forms, invites, identityProviders: providers }
+            });
+        }
+
+        await Institution.updateOne({ _id: id }, { $set: { deleted: true, updatedAt: new Date() } });
+
+        await recordAudit(req, { action: 'institution.delete', targetType: 'Institution', targetId: institution._id, before: { deleted: false }, after: { deleted: true } });
+
+        return res.status(200).json({ error: null, msg: "Instituição removida com sucesso" });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao remover instituição" });
+    }
+});
+
+
+module.exports = router;
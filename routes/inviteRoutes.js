@@ -0,0 +1,463 @@
+const router = require('express').Router();
+const mongoose = require('mongoose');
+
+// Models
+const Invite = require('../models/invite');
+const User = require('../models/user');
+const Form = require('../models/form');
+
+// Middlewares
+const verifyToken = require('../helpers/check-token');
+const requirePermission = require('../helpers/require-permission');
+
+// Helpers
+const { createInvite, findValidInvite } = require('../helpers/invites');
+const { sendInviteEmail } = require('../helpers/emailService');
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('../helpers/email-templates');
+const { listRoleKeys, getRolesWithPermission } = require('../helpers/permissions');
+const { findInstitution, hasGlobalScope, institutionFilter, canManageRole } = require('../helpers/institutions');
+const { recordAudit } = require('../helpers/audit');
+const { parseListQuery, findPage, pickFields } = require('../helpers/list-query');
+
+const INVITE_STATUSES = ['pending', 'used', 'revoked', 'expired'];
+
+// List protocol of GET /; status is derived from the dates and filtered separately
+const INVITE_LIST = {
+    sort: { fields: ['createdAt', 'expiresAt', 'email'], default: '-createdAt' },
+    filters: {
+        email: {},
+        role: {},
+        institutionId: { type: 'objectId' }
+    },
+    dateField: 'createdAt',
+    search: ['email', 'institution'],
+    fields: ['email', 'role', 'institution', 'institutionId', 'assignedForms', 'preferredLanguage', 'status', 'expiresAt', 'usedAt', 'usedBy', 'revokedAt', 'createdBy', 'createdAt']
+};
+
+/**
+ * @swagger
+ * /api/invites:
+ *   post:
+ *     summary: Criar convite
+ *     description: |
+ *       Cria um convite de cadastro e envia o link por e-mail (permissão `invites:manage`).
+ *       A função, a instituição e os formulários atribuídos ficam fixos no convite.
+ *       Sem a permissão `institutions:global`, o convite é sempre da instituição de quem convida e só pode ter funções cujas permissões ele também tem.
+ *       Com ela, a instituição é informada por `institutionId` ou pelo nome em `institution` (nomes de instituições cadastradas são vinculados a elas).
+ *       Formulários só podem ser atribuídos a convites de funções com a permissão `responses:submit` (por padrão, student e teacher_respondent).
+ *     tags: [Convites]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               role:
+ *                 type: string
+ *                 description: Função nativa (admin, student, teacher_analyst, teacher_respondent) ou personalizada
+ *               institution:
+ *                 type: string
+ *               institutionId:
+ *                 type: string
+ *               assignedForms:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               preferredLanguage:
+ *                 type: string
+ *                 enum: [pt-BR, en]
+ *                 default: pt-BR
+ *                 description: Idioma do e-mail de convite
+ *           example:
+ *             email: "professor@escola.edu.br"
+ *             role: "teacher_analyst"
+ *             institution: "Escola Estadual XYZ"
+ *     responses:
+ *       201:
+ *         description: Convite criado com sucesso
+ *       400:
+ *         description: Dados inválidos, e-mail já cadastrado ou formulários inválidos
+ *       403:
+ *         description: Sem a permissão invites:manage
+ *       500:
+ *         description: Erro ao criar convite
+ */
+// Create an invite
+router.post("/", verifyToken, requirePermission('invites:manage'), async (req, res) => {
+
+    // Token data
+    const userId = req.user.userId;
+
+    // Request data
+    const email = req.body.email;
+    const role = req.body.role;
+    const institution = req.body.institution;
+    const institutionId = req.body.institutionId;
+    const assignedForms = req.body.assignedForms || [];
+    const preferredLanguage = req.body.preferredLanguage || DEFAULT_LANGUAGE;
+
+    try {
+
+        // Check for required fields
+        if (!email || !role) {
+            return res.status(400).json({ error: "Por favor preencha todos os campos obrigatórios" });
+        }
+
+        // Check email format
+        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+        if (!emailRegex.test(email)) {
+            return res.status(400).json({ error: "Formato de e-mail inválido" });
+        }
+
+        // Check if role is valid
+        const validRoles = await listRoleKeys();
+        if (!validRoles.includes(role)) {
+            return res.status(400).json({ error: "Função inválida" });
+        }
+
+        // Institution-level users cannot invite someone above themselves
+        if (!(await canManageRole(req, role))) {
+            return res.status(403).json({ error: "Acesso negado. Você não pode convidar usuários com permissões que não possui" });
+        }
+
+        // Institution of the invite: fixed to the inviter's own unless they have global scope
+        let inviteInstitution = institution;
+        let inviteInstitutionId = null;
+
+        if (!hasGlobalScope(req)) {
+
+            if (!req.currentUser.institutionId || (institutionId && String(institutionId) !== String(req.currentUser.institutionId))) {
+                return res.status(403).json({ error: "Acesso negado. Convites só podem ser criados para a sua instituição" });
+            }
+
+            inviteInstitution = req.currentUser.institution;
+            inviteInstitutionId = req.currentUser.institutionId;
+
+        } else {
+
+            const registered = await findInstitution({ institutionId, institution });
+
+            if (institutionId && !registered) {
+                return res.status(400).json({ error: "Instituição não encontrada" });
+            }
+
+            if (registered) {
+                inviteInstitution = registered.name;
+                inviteInstitutionId = registered._id;
+            }
+        }
+
+        if (!inviteInstitution) {
+            return res.status(400).json({ error: "Por favor preencha todos os campos obrigatórios" });
+        }
+
+        // Check language
+        if (!LANGUAGES.includes(preferredLanguage)) {
+            return res.status(400).json({ error: `Idioma inválido. Use: ${LANGUAGES.join(', ')}` });
+        }
+
+        // Check if user already exists
+        const emailExists = await User.findOne({ email: email.trim().toLowerCase() });
+
+        if (emailExists) {
+            return res.status(400).json({ error: "O e-mail já está em uso" });
+        }
+
+        // Check assigned forms
+        if (!Array.isArray(assignedForms)) {
+            return res.status(400).json({ error: "assignedForms deve ser uma lista" });
+        }
+
+        if (assignedForms.length > 0) {
+
+            // Only roles that answer forms may receive form assignments
+            const respondentRoles = await getRolesWithPermission('responses:submit');
+
+            if (!respondentRoles.includes(role)) {
+                return res.status(400).json({ error: "Formulários só podem ser atribuídos a respondentes" });
+            }
+
+            if (!assignedForms.every(id => mongoose.Types.ObjectId.isValid(id))) {
+                return res.status(400).json({ error: "Formulário inválido" });
+            }
+
+            // Forms of an institution are only assigned to its own members
+            const formsCount = await Form.countDocuments({
+                _id: { $in: assignedForms },
+                deleted: false,
+                ...institutionFilter(req),
+                ...(inviteInstitutionId ? { institutionId: inviteInstitutionId } : {})
+            });
+
+            if (formsCount !== new Set(assignedForms.map(String)).size) {
+                return res.status(400).json({ error: "Um ou mais formulários não foram encontrados ou não pertencem à instituição do convite" });
+            }
+        }
+
+        // Revoke previous pending invites for the same e-mail
+        await Invite.updateMany(
+            { email: email.trim().toLowerCase(), usedAt: null, revokedAt: null, ...institutionFilter(req) },
+            { $set: { revokedAt: new Date() } }
+        );
+
+        const { invite, token: inviteToken } = await createInvite({
+            email: email,
+            role: role,
+            institution: inviteInstitution,
+            institutionId: inviteInstitutionId,
+            assignedForms: [...new Set(assignedForms.map(String))],
+            preferredLanguage: preferredLanguage,
+            createdBy: userId
+        });
+
+        await recordAudit(req, { action: 'invite.create', targetType: 'Invite', targetId: invite._id, after: invite });
+
+        // The invite stays valid even if the e-mail fails; the admin can create a new one
+        let emailSent = true;
+
+        try {
+            await sendInviteEmail(invite.email, inviteToken, invite.role, invite.preferredLanguage);
+        } catch (error) {
+            emailSent = false;
+            console.error('Erro ao enviar e-mail de convite:', error);
+        }
+
+        const data = invite.toObject();
+        delete data.tokenHash;
+
+        return res.status(201).json({ error: null, msg: "Convite criado com sucesso", data: data, emailSent: emailSent });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao criar convite" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/invites:
+ *   get:
+ *     summary: Listar convites
+ *     description: Lista os convites criados, do mais recente para o mais antigo (permissão `invites:manage`), paginados e com filtros
+ *     tags: [Convites]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ListPage'
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - $ref: '#/components/parameters/ListSort'
+ *       - $ref: '#/components/parameters/ListSearch'
+ *       - $ref: '#/components/parameters/ListFields'
+ *       - $ref: '#/components/parameters/ListFrom'
+ *       - $ref: '#/components/parameters/ListTo'
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, used, revoked, expired]
+ *         description: Filtra pela situação do convite
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *         description: Filtra pelo e-mail convidado
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: institutionId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Convites encontrados com sucesso
+ *       400:
+ *         description: Parâmetro de listagem inválido
+ *       403:
+ *         description: Sem a permissão invites:manage
+ *       500:
+ *         description: Erro ao buscar convites
+ */
+// Get invites
+router.get("/", verifyToken, requirePermission('invites:manage'), async (req, res) => {
+
+    try {
+
+        const list = parseListQuery({ ...req.query, ...(req.query.email ? { email: String(req.query.email).trim().toLowerCase() } : {}) }, INVITE_LIST);
+        if (list.error) {
+            return res.status(400).json({ error: list.error });
+        }
+
+        if (req.query.status !== undefined && !INVITE_STATUSES.includes(req.query.status)) {
+            return res.status(400).json({ error: `Valor inválido para status. Use: ${INVITE_STATUSES.join(', ')}` });
+        }
+
+        const now = new Date();
+        const filter = { ...institutionFilter(req) };
+
+        switch (req.query.status) {
+            case 'pending':
+                Object.assign(filter, { usedAt: null, revokedAt: null, expiresAt: { $gt: now } });
+                break;
+            case 'used':
+                filter.usedAt = { $ne: null };
+                break;
+            case 'revoked':
+                Object.assign(filter, { usedAt: null, revokedAt: { $ne: null } });
+                break;
+            case 'expired':
+                Object.assign(filter, { usedAt: null, revokedAt: null, expiresAt: { $lte: now } });
+                break;
+        }
+
+        const { items: invites, pagination } = await findPage(Invite, filter, list, query => query
+            .select({ tokenHash: 0 })
+            .populate('createdBy', 'name email')
+            .populate('usedBy', 'name email'));
+
+        const data = invites.map(invite => {
+            let status = 'pending';
+            if (invite.usedAt) status = 'used';
+            else if (invite.revokedAt) status = 'revoked';
+            else if (invite.expiresAt <= now) status = 'expired';
+
+            return pickFields({ ...invite.toObject(), status: status }, list.fields);
+        });
+
+        return res.status(200).json({ error: null, msg: "Convites encontrados com sucesso", data: data, pagination: pagination });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao buscar convites" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/invites/{id}:
+ *   delete:
+ *     summary: Revogar convite
+ *     description: Revoga um convite pendente, invalidando o link enviado (permissão `invites:manage`)
+ *     tags: [Convites]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID do convite
+ *     responses:
+ *       200:
+ *         description: Convite revogado com sucesso
+ *       400:
+ *         description: Convite já utilizado
+ *       403:
+ *         description: Sem a permissão invites:manage
+ *       404:
+ *         description: Convite não encontrado
+ *       500:
+ *         description: Erro ao revogar convite
+ */
+// Revoke an invite
+router.delete("/:id", verifyToken, requirePermission('invites:manage'), async (req, res) => {
+
+    const id = req.params.id;
+
+    try {
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(404).json({ error: "Convite não encontrado" });
+        }
+
+        const invite = await Invite.findOne({ _id: id, ...institutionFilter(req) });
+
+        if (!invite) {
+            return res.status(404).json({ error: "Convite não encontrado" });
+        }
+
+        if (invite.usedAt) {
+            return res.status(400).json({ error: "Convite já utilizado" });
+        }
+
+        if (!invite.revokedAt) {
+            invite.revokedAt = new Date();
+            await invite.save();
+
+            await recordAudit(req, { action: 'invite.revoke', targetType: 'Invite', targetId: invite._id, before: { revokedAt: null }, after: { revokedAt: invite.revokedAt } });
+        }
+
+        return res.status(200).json({ error: null, msg: "Convite revogado com sucesso" });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao revogar convite" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/invites/validate/{token}:
+ *   get:
+ *     summary: Validar convite
+ *     description: Verifica se o link de convite é válido e retorna os dados fixados por ele, para preencher o formulário de cadastro (rota pública)
+ *     tags: [Convites]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token recebido por e-mail
+ *     responses:
+ *       200:
+ *         description: Convite válido
+ *         content:
+ *           application/json:
+ *             example:
+ *               error: null
+ *               msg: "Convite válido"
+ *               data:
+ *                 email: "professor@escola.edu.br"
+ *                 role: "teacher_analyst"
+ *                 institution: "Escola Estadual XYZ"
+ *                 expiresAt: "2025-01-22T10:30:00.000Z"
+ *       400:
+ *         description: Convite inválido ou expirado
+ */
+// Validate an invite link - PUBLIC
+router.get("/validate/:token", async (req, res) => {
+
+    try {
+
+        const invite = await findValidInvite(req.params.token);
+
+        if (!invite) {
+            return res.status(400).json({ error: "Convite inválido ou expirado" });
+        }
+
+        const data = {
+            email: invite.email,
+            role: invite.role,
+            institution: invite.institution,
+            expiresAt: invite.expiresAt
+        };
+
+        return res.status(200).json({ error: null, msg: "Convite válido", data: data });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao validar convite" });
+    }
+});
+
+
+module.exports = router;
@@ -2,21 +2,34 @@ const router = require('express').Router();
 
 // Models
 const Question = require('../models/question');
-const User = require('../models/user');
 
 // Middlewares
 const verifyToken = require('../helpers/check-token');
+const requirePermission = require('../helpers/require-permission');
 
 // Helpers
-const getUserByToken = require('../helpers/get-user-by-token');
 const { validateQuestion, validateQuestionUpdate } = require('../helpers/validate-question-fields');
+const { recordAudit } = require('../helpers/audit');
+const { parseListQuery, findPage, fieldsProjection, wantsField } = require('../helpers/list-query');
+
+// List protocol of GET /all
+const QUESTION_LIST = {
+    sort: { fields: ['createdAt', 'title', 'type'], default: '-createdAt' },
+    filters: {
+        type: { values: Question.schema.path('type').enumValues },
+        createdBy: { type: 'objectId' }
+    },
+    dateField: 'createdAt',
+    search: ['title'],
+    fields: ['title', 'type', 'options', 'validation', 'createdBy', 'createdAt']
+};
 
 /**
  * @swagger
  * /api/questions:
  *   post:
  *     summary: Criar nova questão
- *     description: Cria uma nova questão para ser utilizada em formulários (apenas admin)
+ *     description: Cria uma nova questão para ser utilizada em formulários (permissão `questions:create`)
  *     tags: [Questões]
  *     security:
  *       - bearerAuth: []
@@ -90,14 +103,8 @@ const { validateQuestion, validateQuestionUpdate } = require('../helpers/validat
  *               opcoesFaltando:
  *                 value:
  *                   error: "Questões do tipo multiple_choice, checkbox e dropdown requerem opções"
- *       401:
- *         description: Acesso negado - apenas admin
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
- *             example:
- *               error: "Acesso negado, apenas administradores podem criar questões"
+ *       403:
+ *         description: Sem a permissão questions:create
  *       404:
  *         description: Usuário não encontrado
  *         content:
@@ -108,25 +115,14 @@ const { validateQuestion, validateQuestionUpdate } = require('../helpers/validat
  *         description: Erro ao criar a questão
  */
 // Create new Question
-router.post("/", verifyToken, async (req, res) => {
+router.post("/", verifyToken, requirePermission('questions:create'), async (req, res) => {
     
-    // Token data
-    const token = req.header("auth-token");
-    const userByToken = await getUserByToken(token);
-    const role = userByToken.role;
-    const userId = userByToken._id.toString();
-
     // Request data
     const title = req.body.title;
     const type = req.body.type;
     const options = req.body.options;
     const validation = req.body.validation;
 
-    // Only 'admin' can create questions
-    if (role !== 'admin') {
-        return res.status(401).json({ error: "Acesso negado, apenas administradores podem criar questões" });
-    }
-
     // Validate question fields
     const validationResult = validateQuestion({ title, type, options, validation });
         
@@ -134,15 +130,8 @@ router.post("/", verifyToken, async (req, res) => {
         return res.status(400).json({ error: validationResult.error });
     }
 
-    // Verify user
     try {
 
-        const user = await User.findOne({ _id: userId, deleted: false });
-
-        if (!user) {
-            return res.status(404).json({ error: "Usuário não encontrado" });
-        }
-
         const question = new Question({
             title: title.trim(),
             type,
@@ -151,12 +140,13 @@ router.post("/", verifyToken, async (req, res) => {
                 value: opt.value.trim()
             })) || [],
             validation: validation || { required: false },
-            createdBy: user._id.toString()
+            createdBy: req.currentUser._id.toString()
         });
 
         try {
 
             const newQuestion = await question.save();
+            await recordAudit(req, { action: 'question.create', targetType: 'Question', targetId: newQuestion._id, after: newQuestion });
             return res.status(201).json({error: null, msg: "Questão criada com sucesso", data: newQuestion });
 
         } catch (error) {
@@ -173,10 +163,35 @@ router.post("/", verifyToken, async (req, res) => {
  * /api/questions/all:
  *   get:
  *     summary: Listar todas as questões
- *     description: Retorna todas as questões cadastradas no sistema (apenas admin e teacher_analyst)
+ *     description: Retorna as questões cadastradas no sistema (permissão `questions:read`), paginadas e com filtros
  *     tags: [Questões]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ListPage'
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: -createdAt
+ *           enum: [createdAt, -createdAt, title, -title, type, -type]
+ *         description: Ordenação (prefixo - para ordem decrescente)
+ *       - $ref: '#/components/parameters/ListSearch'
+ *       - $ref: '#/components/parameters/ListFields'
+ *       - $ref: '#/components/parameters/ListFrom'
+ *       - $ref: '#/components/parameters/ListTo'
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Tipo da questão (vários separados por vírgula)
+ *       - in: query
+ *         name: createdBy
+ *         schema:
+ *           type: string
+ *         description: ID de quem criou a questão
  *     responses:
  *       200:
  *         description: Questões encontradas com sucesso
@@ -196,14 +211,18 @@ router.post("/", verifyToken, async (req, res) => {
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/Question'
- *       401:
- *         description: Acesso negado
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Parâmetro de listagem inválido
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *             example:
- *               error: "Acesso negado, apenas administradores e equipe podem acessar as questões"
+ *               error: "Valor inválido para type. Use: text, multiple_choice, checkbox, dropdown, scale, date"
+ *       403:
+ *         description: Sem a permissão questions:read
  *       404:
  *         description: Usuário não encontrado
  *         content:
@@ -213,35 +232,28 @@ router.post("/", verifyToken, async (req, res) => {
  *       500:
  *         description: Erro interno do servidor
  */
-// Get all Questions for teacher_analyst and admin
-router.get("/all", verifyToken, async (req, res) => {
+// Get all Questions
+router.get("/all", verifyToken, requirePermission('questions:read'), async (req, res) => {
     try {
 
-        const token = req.header("auth-token");
-        const userByToken = await getUserByToken(token);
-        const userId = userByToken._id.toString();
-
-        // Verify user
-        const user = await User.findOne({ _id: userId, deleted: false });
-
-        if (!user) {
-            return res.status(404).json({ error: "Usuário não encontrado" });
+        const list = parseListQuery(req.query, QUESTION_LIST);
+        if (list.error) {
+            return res.status(400).json({ error: list.error });
         }
 
-        if (user.role !== 'admin' && user.role !== 'teacher_analyst') {
-            return res.status(401).json({ error: "Acesso negado, apenas administradores e equipe podem acessar as questões" });
-        }
-        
-        const questions = await Question.find({ deleted: false })
-            .sort({ createdAt: -1 })
-            .populate({
-                path: 'createdBy',
-                select: 'name email role city state institution',
-                match: { deleted: false }
-            });
-            
+        const { items, pagination } = await findPage(Question, { deleted: false }, list, query => {
+            const projected = list.fields ? query.select(fieldsProjection(list.fields)) : query;
+
+            return wantsField(list.fields, 'createdBy')
+                ? projected.populate({
+                    path: 'createdBy',
+                    select: 'name email role city state institution',
+                    match: { deleted: false }
+                })
+                : projected;
+        });
 
-        return res.status(200).json({ error: null, msg: "Questões encontradas com sucesso", data: questions });
+        return res.status(200).json({ error: null, msg: "Questões encontradas com sucesso", data: items, pagination });
 
     } catch (error) {
         return res.status(500).json({ error });
@@ -253,7 +265,7 @@ router.get("/all", verifyToken, async (req, res) => {
  * /api/questions/{id}:
  *   get:
  *     summary: Obter questão por ID
- *     description: Retorna uma questão específica (apenas admin e teacher_analyst)
+ *     description: Retorna uma questão específica (permissão `questions:read`)
  *     tags: [Questões]
  *     security:
  *       - bearerAuth: []
@@ -282,12 +294,8 @@ router.get("/all", verifyToken, async (req, res) => {
  *                   example: "Questão encontrada com sucesso"
  *                 data:
  *                   $ref: '#/components/schemas/Question'
- *       401:
- *         description: Acesso negado
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Sem a permissão questions:read
  *       404:
  *         description: Questão ou usuário não encontrado
  *         content:
@@ -305,25 +313,10 @@ router.get("/all", verifyToken, async (req, res) => {
  *         description: Erro interno do servidor
  */
 // Get Question by ID
-router.get("/:id", verifyToken, async (req, res) => {
+router.get("/:id", verifyToken, requirePermission('questions:read'), async (req, res) => {
 
     try {
 
-        const token = req.header("auth-token");
-        const userByToken = await getUserByToken(token);
-        const userId = userByToken._id.toString();
-
-        // Verify user
-        const user = await User.findOne({ _id: userId, deleted: false });
-
-        if (!user) {
-            return res.status(404).json({ error: "Usuário não encontrado" });
-        }
-
-        if (user.role !== 'admin' && user.role !== 'teacher_analyst') {
-            return res.status(401).json({ error: "Acesso negado, apenas administradores e equipe podem acessar as questões" });
-        }
-
         const questionId = req.params.id;
 
         const question = await Question.findOne({ _id: questionId, deleted: false })
@@ -350,7 +343,7 @@ router.get("/:id", verifyToken, async (req, res) => {
  * /api/questions/{id}:
  *   delete:
  *     summary: Deletar questão
- *     description: Remove uma questão do sistema (apenas admin)
+ *     description: Remove uma questão do sistema (permissão `questions:delete`)
  *     tags: [Questões]
  *     security:
  *       - bearerAuth: []
@@ -377,14 +370,8 @@ router.get("/:id", verifyToken, async (req, res) => {
  *                 msg:
  *                   type: string
  *                   example: "Questão deletada com sucesso"
- *       401:
- *         description: Acesso negado - apenas admin
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
- *             example:
- *               error: "Acesso negado, apenas administradores podem deletar questões"
+ *       403:
+ *         description: Sem a permissão questions:delete
  *       404:
  *         description: Questão ou usuário não encontrado
  *         content:
@@ -395,35 +382,23 @@ router.get("/:id", verifyToken, async (req, res) => {
  *         description: Erro interno do servidor
  */
 // Delete Question (ADMIN)
-router.delete("/:id", verifyToken, async (req, res) => {
+router.delete("/:id", verifyToken, requirePermission('questions:delete'), async (req, res) => {
     
-    const token = req.header("auth-token");
-    const userByToken = await getUserByToken(token);
     const questionId = req.params.id;
-    const userId = userByToken._id.toString();
 
     try {
-        // Verify user
-        const user = await User.findOne({ _id: userId, deleted: false });
-        if (!user) {
-            return res.status(404).json({ error: "Usuário não encontrado" });
-        }
-
-        if (user.role !== 'admin') {
-            return res.status(401).json({ error: "Acesso negado, apenas administradores podem deletar questões" });
-        }
-
         // Soft delete: set deleted flag to true
-        const updatedQuestion = await Question.findByIdAndUpdate(
-            questionId,
-            { $set: { deleted: true } },
-            { new: true }
+        const question = await Question.findOneAndUpdate(
+            { _id: questionId, deleted: false },
+            { $set: { deleted: true, deletedAt: new Date(), deletedBy: req.currentUser._id } }
         );
 
-        if (!updatedQuestion) {
+        if (!question) {
             return res.status(404).json({ error: "Questão não encontrada" });
         }
 
+        await recordAudit(req, { action: 'question.delete', targetType: 'Question', targetId: question._id, before: { deleted: question.deleted }, after: { deleted: true } });
+
         return res.status(200).json({error: null, msg: "Questão deletada com sucesso" });
 
     } catch (error) {
@@ -436,7 +411,7 @@ router.delete("/:id", verifyToken, async (req, res) => {
  * /api/questions/{id}:
  *   put:
  *     summary: Atualizar questão
- *     description: Atualiza informações de uma questão existente (apenas admin)
+ *     description: Atualiza informações de uma questão existente (permissão `questions:update`)
  *     tags: [Questões]
  *     security:
  *       - bearerAuth: []
@@ -524,14 +499,8 @@ router.delete("/:id", verifyToken, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       401:
- *         description: Acesso negado - apenas admin
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
- *             example:
- *               error: "Acesso negado, apenas administradores podem atualizar questões"
+ *       403:
+ *         description: Sem a permissão questions:update
  *       404:
  *         description: Questão ou usuário não encontrado
  *         content:
@@ -542,7 +511,7 @@ router.delete("/:id", verifyToken, async (req, res) => {
  *         description: Erro ao atualizar a questão
  */
 // Update Question
-router.put("/:id", verifyToken, async (req, res) => {
+router.put("/:id", verifyToken, requirePermission('questions:update'), async (req, res) => {
 
     // Req Body
     const title = req.body.title;
@@ -551,22 +520,8 @@ router.put("/:id", verifyToken, async (req, res) => {
     const validation = req.body.validation;
     const questionId = req.params.id;
 
-    // Token data
-    const token = req.header("auth-token");
-    const userByToken = await getUserByToken(token);
-    const userId = userByToken._id.toString();
-
-    // Verify user
     try {
 
-        const user = await User.findOne({ _id: userId, deleted: false });
-        if (!user) {
-            return res.status(404).json({ error: "Usuário não encontrado" });
-        }
-        if (user.role !== 'admin') {
-            return res.status(401).json({ error: "Acesso negado, apenas administradores podem atualizar questões" });
-        }
-
         // Find question
         const question = await Question.findOne({ _id: questionId, deleted: false });
         if (!question) {
@@ -602,11 +557,12 @@ router.put("/:id", verifyToken, async (req, res) => {
             newQuestion.validation = validation;
         }
 
-        newQuestion.createdBy = user._id.toString();
+        newQuestion.createdBy = req.currentUser._id.toString();
 
         try {
 
             const updatedQuestion = await Question.findOneAndUpdate({ _id: questionId }, { $set: newQuestion }, { new: true });
+            await recordAudit(req, { action: 'question.update', targetType: 'Question', targetId: question._id, before: question, after: updatedQuestion });
             return res.status(200).json({ error: null, msg: "Questão atualizada com sucesso", data: updatedQuestion });
 
         } catch (error) {
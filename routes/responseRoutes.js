@@ -5,12 +5,103 @@ const mongoose = require("mongoose");
 const Response = require("../models/response");
 const User = require("../models/user");
 const Form = require("../models/form");
+const ConsentTerm = require("../models/consentTerm");
 
 // Middlewares
 const verifyToken = require('../helpers/check-token');
+const requirePermission = require('../helpers/require-permission');
+const requireVerifiedEmail = require('../helpers/require-verified-email');
 
 // Helpers
 const getUserByToken = require('../helpers/get-user-by-token');
+const { institutionFilter, formScopeFilter } = require('../helpers/institutions');
+const { recordAudit } = require('../helpers/audit');
+const { ANONYMIZED_RESPONDENT } = require('../helpers/erasure');
+const { getConsentStatus, getLatestAcceptances } = require('../helpers/consent');
+const { getGuardianConsentStatus } = require('../helpers/guardian-consent');
+const { parseListQuery, parseFilters, findPage, fieldsProjection, pickFields, wantsField } = require('../helpers/list-query');
+
+// List protocol of GET /admins/all and /analysts/all
+const RESPONSE_LIST = {
+    sort: { fields: ['submittedAt'], default: '-submittedAt' },
+    filters: {
+        formId: { type: 'objectId' },
+        userId: { type: 'objectId' },
+        anonymized: { type: 'boolean' }
+    },
+    dateField: 'submittedAt',
+    search: ['answers.answer'],
+    fields: ['formId', 'userId', 'answers', 'submittedAt', 'lastModified', 'anonymized']
+};
+
+// Filters on the respondent's profile, resolved to the matching users
+const RESPONDENT_FILTERS = {
+    role: {},
+    state: {},
+    institution: {},
+    institutionId: { type: 'objectId' }
+};
+
+/**
+ * Filtro fixo das listagens de respostas: submetidas, do escopo de quem consulta, de formulários e usuários não removidos
+ * (ou anonimizadas) e com os filtros pelo perfil do respondente
+ * @param {Object} req - Requisição
+ * @param {Object} options - { hideAnonymous }: filtros de perfil não encontram usuários anônimos
+ * @returns {Object} { error } ou { filter }
+ */
+const responseListFilter = async (req, { hideAnonymous }) => {
+    const respondent = parseFilters(req.query, RESPONDENT_FILTERS);
+    if (respondent.error) {
+        return { error: respondent.error };
+    }
+
+    const [deletedForms, deletedUsers] = await Promise.all([
+        Form.distinct('_id', { deleted: true }),
+        User.distinct('_id', { deleted: true })
+    ]);
+
+    const and = [
+        { deleted: false, isDraft: false, ...await formScopeFilter(req) },
+        { formId: { $nin: deletedForms } },
+        { $or: [{ anonymized: true }, { userId: { $nin: [null, ...deletedUsers] } }] }
+    ];
+
+    if (respondent.conditions.length > 0) {
+        const users = await User.distinct('_id', { $and: [{ deleted: false, ...(hideAnonymous ? { anonymous: false } : {}) }, ...respondent.conditions] });
+        and.push({ userId: { $in: users } });
+    }
+
+    return { filter: { $and: and } };
+};
+
+// Page of responses for the list protocol, populating only what the requested fields need
+const findResponsesPage = (list, filter, userSelect) => findPage(Response, filter, list, query => {
+    if (list.fields) {
+        query = query.select(fieldsProjection(list.fields));
+    }
+    if (wantsField(list.fields, 'formId')) {
+        query = query.populate({
+            path: 'formId',
+            select: 'title description',
+            match: { deleted: false }
+        });
+    }
+    if (wantsField(list.fields, 'userId')) {
+        query = query.populate({
+            path: 'userId',
+            select: userSelect,
+            match: { deleted: false }
+        });
+    }
+    if (wantsField(list.fields, 'answers')) {
+        query = query.populate({
+            path: 'answers.questionId',
+            select: 'title type options',
+            match: { deleted: false }
+        });
+    }
+    return query;
+});
 
 // DRAFT ROUTES
 /**
@@ -47,9 +138,11 @@ const getUserByToken = require('../helpers/get-user-by-token');
  *         description: Rascunho salvo com sucesso
  *       201:
  *         description: Rascunho criado com sucesso
+ *       403:
+ *         description: O formulário exige o aceite da versão atual do termo de consentimento (ver `/api/consents/forms/{formId}`) ou o estudante ainda não tem a autorização do responsável (ver `/api/guardian-consents`)
  */
 // Create a draft response
-router.post("/draft", verifyToken, async (req, res) => {
+router.post("/draft", verifyToken, requirePermission('responses:submit'), requireVerifiedEmail, async (req, res) => {
 
     // Token data
     const token = req.header("auth-token");
@@ -82,6 +175,18 @@ router.post("/draft", verifyToken, async (req, res) => {
             return res.status(400).json({ error: "Este formulário não está mais ativo" });
         }
 
+        // Underage students only take part after a guardian's authorization
+        const guardianConsent = await getGuardianConsentStatus(user);
+        if (guardianConsent.locked) {
+            return res.status(403).json({ error: "É necessária a autorização do responsável antes de responder", guardianConsent: guardianConsent });
+        }
+
+        // Answers are only accepted after the current version of the form's consent term (TCLE)
+        const consent = await getConsentStatus(form, user._id);
+        if (consent.required && !consent.accepted) {
+            return res.status(403).json({ error: "É necessário aceitar a versão atual do termo de consentimento antes de responder", consent: consent });
+        }
+
         // Validate answers format (but don't require all required fields for drafts)
         if (answers && !Array.isArray(answers)) {
             return res.status(400).json({ error: "Formato de respostas inválido" });
@@ -164,7 +269,7 @@ router.post("/draft", verifyToken, async (req, res) => {
  *         schema:
  *           type: string
  */
-router.get("/draft/:formId", verifyToken, async (req, res) => {
+router.get("/draft/:formId", verifyToken, requireVerifiedEmail, async (req, res) => {
     const token = req.header("auth-token");
     const userByToken = await getUserByToken(token);
     const userId = userByToken._id.toString();
@@ -233,7 +338,7 @@ router.get("/draft/:formId", verifyToken, async (req, res) => {
  *         schema:
  *           type: string
  */
-router.delete("/draft/:formId", verifyToken, async (req, res) => {
+router.delete("/draft/:formId", verifyToken, requireVerifiedEmail, async (req, res) => {
 
     // Token data
     const token = req.header("auth-token");
@@ -263,7 +368,7 @@ router.delete("/draft/:formId", verifyToken, async (req, res) => {
                 deleted: false,
                 isDraft: true 
             },
-            { $set: { deleted: true } },
+            { $set: { deleted: true, deletedAt: new Date(), deletedBy: userId } },
             { new: true }
         );
 
@@ -289,10 +394,60 @@ router.delete("/draft/:formId", verifyToken, async (req, res) => {
  * /api/responses/all:
  *   get:
  *     summary: Listar todas as respostas
- *     description: Retorna todas as respostas submetidas no sistema (apenas admin e teacher_analyst)
+ *     description: Retorna as respostas submetidas (permissão `responses:read`), paginadas e com filtros. Sem a permissão `institutions:global`, apenas as dos formulários da instituição do usuário. A listagem de analistas (`/api/responses/analysts/all`, permissão `responses:analyze`) aceita os mesmos parâmetros; nela, os filtros pelo perfil do respondente não encontram usuários anônimos
  *     tags: [Respostas]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ListPage'
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: -submittedAt
+ *           enum: [submittedAt, -submittedAt]
+ *         description: Ordenação (prefixo - para ordem decrescente)
+ *       - $ref: '#/components/parameters/ListSearch'
+ *       - $ref: '#/components/parameters/ListFields'
+ *       - $ref: '#/components/parameters/ListFrom'
+ *       - $ref: '#/components/parameters/ListTo'
+ *       - in: query
+ *         name: formId
+ *         schema:
+ *           type: string
+ *         description: ID do formulário (vários separados por vírgula)
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         description: ID do respondente
+ *       - in: query
+ *         name: anonymized
+ *         schema:
+ *           type: boolean
+ *         description: Registros anonimizados (LGPD)
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *         description: Função do respondente
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *         description: Estado do respondente
+ *       - in: query
+ *         name: institution
+ *         schema:
+ *           type: string
+ *         description: Instituição do respondente (nome)
+ *       - in: query
+ *         name: institutionId
+ *         schema:
+ *           type: string
+ *         description: Instituição do respondente (ID)
  *     responses:
  *       200:
  *         description: Respostas encontradas com sucesso
@@ -362,14 +517,18 @@ router.delete("/draft/:formId", verifyToken, async (req, res) => {
  *                                   oneOf:
  *                                     - type: string
  *                                     - type: array
- *       401:
- *         description: Acesso negado
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Parâmetro de listagem inválido
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *             example:
- *               error: "Acesso negado, apenas administradores e equipe podem acessar todas as respostas"
+ *               error: "ID inválido em formId"
+ *       403:
+ *         description: Sem a permissão responses:read
  *       404:
  *         description: Usuário não encontrado
  *         content:
@@ -380,63 +539,45 @@ router.delete("/draft/:formId", verifyToken, async (req, res) => {
  *         description: Erro interno do servidor
  */
 // Get all responses (ADMIN)
-router.get("/admins/all", verifyToken, async (req, res) => {
-
-    // Token data
-    const token = req.header("auth-token");
-    const userByToken = await getUserByToken(token);
-    const userId = userByToken._id.toString();
+router.get("/admins/all", verifyToken, requirePermission('responses:read'), requireVerifiedEmail, async (req, res) => {
 
     // Check user in Db
     try {
-        const user = await User.findOne({ _id: userId, deleted: false });
-
-        if (!user) {
-            return res.status(404).json({ error: "Usuário não encontrado" });
+        const list = parseListQuery(req.query, RESPONSE_LIST);
+        if (list.error) {
+            return res.status(400).json({ error: list.error });
         }
 
-        const role = user.role;
-
-        // Only 'admin' and 'teacher_analyst' can access all responses
-        if (role !== 'admin') {
-            return res.status(401).json({ error: "Acesso negado, apenas administradores e equipe podem acessar todas as respostas" });
+        // Removed forms and users are filtered in the query so pages and totals only count listed responses
+        const { filter, error } = await responseListFilter(req, { hideAnonymous: false });
+        if (error) {
+            return res.status(400).json({ error });
         }
 
-        const responses = await Response.find({ deleted: false, isDraft: false })
-            .sort({ submittedAt: -1 })
-            .populate({
-                path: 'formId',
-                select: 'title description',
-                match: { deleted: false }
-            })
-            .populate({
-                path: 'userId',
-                select: 'name email city state institution',
-                match: { deleted: false }
-            })
-            .populate({
-                path: 'answers.questionId',
-                select: 'title type options',
-                match: { deleted: false }
-            });
+        const { items: responses, pagination } = await findResponsesPage(list, filter, 'name email city state institution');
 
         // Handle responses with deleted users and filter answers with null questionId
-        const responsesWithDeletedUsers = responses
-            .filter(response => response.formId !== null)
-            .filter(response => response.userId !== null)
-            .map(response => {
-                const responseObj = response.toObject();
+        const responsesWithDeletedUsers = responses.map(response => {
+            const responseObj = response.toObject();
+
+            // Anonymized research records have no user
+            if (!responseObj.userId) {
+                responseObj.userId = ANONYMIZED_RESPONDENT;
+            }
 
-                // Filter answers to remove those with null questionId
+            // Filter answers to remove those with null questionId
+            if (responseObj.answers) {
                 responseObj.answers = responseObj.answers.filter(a => a.questionId !== null);
+            }
 
-                return responseObj;
-            });
+            return pickFields(responseObj, list.fields);
+        });
 
         return res.status(200).json({ 
             error: null, 
             msg: "Respostas encontradas com sucesso", 
-            data: responsesWithDeletedUsers 
+            data: responsesWithDeletedUsers,
+            pagination: pagination
         });
 
         
@@ -450,7 +591,9 @@ router.get("/admins/all", verifyToken, async (req, res) => {
  * /api/forms/{id}/respondents:
  *   get:
  *     summary: Listar usuários que responderam o formulário
- *     description: Retorna todos os usuários que já submeteram respostas para este formulário (apenas admin e teacher_analyst)
+ *     description: |
+ *       Retorna todos os usuários que já submeteram respostas para este formulário (permissão `responses:read`).
+ *       Quando o formulário exige termo de consentimento (TCLE), `consent` traz a versão atual e cada respondente traz a última versão aceita (`current` indica se é a atual).
  *     tags: [Formulários]
  *     security:
  *       - bearerAuth: []
@@ -511,14 +654,16 @@ router.get("/admins/all", verifyToken, async (req, res) => {
  *                       responseId:
  *                         type: string
  *                         example: "507f1f77bcf86cd799439015"
- *       401:
- *         description: Acesso negado
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
- *             example:
- *               error: "Acesso negado, apenas administradores e equipe podem acessar esta informação"
+ *                       consent:
+ *                         type: object
+ *                         nullable: true
+ *                         example: { version: 2, acceptedAt: "2025-11-16T14:25:00.000Z", current: true }
+ *                 consent:
+ *                   type: object
+ *                   nullable: true
+ *                   example: { termId: "665f1f77bcf86cd799439031", title: "TCLE - Pesquisa de hábitos de estudo", currentVersion: 2 }
+ *       403:
+ *         description: Sem a permissão responses:read
  *       404:
  *         description: Formulário ou usuário não encontrado
  *         content:
@@ -536,31 +681,14 @@ router.get("/admins/all", verifyToken, async (req, res) => {
  *         description: Erro interno do servidor
  */
 // Get respondents of a Form (ADMIN)
-router.get("/admins/:formId/respondents", verifyToken, async (req, res) => {
-
-    // Token data
-    const token = req.header("auth-token");
-    const userByToken = await getUserByToken(token);
-    const userId = userByToken._id.toString();
+router.get("/admins/:formId/respondents", verifyToken, requirePermission('responses:read'), requireVerifiedEmail, async (req, res) => {
 
     // Request data
     const formId = req.params.formId;
 
     try {
-        // Verify user
-        const user = await User.findOne({ _id: userId, deleted: false });
-
-        if (!user) {
-            return res.status(404).json({ error: "Usuário não encontrado" });
-        }
-
-        // Only admin can access
-        if (user.role !== 'admin') {
-            return res.status(401).json({ error: "Acesso negado, apenas administradores podem acessar esta informação" });
-        }
-
         // Verify if form exists
-        const form = await Form.findOne({ _id: formId, deleted: false });
+        const form = await Form.findOne({ _id: formId, deleted: false, ...institutionFilter(req) });
 
         if (!form) {
             return res.status(404).json({ error: "Formulário não encontrado" });
@@ -575,6 +703,12 @@ router.get("/admins/:formId/respondents", verifyToken, async (req, res) => {
             })
             .sort({ submittedAt: -1 });
 
+        // Consent (TCLE) status of each respondent, when the form requires a term
+        const term = form.consentTermId ? await ConsentTerm.findOne({ _id: form.consentTermId, deleted: false }) : null;
+        const acceptances = term
+            ? await getLatestAcceptances(term, responses.filter(response => response.userId).map(response => response.userId._id))
+            : new Map();
+
         // Extract users with response details
         const respondents = responses.map(response => {
             if (response.userId) {
@@ -584,17 +718,19 @@ router.get("/admins/:formId/respondents", verifyToken, async (req, res) => {
                     email: response.userId.email,
                     role: response.userId.role,
                     submittedAt: response.submittedAt,
-                    responseId: response._id
+                    responseId: response._id,
+                    consent: acceptances.get(String(response.userId._id)) || null
                 };
             } else {
-                // Handle deleted users
+                // Handle deleted users and anonymized research records
                 return {
                     _id: null,
-                    name: "Usuário Deletado",
+                    name: response.anonymized ? ANONYMIZED_RESPONDENT.name : "Usuário Deletado",
                     email: "N/A",
                     role: "N/A",
                     submittedAt: response.submittedAt,
-                    responseId: response._id
+                    responseId: response._id,
+                    consent: null
                 };
             }
         });
@@ -605,7 +741,8 @@ router.get("/admins/:formId/respondents", verifyToken, async (req, res) => {
             formTitle: form.title,
             formDescription: form.description,
             totalRespondents: respondents.length,
-            respondents: respondents
+            respondents: respondents,
+            consent: term ? { termId: term._id, title: term.title, currentVersion: term.currentVersion } : null
         });
 
     } catch (error) {
@@ -618,7 +755,7 @@ router.get("/admins/:formId/respondents", verifyToken, async (req, res) => {
  * /api/responses/{id}:
  *   get:
  *     summary: Obter resposta por ID
- *     description: Retorna uma resposta específica com todos os detalhes (apenas admin e teacher_analyst)
+ *     description: Retorna uma resposta específica com todos os detalhes (permissão `responses:read`)
  *     tags: [Respostas]
  *     security:
  *       - bearerAuth: []
@@ -676,14 +813,8 @@ router.get("/admins/:formId/respondents", verifyToken, async (req, res) => {
  *                                 email:
  *                                   type: string
  *                                   example: "N/A"
- *       401:
- *         description: Acesso negado
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
- *             example:
- *               error: "Acesso negado, apenas administradores e equipe podem acessar respostas específicas"
+ *       403:
+ *         description: Sem a permissão responses:read
  *       404:
  *         description: Resposta ou usuário não encontrado
  *         content:
@@ -700,32 +831,16 @@ router.get("/admins/:formId/respondents", verifyToken, async (req, res) => {
  *       500:
  *         description: Erro interno do servidor
  */
-// Get response by ID (admin/teacher_analyst only)
-router.get("/admins/:id", verifyToken, async (req, res) => {
-
-    // Token data
-    const token = req.header("auth-token");
-    const userByToken = await getUserByToken(token);
-    const userId = userByToken._id.toString();
+// Get response by ID (ADMIN)
+router.get("/admins/:id", verifyToken, requirePermission('responses:read'), requireVerifiedEmail, async (req, res) => {
 
     // Request data
     const responseId = req.params.id;
 
     // Check user in Db
     try {
-        const user = await User.findOne({ _id: userId, deleted: false });
-        if (!user) {
-            return res.status(404).json({ error: "Usuário não encontrado" });
-        }
-        const role = user.role;
-
-        // Only 'admin' can access response by ID
-        if (role !== 'admin') {
-            return res.status(401).json({ error: "Acesso negado, apenas administradores podem acessar respostas específicas" });
-        }
-
         // Find response by ID
-        const response = await Response.findOne({ _id: responseId, deleted: false })
+        const response = await Response.findOne({ _id: responseId, deleted: false, ...await formScopeFilter(req) })
             .populate({
                 path: 'formId',
                 select: 'title description',
@@ -750,7 +865,7 @@ router.get("/admins/:id", verifyToken, async (req, res) => {
         const responseObj = response.toObject();
         
         if (!responseObj.userId) {
-            responseObj.userId = {
+            responseObj.userId = responseObj.anonymized ? ANONYMIZED_RESPONDENT : {
                 name: "Usuário Deletado",
                 email: "N/A"
             };
@@ -773,68 +888,47 @@ router.get("/admins/:id", verifyToken, async (req, res) => {
 
 // ANALYST ROUTES
 // Get All responses (ANALYSTS)
-router.get("/analysts/all", verifyToken, async (req, res) => {
-
-    // Token data
-    const token = req.header("auth-token");
-    const userByToken = await getUserByToken(token);
-    const userId = userByToken._id.toString();
+router.get("/analysts/all", verifyToken, requirePermission('responses:analyze'), requireVerifiedEmail, async (req, res) => {
 
     try {
 
-        const user = await User.findOne({ _id: userId, deleted: false });
-
-        if (!user) {
-            return res.status(404).json({ error: "Usuário não encontrado" });
+        const list = parseListQuery(req.query, RESPONSE_LIST);
+        if (list.error) {
+            return res.status(400).json({ error: list.error });
         }
 
-        const role = user.role;
-
-        // Only 'teacher_analyst' can access all responses
-        if (role !== 'teacher_analyst') {
-            return res.status(401).json({ error: "Acesso negado, apenas analistas podem acessar essas respostas" });
+        // Profile filters never match anonymous users, so they cannot be used to narrow down who they are
+        const { filter, error } = await responseListFilter(req, { hideAnonymous: true });
+        if (error) {
+            return res.status(400).json({ error });
         }
 
-        const responses = await Response.find({ deleted: false, isDraft: false })
-            .sort({ submittedAt: -1 })
-            .populate({
-                path: 'formId',
-                select: 'title description',
-                match: { deleted: false }
-            })
-            .populate({
-                path: 'userId',
-                select: '_id name email city state institution anonymous',
-                match: { deleted: false }
-            })
-            .populate({
-                path: 'answers.questionId',
-                select: 'title type options',
-                match: { deleted: false }
-            });
+        const { items: responses, pagination } = await findResponsesPage(list, filter, '_id name email city state institution anonymous');
 
         // Handle responses with deleted users and filter answers with null questionId
-        const responsesWithDeletedUsers = responses
-            .filter(response => response.formId !== null)
-            .filter(response => response.userId !== null)
-            .map(response => {
-                const responseObj = response.toObject();
-
-                // If anonymous, return only _id in userId
-                if (responseObj.userId.anonymous === true) {
-                    responseObj.userId = { _id: responseObj.userId._id };
-                }
+        const responsesWithDeletedUsers = responses.map(response => {
+            const responseObj = response.toObject();
+
+            // Anonymized research records have no user; if anonymous, return only _id in userId
+            if (!responseObj.userId) {
+                responseObj.userId = ANONYMIZED_RESPONDENT;
+            } else if (responseObj.userId.anonymous === true) {
+                responseObj.userId = { _id: responseObj.userId._id };
+            }
 
-                // Filter answers to remove those with null questionId
+            // Filter answers to remove those with null questionId
+            if (responseObj.answers) {
                 responseObj.answers = responseObj.answers.filter(a => a.questionId !== null);
+            }
 
-                return responseObj;
-            });
+            return pickFields(responseObj, list.fields);
+        });
 
         return res.status(200).json({ 
             error: null, 
             msg: "Respostas encontradas com sucesso", 
-            data: responsesWithDeletedUsers 
+            data: responsesWithDeletedUsers,
+            pagination: pagination
         });
 
     } catch (error) {
@@ -844,32 +938,15 @@ router.get("/analysts/all", verifyToken, async (req, res) => {
 });
 
 // Get respondents of a Form (ANALYSTS)
-router.get("/analysts/:formId/respondents", verifyToken, async (req, res) => {
-
-    // Token data
-    const token = req.header("auth-token");
-    const userByToken = await getUserByToken(token);
-    const userId = userByToken._id.toString();
+router.get("/analysts/:formId/respondents", verifyToken, requirePermission('responses:analyze'), requireVerifiedEmail, async (req, res) => {
 
     // Request data
     const formId = req.params.formId;
 
     try {
 
-        // Verify user
-        const user = await User.findOne({ _id: userId, deleted: false });
-
-        if (!user) {
-            return res.status(404).json({ error: "Usuário não encontrado" });
-        }
-
-        // Only analysts can access
-        if (user.role !== 'teacher_analyst') {
-            return res.status(401).json({ error: "Acesso negado, apenas analistas podem acessar esta informação" });
-        }
-
         // Verify if form exists
-        const form = await Form.findOne({ _id: formId, deleted: false });
+        const form = await Form.findOne({ _id: formId, deleted: false, ...institutionFilter(req) });
 
         if (!form) {
             return res.status(404).json({ error: "Formulário não encontrado" });
@@ -908,10 +985,10 @@ router.get("/analysts/:formId/respondents", verifyToken, async (req, res) => {
                     responseId: response._id
                 };
             } else {
-                // Handle deleted users
+                // Handle deleted users and anonymized research records
                 return {
                     _id: null,
-                    name: "Usuário Deletado",
+                    name: response.anonymized ? ANONYMIZED_RESPONDENT.name : "Usuário Deletado",
                     email: "N/A",
                     role: "N/A",
                     city: "N/A",
@@ -942,7 +1019,7 @@ router.get("/analysts/:formId/respondents", verifyToken, async (req, res) => {
  * /api/responses/{id}:
  *   get:
  *     summary: Obter resposta por ID
- *     description: Retorna uma resposta específica com todos os detalhes (apenas admin e teacher_analyst)
+ *     description: Retorna uma resposta específica com todos os detalhes (permissão `responses:analyze`)
  *     tags: [Respostas]
  *     security:
  *       - bearerAuth: []
@@ -1000,14 +1077,8 @@ router.get("/analysts/:formId/respondents", verifyToken, async (req, res) => {
  *                                 email:
  *                                   type: string
  *                                   example: "N/A"
- *       401:
- *         description: Acesso negado
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
- *             example:
- *               error: "Acesso negado, apenas administradores e equipe podem acessar respostas específicas"
+ *       403:
+ *         description: Sem a permissão responses:analyze
  *       404:
  *         description: Resposta ou usuário não encontrado
  *         content:
@@ -1025,31 +1096,15 @@ router.get("/analysts/:formId/respondents", verifyToken, async (req, res) => {
  *         description: Erro interno do servidor
  */
 // Get response by ID (ANALYSTS)
-router.get("/analysts/:id", verifyToken, async (req, res) => {
-
-    // Token data
-    const token = req.header("auth-token");
-    const userByToken = await getUserByToken(token);
-    const userId = userByToken._id.toString();
+router.get("/analysts/:id", verifyToken, requirePermission('responses:analyze'), requireVerifiedEmail, async (req, res) => {
 
     // Request data
     const responseId = req.params.id;
 
     // Check user in Db
     try {
-        const user = await User.findOne({ _id: userId, deleted: false });
-        if (!user) {
-            return res.status(404).json({ error: "Usuário não encontrado" });
-        }
-        const role = user.role;
-
-        // Only 'teacher_analyst' can access response by ID
-        if (role !== 'teacher_analyst') {
-            return res.status(401).json({ error: "Acesso negado, apenas analistas podem acessar essa resposta específica" });
-        }
-
         // Find response by ID
-        const response = await Response.findOne({ _id: responseId, deleted: false })
+        const response = await Response.findOne({ _id: responseId, deleted: false, ...await formScopeFilter(req) })
             .populate({
                 path: 'formId',
                 select: 'title description',
@@ -1074,7 +1129,7 @@ router.get("/analysts/:id", verifyToken, async (req, res) => {
         const responseObj = response.toObject();
 
         if (!responseObj.userId) {
-            responseObj.userId = {
+            responseObj.userId = responseObj.anonymized ? ANONYMIZED_RESPONDENT : {
                 name: "Usuário Deletado",
                 email: "N/A"
             };
@@ -1103,7 +1158,7 @@ router.get("/analysts/:id", verifyToken, async (req, res) => {
 
 // DIARY ROUTES
 // Get if a user can answer the diary today
-router.get("/diary/:formId/can-respond", verifyToken, async (req, res) => {
+router.get("/diary/:formId/can-respond", verifyToken, requireVerifiedEmail, async (req, res) => {
 
     // Token data
     const token = req.header("auth-token");
@@ -1240,6 +1295,28 @@ router.get("/diary/:formId/can-respond", verifyToken, async (req, res) => {
  *               jaRespondido:
  *                 value:
  *                   error: "Você já respondeu este formulário"
+ *       403:
+ *         description: O formulário exige o aceite da versão atual do termo de consentimento (ver `/api/consents/forms/{formId}`) ou o estudante ainda não tem a autorização do responsável (ver `/api/guardian-consents`)
+ *         content:
+ *           application/json:
+ *             examples:
+ *               termoPendente:
+ *                 value:
+ *                   error: "É necessário aceitar a versão atual do termo de consentimento antes de responder"
+ *                   consent:
+ *                     required: true
+ *                     termId: "665f1f77bcf86cd799439031"
+ *                     title: "TCLE - Pesquisa de hábitos de estudo"
+ *                     version: 2
+ *                     accepted: false
+ *                     acceptedAt: null
+ *               autorizacaoPendente:
+ *                 value:
+ *                   error: "É necessária a autorização do responsável antes de responder"
+ *                   guardianConsent:
+ *                     required: true
+ *                     status: "pending"
+ *                     locked: true
  *       404:
  *         description: Formulário ou usuário não encontrado
  *         content:
@@ -1257,7 +1334,7 @@ router.get("/diary/:formId/can-respond", verifyToken, async (req, res) => {
  *         description: Erro ao enviar resposta
  */
 // Create a response
-router.post("/", verifyToken, async (req, res) => {
+router.post("/", verifyToken, requirePermission('responses:submit'), requireVerifiedEmail, async (req, res) => {
     // Token data
     const token = req.header("auth-token");
     const userByToken = await getUserByToken(token);
@@ -1291,6 +1368,18 @@ router.post("/", verifyToken, async (req, res) => {
             return res.status(400).json({ error: "Este formulário não está mais ativo" });
         }
 
+        // Underage students only take part after a guardian's authorization
+        const guardianConsent = await getGuardianConsentStatus(user);
+        if (guardianConsent.locked) {
+            return res.status(403).json({ error: "É necessária a autorização do responsável antes de responder", guardianConsent: guardianConsent });
+        }
+
+        // Answers are only accepted after the current version of the form's consent term (TCLE)
+        const consent = await getConsentStatus(form, user._id);
+        if (consent.required && !consent.accepted) {
+            return res.status(403).json({ error: "É necessário aceitar a versão atual do termo de consentimento antes de responder", consent: consent });
+        }
+
         // If form is diary, check if user has already submitted today
         if (form.type === 'diary') {
             const today = new Date();
@@ -1389,7 +1478,7 @@ router.post("/", verifyToken, async (req, res) => {
                 isDraft: true,
                 deleted: false 
             },
-            { $set: { deleted: true } }
+            { $set: { deleted: true, deletedAt: new Date(), deletedBy: userId } }
         );
 
         // Create response object
@@ -1404,6 +1493,10 @@ router.post("/", verifyToken, async (req, res) => {
 
         // Save response
         const newResponse = await response.save();
+
+        // Answers stay out of the log; it only records that the submission happened
+        await recordAudit(req, { action: 'response.create', targetType: 'Response', targetId: newResponse._id, metadata: { formId: form._id } });
+
         return res.status(201).json({ message: "Resposta submetida com sucesso!", data: newResponse });
 
     } catch (error) {
@@ -1416,7 +1509,7 @@ router.post("/", verifyToken, async (req, res) => {
  * /api/responses/{id}:
  *   delete:
  *     summary: Deletar resposta
- *     description: Remove uma resposta do sistema (apenas admin)
+ *     description: Remove uma resposta do sistema (permissão `responses:delete`)
  *     tags: [Respostas]
  *     security:
  *       - bearerAuth: []
@@ -1443,14 +1536,8 @@ router.post("/", verifyToken, async (req, res) => {
  *                 msg:
  *                   type: string
  *                   example: "Resposta deletada com sucesso"
- *       401:
- *         description: Acesso negado - apenas admin
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
- *             example:
- *               error: "Acesso negado, apenas administradores podem deletar respostas"
+ *       403:
+ *         description: Sem a permissão responses:delete
  *       404:
  *         description: Resposta ou usuário não encontrado
  *         content:
@@ -1468,43 +1555,25 @@ router.post("/", verifyToken, async (req, res) => {
  *         description: Erro interno do servidor
  */
 // Delete a response by ID (ADMIN)
-router.delete("/:id", verifyToken, async (req, res) => {
-
-    // Token data
-    const token = req.header("auth-token");
-    const userByToken = await getUserByToken(token);
-    const userId = userByToken._id.toString();
+router.delete("/:id", verifyToken, requirePermission('responses:delete'), requireVerifiedEmail, async (req, res) => {
 
     // Request data
     const responseId = req.params.id;
 
     try {
 
-        // Verify user
-        const user = await User.findOne({ _id: userId, deleted: false });
-
-        if (!user) {
-            return res.status(404).json({ error: "Usuário não encontrado" });
-        }
-
-        const role = user.role;
-
-        // Only 'admin' can delete responses
-        if (role !== 'admin') {
-            return res.status(401).json({ error: "Acesso negado, apenas administradores podem deletar respostas" });
-        }
-
         // Soft delete: set deleted flag to true
-        const updatedResponse = await Response.findByIdAndUpdate(
-            responseId,
-            { $set: { deleted: true } },
-            { new: true }
+        const response = await Response.findOneAndUpdate(
+            { _id: responseId, deleted: false, ...await formScopeFilter(req) },
+            { $set: { deleted: true, deletedAt: new Date(), deletedBy: req.currentUser._id } }
         );
 
-        if (!updatedResponse) {
+        if (!response) {
             return res.status(404).json({ error: "Resposta não encontrada" });
         }
 
+        await recordAudit(req, { action: 'response.delete', targetType: 'Response', targetId: response._id, before: { deleted: response.deleted }, after: { deleted: true }, metadata: { formId: response.formId, userId: response.userId } });
+
         return res.status(200).json({ error: null, msg: "Resposta deletada com sucesso" });
 
     } catch (error) {
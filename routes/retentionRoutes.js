@@ -0,0 +1,865 @@
+const router = require('express').Router();
+const mongoose = require('mongoose');
+
+// Models
+const RetentionPolicy = require('../models/retentionPolicy');
+const RetentionRun = require('../models/retentionRun');
+const Form = require('../models/form');
+
+// Middlewares
+const verifyToken = require('../helpers/check-token');
+const requirePermission = require('../helpers/require-permission');
+
+// Helpers
+const { findInstitution, hasGlobalScope, institutionFilter } = require('../helpers/institutions');
+const { RETENTION_TARGETS, RETENTION_MODES, RETENTION_INTERVAL_HOURS, runRetention } = require('../helpers/retention');
+const validateRetentionPolicyFields = require('../helpers/validate-retention-policy-fields');
+const { parseListQuery, findPage, pickFields } = require('../helpers/list-query');
+const { recordAudit } = require('../helpers/audit');
+
+// List protocol of GET /policies
+const POLICY_LIST = {
+    sort: { fields: ['name', 'createdAt', 'afterDays'], default: 'name' },
+    filters: {
+        target: { type: 'string', values: Object.keys(RETENTION_TARGETS) },
+        mode: { type: 'string', values: RETENTION_MODES },
+        institutionId: { type: 'objectId' },
+        formId: { type: 'objectId' }
+    },
+    dateField: 'createdAt',
+    search: ['name'],
+    fields: ['name', 'target', 'action', 'afterDays', 'basis', 'formId', 'institutionId', 'mode', 'lastAppliedAt', 'createdBy', 'createdAt', 'updatedAt']
+};
+
+// List protocol of GET /runs
+const RUN_LIST = {
+    sort: { fields: ['startedAt'], default: '-startedAt' },
+    filters: {
+        trigger: { type: 'string', values: ['schedule', 'manual'] },
+        dryRun: { type: 'boolean' },
+        policyId: { path: 'results.policyId', type: 'objectId' }
+    },
+    dateField: 'startedAt',
+    fields: ['trigger', 'dryRun', 'requestedBy', 'results', 'startedAt', 'finishedAt']
+};
+
+// Institution of a new policy: users with global scope choose it (null for a system-wide policy), everyone else uses their own
+const resolvePolicyInstitution = async (req) => {
+    if (!hasGlobalScope(req)) {
+        if (!req.currentUser.institutionId) {
+            return { status: 403, error: "Seu usuário não está vinculado a uma instituição" };
+        }
+
+        return { institutionId: req.currentUser.institutionId };
+    }
+
+    if (!req.body.institutionId) {
+        return { institutionId: null };
+    }
+
+    const institution = await findInstitution({ institutionId: req.body.institutionId });
+
+    if (!institution) {
+        return { status: 400, error: "Instituição não encontrada" };
+    }
+
+    return { institutionId: institution._id };
+};
+
+// Scope checks that depend on the institution: forms of another institution and targets without one
+const checkPolicyScope = async (req, { target, formId, institutionId }) => {
+    if (RETENTION_TARGETS[target].globalOnly && institutionId) {
+        return { status: 400, error: "Este alvo não pertence a instituições e só pode ter políticas gerais (sem institutionId)" };
+    }
+
+    if (formId) {
+        // Deleted forms included: their drafts and removed responses are still covered
+        const form = await Form.findOne({ _id: formId, ...institutionFilter(req) });
+
+        if (!form) {
+            return { status: 400, error: "Formulário não encontrado" };
+        }
+
+        if (institutionId && String(form.institutionId) !== String(institutionId)) {
+            return { status: 400, error: "O formulário não pertence à instituição da política" };
+        }
+    }
+
+    return null;
+};
+
+const findPolicy = async (req, id) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return null;
+    }
+
+    return RetentionPolicy.findOne({ _id: id, ...institutionFilter(req) });
+};
+
+// IDs of the policies selected in a run request, or { error }
+const parsePolicyIds = (policyIds) => {
+    if (policyIds === undefined) {
+        return { policyIds: null };
+    }
+
+    if (!Array.isArray(policyIds) || policyIds.length === 0 || policyIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+        return { error: "policyIds deve ser uma lista de IDs de política" };
+    }
+
+    return { policyIds: policyIds };
+};
+
+// Users without global scope only see the results of their institution's policies
+const scopeRun = (req, run) => {
+    const plain = run.toObject();
+
+    if (!hasGlobalScope(req)) {
+        plain.results = plain.results.filter(result => String(result.institutionId) === String(req.currentUser.institutionId));
+    }
+
+    return plain;
+};
+
+/**
+ * @swagger
+ * /api/retention/targets:
+ *   get:
+ *     summary: Listar alvos das políticas de retenção
+ *     description: Tipos de dado a que uma política se aplica, com as ações permitidas em cada um (permissão `retention:manage`)
+ *     tags: [Retenção de dados]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Alvos encontrados com sucesso
+ *         content:
+ *           application/json:
+ *             example:
+ *               error: null
+ *               msg: "Alvos encontrados com sucesso"
+ *               data:
+ *                 intervalHours: 24
+ *                 targets:
+ *                   - target: "drafts"
+ *                     label: "Rascunhos de respostas (inclusive os descartados), pela data da última alteração"
+ *                     actions: ["purge"]
+ *                     perForm: true
+ *                     globalOnly: false
+ *       403:
+ *         description: Sem a permissão retention:manage
+ */
+// Get the retention targets
+router.get("/targets", verifyToken, requirePermission('retention:manage'), async (req, res) => {
+
+    const targets = Object.entries(RETENTION_TARGETS).map(([target, definition]) => ({
+        target: target,
+        label: definition.label,
+        actions: definition.actions,
+        perForm: Boolean(definition.perForm),
+        globalOnly: Boolean(definition.globalOnly)
+    }));
+
+    return res.status(200).json({ error: null, msg: "Alvos encontrados com sucesso", data: { intervalHours: RETENTION_INTERVAL_HOURS, targets: targets } });
+});
+
+/**
+ * @swagger
+ * /api/retention/policies:
+ *   get:
+ *     summary: Listar políticas de retenção
+ *     description: Lista as políticas de retenção (permissão `retention:manage`), paginadas e com filtros. Sem a permissão `institutions:global`, apenas as da própria instituição
+ *     tags: [Retenção de dados]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ListPage'
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - $ref: '#/components/parameters/ListSort'
+ *       - $ref: '#/components/parameters/ListSearch'
+ *       - $ref: '#/components/parameters/ListFields'
+ *       - $ref: '#/components/parameters/ListFrom'
+ *       - $ref: '#/components/parameters/ListTo'
+ *       - in: query
+ *         name: target
+ *         schema:
+ *           type: string
+ *           enum: [drafts, responses, deleted_responses, deleted_forms, deleted_questions, deleted_groups, deleted_users]
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [disabled, preview, enforce]
+ *       - in: query
+ *         name: institutionId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: formId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Políticas encontradas com sucesso
+ *         content:
+ *           application/json:
+ *             example:
+ *               error: null
+ *               msg: "Políticas encontradas com sucesso"
+ *               data:
+ *                 - _id: "675f1f77bcf86cd799439101"
+ *                   name: "Rascunhos abandonados"
+ *                   target: "drafts"
+ *                   action: "purge"
+ *                   afterDays: 30
+ *                   basis: "submittedAt"
+ *                   formId: null
+ *                   institutionId: null
+ *                   mode: "enforce"
+ *                   lastAppliedAt: "2025-03-02T03:00:00.000Z"
+ *               pagination:
+ *                 total: 1
+ *                 limit: 50
+ *                 page: 1
+ *                 hasMore: false
+ *                 nextCursor: null
+ *       400:
+ *         description: Parâmetro de listagem inválido
+ *       403:
+ *         description: Sem a permissão retention:manage
+ *       500:
+ *         description: Erro ao buscar políticas
+ */
+// Get the retention policies
+router.get("/policies", verifyToken, requirePermission('retention:manage'), async (req, res) => {
+
+    try {
+
+        const list = parseListQuery(req.query, POLICY_LIST);
+        if (list.error) {
+            return res.status(400).json({ error: list.error });
+        }
+
+        const { items, pagination } = await findPage(RetentionPolicy, institutionFilter(req), list, query => query.populate({ path: 'formId', select: 'title' }));
+
+        const data = items.map(policy => pickFields(policy.toObject(), list.fields));
+
+        return res.status(200).json({ error: null, msg: "Políticas encontradas com sucesso", data: data, pagination: pagination });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao buscar políticas" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/retention/policies:
+ *   post:
+ *     summary: Criar política de retenção
+ *     description: |
+ *       Cria uma regra que remove (`purge`) ou anonimiza (`anonymize`) dados com mais de `afterDays` dias (permissão `retention:manage`). Os alvos e ações aceitos estão em `GET /api/retention/targets`.
+ *       A política pertence à instituição de quem a cria; com a permissão `institutions:global`, `institutionId` escolhe a instituição ou, vazio, cria uma política geral.
+ *       `formId` limita a política a um formulário (alvos `drafts`, `responses` e `deleted_responses`). No alvo `responses`, `basis: "formClosedAt"` conta o prazo a partir do encerramento do formulário.
+ *       Novas políticas começam no modo `preview`: aparecem nos relatórios com o que seria afetado, sem alterar nada, até passarem para `enforce`.
+ *     tags: [Retenção de dados]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, target, action, afterDays]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Anonimizar respostas 5 anos após o encerramento"
+ *               target:
+ *                 type: string
+ *                 enum: [drafts, responses, deleted_responses, deleted_forms, deleted_questions, deleted_groups, deleted_users]
+ *                 example: "responses"
+ *               action:
+ *                 type: string
+ *                 enum: [purge, anonymize]
+ *                 example: "anonymize"
+ *               afterDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 example: 1825
+ *               basis:
+ *                 type: string
+ *                 enum: [submittedAt, formClosedAt]
+ *                 default: submittedAt
+ *                 example: "formClosedAt"
+ *               formId:
+ *                 type: string
+ *               institutionId:
+ *                 type: string
+ *               mode:
+ *                 type: string
+ *                 enum: [disabled, preview, enforce]
+ *                 default: preview
+ *     responses:
+ *       201:
+ *         description: Política criada com sucesso
+ *       400:
+ *         description: Dados inválidos
+ *       403:
+ *         description: Sem a permissão retention:manage
+ *       500:
+ *         description: Erro ao criar política
+ */
+// Create a retention policy
+router.post("/policies", verifyToken, requirePermission('retention:manage'), async (req, res) => {
+
+    // Token data
+    const userId = req.user.userId;
+
+    // Request data
+    const { name, target, action, afterDays, basis, formId, mode } = req.body;
+
+    try {
+
+        const validation = validateRetentionPolicyFields({ name, target, action, afterDays, basis, formId, mode });
+        if (!validation.isValid) {
+            return res.status(400).json({ error: validation.error });
+        }
+
+        const policyInstitution = await resolvePolicyInstitution(req);
+        if (policyInstitution.error) {
+            return res.status(policyInstitution.status).json({ error: policyInstitution.error });
+        }
+
+        const scopeError = await checkPolicyScope(req, { target, formId, institutionId: policyInstitution.institutionId });
+        if (scopeError) {
+            return res.status(scopeError.status).json({ error: scopeError.error });
+        }
+
+        const policy = await RetentionPolicy.create({
+            name: name.trim(),
+            target: target,
+            action: action,
+            afterDays: afterDays,
+            basis: basis || 'submittedAt',
+            formId: formId || null,
+            institutionId: policyInstitution.institutionId,
+            mode: mode || 'preview',
+            createdBy: userId
+        });
+
+        await recordAudit(req, { action: 'retention_policy.create', targetType: 'RetentionPolicy', targetId: policy._id, after: policy });
+
+        return res.status(201).json({ error: null, msg: "Política criada com sucesso", data: policy });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao criar política" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/retention/policies/{id}:
+ *   get:
+ *     summary: Obter política de retenção
+ *     description: Retorna a política com o resultado da última execução em que ela entrou (permissão `retention:manage`)
+ *     tags: [Retenção de dados]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Política encontrada com sucesso
+ *         content:
+ *           application/json:
+ *             example:
+ *               error: null
+ *               msg: "Política encontrada com sucesso"
+ *               data:
+ *                 _id: "675f1f77bcf86cd799439101"
+ *                 name: "Rascunhos abandonados"
+ *                 target: "drafts"
+ *                 action: "purge"
+ *                 afterDays: 30
+ *                 mode: "enforce"
+ *                 lastResult:
+ *                   runId: "675f1f77bcf86cd799439201"
+ *                   cutoff: "2025-02-01T03:00:00.000Z"
+ *                   dryRun: false
+ *                   matched: 42
+ *                   affected: 42
+ *                   skipped: 0
+ *                   error: null
+ *                   startedAt: "2025-03-03T03:00:00.000Z"
+ *       403:
+ *         description: Sem a permissão retention:manage
+ *       404:
+ *         description: Política não encontrada
+ *       500:
+ *         description: Erro ao buscar política
+ */
+// Get a retention policy
+router.get("/policies/:id", verifyToken, requirePermission('retention:manage'), async (req, res) => {
+
+    try {
+
+        const policy = await findPolicy(req, req.params.id);
+
+        if (!policy) {
+            return res.status(404).json({ error: "Política não encontrada" });
+        }
+
+        await policy.populate({ path: 'formId', select: 'title' });
+
+        const run = await RetentionRun.findOne({ 'results.policyId': policy._id }).sort({ startedAt: -1 });
+        const result = run ? run.results.find(item => String(item.policyId) === String(policy._id)) : null;
+
+        const data = {
+            ...policy.toObject(),
+            lastResult: result ? {
+                runId: run._id,
+                cutoff: result.cutoff,
+                dryRun: result.dryRun,
+                matched: result.matched,
+                affected: result.affected,
+                skipped: result.skipped,
+                error: result.error,
+                startedAt: run.startedAt
+            } : null
+        };
+
+        return res.status(200).json({ error: null, msg: "Política encontrada com sucesso", data: data });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao buscar política" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/retention/policies/{id}:
+ *   put:
+ *     summary: Atualizar política de retenção
+ *     description: Altera a política (permissão `retention:manage`). A instituição não muda; `formId` nulo volta a abranger todos os formulários
+ *     tags: [Retenção de dados]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               target:
+ *                 type: string
+ *               action:
+ *                 type: string
+ *               afterDays:
+ *                 type: integer
+ *               basis:
+ *                 type: string
+ *               formId:
+ *                 type: string
+ *                 nullable: true
+ *               mode:
+ *                 type: string
+ *                 example: "enforce"
+ *     responses:
+ *       200:
+ *         description: Política atualizada com sucesso
+ *       400:
+ *         description: Dados inválidos
+ *       403:
+ *         description: Sem a permissão retention:manage
+ *       404:
+ *         description: Política não encontrada
+ *       500:
+ *         description: Erro ao atualizar política
+ */
+// Update a retention policy
+router.put("/policies/:id", verifyToken, requirePermission('retention:manage'), async (req, res) => {
+
+    // Token data
+    const userId = req.user.userId;
+
+    // Request data
+    const { name, target, action, afterDays, basis, formId, mode } = req.body;
+
+    try {
+
+        const policy = await findPolicy(req, req.params.id);
+
+        if (!policy) {
+            return res.status(404).json({ error: "Política não encontrada" });
+        }
+
+        const validation = validateRetentionPolicyFields({ name, target, action, afterDays, basis, formId, mode }, policy);
+        if (!validation.isValid) {
+            return res.status(400).json({ error: validation.error });
+        }
+
+        const updateData = {};
+
+        if (name !== undefined) updateData.name = name.trim();
+        if (target !== undefined) updateData.target = target;
+        if (action !== undefined) updateData.action = action;
+        if (afterDays !== undefined) updateData.afterDays = afterDays;
+        if (basis !== undefined) updateData.basis = basis;
+        if (formId !== undefined) updateData.formId = formId || null;
+        if (mode !== undefined) updateData.mode = mode;
+
+        const scopeError = await checkPolicyScope(req, {
+            target: updateData.target || policy.target,
+            formId: updateData.formId !== undefined ? updateData.formId : policy.formId,
+            institutionId: policy.institutionId
+        });
+        if (scopeError) {
+            return res.status(scopeError.status).json({ error: scopeError.error });
+        }
+
+        updateData.updatedBy = userId;
+        updateData.updatedAt = new Date();
+
+        const updatedPolicy = await RetentionPolicy.findOneAndUpdate({ _id: policy._id }, { $set: updateData }, { new: true });
+
+        await recordAudit(req, { action: 'retention_policy.update', targetType: 'RetentionPolicy', targetId: policy._id, before: policy, after: updatedPolicy });
+
+        return res.status(200).json({ error: null, msg: "Política atualizada com sucesso", data: updatedPolicy });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao atualizar política" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/retention/policies/{id}:
+ *   delete:
+ *     summary: Remover política de retenção
+ *     description: Remove a política (permissão `retention:manage`). Os relatórios das execuções anteriores são mantidos
+ *     tags: [Retenção de dados]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Política removida com sucesso
+ *       403:
+ *         description: Sem a permissão retention:manage
+ *       404:
+ *         description: Política não encontrada
+ *       500:
+ *         description: Erro ao remover política
+ */
+// Delete a retention policy
+router.delete("/policies/:id", verifyToken, requirePermission('retention:manage'), async (req, res) => {
+
+    try {
+
+        const policy = await findPolicy(req, req.params.id);
+
+        if (!policy) {
+            return res.status(404).json({ error: "Política não encontrada" });
+        }
+
+        await RetentionPolicy.deleteOne({ _id: policy._id });
+
+        await recordAudit(req, { action: 'retention_policy.delete', targetType: 'RetentionPolicy', targetId: policy._id, before: policy });
+
+        return res.status(200).json({ error: null, msg: "Política removida com sucesso" });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao remover política" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/retention/preview:
+ *   post:
+ *     summary: Simular as políticas de retenção
+ *     description: |
+ *       Conta o que cada política afetaria hoje, sem alterar nada, e grava o relatório da simulação (permissão `retention:manage`).
+ *       Sem `policyIds`, simula as políticas ativas (modos `preview` e `enforce`) do escopo do usuário; políticas desativadas entram quando selecionadas.
+ *     tags: [Retenção de dados]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               policyIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Simulação concluída
+ *         content:
+ *           application/json:
+ *             example:
+ *               error: null
+ *               msg: "Simulação concluída"
+ *               data:
+ *                 _id: "675f1f77bcf86cd799439201"
+ *                 trigger: "manual"
+ *                 dryRun: true
+ *                 results:
+ *                   - policyId: "675f1f77bcf86cd799439101"
+ *                     name: "Rascunhos abandonados"
+ *                     target: "drafts"
+ *                     action: "purge"
+ *                     cutoff: "2025-02-01T14:00:00.000Z"
+ *                     dryRun: true
+ *                     matched: 42
+ *                     affected: 0
+ *                     skipped: 0
+ *                     error: null
+ *                 startedAt: "2025-03-03T14:00:00.000Z"
+ *                 finishedAt: "2025-03-03T14:00:01.000Z"
+ *       400:
+ *         description: policyIds inválido
+ *       403:
+ *         description: Sem a permissão retention:manage
+ *       409:
+ *         description: Já há uma execução em andamento
+ *       500:
+ *         description: Erro ao simular as políticas
+ */
+// Preview the retention policies
+router.post("/preview", verifyToken, requirePermission('retention:manage'), async (req, res) => {
+
+    // Token data
+    const userId = req.user.userId;
+
+    try {
+
+        const selection = parsePolicyIds(req.body?.policyIds);
+        if (selection.error) {
+            return res.status(400).json({ error: selection.error });
+        }
+
+        const run = await runRetention({ trigger: 'manual', dryRun: true, policyIds: selection.policyIds, policyFilter: institutionFilter(req), requestedBy: userId });
+
+        if (!run) {
+            return res.status(409).json({ error: "As políticas de retenção já estão sendo executadas. Tente novamente em instantes" });
+        }
+
+        return res.status(201).json({ error: null, msg: "Simulação concluída", data: scopeRun(req, run) });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao simular as políticas" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/retention/run:
+ *   post:
+ *     summary: Executar as políticas de retenção
+ *     description: |
+ *       Aplica agora as políticas do escopo do usuário, como a execução agendada (permissão `retention:manage`), e grava o relatório. Irreversível.
+ *       Políticas no modo `preview` são apenas simuladas e as desativadas não entram. `policyIds` limita a execução às políticas informadas.
+ *     tags: [Retenção de dados]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               policyIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Políticas executadas
+ *       400:
+ *         description: policyIds inválido
+ *       403:
+ *         description: Sem a permissão retention:manage
+ *       409:
+ *         description: Já há uma execução em andamento
+ *       500:
+ *         description: Erro ao executar as políticas
+ */
+// Run the retention policies
+router.post("/run", verifyToken, requirePermission('retention:manage'), async (req, res) => {
+
+    // Token data
+    const userId = req.user.userId;
+
+    try {
+
+        const selection = parsePolicyIds(req.body?.policyIds);
+        if (selection.error) {
+            return res.status(400).json({ error: selection.error });
+        }
+
+        const run = await runRetention({ trigger: 'manual', policyIds: selection.policyIds, policyFilter: institutionFilter(req), requestedBy: userId });
+
+        if (!run) {
+            return res.status(409).json({ error: "As políticas de retenção já estão sendo executadas. Tente novamente em instantes" });
+        }
+
+        await recordAudit(req, {
+            action: 'retention.run',
+            targetType: 'RetentionRun',
+            targetId: run._id,
+            metadata: {
+                policies: run.results.length,
+                affected: run.results.reduce((total, result) => total + result.affected, 0)
+            }
+        });
+
+        return res.status(201).json({ error: null, msg: "Políticas executadas", data: scopeRun(req, run) });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao executar as políticas" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/retention/runs:
+ *   get:
+ *     summary: Listar relatórios de execução
+ *     description: |
+ *       Lista as execuções e simulações das políticas de retenção, agendadas ou manuais (permissão `retention:manage`), paginadas e com filtros.
+ *       Sem a permissão `institutions:global`, apenas as execuções que incluíram políticas da própria instituição, e apenas os resultados delas.
+ *     tags: [Retenção de dados]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ListPage'
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: -startedAt
+ *       - $ref: '#/components/parameters/ListFields'
+ *       - $ref: '#/components/parameters/ListFrom'
+ *       - $ref: '#/components/parameters/ListTo'
+ *       - in: query
+ *         name: trigger
+ *         schema:
+ *           type: string
+ *           enum: [schedule, manual]
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: policyId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Relatórios encontrados com sucesso
+ *       400:
+ *         description: Parâmetro de listagem inválido
+ *       403:
+ *         description: Sem a permissão retention:manage
+ *       500:
+ *         description: Erro ao buscar relatórios
+ */
+// Get the retention run reports
+router.get("/runs", verifyToken, requirePermission('retention:manage'), async (req, res) => {
+
+    try {
+
+        const list = parseListQuery(req.query, RUN_LIST);
+        if (list.error) {
+            return res.status(400).json({ error: list.error });
+        }
+
+        const { items, pagination } = await findPage(RetentionRun, institutionFilter(req, 'results.institutionId'), list, query => query.populate({ path: 'requestedBy', select: 'name email' }));
+
+        const data = items.map(run => pickFields(scopeRun(req, run), list.fields));
+
+        return res.status(200).json({ error: null, msg: "Relatórios encontrados com sucesso", data: data, pagination: pagination });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao buscar relatórios" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/retention/runs/{id}:
+ *   get:
+ *     summary: Obter relatório de execução
+ *     description: Retorna o resultado de cada política na execução ou simulação (permissão `retention:manage`)
+ *     tags: [Retenção de dados]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Relatório encontrado com sucesso
+ *       403:
+ *         description: Sem a permissão retention:manage
+ *       404:
+ *         description: Relatório não encontrado
+ *       500:
+ *         description: Erro ao buscar relatório
+ */
+// Get a retention run report
+router.get("/runs/:id", verifyToken, requirePermission('retention:manage'), async (req, res) => {
+
+    // Request data
+    const id = req.params.id;
+
+    try {
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(404).json({ error: "Relatório não encontrado" });
+        }
+
+        const run = await RetentionRun.findOne({ _id: id, ...institutionFilter(req, 'results.institutionId') })
+            .populate({ path: 'requestedBy', select: 'name email' });
+
+        if (!run) {
+            return res.status(404).json({ error: "Relatório não encontrado" });
+        }
+
+        return res.status(200).json({ error: null, msg: "Relatório encontrado com sucesso", data: scopeRun(req, run) });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao buscar relatório" });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,371 @@
+const router = require('express').Router();
+
+// Models
+const User = require('../models/user');
+const Role = require('../models/role');
+const Invite = require('../models/invite');
+const IdentityProvider = require('../models/identityProvider');
+const Settings = require('../models/settings');
+
+// Middlewares
+const verifyToken = require('../helpers/check-token');
+const requirePermission = require('../helpers/require-permission');
+
+// Helpers
+const validateRoleFields = require('../helpers/validate-role-fields');
+const { PERMISSIONS, BUILT_IN_ROLES, listRoles } = require('../helpers/permissions');
+const { recordAudit } = require('../helpers/audit');
+
+// Same format as the built-in keys (e.g. "coordinator", "teacher_guest")
+const ROLE_KEY_REGEX = /^[a-z][a-z0-9_]{2,39}$/;
+
+const findRole = async (key) => {
+    const roles = await listRoles();
+
+    return roles.find(role => role.key === key);
+};
+
+/**
+ * @swagger
+ * /api/roles/permissions:
+ *   get:
+ *     summary: Listar permissões disponíveis
+ *     description: Retorna o catálogo de permissões que podem compor uma função (permissão `roles:manage`)
+ *     tags: [Funções]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permissões encontradas com sucesso
+ *         content:
+ *           application/json:
+ *             example:
+ *               error: null
+ *               msg: "Permissões encontradas com sucesso"
+ *               data:
+ *                 - key: "forms:create"
+ *                   description: "Criar formulários"
+ *       403:
+ *         description: Sem a permissão roles:manage
+ */
+// Get the permission catalog
+router.get("/permissions", verifyToken, requirePermission('roles:manage'), async (req, res) => {
+
+    const data = Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description }));
+
+    return res.status(200).json({ error: null, msg: "Permissões encontradas com sucesso", data: data });
+});
+
+/**
+ * @swagger
+ * /api/roles:
+ *   get:
+ *     summary: Listar funções
+ *     description: |
+ *       Lista as funções nativas e personalizadas com as permissões efetivas e o número de usuários de cada uma (permissão `roles:manage`).
+ *       - `builtIn`: função nativa (admin, teacher_analyst, teacher_respondent, student)
+ *       - `customized`: função nativa com permissões alteradas
+ *     tags: [Funções]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Funções encontradas com sucesso
+ *       403:
+ *         description: Sem a permissão roles:manage
+ *       500:
+ *         description: Erro ao buscar funções
+ */
+// Get all roles
+router.get("/", verifyToken, requirePermission('roles:manage'), async (req, res) => {
+
+    try {
+
+        const roles = await listRoles();
+
+        const userCounts = await User.aggregate([
+            { $match: { deleted: false } },
+            { $group: { _id: '$role', count: { $sum: 1 } } }
+        ]);
+
+        const data = roles.map(role => ({
+            ...role,
+            users: userCounts.find(item => item._id === role.key)?.count || 0
+        }));
+
+        return res.status(200).json({ error: null, msg: "Funções encontradas com sucesso", data: data });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao buscar funções" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/roles:
+ *   post:
+ *     summary: Criar função personalizada
+ *     description: Cria uma função a partir das permissões do catálogo (permissão `roles:manage`). A chave é usada no campo `role` dos usuários e não pode ser alterada depois.
+ *     tags: [Funções]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             key: "coordinator"
+ *             name: "Coordenador"
+ *             description: "Cria e analisa formulários"
+ *             permissions: ["questions:read", "questions:create", "forms:create", "forms:update", "forms:analyze", "analytics:read"]
+ *     responses:
+ *       201:
+ *         description: Função criada com sucesso
+ *       400:
+ *         description: Dados inválidos ou chave já em uso
+ *       403:
+ *         description: Sem a permissão roles:manage
+ *       500:
+ *         description: Erro ao criar função
+ */
+// Create a custom role
+router.post("/", verifyToken, requirePermission('roles:manage'), async (req, res) => {
+
+    // Token data
+    const userId = req.user.userId;
+
+    // Request data
+    const key = typeof req.body.key === 'string' ? req.body.key.trim() : req.body.key;
+
+    try {
+
+        if (!key || !ROLE_KEY_REGEX.test(key)) {
+            return res.status(400).json({ error: "A chave deve ter de 3 a 40 caracteres: letras minúsculas, números ou _, começando por letra" });
+        }
+
+        const validation = validateRoleFields(req.body);
+        if (!validation.isValid) {
+            return res.status(400).json({ error: validation.error });
+        }
+
+        if (BUILT_IN_ROLES[key] || await Role.exists({ key: key })) {
+            return res.status(400).json({ error: "A chave já está em uso" });
+        }
+
+        const role = await Role.create({
+            key: key,
+            name: req.body.name.trim(),
+            description: req.body.description ? req.body.description.trim() : '',
+            permissions: [...new Set(req.body.permissions)],
+            createdBy: userId
+        });
+
+        await recordAudit(req, { action: 'role.create', targetType: 'Role', targetId: key, after: role });
+
+        return res.status(201).json({ error: null, msg: "Função criada com sucesso", data: role });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao criar função" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/roles/{key}:
+ *   put:
+ *     summary: Atualizar função
+ *     description: |
+ *       Atualiza uma função (permissão `roles:manage`). A alteração vale imediatamente para todos os usuários da função.
+ *       - Funções personalizadas: `name`, `description` e `permissions`
+ *       - Funções nativas: apenas `permissions` (use DELETE para voltar ao padrão)
+ *       - A função `admin` não pode ser alterada
+ *     tags: [Funções]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Chave da função
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             permissions: ["questions:read", "forms:analyze", "responses:analyze", "analytics:read"]
+ *     responses:
+ *       200:
+ *         description: Função atualizada com sucesso
+ *       400:
+ *         description: Dados inválidos ou função admin
+ *       403:
+ *         description: Sem a permissão roles:manage
+ *       404:
+ *         description: Função não encontrada
+ *       500:
+ *         description: Erro ao atualizar função
+ */
+// Update a role
+router.put("/:key", verifyToken, requirePermission('roles:manage'), async (req, res) => {
+
+    // Token data
+    const userId = req.user.userId;
+
+    // Request data
+    const key = req.params.key;
+
+    try {
+
+        // Admin permissions are fixed so the system can never lose its administrators
+        if (key === 'admin') {
+            return res.status(400).json({ error: "A função admin não pode ser alterada" });
+        }
+
+        const validation = validateRoleFields(req.body, true);
+        if (!validation.isValid) {
+            return res.status(400).json({ error: validation.error });
+        }
+
+        const existing = await findRole(key);
+
+        if (!existing) {
+            return res.status(404).json({ error: "Função não encontrada" });
+        }
+
+        if (existing.builtIn) {
+
+            if (!req.body.permissions) {
+                return res.status(400).json({ error: "Nas funções nativas apenas as permissões podem ser alteradas" });
+            }
+
+            // Built-in roles are overridden by a stored copy of their permissions
+            await Role.findOneAndUpdate(
+                { key: key },
+                {
+                    $set: { permissions: [...new Set(req.body.permissions)], updatedBy: userId, updatedAt: new Date() },
+                    $setOnInsert: { key: key, name: BUILT_IN_ROLES[key].name, builtIn: true, createdBy: userId }
+                },
+                { upsert: true }
+            );
+
+        } else {
+
+            const updateData = { updatedBy: userId, updatedAt: new Date() };
+
+            if (req.body.name) {
+                updateData.name = req.body.name.trim();
+            }
+
+            if (typeof req.body.description !== "undefined") {
+                updateData.description = req.body.description.trim();
+            }
+
+            if (req.body.permissions) {
+                updateData.permissions = [...new Set(req.body.permissions)];
+            }
+
+            await Role.updateOne({ key: key }, { $set: updateData });
+        }
+
+        const updated = await findRole(key);
+
+        await recordAudit(req, { action: 'role.update', targetType: 'Role', targetId: key, before: existing, after: updated });
+
+        return res.status(200).json({ error: null, msg: "Função atualizada com sucesso", data: updated });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao atualizar função" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/roles/{key}:
+ *   delete:
+ *     summary: Remover função ou restaurar padrão
+ *     description: |
+ *       Permissão `roles:manage`.
+ *       - Funções personalizadas são removidas se nenhum usuário, convite pendente ou provedor de identidade as utilizar; elas também saem das configurações de 2FA e link mágico
+ *       - Funções nativas voltam às permissões padrão
+ *     tags: [Funções]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Chave da função
+ *     responses:
+ *       200:
+ *         description: Função removida ou restaurada com sucesso
+ *       400:
+ *         description: Função admin ou função em uso
+ *       403:
+ *         description: Sem a permissão roles:manage
+ *       404:
+ *         description: Função não encontrada
+ *       500:
+ *         description: Erro ao remover função
+ */
+// Delete a custom role or reset a built-in role
+router.delete("/:key", verifyToken, requirePermission('roles:manage'), async (req, res) => {
+
+    // Request data
+    const key = req.params.key;
+
+    try {
+
+        if (key === 'admin') {
+            return res.status(400).json({ error: "A função admin não pode ser alterada" });
+        }
+
+        if (BUILT_IN_ROLES[key]) {
+            const before = await findRole(key);
+
+            await Role.deleteOne({ key: key });
+
+            const restored = await findRole(key);
+
+            await recordAudit(req, { action: 'role.reset', targetType: 'Role', targetId: key, before: before, after: restored });
+
+            return res.status(200).json({ error: null, msg: "Permissões padrão da função restauradas com sucesso", data: restored });
+        }
+
+        const role = await Role.findOne({ key: key, builtIn: false });
+
+        if (!role) {
+            return res.status(404).json({ error: "Função não encontrada" });
+        }
+
+        // Accounts, pending invites and providers would be left with a role that no longer exists
+        const [users, invites, providers] = await Promise.all([
+            User.countDocuments({ role: key, deleted: false }),
+            Invite.countDocuments({ role: key, usedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } }),
+            IdentityProvider.countDocuments({ deleted: false, $or: [{ defaultRole: key }, { 'roleMapping.role': key }] })
+        ]);
+
+        if (users > 0 || invites > 0 || providers > 0) {
+            return res.status(400).json({
+                error: "A função está em uso e não pode ser removida",
+                usage: { users, invites, identityProviders: providers }
+            });
+        }
+
+        await Role.deleteOne({ _id: role._id });
+        await Settings.updateMany({}, { $pull: { twoFactorRequiredRoles: key, magicLinkRoles: key } });
+
+        await recordAudit(req, { action: 'role.delete', targetType: 'Role', targetId: key, before: role });
+
+        return res.status(200).json({ error: null, msg: "Função removida com sucesso" });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao remover função" });
+    }
+});
+
+
+module.exports = router;
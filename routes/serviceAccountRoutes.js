@@ -0,0 +1,444 @@
+const router = require('express').Router();
+const mongoose = require('mongoose');
+
+// Models
+const Form = require('../models/form');
+const ServiceAccount = require('../models/serviceAccount');
+const ApiKey = require('../models/apiKey');
+
+// Middlewares
+const verifyToken = require('../helpers/check-token');
+const requirePermission = require('../helpers/require-permission');
+
+// Helpers
+const { API_KEY_SCOPES, generateApiKey } = require('../helpers/api-keys');
+const { recordAudit } = require('../helpers/audit');
+const { parseListQuery, findPage, pickFields } = require('../helpers/list-query');
+
+const DEFAULT_KEY_EXPIRES_DAYS = 90;
+const MAX_KEY_EXPIRES_DAYS = 365;
+
+// Fields never returned by the API
+const API_KEY_PROJECTION = { keyHash: 0 };
+
+// List protocol of GET /
+const SERVICE_ACCOUNT_LIST = {
+    sort: { fields: ['createdAt', 'name'], default: '-createdAt' },
+    dateField: 'createdAt',
+    search: ['name', 'description'],
+    fields: ['name', 'description', 'activeKeys', 'createdBy', 'createdAt']
+};
+
+/**
+ * @swagger
+ * /api/service-accounts:
+ *   post:
+ *     summary: Criar conta de serviço
+ *     description: Cria uma conta de serviço para acesso programático, dona de chaves de API (permissão `service-accounts:manage`)
+ *     tags: [Contas de Serviço]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             name: "Scripts R - Grupo de Pesquisa"
+ *             description: "Exportações semanais para análise estatística"
+ *     responses:
+ *       201:
+ *         description: Conta de serviço criada com sucesso
+ *       400:
+ *         description: Nome obrigatório
+ *       403:
+ *         description: Sem a permissão service-accounts:manage
+ *       500:
+ *         description: Erro ao criar conta de serviço
+ */
+// Create a service account
+router.post("/", verifyToken, requirePermission('service-accounts:manage'), async (req, res) => {
+
+    // Token data
+    const userId = req.user.userId;
+
+    // Request data
+    const name = req.body.name;
+    const description = req.body.description;
+
+    try {
+
+        if (!name || !name.trim()) {
+            return res.status(400).json({ error: "O nome da conta de serviço é obrigatório" });
+        }
+
+        const serviceAccount = await new ServiceAccount({
+            name: name.trim(),
+            description: description || '',
+            createdBy: userId
+        }).save();
+
+        await recordAudit(req, { action: 'service_account.create', targetType: 'ServiceAccount', targetId: serviceAccount._id, after: serviceAccount });
+
+        return res.status(201).json({ error: null, msg: "Conta de serviço criada com sucesso", data: serviceAccount });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao criar conta de serviço" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/service-accounts:
+ *   get:
+ *     summary: Listar contas de serviço
+ *     description: Lista as contas de serviço ativas com a quantidade de chaves ativas de cada uma (permissão `service-accounts:manage`), paginadas e com busca
+ *     tags: [Contas de Serviço]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ListPage'
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - $ref: '#/components/parameters/ListSort'
+ *       - $ref: '#/components/parameters/ListSearch'
+ *       - $ref: '#/components/parameters/ListFields'
+ *       - $ref: '#/components/parameters/ListFrom'
+ *       - $ref: '#/components/parameters/ListTo'
+ *     responses:
+ *       200:
+ *         description: Contas de serviço encontradas com sucesso
+ *       400:
+ *         description: Parâmetro de listagem inválido
+ *       403:
+ *         description: Sem a permissão service-accounts:manage
+ *       500:
+ *         description: Erro ao buscar contas de serviço
+ */
+// Get service accounts
+router.get("/", verifyToken, requirePermission('service-accounts:manage'), async (req, res) => {
+
+    try {
+
+        const list = parseListQuery(req.query, SERVICE_ACCOUNT_LIST);
+        if (list.error) {
+            return res.status(400).json({ error: list.error });
+        }
+
+        const { items: serviceAccounts, pagination } = await findPage(ServiceAccount, { deleted: false }, list,
+            query => query.populate('createdBy', 'name email'));
+
+        const activeKeys = await ApiKey.aggregate([
+            { $match: { serviceAccountId: { $in: serviceAccounts.map(account => account._id) }, revokedAt: null, expiresAt: { $gt: new Date() } } },
+            { $group: { _id: '$serviceAccountId', count: { $sum: 1 } } }
+        ]);
+
+        const data = serviceAccounts.map(account => pickFields({
+            ...account.toObject(),
+            activeKeys: activeKeys.find(item => item._id.toString() === account._id.toString())?.count || 0
+        }, list.fields));
+
+        return res.status(200).json({ error: null, msg: "Contas de serviço encontradas com sucesso", data: data, pagination: pagination });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao buscar contas de serviço" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/service-accounts/{id}:
+ *   delete:
+ *     summary: Remover conta de serviço
+ *     description: Remove a conta de serviço (soft delete) e revoga todas as suas chaves de API (permissão `service-accounts:manage`)
+ *     tags: [Contas de Serviço]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Conta de serviço removida com sucesso
+ *       403:
+ *         description: Sem a permissão service-accounts:manage
+ *       404:
+ *         description: Conta de serviço não encontrada
+ *       500:
+ *         description: Erro ao remover conta de serviço
+ */
+// Delete a service account
+router.delete("/:id", verifyToken, requirePermission('service-accounts:manage'), async (req, res) => {
+
+    const id = req.params.id;
+
+    try {
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(404).json({ error: "Conta de serviço não encontrada" });
+        }
+
+        const serviceAccount = await ServiceAccount.findOneAndUpdate(
+            { _id: id, deleted: false },
+            { $set: { deleted: true } }
+        );
+
+        if (!serviceAccount) {
+            return res.status(404).json({ error: "Conta de serviço não encontrada" });
+        }
+
+        const revoked = await ApiKey.updateMany(
+            { serviceAccountId: id, revokedAt: null },
+            { $set: { revokedAt: new Date() } }
+        );
+
+        await recordAudit(req, { action: 'service_account.delete', targetType: 'ServiceAccount', targetId: serviceAccount._id, before: { deleted: false }, after: { deleted: true }, metadata: { revokedKeys: revoked.modifiedCount } });
+
+        return res.status(200).json({ error: null, msg: "Conta de serviço removida com sucesso", revokedKeys: revoked.modifiedCount });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao remover conta de serviço" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/service-accounts/{id}/keys:
+ *   post:
+ *     summary: Criar chave de API
+ *     description: |
+ *       Cria uma chave de API para a conta de serviço (permissão `service-accounts:manage`). A chave completa só é exibida nesta resposta.
+ *       - `scopes`: `exports:read` (exportação de analista) e/ou `analytics:read` (análises e dashboards de analista)
+ *       - `forms`: formulários que a chave pode acessar
+ *       - `expiresInDays`: validade em dias (padrão 90, máximo 365)
+ *
+ *       Use a chave no cabeçalho `x-api-key` (ou no lugar do `auth-token`) nas rotas que a aceitam.
+ *     tags: [Contas de Serviço]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             name: "Exportação semanal"
+ *             scopes: ["exports:read"]
+ *             forms: ["507f1f77bcf86cd799439011"]
+ *             expiresInDays: 90
+ *     responses:
+ *       201:
+ *         description: Chave criada com sucesso
+ *         content:
+ *           application/json:
+ *             example:
+ *               error: null
+ *               msg: "Chave de API criada. Copie-a agora: ela não será exibida novamente"
+ *               key: "m2t_1a2b3c4d_Zk9yXn..."
+ *               data:
+ *                 _id: "665f1f77bcf86cd799439099"
+ *                 prefix: "1a2b3c4d"
+ *                 scopes: ["exports:read"]
+ *                 expiresAt: "2025-04-15T10:30:00.000Z"
+ *       400:
+ *         description: Dados inválidos
+ *       403:
+ *         description: Sem a permissão service-accounts:manage
+ *       404:
+ *         description: Conta de serviço não encontrada
+ */
+// Create an API key
+router.post("/:id/keys", verifyToken, requirePermission('service-accounts:manage'), async (req, res) => {
+
+    // Token data
+    const userId = req.user.userId;
+
+    // Request data
+    const id = req.params.id;
+    const name = req.body.name;
+    const scopes = req.body.scopes;
+    const forms = req.body.forms;
+    const expiresInDays = req.body.expiresInDays === undefined ? DEFAULT_KEY_EXPIRES_DAYS : Number(req.body.expiresInDays);
+
+    try {
+
+        if (!mongoose.Types.ObjectId.isValid(id) || !(await ServiceAccount.exists({ _id: id, deleted: false }))) {
+            return res.status(404).json({ error: "Conta de serviço não encontrada" });
+        }
+
+        if (!name || !name.trim()) {
+            return res.status(400).json({ error: "O nome da chave é obrigatório" });
+        }
+
+        if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => API_KEY_SCOPES.includes(scope))) {
+            return res.status(400).json({ error: `Escopos inválidos. Use: ${API_KEY_SCOPES.join(', ')}` });
+        }
+
+        if (!Array.isArray(forms) || forms.length === 0) {
+            return res.status(400).json({ error: "Informe pelo menos um formulário" });
+        }
+
+        if (!forms.every(formId => mongoose.Types.ObjectId.isValid(formId))) {
+            return res.status(400).json({ error: "Formulário inválido" });
+        }
+
+        const uniqueForms = [...new Set(forms.map(String))];
+        const formsCount = await Form.countDocuments({ _id: { $in: uniqueForms }, deleted: false });
+
+        if (formsCount !== uniqueForms.length) {
+            return res.status(400).json({ error: "Um ou mais formulários não foram encontrados" });
+        }
+
+        if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_KEY_EXPIRES_DAYS) {
+            return res.status(400).json({ error: `A validade deve ser entre 1 e ${MAX_KEY_EXPIRES_DAYS} dias` });
+        }
+
+        const { key, prefix, keyHash } = generateApiKey();
+
+        const apiKey = await new ApiKey({
+            serviceAccountId: id,
+            name: name.trim(),
+            prefix: prefix,
+            keyHash: keyHash,
+            scopes: [...new Set(scopes)],
+            forms: uniqueForms,
+            expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+            createdBy: userId
+        }).save();
+
+        await recordAudit(req, { action: 'api_key.create', targetType: 'ApiKey', targetId: apiKey._id, after: apiKey, metadata: { serviceAccountId: id } });
+
+        const data = apiKey.toObject();
+        delete data.keyHash;
+
+        return res.status(201).json({ error: null, msg: "Chave de API criada. Copie-a agora: ela não será exibida novamente", key: key, data: data });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao criar chave de API" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/service-accounts/{id}/keys:
+ *   get:
+ *     summary: Listar chaves de API
+ *     description: Lista as chaves da conta de serviço com escopos, validade e uso (último acesso, IP, rota e total de requisições) (permissão `service-accounts:manage`)
+ *     tags: [Contas de Serviço]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Chaves encontradas com sucesso
+ *       403:
+ *         description: Sem a permissão service-accounts:manage
+ *       404:
+ *         description: Conta de serviço não encontrada
+ */
+// Get API keys
+router.get("/:id/keys", verifyToken, requirePermission('service-accounts:manage'), async (req, res) => {
+
+    const id = req.params.id;
+
+    try {
+
+        if (!mongoose.Types.ObjectId.isValid(id) || !(await ServiceAccount.exists({ _id: id }))) {
+            return res.status(404).json({ error: "Conta de serviço não encontrada" });
+        }
+
+        const keys = await ApiKey.find({ serviceAccountId: id }, API_KEY_PROJECTION)
+            .populate('forms', 'title')
+            .sort({ createdAt: -1 });
+
+        const now = new Date();
+
+        const data = keys.map(key => {
+            let status = 'active';
+            if (key.revokedAt) status = 'revoked';
+            else if (key.expiresAt <= now) status = 'expired';
+
+            return { ...key.toObject(), status: status };
+        });
+
+        return res.status(200).json({ error: null, msg: "Chaves encontradas com sucesso", data: data });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao buscar chaves de API" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/service-accounts/{id}/keys/{keyId}:
+ *   delete:
+ *     summary: Revogar chave de API
+ *     description: Revoga imediatamente uma chave de API (permissão `service-accounts:manage`)
+ *     tags: [Contas de Serviço]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Chave revogada com sucesso
+ *       403:
+ *         description: Sem a permissão service-accounts:manage
+ *       404:
+ *         description: Chave não encontrada
+ */
+// Revoke an API key
+router.delete("/:id/keys/:keyId", verifyToken, requirePermission('service-accounts:manage'), async (req, res) => {
+
+    const id = req.params.id;
+    const keyId = req.params.keyId;
+
+    try {
+
+        if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(keyId)) {
+            return res.status(404).json({ error: "Chave não encontrada" });
+        }
+
+        const apiKey = await ApiKey.findOne({ _id: keyId, serviceAccountId: id });
+
+        if (!apiKey) {
+            return res.status(404).json({ error: "Chave não encontrada" });
+        }
+
+        if (!apiKey.revokedAt) {
+            apiKey.revokedAt = new Date();
+            await apiKey.save();
+
+            await recordAudit(req, { action: 'api_key.revoke', targetType: 'ApiKey', targetId: apiKey._id, before: { revokedAt: null }, after: { revokedAt: apiKey.revokedAt }, metadata: { serviceAccountId: id } });
+        }
+
+        return res.status(200).json({ error: null, msg: "Chave de API revogada com sucesso" });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao revogar chave de API" });
+    }
+});
+
+
+module.exports = router;
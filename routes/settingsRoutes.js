@@ -0,0 +1,141 @@
+const router = require('express').Router();
+
+// Models
+const Settings = require('../models/settings');
+
+// Middlewares
+const verifyToken = require('../helpers/check-token');
+const requirePermission = require('../helpers/require-permission');
+
+// Helpers
+const { getSettings } = require('../helpers/settings');
+const { listRoleKeys } = require('../helpers/permissions');
+const { recordAudit } = require('../helpers/audit');
+
+/**
+ * @swagger
+ * /api/settings:
+ *   get:
+ *     summary: Buscar configurações do sistema
+ *     description: Retorna as configurações globais do sistema (permissão `settings:manage`)
+ *     tags: [Configurações]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Configurações encontradas com sucesso
+ *         content:
+ *           application/json:
+ *             example:
+ *               error: null
+ *               msg: "Configurações encontradas com sucesso"
+ *               data:
+ *                 twoFactorRequiredRoles: ["admin", "teacher_analyst"]
+ *                 magicLinkRoles: ["student"]
+ *                 updatedAt: "2025-01-15T10:30:00.000Z"
+ *       403:
+ *         description: Sem a permissão settings:manage
+ *       500:
+ *         description: Erro ao buscar configurações
+ */
+// Get settings
+router.get("/", verifyToken, requirePermission('settings:manage'), async (req, res) => {
+
+    try {
+
+        const settings = await getSettings();
+
+        return res.status(200).json({ error: null, msg: "Configurações encontradas com sucesso", data: settings });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao buscar configurações" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/settings:
+ *   put:
+ *     summary: Atualizar configurações do sistema
+ *     description: |
+ *       Atualiza as configurações globais (permissão `settings:manage`). Apenas os campos enviados são alterados.
+ *       - `twoFactorRequiredRoles`: funções que precisam de 2FA; usuários dessas funções sem 2FA são obrigados a configurá-lo no próximo login
+ *       - `magicLinkRoles`: funções que podem entrar sem senha, por um link enviado ao e-mail
+ *     tags: [Configurações]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             twoFactorRequiredRoles: ["admin", "teacher_analyst"]
+ *             magicLinkRoles: ["student"]
+ *     responses:
+ *       200:
+ *         description: Configurações atualizadas com sucesso
+ *       400:
+ *         description: Valor inválido
+ *       403:
+ *         description: Sem a permissão settings:manage
+ *       500:
+ *         description: Erro ao atualizar configurações
+ */
+// Update settings
+router.put("/", verifyToken, requirePermission('settings:manage'), async (req, res) => {
+
+    // Token data
+    const userId = req.user.userId;
+
+    // Request data
+    const twoFactorRequiredRoles = req.body.twoFactorRequiredRoles;
+    const magicLinkRoles = req.body.magicLinkRoles;
+
+    try {
+
+        const updateData = {};
+
+        if (typeof twoFactorRequiredRoles !== "undefined") {
+
+            const validRoles = await listRoleKeys();
+
+            if (!Array.isArray(twoFactorRequiredRoles) || !twoFactorRequiredRoles.every(role => validRoles.includes(role))) {
+                return res.status(400).json({ error: "Função inválida em twoFactorRequiredRoles" });
+            }
+
+            updateData.twoFactorRequiredRoles = [...new Set(twoFactorRequiredRoles)];
+        }
+
+        if (typeof magicLinkRoles !== "undefined") {
+
+            const validRoles = await listRoleKeys();
+
+            if (!Array.isArray(magicLinkRoles) || !magicLinkRoles.every(role => validRoles.includes(role))) {
+                return res.status(400).json({ error: "Função inválida em magicLinkRoles" });
+            }
+
+            updateData.magicLinkRoles = [...new Set(magicLinkRoles)];
+        }
+
+        updateData.updatedBy = userId;
+        updateData.updatedAt = new Date();
+
+        const previous = await getSettings();
+
+        const settings = await Settings.findOneAndUpdate(
+            { key: 'global' },
+            { $set: updateData },
+            { upsert: true, new: true, setDefaultsOnInsert: true, runValidators: true }
+        );
+
+        await recordAudit(req, { action: 'settings.update', targetType: 'Settings', targetId: settings.key, before: previous, after: settings });
+
+        return res.status(200).json({ error: null, msg: "Configurações atualizadas com sucesso", data: settings });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao atualizar configurações" });
+    }
+});
+
+
+module.exports = router;
@@ -0,0 +1,334 @@
+const router = require('express').Router();
+const mongoose = require('mongoose');
+
+// Middlewares
+const verifyToken = require('../helpers/check-token');
+const requirePermission = require('../helpers/require-permission');
+
+// Helpers
+const { TRASH_TYPES, DEPENDENCY_TYPES, findDeletedDependencies, describeDependency, checkRestore, restoreItems, getDeletionInfo } = require('../helpers/trash');
+const { parseListQuery, findPage, pickFields } = require('../helpers/list-query');
+
+// Type of the route with the permission check; the permission depends on the type, so it is checked here instead of in requirePermission
+const resolveTrashType = (req, res) => {
+    const definition = TRASH_TYPES[req.params.type];
+
+    if (!definition) {
+        res.status(404).json({ error: `Tipo inválido. Use: ${Object.keys(TRASH_TYPES).join(', ')}` });
+        return null;
+    }
+
+    if (!req.permissions.includes(definition.permission)) {
+        res.status(403).json({ error: `Acesso negado. Permissão necessária: ${definition.permission}` });
+        return null;
+    }
+
+    return definition;
+};
+
+/**
+ * @swagger
+ * /api/trash:
+ *   get:
+ *     summary: Resumo da lixeira
+ *     description: Quantidade de itens removidos de cada tipo que o usuário pode consultar. Cada tipo exige a permissão que remove os itens (`forms:delete`, `questions:delete`, `users:delete`, `responses:delete`, `groups:manage`)
+ *     tags: [Lixeira]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Lixeira consultada com sucesso
+ *         content:
+ *           application/json:
+ *             example:
+ *               error: null
+ *               msg: "Lixeira consultada com sucesso"
+ *               data:
+ *                 - type: "forms"
+ *                   label: "Formulários"
+ *                   count: 3
+ *                 - type: "questions"
+ *                   label: "Questões"
+ *                   count: 12
+ *       500:
+ *         description: Erro ao consultar a lixeira
+ */
+// Get the trash summary
+router.get("/", verifyToken, requirePermission(), async (req, res) => {
+
+    try {
+
+        const types = Object.entries(TRASH_TYPES).filter(([, definition]) => req.permissions.includes(definition.permission));
+
+        const data = await Promise.all(types.map(async ([type, definition]) => ({
+            type: type,
+            label: definition.label,
+            count: await definition.model.countDocuments({ deleted: true, ...await definition.scope(req) })
+        })));
+
+        return res.status(200).json({ error: null, msg: "Lixeira consultada com sucesso", data: data });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao consultar a lixeira" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/trash/{type}:
+ *   get:
+ *     summary: Listar itens removidos
+ *     description: |
+ *       Lista os itens removidos de um tipo com quem os removeu e quando (`deletedBy`, `deletedAt`), paginados e com filtros.
+ *       Itens removidos antes do registro desses campos usam a entrada de remoção do registro de auditoria, quando houver.
+ *       Exige a permissão que remove os itens do tipo. Sem a permissão `institutions:global`, apenas os da própria instituição.
+ *     tags: [Lixeira]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [forms, questions, users, responses, groups]
+ *       - $ref: '#/components/parameters/ListPage'
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: -deletedAt
+ *         description: deletedAt, createdAt (submittedAt nas respostas) ou o nome/título, com - para ordem decrescente
+ *       - $ref: '#/components/parameters/ListSearch'
+ *       - $ref: '#/components/parameters/ListFields'
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Removidos a partir de
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Removidos até
+ *       - in: query
+ *         name: deletedBy
+ *         schema:
+ *           type: string
+ *         description: ID de quem removeu
+ *     responses:
+ *       200:
+ *         description: Itens encontrados com sucesso
+ *         content:
+ *           application/json:
+ *             example:
+ *               error: null
+ *               msg: "Itens encontrados com sucesso"
+ *               data:
+ *                 - _id: "507f1f77bcf86cd799439013"
+ *                   title: "Hábitos de estudo"
+ *                   type: "form"
+ *                   isActive: true
+ *                   deletedAt: "2025-03-02T14:10:00.000Z"
+ *                   deletedBy:
+ *                     _id: "507f1f77bcf86cd799439001"
+ *                     name: "Ana Lima"
+ *                     email: "ana.lima@escola.com"
+ *               pagination:
+ *                 total: 1
+ *                 limit: 50
+ *                 page: 1
+ *                 hasMore: false
+ *                 nextCursor: null
+ *       400:
+ *         description: Parâmetro de listagem inválido
+ *       403:
+ *         description: Sem a permissão do tipo
+ *       404:
+ *         description: Tipo inválido
+ *       500:
+ *         description: Erro ao buscar itens
+ */
+// Get the deleted items of a type
+router.get("/:type", verifyToken, requirePermission(), async (req, res) => {
+
+    try {
+
+        const definition = resolveTrashType(req, res);
+        if (!definition) {
+            return;
+        }
+
+        const list = parseListQuery(req.query, {
+            sort: { fields: definition.sort, default: '-deletedAt' },
+            filters: { deletedBy: { type: 'objectId' } },
+            dateField: 'deletedAt',
+            search: definition.search,
+            fields: [...definition.fields, 'deletedAt', 'deletedBy']
+        });
+        if (list.error) {
+            return res.status(400).json({ error: list.error });
+        }
+
+        const { items, pagination } = await findPage(definition.model, { deleted: true, ...await definition.scope(req) }, list, query => {
+            (definition.populate || []).forEach(populate => { query = query.populate(populate); });
+            return query.populate({ path: 'deletedBy', select: 'name email' });
+        });
+
+        const deletion = await getDeletionInfo(req.params.type, items);
+
+        const data = items.map(item => pickFields({
+            _id: item._id,
+            ...definition.summary(item),
+            ...deletion.get(String(item._id))
+        }, list.fields));
+
+        return res.status(200).json({ error: null, msg: "Itens encontrados com sucesso", data: data, pagination: pagination });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao buscar itens" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/trash/{type}/{id}/restore:
+ *   post:
+ *     summary: Restaurar item removido
+ *     description: |
+ *       Tira o item da lixeira (permissão que remove os itens do tipo).
+ *       Quando o item depende de registros que também foram removidos (ex: as questões de um formulário, ou o formulário e o usuário de uma resposta), a rota responde `409` com a lista em `dependencies`.
+ *       Envie `restoreDependencies: true` para restaurá-los junto; é preciso ter a permissão de cada tipo envolvido.
+ *       Contas eliminadas (LGPD) não podem ser restauradas.
+ *     tags: [Lixeira]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [forms, questions, users, responses, groups]
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               restoreDependencies:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Item restaurado com sucesso
+ *         content:
+ *           application/json:
+ *             example:
+ *               error: null
+ *               msg: "Item restaurado com sucesso"
+ *               data:
+ *                 type: "forms"
+ *                 _id: "507f1f77bcf86cd799439013"
+ *                 dependencies:
+ *                   - type: "questions"
+ *                     _id: "507f1f77bcf86cd799439011"
+ *                     label: "Quantas horas você estuda por dia?"
+ *                     permission: "questions:delete"
+ *       403:
+ *         description: Sem a permissão do tipo ou de uma das dependências
+ *       404:
+ *         description: Tipo inválido ou item não encontrado na lixeira
+ *       409:
+ *         description: O item depende de registros removidos, ou conflita com um item ativo
+ *         content:
+ *           application/json:
+ *             example:
+ *               error: "O item depende de registros que também estão na lixeira. Envie restoreDependencies: true para restaurá-los junto"
+ *               dependencies:
+ *                 - type: "questions"
+ *                   _id: "507f1f77bcf86cd799439011"
+ *                   label: "Quantas horas você estuda por dia?"
+ *                   permission: "questions:delete"
+ *       500:
+ *         description: Erro ao restaurar item
+ */
+// Restore a deleted item
+router.post("/:type/:id/restore", verifyToken, requirePermission(), async (req, res) => {
+
+    // Request data
+    const id = req.params.id;
+    const restoreDependencies = req.body?.restoreDependencies === true;
+
+    try {
+
+        const definition = resolveTrashType(req, res);
+        if (!definition) {
+            return;
+        }
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(404).json({ error: "Item não encontrado na lixeira" });
+        }
+
+        const item = await definition.model.findOne({ _id: id, deleted: true, ...await definition.scope(req) });
+
+        if (!item) {
+            return res.status(404).json({ error: "Item não encontrado na lixeira" });
+        }
+
+        const conflict = await checkRestore(req, req.params.type, item);
+        if (conflict) {
+            return res.status(conflict.status).json({ error: conflict.error });
+        }
+
+        const dependencies = await findDeletedDependencies(req.params.type, item);
+        const described = dependencies.map(describeDependency);
+
+        if (dependencies.length > 0 && !restoreDependencies) {
+            return res.status(409).json({
+                error: "O item depende de registros que também estão na lixeira. Envie restoreDependencies: true para restaurá-los junto",
+                dependencies: described
+            });
+        }
+
+        const missing = [...new Set(dependencies.map(dependency => DEPENDENCY_TYPES[dependency.type].permission))]
+            .filter(permission => !req.permissions.includes(permission));
+
+        if (missing.length > 0) {
+            return res.status(403).json({ error: `Acesso negado. Permissão necessária para restaurar as dependências: ${missing.join(', ')}`, dependencies: described });
+        }
+
+        for (const dependency of dependencies) {
+            const dependencyConflict = await checkRestore(req, dependency.type, dependency.document);
+            if (dependencyConflict) {
+                return res.status(dependencyConflict.status).json({ error: dependencyConflict.error, dependencies: described });
+            }
+        }
+
+        // Dependencies first, so the item never comes back pointing to removed records
+        await restoreItems(req, dependencies, { restoredWith: { type: req.params.type, id: item._id } });
+        await restoreItems(req, [{ type: req.params.type, document: item }], described.length > 0 ? { dependencies: described } : null);
+
+        return res.status(200).json({
+            error: null,
+            msg: "Item restaurado com sucesso",
+            data: { type: req.params.type, _id: item._id, dependencies: described }
+        });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao restaurar item" });
+    }
+});
+
+module.exports = router;
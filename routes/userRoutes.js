@@ -1,23 +1,144 @@
 const router = require('express').Router();
 const bcrypt = require('bcrypt');
+const mongoose = require('mongoose');
+const multer = require('multer');
 
 const User = require('../models/user');
+const Session = require('../models/session');
+const Erasure = require('../models/erasure');
 
 // Middlewares
 const verifyToken = require('../helpers/check-token');
+const requirePermission = require('../helpers/require-permission');
 
 // Helpers
-const getUserByToken = require('../helpers/get-user-by-token');
+const { revokeUserSessions } = require('../helpers/auth-tokens');
+const { createEmailVerification } = require('../helpers/email-verification');
+const { sendVerificationEmail, sendAccountCreatedEmail } = require('../helpers/emailService');
+const { twoFactorResetUpdate } = require('../helpers/two-factor');
+const { validatePasswordChange, nextPasswordHistory } = require('../helpers/password-policy');
+const { LANGUAGES } = require('../helpers/email-templates');
+const { listRoleKeys, getRolesWithPermission } = require('../helpers/permissions');
+const { findInstitution, hasGlobalScope, institutionFilter, isInInstitutionScope, canManageRole } = require('../helpers/institutions');
+const { recordAudit } = require('../helpers/audit');
+const { buildUserDataExport, buildUserDataArchive } = require('../helpers/data-export');
+const { ERASURE_MODES, eraseUser } = require('../helpers/erasure');
+const { toCsv } = require('../helpers/csv');
+const { readSpreadsheet } = require('../helpers/spreadsheet');
+const { IMPORT_MAX_ROWS, TEMPLATE_COLUMNS, normalizeImportHeader, validateImportRows, createImportedUsers } = require('../helpers/user-import');
+const { parseListQuery, findPage, fieldsProjection } = require('../helpers/list-query');
+
+const IMPORT_MAX_FILE_SIZE_MB = 5;
+
+// Never sent to clients: the password and the hashes of the single-use tokens
+const PRIVATE_USER_FIELDS = {
+    password: 0,
+    resetPasswordToken: 0,
+    resetPasswordExpires: 0,
+    magicLinkToken: 0,
+    magicLinkExpires: 0,
+    emailVerificationToken: 0,
+    emailVerificationExpires: 0
+};
+
+// List protocol of GET /all and GET /assignable
+const USER_LIST = {
+    sort: { fields: ['name', 'email', 'createdAt', 'role', 'state', 'city'], default: 'name' },
+    filters: {
+        role: {},
+        state: {},
+        city: {},
+        institution: {},
+        institutionId: { type: 'objectId' },
+        anonymous: { type: 'boolean' }
+    },
+    dateField: 'createdAt',
+    search: ['name', 'email'],
+    fields: ['name', 'email', 'role', 'city', 'state', 'institution', 'institutionId', 'anonymous', 'preferredLanguage', 'createdAt', 'emailVerified', 'twoFactorEnabled', 'guardianConsentRequired']
+};
+
+// Spreadsheets stay in memory only while the import request is processed
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: IMPORT_MAX_FILE_SIZE_MB * 1024 * 1024, files: 1 } });
+
+// Upload errors (file too large, unexpected field) answered as JSON like the other validation errors
+const uploadSpreadsheet = (req, res, next) => {
+    upload.single('file')(req, res, (error) => {
+        if (error) {
+            return res.status(400).json({ error: error.code === 'LIMIT_FILE_SIZE' ? `O arquivo deve ter no máximo ${IMPORT_MAX_FILE_SIZE_MB} MB` : "Envio inválido. Envie a planilha no campo file" });
+        }
+        next();
+    });
+};
+
+// Target of an action on another account: must be in the requester's institution and not hold permissions the requester lacks
+const findManagedUser = async (req, filter) => {
+    const user = await User.findOne({ ...filter, ...institutionFilter(req) });
+
+    if (!user) {
+        return { status: 404, error: "Usuário não encontrado" };
+    }
+
+    if (!(await canManageRole(req, user.role))) {
+        return { status: 403, error: "Acesso negado. Você não pode gerenciar usuários desta função" };
+    }
+
+    return { user };
+};
 
 /**
  * @swagger
  * /api/users/all:
  *   get:
  *     summary: Listar todos os usuários
- *     description: Retorna todos os usuários cadastrados no sistema (apenas admin)
+ *     description: Retorna os usuários cadastrados (permissão `users:read`), paginados e com filtros. Sem a permissão `institutions:global`, apenas os da instituição de quem consulta
  *     tags: [Usuários]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ListPage'
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: name
+ *           enum: [name, -name, email, -email, createdAt, -createdAt, role, -role, state, -state, city, -city]
+ *         description: Ordenação (prefixo - para ordem decrescente)
+ *       - $ref: '#/components/parameters/ListSearch'
+ *       - $ref: '#/components/parameters/ListFields'
+ *       - $ref: '#/components/parameters/ListFrom'
+ *       - $ref: '#/components/parameters/ListTo'
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *         description: Função (várias separadas por vírgula)
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *         description: Estado (vários separados por vírgula)
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *         description: Cidade
+ *       - in: query
+ *         name: institution
+ *         schema:
+ *           type: string
+ *         description: Nome da instituição
+ *       - in: query
+ *         name: institutionId
+ *         schema:
+ *           type: string
+ *         description: ID da instituição
+ *       - in: query
+ *         name: anonymous
+ *         schema:
+ *           type: boolean
+ *         description: Usuários anônimos
  *     responses:
  *       200:
  *         description: Usuários encontrados com sucesso
@@ -37,14 +158,18 @@ const getUserByToken = require('../helpers/get-user-by-token');
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/User'
- *       401:
- *         description: Acesso negado - apenas admin
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Parâmetro de listagem inválido
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *             example:
- *               error: "Acesso negado"
+ *               error: "Ordenação inválida. Use: name, email, createdAt, role, state, city (com - para ordem decrescente)"
+ *       403:
+ *         description: Sem a permissão users:read
  *       404:
  *         description: Usuário não encontrado
  *         content:
@@ -62,30 +187,21 @@ const getUserByToken = require('../helpers/get-user-by-token');
  *             example:
  *               error: "Erro ao buscar usuários"
  */
-// Get all users - ADMIN ONLY
-router.get("/all", verifyToken, async (req, res) => {
+// Get all users
+router.get("/all", verifyToken, requirePermission('users:read'), async (req, res) => {
     
-    // Token data
-    const token = req.header("auth-token");
-    const userByToken = await getUserByToken(token);
-    const userId = userByToken._id.toString();
-
     try {
 
-        // Verify ADMIN role
-        const user = await User.findOne({ _id: userId, deleted: false });
-
-        if (!user) {
-            return res.status(404).json({ error: "Usuário não encontrado" });
-        }
-        if (user.role !== 'admin') {
-            return res.status(401).json({ error: "Acesso negado" });
+        const list = parseListQuery(req.query, USER_LIST);
+        if (list.error) {
+            return res.status(400).json({ error: list.error });
         }
 
-        // Get all users
-        const users = await User.find({ deleted: false }, {  password: 0 });
+        // Get the requested page of users
+        const { items, pagination } = await findPage(User, { deleted: false, ...institutionFilter(req) }, list,
+            query => query.select(fieldsProjection(list.fields) || PRIVATE_USER_FIELDS));
 
-        return res.json({ error: null, msg: "Usuários encontrados com sucesso", data: users });
+        return res.json({ error: null, msg: "Usuários encontrados com sucesso", data: items, pagination });
         
     } catch (error) {
         return res.status(500).json({ error: "Erro ao buscar usuários" });
@@ -97,10 +213,29 @@ router.get("/all", verifyToken, async (req, res) => {
  * /api/users/assignable:
  *   get:
  *     summary: Listar usuários atribuíveis a formulários
- *     description: Retorna apenas estudantes e professores que podem responder formulários (apenas admin)
+ *     description: Retorna apenas os usuários cuja função pode responder formulários (permissão `responses:submit`) da instituição de quem consulta, paginados e com os mesmos filtros de /api/users/all. Requer a permissão `users:read`
  *     tags: [Usuários]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ListPage'
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - $ref: '#/components/parameters/ListSort'
+ *       - $ref: '#/components/parameters/ListSearch'
+ *       - $ref: '#/components/parameters/ListFields'
+ *       - $ref: '#/components/parameters/ListFrom'
+ *       - $ref: '#/components/parameters/ListTo'
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *         description: Função (várias separadas por vírgula)
+ *       - in: query
+ *         name: institutionId
+ *         schema:
+ *           type: string
+ *         description: Filtra pela instituição do formulário (apenas com a permissão `institutions:global`)
  *     responses:
  *       200:
  *         description: Usuários encontrados com sucesso
@@ -120,6 +255,8 @@ router.get("/all", verifyToken, async (req, res) => {
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/User'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *             example:
  *               error: null
  *               msg: "Usuários encontrados com sucesso"
@@ -138,14 +275,16 @@ router.get("/all", verifyToken, async (req, res) => {
  *                   city: "Belo Horizonte"
  *                   state: "MG"
  *                   institution: "Colégio XYZ"
- *       401:
- *         description: Acesso negado - apenas admin
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
- *             example:
- *               error: "Acesso negado"
+ *               pagination:
+ *                 total: 2
+ *                 limit: 50
+ *                 page: 1
+ *                 hasMore: false
+ *                 nextCursor: null
+ *       400:
+ *         description: Parâmetro de listagem ou ID de instituição inválido
+ *       403:
+ *         description: Sem a permissão users:read
  *       404:
  *         description: Usuário autenticado não encontrado
  *         content:
@@ -163,42 +302,315 @@ router.get("/all", verifyToken, async (req, res) => {
  *             example:
  *               error: "Erro ao buscar usuários"
  */
-// Get all students and teacher respondents - for form assignment - ADMIN ONLY 
-router.get("/assignable", verifyToken, async (req, res) => {
-
-    // Token data
-    const token = req.header("auth-token");
-    const userByToken = await getUserByToken(token);
-    const userId = userByToken._id.toString();
+// Get all users whose role can answer forms - for form assignment
+router.get("/assignable", verifyToken, requirePermission('users:read'), async (req, res) => {
 
     try {
 
-        // Verify ADMIN role
-        const user = await User.findOne({ _id: userId, deleted: false });
-
-        if (!user) {
-            return res.status(404).json({ error: "Usuário não encontrado" });
+        const list = parseListQuery(req.query, USER_LIST);
+        if (list.error) {
+            return res.status(400).json({ error: list.error });
         }
-        if (user.role !== 'admin') {
-            return res.status(401).json({ error: "Acesso negado" });
+
+        // Roles that can answer forms
+        const respondentRoles = await getRolesWithPermission('responses:submit');
+
+        const filter = { deleted: false, role: { $in: respondentRoles }, ...institutionFilter(req) };
+
+        // Users with global scope pick the institution of the form being assigned
+        if (req.query.institutionId && hasGlobalScope(req)) {
+            if (!mongoose.Types.ObjectId.isValid(req.query.institutionId)) {
+                return res.status(400).json({ error: "ID de instituição inválido" });
+            }
+            filter.institutionId = req.query.institutionId;
         }
 
-        // Get all users
-        const users = await User.find({ deleted: false, role: { $in: ['student', 'teacher_respondent'] } }, {  password: 0 });
+        const { items, pagination } = await findPage(User, filter, list,
+            query => query.select(fieldsProjection(list.fields) || PRIVATE_USER_FIELDS));
 
-        return res.json({ error: null, msg: "Usuários encontrados com sucesso", data: users });
+        return res.json({ error: null, msg: "Usuários encontrados com sucesso", data: items, pagination });
         
     } catch (error) {
         return res.status(500).json({ error: "Erro ao buscar usuários" });
     }
 });
 
+/**
+ * @swagger
+ * /api/users/erasures:
+ *   get:
+ *     summary: Listar comprovantes de eliminação de dados (LGPD)
+ *     description: Lista os registros de eliminação de dados pessoais, do mais recente para o mais antigo (permissão `users:erase`). Sem a permissão `institutions:global`, apenas os da própria instituição
+ *     tags: [Usuários]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         description: ID da conta eliminada
+ *     responses:
+ *       200:
+ *         description: Registros encontrados com sucesso
+ *       400:
+ *         description: ID de usuário inválido
+ *       403:
+ *         description: Sem a permissão users:erase
+ *       500:
+ *         description: Erro ao buscar registros
+ */
+// Get erasure tombstones
+router.get("/erasures", verifyToken, requirePermission('users:erase'), async (req, res) => {
+
+    try {
+
+        const filter = { ...institutionFilter(req) };
+
+        if (req.query.userId) {
+            if (!mongoose.Types.ObjectId.isValid(req.query.userId)) {
+                return res.status(400).json({ error: "ID de usuário inválido" });
+            }
+            filter.userId = req.query.userId;
+        }
+
+        const erasures = await Erasure.find(filter)
+            .sort({ createdAt: -1 })
+            .populate({ path: 'requestedBy', select: 'name email' });
+
+        return res.status(200).json({ error: null, msg: "Registros encontrados com sucesso", data: erasures });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao buscar registros" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/import/template:
+ *   get:
+ *     summary: Baixar modelo da planilha de importação
+ *     description: CSV com as colunas aceitas em `POST /api/users/import` e uma linha de exemplo (permissão `users:import`)
+ *     tags: [Usuários]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Modelo da planilha
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       403:
+ *         description: Sem a permissão users:import
+ */
+// Download the import template
+router.get("/import/template", verifyToken, requirePermission('users:import'), (req, res) => {
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', 'attachment; filename="modelo-importacao-usuarios.csv"');
+
+    const example = Object.fromEntries(TEMPLATE_COLUMNS.map(column => [column.key, column.example]));
+
+    return res.status(200).send(toCsv([example], TEMPLATE_COLUMNS));
+});
+
+/**
+ * @swagger
+ * /api/users/import:
+ *   post:
+ *     summary: Importar usuários de uma planilha (CSV ou XLSX)
+ *     description: |
+ *       Cadastra usuários em lote a partir de um arquivo .csv (vírgula ou ponto e vírgula) ou .xlsx (primeira planilha) com cabeçalho na primeira linha (permissão `users:import`).
+ *       - Colunas: `nome`, `email`, `funcao`, `cidade`, `estado`, `instituicao` e, opcionais, `anonimo` (sim/não), `idioma` e `senha`. Os nomes em inglês (`name`, `role`...) também são aceitos; ver o modelo em `/api/users/import/template`
+ *       - Cada linha é validada com as regras do cadastro: formato e duplicidade do e-mail, função existente (e que quem importa pode atribuir), cidade, estado, instituição e política de senha
+ *       - Sem a permissão `institutions:global`, todos os usuários são criados na instituição de quem importa
+ *       - Por padrão (`dryRun=true`) nada é criado: a rota retorna o relatório por linha. Com `dryRun=false`, os usuários são criados em um único lote, desde que todas as linhas sejam válidas
+ *       - `sendInvites=true` envia a cada usuário criado um link para definir a senha (válido por INVITE_EXPIRES_DAYS dias), que também confirma o e-mail. Sem senha na planilha e sem convite, o acesso é feito por "Esqueci minha senha"
+ *     tags: [Usuários]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *       - in: query
+ *         name: sendInvites
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Relatório da validação (dryRun)
+ *         content:
+ *           application/json:
+ *             example:
+ *               error: null
+ *               msg: "Validação concluída: 1 de 2 linhas válidas"
+ *               dryRun: true
+ *               summary: { rows: 2, valid: 1, invalid: 1 }
+ *               data:
+ *                 - row: 2
+ *                   email: "maria.souza@escola.com"
+ *                   name: "Maria Souza"
+ *                   role: "student"
+ *                   status: "valid"
+ *                   errors: []
+ *                 - row: 3
+ *                   email: "joao@escola"
+ *                   name: "João"
+ *                   role: "student"
+ *                   status: "invalid"
+ *                   errors: ["Formato de e-mail inválido", "Campo obrigatório não preenchido: city"]
+ *       201:
+ *         description: Usuários criados (com dryRun=false)
+ *         content:
+ *           application/json:
+ *             example:
+ *               error: null
+ *               msg: "2 usuários criados com sucesso"
+ *               dryRun: false
+ *               summary: { rows: 2, created: 2, emailsSent: 2, emailsFailed: 0 }
+ *               data:
+ *                 - row: 2
+ *                   email: "maria.souza@escola.com"
+ *                   name: "Maria Souza"
+ *                   role: "student"
+ *                   status: "created"
+ *                   userId: "507f1f77bcf86cd799439011"
+ *                   emailSent: true
+ *                   errors: []
+ *       400:
+ *         description: Arquivo ausente, inválido ou com linhas inválidas (nenhum usuário é criado; o relatório vem em data)
+ *       403:
+ *         description: Sem a permissão users:import
+ *       409:
+ *         description: Um dos e-mails foi cadastrado durante a importação
+ *       500:
+ *         description: Erro ao importar usuários
+ */
+// Bulk import users from a CSV or XLSX file
+router.post("/import", verifyToken, requirePermission('users:import'), uploadSpreadsheet, async (req, res) => {
+
+    // Request data
+    const dryRun = req.query.dryRun !== 'false';
+    const sendInvites = req.query.sendInvites === 'true';
+
+    try {
+
+        if (!req.file) {
+            return res.status(400).json({ error: "Envie a planilha no campo file" });
+        }
+
+        let rows;
+
+        try {
+            rows = readSpreadsheet(req.file, normalizeImportHeader);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        if (rows.length === 0) {
+            return res.status(400).json({ error: "A planilha não tem linhas de dados" });
+        }
+
+        if (rows.length > IMPORT_MAX_ROWS) {
+            return res.status(400).json({ error: `A planilha tem ${rows.length} linhas; o limite é ${IMPORT_MAX_ROWS} por importação` });
+        }
+
+        const results = await validateImportRows(req, rows);
+        const invalid = results.filter(result => result.errors.length > 0);
+
+        const report = results.map(({ user, ...result }) => ({ ...result, status: result.errors.length > 0 ? 'invalid' : 'valid' }));
+        const summary = { rows: results.length, valid: results.length - invalid.length, invalid: invalid.length };
+
+        if (dryRun) {
+            return res.status(200).json({ error: null, msg: `Validação concluída: ${summary.valid} de ${summary.rows} linhas válidas`, dryRun: true, summary: summary, data: report });
+        }
+
+        // All or nothing: a partial import would leave the admin to find out which rows are left
+        if (invalid.length > 0) {
+            return res.status(400).json({ error: "A planilha tem linhas inválidas; nenhum usuário foi criado", dryRun: false, summary: summary, data: report });
+        }
+
+        let created;
+
+        try {
+            created = await createImportedUsers(results, { sendInvites });
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(409).json({ error: "Um dos e-mails foi cadastrado durante a importação. Valide a planilha novamente" });
+            }
+            throw error;
+        }
+
+        await recordAudit(req, {
+            action: 'user.import',
+            targetType: 'User',
+            metadata: { file: req.file.originalname, created: created.length, sendInvites: sendInvites, userIds: created.map(item => item.user._id) }
+        });
+
+        // The accounts exist even if an e-mail fails; the user can still use "forgot password"
+        const emailSent = new Map();
+
+        if (sendInvites) {
+            for (const { user, token } of created) {
+                try {
+                    await sendAccountCreatedEmail(user.email, token, { role: user.role, institution: user.institution }, user.preferredLanguage);
+                    emailSent.set(String(user._id), true);
+                } catch (error) {
+                    emailSent.set(String(user._id), false);
+                }
+            }
+        }
+
+        const data = created.map(({ row, user }) => ({
+            row: row,
+            email: user.email,
+            name: user.name,
+            role: user.role,
+            status: 'created',
+            userId: user._id,
+            emailSent: sendInvites ? emailSent.get(String(user._id)) : false,
+            errors: []
+        }));
+
+        const sent = data.filter(item => item.emailSent).length;
+
+        return res.status(201).json({
+            error: null,
+            msg: `${created.length} usuários criados com sucesso`,
+            dryRun: false,
+            summary: { rows: results.length, created: created.length, emailsSent: sent, emailsFailed: sendInvites ? created.length - sent : 0 },
+            data: data
+        });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao importar usuários" });
+    }
+});
+
 /**
  * @swagger
  * /api/users/{id}:
  *   get:
  *     summary: Obter usuário por ID
- *     description: Retorna informações de um usuário específico (sem senha)
+ *     description: |
+ *       Retorna informações de um usuário específico (sem senha e tokens).
+ *       Cada usuário consulta os próprios dados; consultar outros usuários exige a permissão `users:read` e, sem a permissão `institutions:global`, apenas os da própria instituição.
  *     tags: [Usuários]
  *     security:
  *       - bearerAuth: []
@@ -228,6 +640,8 @@ router.get("/assignable", verifyToken, async (req, res) => {
  *                   example: "Usuário encontrado com sucesso"
  *                 data:
  *                   $ref: '#/components/schemas/User'
+ *       403:
+ *         description: Sem a permissão users:read (para consultar outros usuários)
  *       404:
  *         description: Usuário não encontrado
  *         content:
@@ -238,30 +652,37 @@ router.get("/assignable", verifyToken, async (req, res) => {
  *               error: "Usuário não encontrado"
  */
 // Get an user
-router.get("/:id", verifyToken, async (req, res) => {
+router.get("/:id", verifyToken, requirePermission(), async (req, res) => {
 
     // Token data
-    const token = req.header("auth-token");
-    const userByToken = await getUserByToken(token);
-    const userId = userByToken._id.toString();
+    const userId = req.user.userId;
 
     // Request data
     const id = req.params.id;
 
     try {
-        // Verify if requester user exists
-        const requesterUser = await User.findOne({ _id: userId, deleted: false });
-        if (!requesterUser) {
+
+        const isSelf = userId === id;
+
+        // Same user or permission to read others (of the same institution)
+        if (!isSelf && !req.permissions.includes('users:read')) {
+            return res.status(403).json({ error: "Acesso negado. Permissão necessária: users:read" });
+        }
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
             return res.status(404).json({ error: "Usuário não encontrado" });
         }
 
-        // Verify if user exists
-        const user = await User.findOne({ _id: id, deleted: false }, {  password: 0 });
+        const user = await User.findOne({ _id: id, deleted: false, ...(isSelf ? {} : institutionFilter(req)) }, PRIVATE_USER_FIELDS);
 
-        res.json({ error: null, msg: "Usuário encontrado com sucesso", data: user });
+        if (!user) {
+            return res.status(404).json({ error: "Usuário não encontrado" });
+        }
+
+        return res.json({ error: null, msg: "Usuário encontrado com sucesso", data: user });
 
     } catch (error) {
-        return res.status(404).json({ error: "Usuário não encontrado" });
+        return res.status(500).json({ error: "Erro ao buscar usuário" });
     }
 });
 
@@ -272,8 +693,9 @@ router.get("/:id", verifyToken, async (req, res) => {
  *     summary: Atualizar usuário
  *     description: |
  *       Atualiza dados de um usuário. 
- *       - Usuários podem editar seus próprios dados (exceto role)
- *       - Admin pode editar qualquer usuário e alterar roles
+ *       - Usuários podem editar seus próprios dados
+ *       - Editar outros usuários exige a permissão `users:update`; sem a permissão `institutions:global`, apenas usuários da mesma instituição e cuja função não tenha permissões além das suas
+ *       - Alterar a role exige a permissão `roles:assign`
  *       - Todos os campos são opcionais
  *     tags: [Usuários]
  *     security:
@@ -305,11 +727,13 @@ router.get("/:id", verifyToken, async (req, res) => {
  *                 type: string
  *                 format: email
  *                 example: "joao.novo@email.com"
+ *                 description: "Alterar o e-mail exige nova confirmação (um link é enviado para o novo endereço)"
  *               password:
  *                 type: string
  *                 format: password
- *                 minLength: 6
+ *                 minLength: 8
  *                 example: "novaSenha123"
+ *                 description: "Apenas para outro usuário (permissão `users:update`), cujas sessões são encerradas. A própria senha é alterada em POST /api/auth/change-password. Deve seguir a política de senha (GET /api/auth/password-policy) e não repetir as últimas senhas"
  *               confirmPassword:
  *                 type: string
  *                 format: password
@@ -317,9 +741,8 @@ router.get("/:id", verifyToken, async (req, res) => {
  *                 description: "Deve ser igual ao campo password"
  *               role:
  *                 type: string
- *                 enum: [admin, student, teacher_analyst, teacher_respondent]
  *                 example: "teacher_analyst"
- *                 description: "Apenas admin pode alterar role"
+ *                 description: "Chave de uma função nativa ou personalizada (permissão `roles:assign`)"
  *               city:
  *                 type: string
  *                 example: "São Paulo"
@@ -329,6 +752,17 @@ router.get("/:id", verifyToken, async (req, res) => {
  *               institution:
  *                 type: string
  *                 example: "Universidade Federal"
+ *                 description: "Nome livre, apenas para usuários sem instituição cadastrada"
+ *               institutionId:
+ *                 type: string
+ *                 nullable: true
+ *                 example: "507f1f77bcf86cd799439020"
+ *                 description: "Instituição cadastrada (permissão `institutions:global`); null desvincula"
+ *               preferredLanguage:
+ *                 type: string
+ *                 enum: [pt-BR, en]
+ *                 example: "en"
+ *                 description: "Idioma dos e-mails enviados ao usuário"
  *           examples:
  *             atualizarNome:
  *               summary: Atualizar apenas nome
@@ -339,12 +773,12 @@ router.get("/:id", verifyToken, async (req, res) => {
  *               value:
  *                 anonymous: true
  *             atualizarSenha:
- *               summary: Atualizar senha
+ *               summary: Redefinir a senha de outro usuário
  *               value:
  *                 password: "novaSenha123"
  *                 confirmPassword: "novaSenha123"
  *             atualizarRole:
- *               summary: Atualizar role (apenas admin)
+ *               summary: Atualizar role (permissão `roles:assign`)
  *               value:
  *                 role: "teacher_analyst"
  *             atualizarLocalizacao:
@@ -395,22 +829,25 @@ router.get("/:id", verifyToken, async (req, res) => {
  *               senhasNaoCoincidem:
  *                 value:
  *                   error: "As senhas não coincidem"
+ *               propriaSenha:
+ *                 value:
+ *                   error: "Para alterar a sua senha, use /api/auth/change-password"
  *               funcaoInvalida:
  *                 value:
  *                   error: "Função inválida."
- *       401:
- *         description: Acesso negado
+ *       403:
+ *         description: Sem a permissão users:update (outro usuário) ou roles:assign (alteração de função)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *             examples:
- *               acessoNegado:
+ *               outroUsuario:
  *                 value:
- *                   error: "Acesso negado"
- *               apenasAdmin:
+ *                   error: "Acesso negado. Permissão necessária: users:update"
+ *               alterarFuncao:
  *                 value:
- *                   error: "Acesso negado. Apenas administradores podem alterar funções."
+ *                   error: "Acesso negado. Permissão necessária: roles:assign"
  *       404:
  *         description: Usuário não encontrado
  *         content:
@@ -429,12 +866,10 @@ router.get("/:id", verifyToken, async (req, res) => {
  *               error: "Erro ao atualizar usuário"
  */
 // Update an user
-router.put("/:id", verifyToken, async (req, res) => {
+router.put("/:id", verifyToken, requirePermission(), async (req, res) => {
 
     // Token data
-    const token = req.header("auth-token");
-    const userByToken = await getUserByToken(token);
-    const userId = userByToken._id.toString();
+    const userId = req.user.userId;
     
     // Request data
     const userReqId = req.params.id;
@@ -447,28 +882,32 @@ router.put("/:id", verifyToken, async (req, res) => {
     const city = req.body.city;
     const state = req.body.state;
     const institution = req.body.institution;
+    const institutionId = req.body.institutionId;
+    const preferredLanguage = req.body.preferredLanguage;
 
     try {
 
-        // Check if user exists in DB
-        const user = await User.findOne({ _id: userId, deleted: false });
+        // Check if ReqId is valid
+        const userReq = await User.findOne({ _id: userReqId }).select('+passwordHistory');
 
-        if (!user) {
+        if (!userReq) {
             return res.status(404).json({ error: "Usuário não encontrado" });
         }
 
-        const role = user.role;
+        // Same user or permission to edit others (of the same institution and not above the requester)
+        if (userId !== userReqId) {
 
-        // Check if ReqId is valid
-        const userReq = await User.findOne({ _id: userReqId });
+            if (!req.permissions.includes('users:update')) {
+                return res.status(403).json({ error: "Acesso negado. Permissão necessária: users:update" });
+            }
 
-        if (!userReq) {
-            return res.status(404).json({ error: "Usuário não encontrado" });
-        }
+            if (!isInInstitutionScope(req, userReq.institutionId)) {
+                return res.status(404).json({ error: "Usuário não encontrado" });
+            }
 
-        // Check role ADMIN or same user
-        if (role !== 'admin' && userId !== userReqId) {
-            return res.status(401).json({ error: "Acesso negado" });
+            if (!(await canManageRole(req, userReq.role))) {
+                return res.status(403).json({ error: "Acesso negado. Você não pode gerenciar usuários desta função" });
+            }
         }
 
         // Create an object user
@@ -483,40 +922,62 @@ router.put("/:id", verifyToken, async (req, res) => {
             updateData.anonymous = anonymous;
         }
 
-        if (email) {
+        // A new e-mail must be confirmed again
+        let emailVerification = null;
+
+        if (email && email !== userReq.email) {
             const emailExists = await User.findOne({ email: email, _id: { $ne: userReqId } });
             if (emailExists) {
                 return res.status(400).json({ error: "Email já cadastrado" });
             }
+            emailVerification = createEmailVerification();
             updateData.email = email;
+            Object.assign(updateData, emailVerification.fields);
         }
 
         // Check if password match
         if (password) {  
+
+            // The own password needs the current one, ends the other sessions and sends a notice: only /change-password does that
+            if (userId === userReqId) {
+                return res.status(400).json({ error: "Para alterar a sua senha, use /api/auth/change-password" });
+            }
+
             if (password !== confirmpassword) {
                 return res.status(400).json({ error: "As senhas não coincidem" });
             }
 
+            // Check password policy and reuse of recent passwords
+            const passwordValidation = await validatePasswordChange(userReq, password);
+            if (!passwordValidation.isValid) {
+                return res.status(400).json({ error: passwordValidation.error });
+            }
+
             // Create password hash
             const salt = await bcrypt.genSalt(12);
             const passwordHash = await bcrypt.hash(password, salt);
 
             // Add password to updateData
             updateData.password = passwordHash;
+            updateData.passwordHistory = nextPasswordHistory(userReq);
+            updateData.passwordChangedAt = new Date();
         }
 
         // Check role
         if (userReqrole) {  
 
-            const validRoles = ['admin', 'student', 'teacher_analyst', 'teacher_respondent'];
+            const validRoles = await listRoleKeys();
 
             if (!validRoles.includes(userReqrole)) {
                 return res.status(400).json({ error: "Função inválida. " });
             }
 
-            // Check if user is admin
-            if (role !== 'admin') {
-                return res.status(401).json({ error: "Acesso negado. Apenas administradores podem alterar funções." });
+            if (!req.permissions.includes('roles:assign')) {
+                return res.status(403).json({ error: "Acesso negado. Permissão necessária: roles:assign" });
+            }
+
+            if (!(await canManageRole(req, userReqrole))) {
+                return res.status(403).json({ error: "Acesso negado. Você não pode atribuir uma função com permissões que não possui" });
             }
 
             updateData.role = userReqrole;
@@ -532,16 +993,64 @@ router.put("/:id", verifyToken, async (req, res) => {
             updateData.state = state;
         }
 
-        if (institution) {
+        // Moving users between institutions changes what they can see
+        if (institutionId !== undefined) {
+
+            if (!hasGlobalScope(req)) {
+                return res.status(403).json({ error: "Acesso negado. Permissão necessária: institutions:global" });
+            }
+
+            if (institutionId === null) {
+                updateData.institutionId = null;
+            } else {
+                const registered = await findInstitution({ institutionId });
+
+                if (!registered) {
+                    return res.status(400).json({ error: "Instituição não encontrada" });
+                }
+
+                updateData.institutionId = registered._id;
+                updateData.institution = registered.name;
+            }
+
+        } else if (institution) {
+
+            // The name of a registered institution follows the institution itself
+            if (userReq.institutionId) {
+                return res.status(400).json({ error: "A instituição do usuário é cadastrada; use institutionId para alterá-la" });
+            }
+
             updateData.institution = institution;
         }
 
+        if (preferredLanguage) {
+            if (!LANGUAGES.includes(preferredLanguage)) {
+                return res.status(400).json({ error: `Idioma inválido. Use: ${LANGUAGES.join(', ')}` });
+            }
+            updateData.preferredLanguage = preferredLanguage;
+        }
+
         // Returns updated data
         const updatedUser = await User.findOneAndUpdate(
             { _id: userReqId },
             { $set: updateData }, 
             { new: true }
-        ).select('-password');
+        ).select(PRIVATE_USER_FIELDS);
+
+        await recordAudit(req, { action: 'user.update', targetType: 'User', targetId: userReq._id, before: userReq, after: { ...userReq.toObject(), ...updateData } });
+
+        // A password set by someone else signs the user out everywhere
+        if (updateData.password) {
+            await revokeUserSessions(userReq._id, 'password_changed', { revokedBy: req.currentUser._id });
+        }
+
+        if (emailVerification) {
+            try {
+                await sendVerificationEmail(updatedUser.email, emailVerification.token, updatedUser.preferredLanguage);
+            } catch (error) {
+                console.error('Erro ao enviar e-mail de verificação:', error);
+            }
+        }
 
         res.json({ error: null, msg: "Usuário atualizado com sucesso", data: updatedUser });
 
@@ -555,7 +1064,7 @@ router.put("/:id", verifyToken, async (req, res) => {
  * /api/users/{id}:
  *   delete:
  *     summary: Deletar usuário
- *     description: Remove um usuário do sistema através de soft delete (apenas admin)
+ *     description: Remove um usuário do sistema através de soft delete (permissão `users:delete`). Os dados pessoais continuam armazenados; para eliminá-los (LGPD), use `POST /api/users/{id}/erasure`
  *     tags: [Usuários]
  *     security:
  *       - bearerAuth: []
@@ -583,14 +1092,8 @@ router.put("/:id", verifyToken, async (req, res) => {
  *                 msg:
  *                   type: string
  *                   example: "Usuário deletado com sucesso"
- *       401:
- *         description: Acesso negado - apenas admin
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
- *             example:
- *               error: "Acesso negado, apenas administradores podem deletar usuários."
+ *       403:
+ *         description: Sem a permissão users:delete
  *       404:
  *         description: Usuário não encontrado
  *         content:
@@ -608,34 +1111,27 @@ router.put("/:id", verifyToken, async (req, res) => {
  *             example:
  *               error: "Erro ao deletar usuário"
  */
-// Delete an user by ID - ADMIN ONLY
-router.delete("/:id", verifyToken, async (req, res) => {
+// Delete an user by ID
+router.delete("/:id", verifyToken, requirePermission('users:delete'), async (req, res) => {
     const id = req.params.id;
-    const token = req.header("auth-token");
-    const userByToken = await getUserByToken(token);
-    const userId = userByToken._id.toString();
-
     try {
 
-        // Check ADMIN role
-        const user = await User.findOne({ _id: userId, deleted: false });
-        if (!user) {
-            return res.status(404).json({ error: "Usuário não encontrado" });
-        }
-        if (user.role !== 'admin') {
-            return res.status(401).json({ error: "Acesso negado, apenas administradores podem deletar usuários." });
+        const target = await findManagedUser(req, { _id: id, deleted: false });
+        if (target.error) {
+            return res.status(target.status).json({ error: target.error });
         }
 
         // Soft delete: set deleted flag to true
         const updatedUser = await User.findByIdAndUpdate(
-            id,
-            { $set: { deleted: true } },
+            target.user._id,
+            { $set: { deleted: true, deletedAt: new Date(), deletedBy: req.currentUser._id } },
             { new: true }
         );
 
-        if (!updatedUser) {
-            return res.status(404).json({ error: "Usuário não encontrado" });
-        }
+        // Deleted users must not keep working tokens
+        await revokeUserSessions(updatedUser._id, 'user_deleted', { revokedBy: req.currentUser._id });
+
+        await recordAudit(req, { action: 'user.delete', targetType: 'User', targetId: updatedUser._id, before: { deleted: false }, after: { deleted: true } });
 
         return res.status(200).json({ error: null, msg: "Usuário deletado com sucesso" });
 
@@ -644,4 +1140,379 @@ router.delete("/:id", verifyToken, async (req, res) => {
     }
 });
 
+/**
+ * @swagger
+ * /api/users/{id}/sessions:
+ *   get:
+ *     summary: Listar sessões ativas de um usuário
+ *     description: Retorna as sessões ativas de qualquer usuário (permissão `users:read`)
+ *     tags: [Usuários]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: objectId
+ *         description: ID do usuário
+ *     responses:
+ *       200:
+ *         description: Sessões encontradas com sucesso
+ *       403:
+ *         description: Sem a permissão users:read
+ *       404:
+ *         description: Usuário não encontrado
+ *       500:
+ *         description: Erro ao buscar sessões
+ */
+// Get active sessions of an user
+router.get("/:id/sessions", verifyToken, requirePermission('users:read'), async (req, res) => {
+    const id = req.params.id;
+
+    try {
+
+        const target = await findManagedUser(req, { _id: id });
+        if (target.error) {
+            return res.status(target.status).json({ error: target.error });
+        }
+
+        const sessions = await Session.find({ userId: target.user._id, revokedAt: null, expiresAt: { $gt: new Date() } })
+            .sort({ lastSeenAt: -1 });
+
+        return res.status(200).json({ error: null, msg: "Sessões encontradas com sucesso", data: sessions });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao buscar sessões" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/sessions:
+ *   delete:
+ *     summary: Encerrar todas as sessões de um usuário
+ *     description: Revoga todas as sessões ativas de um usuário, por exemplo em caso de conta comprometida (permissão `users:security`)
+ *     tags: [Usuários]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: objectId
+ *         description: ID do usuário
+ *     responses:
+ *       200:
+ *         description: Sessões encerradas com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   nullable: true
+ *                   example: null
+ *                 msg:
+ *                   type: string
+ *                   example: "Sessões do usuário encerradas com sucesso"
+ *                 revoked:
+ *                   type: number
+ *                   example: 3
+ *       403:
+ *         description: Sem a permissão users:security
+ *       404:
+ *         description: Usuário não encontrado
+ *       500:
+ *         description: Erro ao encerrar sessões
+ */
+// Revoke all sessions of an user
+router.delete("/:id/sessions", verifyToken, requirePermission('users:security'), async (req, res) => {
+    const id = req.params.id;
+    try {
+
+        const target = await findManagedUser(req, { _id: id });
+        if (target.error) {
+            return res.status(target.status).json({ error: target.error });
+        }
+
+        const targetUser = target.user;
+
+        const revoked = await revokeUserSessions(targetUser._id, 'admin_revoked', { revokedBy: req.currentUser._id });
+
+        await recordAudit(req, { action: 'user.revoke_sessions', targetType: 'User', targetId: targetUser._id, metadata: { revoked: revoked } });
+
+        return res.status(200).json({ error: null, msg: "Sessões do usuário encerradas com sucesso", revoked: revoked });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao encerrar sessões" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/2fa:
+ *   delete:
+ *     summary: Redefinir 2FA do usuário
+ *     description: Desativa o 2FA de um usuário que perdeu o aplicativo autenticador e os códigos de recuperação, e encerra as sessões dele (permissão `users:security`). Se a função exigir 2FA, ele será obrigado a configurá-lo novamente no próximo login.
+ *     tags: [Usuários]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID do usuário
+ *     responses:
+ *       200:
+ *         description: 2FA redefinido com sucesso
+ *       403:
+ *         description: Sem a permissão users:security
+ *       404:
+ *         description: Usuário não encontrado
+ *       500:
+ *         description: Erro ao redefinir 2FA
+ */
+// Reset an user's 2FA
+router.delete("/:id/2fa", verifyToken, requirePermission('users:security'), async (req, res) => {
+    const id = req.params.id;
+    try {
+
+        const target = await findManagedUser(req, { _id: id, deleted: false });
+        if (target.error) {
+            return res.status(target.status).json({ error: target.error });
+        }
+
+        const targetUser = target.user;
+
+        await User.updateOne({ _id: targetUser._id }, twoFactorResetUpdate());
+        await revokeUserSessions(targetUser._id, 'admin_revoked', { revokedBy: req.currentUser._id });
+
+        await recordAudit(req, { action: 'user.reset_2fa', targetType: 'User', targetId: targetUser._id, before: { twoFactorEnabled: targetUser.twoFactorEnabled }, after: { twoFactorEnabled: false } });
+
+        return res.status(200).json({ error: null, msg: "2FA do usuário redefinido com sucesso" });
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao redefinir 2FA" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/data-export:
+ *   get:
+ *     summary: Exportar dados pessoais (LGPD)
+ *     description: |
+ *       Gera a cópia de tudo o que está armazenado sobre o usuário: perfil, formulários atribuídos, respostas enviadas (com os títulos das questões), rascunhos, incluindo os removidos, e termos de consentimento aceitos.
+ *       - Qualquer usuário pode exportar os próprios dados
+ *       - Exportar os dados de outro usuário exige a permissão `users:data-export`; sem a permissão `institutions:global`, apenas usuários da mesma instituição
+ *       - Por padrão retorna um .zip com dados.json e os CSVs perfil, atribuicoes, respostas, rascunhos e consentimentos; `format=json` retorna apenas o JSON
+ *     tags: [Usuários]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: objectId
+ *         description: ID do usuário
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [zip, json]
+ *           default: zip
+ *     responses:
+ *       200:
+ *         description: Arquivo .zip (ou JSON com `format=json`)
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/json:
+ *             example:
+ *               error: null
+ *               msg: "Dados exportados com sucesso"
+ *               data:
+ *                 generatedAt: "2025-01-15T10:30:00.000Z"
+ *                 profile: { name: "João Silva", email: "joao@email.com" }
+ *                 assignments: []
+ *                 responses: []
+ *                 drafts: []
+ *       400:
+ *         description: Formato inválido
+ *       403:
+ *         description: Sem a permissão users:data-export
+ *       404:
+ *         description: Usuário não encontrado
+ *       500:
+ *         description: Erro ao exportar dados
+ */
+// Export everything stored about an user (LGPD data portability)
+router.get("/:id/data-export", verifyToken, requirePermission(), async (req, res) => {
+
+    // Token data
+    const userId = req.user.userId;
+
+    // Request data
+    const id = req.params.id;
+    const format = req.query.format || 'zip';
+
+    try {
+
+        if (!['zip', 'json'].includes(format)) {
+            return res.status(400).json({ error: "Formato inválido. Use: zip, json" });
+        }
+
+        let user;
+
+        // Same user or permission to export others (of the same institution and not above the requester)
+        if (userId === id) {
+            user = req.currentUser;
+        } else {
+
+            if (!req.permissions.includes('users:data-export')) {
+                return res.status(403).json({ error: "Acesso negado. Permissão necessária: users:data-export" });
+            }
+
+            const target = await findManagedUser(req, { _id: id });
+            if (target.error) {
+                return res.status(target.status).json({ error: target.error });
+            }
+
+            user = target.user;
+        }
+
+        const data = await buildUserDataExport(user);
+
+        await recordAudit(req, {
+            action: 'user.data_export',
+            targetType: 'User',
+            targetId: user._id,
+            metadata: { format: format, responses: data.responses.length, drafts: data.drafts.length }
+        });
+
+        if (format === 'json') {
+            return res.status(200).json({ error: null, msg: "Dados exportados com sucesso", data: data });
+        }
+
+        const filename = `dados-${user._id}-${new Date().toISOString().slice(0, 10)}.zip`;
+
+        res.set('Content-Type', 'application/zip');
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+        return res.status(200).send(buildUserDataArchive(data));
+
+    } catch (error) {
+        return res.status(500).json({ error: "Erro ao exportar dados" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/erasure:
+ *   post:
+ *     summary: Eliminar dados pessoais de um usuário (LGPD)
+ *     description: |
+ *       Atende a um pedido de eliminação de dados (permissão `users:erase`). A ação é irreversível:
+ *       - O nome, e-mail, cidade, estado, senha, 2FA e vínculos de login institucional são apagados e a conta é desativada
+ *       - Rascunhos, sessões e convites do usuário são removidos, e ele deixa de ser atribuído aos formulários
+ *       - `responses: anonymize` (padrão) mantém as respostas enviadas como registros de pesquisa anonimizados, sem vínculo com o usuário, e os totais dos dashboards não mudam; `responses: delete` as remove
+ *       - Um comprovante (sem dados pessoais) é registrado e pode ser consultado em `GET /api/users/erasures`
+ *       Sem a permissão `institutions:global`, apenas usuários da mesma instituição. Não é possível eliminar a própria conta.
+ *     tags: [Usuários]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: objectId
+ *         description: ID do usuário
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               responses:
+ *                 type: string
+ *                 enum: [anonymize, delete]
+ *                 default: anonymize
+ *               reason:
+ *                 type: string
+ *                 example: "Pedido do titular em 15/01/2025"
+ *     responses:
+ *       200:
+ *         description: Dados eliminados com sucesso
+ *         content:
+ *           application/json:
+ *             example:
+ *               error: null
+ *               msg: "Dados pessoais eliminados com sucesso"
+ *               data:
+ *                 _id: "665f1f77bcf86cd799439099"
+ *                 userId: "507f1f77bcf86cd799439011"
+ *                 responses: "anonymize"
+ *                 counts: { responsesAnonymized: 3, responsesDeleted: 0, draftsDeleted: 1, formsUnassigned: 2, groupsLeft: 1, auditEntriesPseudonymized: 6, invitesDeleted: 1, sessionsDeleted: 4 }
+ *                 createdAt: "2025-01-15T10:30:00.000Z"
+ *       400:
+ *         description: Opção inválida, conta já eliminada ou a própria conta
+ *       403:
+ *         description: Sem a permissão users:erase
+ *       404:
+ *         description: Usuário não encontrado
+ *       500:
+ *         description: Erro ao eliminar dados
+ */
+// Erase an user's personal data (LGPD)
+router.post("/:id/erasure", verifyToken, requirePermission('users:erase'), async (req, res) => {
+
+    // Request data
+    const id = req.params.id;
+    const responses = req.body.responses || 'anonymize';
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    try {
+
+        if (!ERASURE_MODES.includes(responses)) {
+            return res.status(400).json({ error: `Opção de respostas inválida. Use: ${ERASURE_MODES.join(', ')}` });
+        }
+
+        if (id === req.user.userId) {
+            return res.status(400).json({ error: "Não é possível eliminar a própria conta" });
+        }
+
+        const target = await findManagedUser(req, { _id: id });
+        if (target.error) {
+            return res.status(target.status).json({ error: target.error });
+        }
+
+        if (target.user.erasedAt) {
+            return res.status(400).json({ error: "Os dados deste usuário já foram eliminados" });
+        }
+
+        const erasure = await eraseUser(target.user, { responses, reason, requestedBy: req.currentUser._id });
+
+        await recordAudit(req, { action: 'user.erase', targetType: 'User', targetId: target.user._id, metadata: { erasure: erasure._id, responses: responses } });
+
+        return res.status(200).json({ error: null, msg: "Dados pessoais eliminados com sucesso", data: erasure });
+
+    } catch (error) {
+        console.error('Erro ao eliminar dados do usuário:', error);
+        return res.status(500).json({ error: "Erro ao eliminar dados" });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
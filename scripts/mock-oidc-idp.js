@@ -0,0 +1,188 @@
+// Local OpenID Connect provider for development and tests of the institutional login.
+// Usage: npm run mock-idp  (then register a provider with issuer http://localhost:9000)
+const express = require('express');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+require('dotenv').config();
+
+const port = parseInt(process.env.MOCK_OIDC_PORT) || 9000;
+const issuer = process.env.MOCK_OIDC_ISSUER || `http://localhost:${port}`;
+// When set, the token endpoint requires it (confidential client); otherwise PKCE alone is enough
+const clientSecret = process.env.MOCK_OIDC_CLIENT_SECRET || '';
+
+const CODE_EXPIRES_MS = 60 * 1000;
+
+// Sample accounts offered on the login page; any other values can be typed in
+const SAMPLE_USERS = [
+    { sub: 'prof-0001', email: 'professora@escola.edu.br', name: 'Maria Professora', roles: 'professores', institution: 'Escola Estadual XYZ' },
+    { sub: 'aluno-0001', email: 'aluno@escola.edu.br', name: 'João Aluno', roles: 'alunos', institution: 'Escola Estadual XYZ' }
+];
+
+// A new key pair on every start: the backend reloads the JWKS when it sees an unknown "kid"
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const kid = crypto.randomBytes(8).toString('hex');
+const jwk = { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' };
+
+const codes = new Map();
+const accessTokens = new Map();
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+        issuer: issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        userinfo_endpoint: `${issuer}/userinfo`,
+        jwks_uri: `${issuer}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        code_challenge_methods_supported: ['S256'],
+        token_endpoint_auth_methods_supported: ['client_secret_post', 'none'],
+        scopes_supported: ['openid', 'email', 'profile'],
+        claims_supported: ['sub', 'email', 'email_verified', 'name', 'roles', 'institution', 'locale']
+    });
+});
+
+app.get('/jwks', (req, res) => {
+    res.json({ keys: [jwk] });
+});
+
+// Login page: pick or type the identity that will be returned to the client
+app.get('/authorize', (req, res) => {
+    const { response_type, client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method } = req.query;
+
+    if (response_type !== 'code' || !client_id || !redirect_uri || !code_challenge || code_challenge_method !== 'S256') {
+        return res.status(400).send('Requisição inválida: use response_type=code, client_id, redirect_uri e PKCE S256');
+    }
+
+    const hidden = Object.entries({ client_id, redirect_uri, state: state || '', nonce: nonce || '', code_challenge })
+        .map(([name, value]) => `<input type="hidden" name="${name}" value="${escapeHtml(value)}">`)
+        .join('');
+
+    const samples = SAMPLE_USERS.map(user => `
+        <form method="post" action="/authorize">${hidden}
+            ${Object.entries(user).map(([name, value]) => `<input type="hidden" name="${name}" value="${escapeHtml(value)}">`).join('')}
+            <input type="hidden" name="email_verified" value="true">
+            <button type="submit">Entrar como ${escapeHtml(user.name)} (${escapeHtml(user.roles)})</button>
+        </form>`).join('');
+
+    res.send(`<!DOCTYPE html>
+<html lang="pt-BR">
+<head><meta charset="utf-8"><title>Mock IdP</title></head>
+<body style="font-family: sans-serif; max-width: 480px; margin: 40px auto;">
+    <h1>Mock IdP</h1>
+    <p>Cliente: <code>${escapeHtml(client_id)}</code></p>
+    ${samples}
+    <h2>Outra identidade</h2>
+    <form method="post" action="/authorize">${hidden}
+        <p><label>sub <input name="sub" required></label></p>
+        <p><label>email <input name="email" type="email" required></label></p>
+        <p><label>name <input name="name"></label></p>
+        <p><label>roles (separados por vírgula) <input name="roles"></label></p>
+        <p><label>institution <input name="institution"></label></p>
+        <p><label><input type="checkbox" name="email_verified" value="true" checked> email_verified</label></p>
+        <button type="submit">Entrar</button>
+    </form>
+    <form method="post" action="/authorize">${hidden}<input type="hidden" name="deny" value="true"><button type="submit">Negar acesso</button></form>
+</body>
+</html>`);
+});
+
+// Also usable directly with curl, posting the same fields as the login page
+app.post('/authorize', (req, res) => {
+    const { client_id, redirect_uri, state, nonce, code_challenge, sub, email, name, roles, institution, email_verified, deny } = req.body;
+
+    if (!client_id || !redirect_uri || !code_challenge) {
+        return res.status(400).send('Requisição inválida');
+    }
+
+    const redirect = new URL(redirect_uri);
+    if (state) {
+        redirect.searchParams.set('state', state);
+    }
+
+    if (deny) {
+        redirect.searchParams.set('error', 'access_denied');
+        return res.redirect(redirect.toString());
+    }
+
+    if (!sub || !email) {
+        return res.status(400).send('Informe sub e email');
+    }
+
+    const claims = {
+        sub: sub,
+        email: email,
+        email_verified: email_verified === 'true',
+        name: name || email,
+        roles: roles ? roles.split(',').map(role => role.trim()).filter(Boolean) : [],
+        locale: 'pt-BR'
+    };
+
+    if (institution) {
+        claims.institution = institution;
+    }
+
+    const code = crypto.randomBytes(24).toString('base64url');
+    codes.set(code, { client_id, redirect_uri, nonce, code_challenge, claims, expiresAt: Date.now() + CODE_EXPIRES_MS });
+
+    redirect.searchParams.set('code', code);
+    res.redirect(redirect.toString());
+});
+
+app.post('/token', (req, res) => {
+    const { grant_type, code, redirect_uri, client_id, code_verifier } = req.body;
+
+    if (grant_type !== 'authorization_code') {
+        return res.status(400).json({ error: 'unsupported_grant_type' });
+    }
+
+    // Codes are single use
+    const entry = codes.get(code);
+    codes.delete(code);
+
+    if (!entry || entry.expiresAt < Date.now() || entry.client_id !== client_id || entry.redirect_uri !== redirect_uri) {
+        return res.status(400).json({ error: 'invalid_grant', error_description: 'Código inválido, expirado ou de outro cliente' });
+    }
+
+    if (clientSecret && req.body.client_secret !== clientSecret) {
+        return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    const challenge = crypto.createHash('sha256').update(String(code_verifier || '')).digest('base64url');
+    if (challenge !== entry.code_challenge) {
+        return res.status(400).json({ error: 'invalid_grant', error_description: 'code_verifier não confere (PKCE)' });
+    }
+
+    const idToken = jwt.sign(
+        { ...entry.claims, nonce: entry.nonce },
+        privateKey,
+        { algorithm: 'RS256', keyid: kid, issuer: issuer, audience: client_id, expiresIn: '5m' }
+    );
+
+    const accessToken = crypto.randomBytes(24).toString('base64url');
+    accessTokens.set(accessToken, entry.claims);
+
+    res.json({ access_token: accessToken, token_type: 'Bearer', expires_in: 300, id_token: idToken });
+});
+
+app.get('/userinfo', (req, res) => {
+    const accessToken = (req.header('authorization') || '').replace(/^Bearer\s+/i, '');
+    const claims = accessTokens.get(accessToken);
+
+    if (!claims) {
+        return res.status(401).json({ error: 'invalid_token' });
+    }
+
+    res.json(claims);
+});
+
+app.listen(port, () => {
+    console.log(`Mock IdP rodando em ${issuer} (cliente ${clientSecret ? 'confidencial' : 'público, apenas PKCE'})`);
+});
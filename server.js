@@ -16,6 +16,22 @@ const questionRouter = require('./routes/questionRoutes.js');
 const formRouter = require('./routes/formRoutes.js');
 const responseRouter = require('./routes/responseRoutes.js');
 const dashRouter = require('./routes/dashRoutes.js');
+const inviteRouter = require('./routes/inviteRoutes.js');
+const settingsRouter = require('./routes/settingsRoutes.js');
+const emailRouter = require('./routes/emailRoutes.js');
+const serviceAccountRouter = require('./routes/serviceAccountRoutes.js');
+const identityProviderRouter = require('./routes/identityProviderRoutes.js');
+const roleRouter = require('./routes/roleRoutes.js');
+const institutionRouter = require('./routes/institutionRoutes.js');
+const auditLogRouter = require('./routes/auditLogRoutes.js');
+const consentRouter = require('./routes/consentRoutes.js');
+const guardianConsentRouter = require('./routes/guardianConsentRoutes.js');
+const groupRouter = require('./routes/groupRoutes.js');
+const trashRouter = require('./routes/trashRoutes.js');
+const retentionRouter = require('./routes/retentionRoutes.js');
+
+// Jobs
+const { startRetentionSchedule } = require('./helpers/retention');
 
 // Middlewares
 
@@ -24,6 +40,24 @@ const dashRouter = require('./routes/dashRoutes.js');
 const port = process.env.PORT;
 const app = express();
 
+// Needed behind a reverse proxy so req.ip reflects the client address.
+// Express reads a string as an address list ("1" would be the IP 0.0.0.1), so hop counts and booleans are converted
+const parseTrustProxy = (value) => {
+    if (/^\d+$/.test(value)) {
+        return parseInt(value);
+    }
+
+    if (value === 'true' || value === 'false') {
+        return value === 'true';
+    }
+
+    return value;
+};
+
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY.trim()));
+}
+
 app.use(cors());
 app.use(express.json());
 
@@ -38,6 +72,19 @@ app.use("/api/questions", questionRouter);
 app.use("/api/forms", formRouter);
 app.use("/api/responses", responseRouter);
 app.use("/api/dashboards", dashRouter);
+app.use("/api/invites", inviteRouter);
+app.use("/api/settings", settingsRouter);
+app.use("/api/emails", emailRouter);
+app.use("/api/service-accounts", serviceAccountRouter);
+app.use("/api/identity-providers", identityProviderRouter);
+app.use("/api/roles", roleRouter);
+app.use("/api/institutions", institutionRouter);
+app.use("/api/audit-logs", auditLogRouter);
+app.use("/api/consents", consentRouter);
+app.use("/api/guardian-consents", guardianConsentRouter);
+app.use("/api/groups", groupRouter);
+app.use("/api/trash", trashRouter);
+app.use("/api/retention", retentionRouter);
 
 // Conect to MongoDB
 const DB_USER = process.env.DB_USER;
@@ -59,7 +106,7 @@ async function connectDB() {
         process.exit(1);
     }
 }
-connectDB();
+connectDB().then(startRetentionSchedule);
 
 app.listen(port, () => {
     console.log(`Server is running on http://localhost:${port}`);
@@ -30,6 +30,12 @@ const swaggerOptions = {
                     scheme: 'bearer',
                     bearerFormat: 'JWT',
                     description: 'Insira o token JWT obtido no login'
+                },
+                apiKeyAuth: {
+                    type: 'apiKey',
+                    in: 'header',
+                    name: 'x-api-key',
+                    description: 'Chave de API de uma conta de serviço (aceita apenas nas rotas que indicam este esquema)'
                 }
             },
             schemas: {
@@ -55,9 +61,19 @@ const swaggerOptions = {
                         },
                         role: {
                             type: 'string',
-                            enum: ['admin', 'student', 'teacher_analyst', 'teacher_respondent'],
-                            description: 'Nível de acesso',
+                            description: 'Chave da função (nativa ou personalizada, ver /api/roles)',
                             example: 'admin'
+                        },
+                        institution: {
+                            type: 'string',
+                            description: 'Nome da instituição',
+                            example: 'UTFPR'
+                        },
+                        institutionId: {
+                            type: 'string',
+                            nullable: true,
+                            description: 'Instituição cadastrada (define o que funções restritas à instituição enxergam)',
+                            example: '507f1f77bcf86cd799439020'
                         }
                     }
                 },
@@ -171,6 +187,26 @@ const swaggerOptions = {
                             default: true,
                             example: true
                         },
+                        closedAt: {
+                            type: 'string',
+                            format: 'date-time',
+                            nullable: true,
+                            description: 'Data da última desativação do formulário'
+                        },
+                        consentTermId: {
+                            type: 'string',
+                            nullable: true,
+                            description: 'Termo de consentimento (TCLE) aceito antes de responder',
+                            example: null
+                        },
+                        assignedGroups: {
+                            type: 'array',
+                            description: 'Grupos (turmas) atribuídos; os membros atuais de cada grupo recebem o formulário',
+                            items: {
+                                type: 'string',
+                                example: '667f1f77bcf86cd799439051'
+                            }
+                        },
                         createdBy: {
                             type: 'string',
                             description: 'ID do usuário que criou',
@@ -241,6 +277,87 @@ const swaggerOptions = {
                             example: 'Mensagem de erro'
                         }
                     }
+                },
+                Pagination: {
+                    type: 'object',
+                    description: 'Envelope de paginação das listagens',
+                    properties: {
+                        total: {
+                            type: 'integer',
+                            description: 'Total de itens que atendem aos filtros',
+                            example: 1280
+                        },
+                        limit: {
+                            type: 'integer',
+                            example: 50
+                        },
+                        page: {
+                            type: 'integer',
+                            nullable: true,
+                            description: 'Página atual (null na paginação por cursor)',
+                            example: 1
+                        },
+                        hasMore: {
+                            type: 'boolean',
+                            example: true
+                        },
+                        nextCursor: {
+                            type: 'string',
+                            nullable: true,
+                            description: 'Cursor da próxima página (enviar em cursor, com a mesma ordenação)',
+                            example: 'eyJzb3J0IjoiLWNyZWF0ZWRBdCIsInZhbHVlIjoiMjAyNS0wMS0xNVQxMDozMDowMC4wMDBaIn0'
+                        }
+                    }
+                }
+            },
+            parameters: {
+                ListPage: {
+                    in: 'query',
+                    name: 'page',
+                    schema: { type: 'integer', default: 1, minimum: 1 },
+                    description: 'Página (paginação por página)'
+                },
+                ListLimit: {
+                    in: 'query',
+                    name: 'limit',
+                    schema: { type: 'integer', default: 50, minimum: 1, maximum: 200 },
+                    description: 'Itens por página'
+                },
+                ListCursor: {
+                    in: 'query',
+                    name: 'cursor',
+                    schema: { type: 'string' },
+                    description: 'Cursor retornado em pagination.nextCursor (paginação por cursor; ignora page)'
+                },
+                ListSort: {
+                    in: 'query',
+                    name: 'sort',
+                    schema: { type: 'string' },
+                    description: 'Campo de ordenação; prefixo - para ordem decrescente (ex. -createdAt)'
+                },
+                ListSearch: {
+                    in: 'query',
+                    name: 'search',
+                    schema: { type: 'string' },
+                    description: 'Busca textual (sem diferenciar maiúsculas)'
+                },
+                ListFields: {
+                    in: 'query',
+                    name: 'fields',
+                    schema: { type: 'string' },
+                    description: 'Campos retornados, separados por vírgula (o _id sempre vem)'
+                },
+                ListFrom: {
+                    in: 'query',
+                    name: 'from',
+                    schema: { type: 'string', format: 'date-time' },
+                    description: 'Início do período (ISO 8601)'
+                },
+                ListTo: {
+                    in: 'query',
+                    name: 'to',
+                    schema: { type: 'string', format: 'date-time' },
+                    description: 'Fim do período (ISO 8601)'
                 }
             }
         },
@@ -271,6 +388,58 @@ const swaggerOptions = {
             {
                 name: 'Dashboards',
                 description: 'Análise e visualização de dados'
+            },
+            {
+                name: 'Convites',
+                description: 'Convites de cadastro com função e instituição definidas'
+            },
+            {
+                name: 'Configurações',
+                description: 'Configurações globais do sistema'
+            },
+            {
+                name: 'E-mails',
+                description: 'Registro de envio e templates de e-mails'
+            },
+            {
+                name: 'Contas de Serviço',
+                description: 'Contas de serviço e chaves de API para acesso programático'
+            },
+            {
+                name: 'Provedores de Identidade',
+                description: 'Provedores OpenID Connect para login institucional (SSO)'
+            },
+            {
+                name: 'Funções',
+                description: 'Funções de usuário e permissões'
+            },
+            {
+                name: 'Instituições',
+                description: 'Escolas e universidades que delimitam o acesso de administradores e analistas da instituição'
+            },
+            {
+                name: 'Auditoria',
+                description: 'Registro de ações administrativas e de acesso a dados'
+            },
+            {
+                name: 'Consentimento',
+                description: 'Termos de consentimento livre e esclarecido (TCLE) exigidos antes de responder formulários'
+            },
+            {
+                name: 'Autorização do Responsável',
+                description: 'Autorização dos pais ou responsáveis para a participação de estudantes menores de idade'
+            },
+            {
+                name: 'Grupos',
+                description: 'Grupos de respondentes (turmas) para atribuir formulários'
+            },
+            {
+                name: 'Lixeira',
+                description: 'Itens removidos e restauração'
+            },
+            {
+                name: 'Retenção de dados',
+                description: 'Políticas que removem ou anonimizam dados antigos, com simulação e relatórios de execução'
             }
         ]
     },
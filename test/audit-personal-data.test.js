@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const { diffChanges, PERSONAL_USER_FIELDS, PERSONAL_INVITE_FIELDS, REDACTED } = require('../helpers/audit');
+const { auditPseudonymizationOperations } = require('../helpers/erasure');
+
+test('o e-mail do responsável não é gravado nas entradas sobre o usuário', () => {
+    const changes = diffChanges(
+        { guardianEmail: 'mae@email.com', status: 'pending' },
+        { guardianEmail: 'pai@email.com', status: 'pending' },
+        PERSONAL_USER_FIELDS
+    );
+
+    assert.deepStrictEqual(changes, { before: { guardianEmail: REDACTED }, after: { guardianEmail: REDACTED } });
+});
+
+test('a eliminação redige o e-mail do responsável nas entradas antigas sobre o usuário', () => {
+    const userId = new mongoose.Types.ObjectId();
+    const operations = auditPseudonymizationOperations(userId, `removido-${userId}@anonimizado.invalid`);
+
+    for (const path of ['before.guardianEmail', 'after.guardianEmail', 'metadata.guardianEmail']) {
+        const operation = operations.find(item => path in item.updateMany.filter);
+
+        assert.ok(operation, `sem operação para ${path}`);
+        assert.strictEqual(operation.updateMany.filter.targetType, 'User');
+        assert.strictEqual(operation.updateMany.filter.targetId, String(userId));
+        assert.deepStrictEqual(operation.updateMany.update, { $set: { [path]: REDACTED } });
+    }
+});
+
+test('o e-mail do convidado não é gravado nas entradas sobre o convite', () => {
+    const changes = diffChanges(null, { email: 'convidado@email.com', role: 'admin' }, PERSONAL_INVITE_FIELDS);
+
+    assert.deepStrictEqual(changes, { before: null, after: { email: REDACTED, role: 'admin' } });
+});
+
+test('a eliminação redige o e-mail nas entradas antigas sobre os convites do usuário', () => {
+    const userId = new mongoose.Types.ObjectId();
+    const inviteId = new mongoose.Types.ObjectId();
+    const operations = auditPseudonymizationOperations(userId, `removido-${userId}@anonimizado.invalid`, [inviteId]);
+
+    for (const path of ['before.email', 'after.email']) {
+        const operation = operations.find(item => item.updateMany.filter.targetType === 'Invite' && path in item.updateMany.filter);
+
+        assert.ok(operation, `sem operação para ${path}`);
+        assert.deepStrictEqual(operation.updateMany.filter.targetId, { $in: [String(inviteId)] });
+        assert.deepStrictEqual(operation.updateMany.update, { $set: { [path]: REDACTED } });
+    }
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createZip, openZip } = require('../helpers/zip');
+
+test('só descompacta os arquivos lidos', () => {
+    const zip = openZip(createZip([
+        { name: 'xl/workbook.xml', content: '<workbook/>' },
+        { name: 'grande.bin', content: Buffer.alloc(1024 * 1024) }
+    ]), 1024);
+
+    assert.strictEqual(zip.read('xl/workbook.xml').toString('utf8'), '<workbook/>');
+    assert.ok(zip.has('grande.bin'));
+    assert.strictEqual(zip.read('ausente.xml'), null);
+});
+
+test('recusa arquivos que passam do limite somado', () => {
+    const zip = openZip(createZip([
+        { name: 'a.xml', content: Buffer.alloc(600) },
+        { name: 'b.xml', content: Buffer.alloc(600) }
+    ]), 1000);
+
+    assert.strictEqual(zip.read('a.xml').length, 600);
+    assert.throws(() => zip.read('b.xml'), /excede o tamanho permitido/);
+});
+
+test('recusa um arquivo cujo cabeçalho declara um tamanho menor que o real', () => {
+    const buffer = createZip([{ name: 'a.xml', content: Buffer.alloc(5000) }]);
+
+    // Uncompressed size of the central directory entry
+    const central = buffer.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+    buffer.writeUInt32LE(10, central + 24);
+
+    assert.throws(() => openZip(buffer, 1000).read('a.xml'), /excede o tamanho permitido/);
+});